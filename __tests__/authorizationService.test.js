@@ -0,0 +1,81 @@
+jest.mock('../config/db', () => ({ query: jest.fn() }));
+
+const pool = require('../config/db');
+const authorizationService = require('../services/shared/authorizationService');
+
+const { hasPermission, accessibleProjectsClause, getWorkspaceAccess } = authorizationService;
+
+describe('hasPermission', () => {
+    test('each role includes the permissions of the roles below it', () => {
+        expect(hasPermission('viewer', 'VIEW_WORKSPACE')).toBe(true);
+        expect(hasPermission('viewer', 'EDIT_WORKSPACE')).toBe(false);
+        expect(hasPermission('architect', 'EDIT_WORKSPACE')).toBe(true);
+        expect(hasPermission('architect', 'DEPLOY')).toBe(false);
+        expect(hasPermission('deployer', 'DEPLOY')).toBe(true);
+        expect(hasPermission('deployer', 'DESTROY')).toBe(false);
+        expect(hasPermission('admin', 'DESTROY')).toBe(true);
+        expect(hasPermission('admin', 'MANAGE_ORGANIZATION')).toBe(true);
+    });
+
+    test('missing or unknown roles grant nothing', () => {
+        expect(hasPermission(null, 'VIEW_WORKSPACE')).toBe(false);
+        expect(hasPermission(undefined, 'VIEW_WORKSPACE')).toBe(false);
+        expect(hasPermission('owner', 'VIEW_WORKSPACE')).toBe(false);
+    });
+
+    test('unknown permissions throw instead of failing open', () => {
+        expect(() => hasPermission('admin', 'DO_ANYTHING')).toThrow('Unknown permission: DO_ANYTHING');
+    });
+});
+
+describe('accessibleProjectsClause', () => {
+    test('viewing includes every organization role', () => {
+        const clause = accessibleProjectsClause('$1');
+        expect(clause).toContain('p.owner_id = $1');
+        expect(clause).toContain('user_id = $1');
+        expect(clause).toContain("role IN ('viewer', 'architect', 'deployer', 'admin')");
+    });
+
+    test('only roles holding the permission are listed', () => {
+        const clause = accessibleProjectsClause('$2', 'DEPLOY');
+        expect(clause).toContain('p.owner_id = $2');
+        expect(clause).toContain("role IN ('deployer', 'admin')");
+        expect(clause).not.toContain("'viewer'");
+        expect(clause).not.toContain("'architect'");
+    });
+});
+
+describe('getWorkspaceAccess', () => {
+    beforeEach(() => pool.query.mockReset());
+
+    test('non-numeric IDs never reach the database', async () => {
+        await expect(getWorkspaceAccess('1 OR 1=1', 7)).resolves.toBeNull();
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('missing workspaces resolve to null', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [] });
+        await expect(getWorkspaceAccess('12', 7)).resolves.toBeNull();
+    });
+
+    test('the project owner is admin', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [{ id: 12, project_id: 3, user_id: '9', project_owner_id: '7', organization_id: null, member_role: null }] });
+        const access = await getWorkspaceAccess('12', 7);
+        expect(access.role).toBe('admin');
+        expect(access.projectId).toBe(3);
+        expect(access.workspace).not.toHaveProperty('project_owner_id');
+    });
+
+    test('organization members get their organization role', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [{ id: 12, project_id: 3, user_id: '9', project_owner_id: '9', organization_id: 5, member_role: 'architect' }] });
+        const access = await getWorkspaceAccess('12', 7);
+        expect(access).toMatchObject({ role: 'architect', organizationId: 5 });
+    });
+
+    test('everyone else has no role', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [{ id: 12, project_id: 3, user_id: '9', project_owner_id: '9', organization_id: null, member_role: null }] });
+        const access = await getWorkspaceAccess('12', 7);
+        expect(access.role).toBeNull();
+        expect(access.workspace.id).toBe(12);
+    });
+});
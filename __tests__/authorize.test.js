@@ -0,0 +1,103 @@
+jest.mock('../config/db', () => ({ query: jest.fn() }));
+jest.mock('../services/shared/auditService', () => ({
+  logAction: jest.fn().mockResolvedValue(null),
+  ACTIONS: { ACCESS_DENIED: 'access_denied', AUTHORIZED_REQUEST: 'authorized_request' }
+}));
+
+const authorizationService = require('../services/shared/authorizationService');
+const auditService = require('../services/shared/auditService');
+const { authorizeWorkspace, workspaceFrom } = require('../middleware/authorize');
+
+const mockRequest = (query = {}) => ({
+  method: 'GET',
+  originalUrl: '/api/workflow/export-terraform',
+  ip: '127.0.0.1',
+  get: () => 'jest',
+  user: { id: 7 },
+  params: {},
+  query
+});
+
+const mockResponse = () => {
+  const res = { on: jest.fn() };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const run = async (permission, req, options) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await authorizeWorkspace(permission, workspaceFrom.query('workspaceId'), options)(req, res, next);
+  return { res, next };
+};
+
+describe('authorizeWorkspace', () => {
+  let getWorkspaceAccess;
+
+  beforeEach(() => {
+    auditService.logAction.mockClear();
+    getWorkspaceAccess = jest.spyOn(authorizationService, 'getWorkspaceAccess');
+  });
+
+  afterEach(() => getWorkspaceAccess.mockRestore());
+
+  test('404 when the request names no workspace', async () => {
+    const { res, next } = await run('VIEW_WORKSPACE', mockRequest());
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(getWorkspaceAccess).not.toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('404 when the workspace does not exist', async () => {
+    getWorkspaceAccess.mockResolvedValueOnce(null);
+    const { res, next } = await run('VIEW_WORKSPACE', mockRequest({ workspaceId: '12' }));
+    expect(getWorkspaceAccess).toHaveBeenCalledWith('12', 7);
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('404 (not 403) and an audit entry when the user has no access', async () => {
+    getWorkspaceAccess.mockResolvedValueOnce({ workspace: { id: 12 }, role: null, organizationId: null });
+    const { res, next } = await run('VIEW_WORKSPACE', mockRequest({ workspaceId: '12' }));
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Workspace not found' });
+    expect(auditService.logAction).toHaveBeenCalledWith(7, 'access_denied', expect.objectContaining({ reason: 'no_access' }), expect.objectContaining({ workspaceId: 12 }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('403 with the required role when the role is too low', async () => {
+    getWorkspaceAccess.mockResolvedValueOnce({ workspace: { id: 12 }, role: 'viewer', organizationId: 5 });
+    const { res, next } = await run('DEPLOY', mockRequest({ workspaceId: '12' }));
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ requiredRole: 'deployer' }));
+    expect(auditService.logAction).toHaveBeenCalledWith(7, 'access_denied', expect.objectContaining({ reason: 'insufficient_role', role: 'viewer' }), expect.anything());
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('sets req.access and continues when the role is enough', async () => {
+    const access = { workspace: { id: 12 }, role: 'viewer', organizationId: 5 };
+    getWorkspaceAccess.mockResolvedValueOnce(access);
+    const req = mockRequest({ workspaceId: '12' });
+    const { res, next } = await run('VIEW_WORKSPACE', req);
+    expect(next).toHaveBeenCalled();
+    expect(req.access).toBe(access);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('optional routes continue without req.access when no workspace is named', async () => {
+    const req = mockRequest();
+    const { next } = await run('VIEW_WORKSPACE', req, { optional: true });
+    expect(next).toHaveBeenCalled();
+    expect(req.access).toBeUndefined();
+  });
+
+  test('500 when the lookup fails', async () => {
+    getWorkspaceAccess.mockRejectedValueOnce(new Error('connection refused'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { res, next } = await run('VIEW_WORKSPACE', mockRequest({ workspaceId: '12' }));
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(next).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
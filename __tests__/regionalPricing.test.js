@@ -0,0 +1,55 @@
+jest.mock('../config/db', () => ({ query: jest.fn() }));
+
+const costEngines = require('../services/cost/costEngines');
+const priceSheets = require('../services/cost/costEngines/priceSheets');
+
+const usage = { monthly_users: 20000, storage_gb: 200, data_transfer_gb: 500, requests_per_user: 50 };
+
+// generateCostEstimate shape, priced in the base region
+const baseEstimate = () => ({
+    total_monthly_cost: 200,
+    formatted_cost: '$200.00/month',
+    cost_range: { min: 170, max: 230, formatted: '$170 - $230/month' },
+    service_costs: { computecontainer: 100, relationaldatabase: 40, objectstorage: 60 },
+    services: [
+        { service_class: 'computecontainer', cost: { monthly: 100 } },
+        { service_class: 'relationaldatabase', cost: { monthly: 40 } },
+        { service_class: 'objectstorage', cost: { monthly: 60 } }
+    ]
+});
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('regional pricing', () => {
+    test('the formula engines price ASIA_PRIMARY and EU_PRIMARY differently', async () => {
+        const asia = await costEngines.calculateCost('CONTAINERIZED_WEB_APP', usage, { region: 'ASIA_PRIMARY' });
+        const eu = await costEngines.calculateCost('CONTAINERIZED_WEB_APP', usage, { region: 'EU_PRIMARY' });
+
+        expect(asia.pricing.regions.aws).toBe('ap-south-1');
+        expect(eu.pricing.regions.aws).toBe('eu-west-1');
+        expect(asia.cost_estimates.aws.total).not.toBe(eu.cost_estimates.aws.total);
+    });
+
+    test('estimates from the estimate path are re-priced for the region', () => {
+        const asia = priceSheets.applyToEstimate(baseEstimate(), 'AWS', 'ASIA_PRIMARY');
+        const eu = priceSheets.applyToEstimate(baseEstimate(), 'AWS', 'EU_PRIMARY');
+
+        expect(asia.total_monthly_cost).not.toBe(eu.total_monthly_cost);
+        expect(asia.pricing).toMatchObject({ region: 'ap-south-1', logical_region: 'ASIA_PRIMARY', base_region: 'us-east-1' });
+        expect(asia.total_monthly_cost).toBeCloseTo(asia.services.reduce((sum, s) => sum + s.cost.monthly, 0), 2);
+        expect(asia.service_costs.relationaldatabase).toBe(asia.services[1].cost.monthly);
+    });
+
+    test('the base region is left as priced', () => {
+        const us = priceSheets.applyToEstimate(baseEstimate(), 'AWS', 'US_PRIMARY');
+        expect(us.total_monthly_cost).toBe(200);
+    });
+
+    test('the region comes from the infraSpec', () => {
+        expect(priceSheets.regionOf({ region: { logical_region: 'EU_PRIMARY', resolved_region: 'eu-west-1' } })).toBe('EU_PRIMARY');
+        expect(priceSheets.regionOf({ region: { resolved_region: 'ap-south-1' } })).toBe('ap-south-1');
+        expect(priceSheets.regionOf({})).toBeNull();
+    });
+});
@@ -1,4 +1,7 @@
 const patternResolver = require('../services/core/patternResolver');
+const budgetService = require('../services/cost/budgetService');
+const costOptimizer = require('../services/cost/costOptimizer');
+const threatModelService = require('../services/core/threatModelService');
 
 class ArchitectureController {
 
@@ -28,7 +31,10 @@ class ArchitectureController {
     /**
      * Reconcile architecture after a change (Add/Remove)
      * POST /api/architecture/reconcile
-     * Body: { current_infra: object, capabilities: object }
+     * Body: { current_infra: object, action: object, workspace_id?: number }
+     * A cost recommendation's `reconcile_action` (APPLY_OPTIMIZATION) or a threat model finding's
+     * (APPLY_MITIGATION) applies all of its changes at once.
+     * With a workspace, the reconciled architecture is checked against its budgets (`budget`)
      */
     async reconcile(req, res) {
         try {
@@ -39,8 +45,9 @@ class ArchitectureController {
             }
 
             // 1. If Remove, run validation first (optional safety net)
-            if (action.type === 'REMOVE_SERVICE') {
-                const validation = patternResolver.validateServiceRemoval(action.serviceId, current_infra);
+            const steps = ['APPLY_OPTIMIZATION', 'APPLY_MITIGATION'].includes(action.type) ? (action.actions || []) : [action];
+            for (const step of steps.filter(s => s.type === 'REMOVE_SERVICE')) {
+                const validation = patternResolver.validateServiceRemoval(step.serviceId, current_infra);
                 if (!validation.valid) {
                     return res.status(409).json({ error: validation.error });
                 }
@@ -49,6 +56,16 @@ class ArchitectureController {
             // 2. Run Reconciliation Engine
             const reconciled = patternResolver.reconcileArchitecture(current_infra, action);
 
+            // 3. Check the workspace's budgets against the changed architecture (never fails the reconcile)
+            if (req.access) {
+                try {
+                    const budget = await budgetService.checkReconciledArchitecture(req.access.workspace, reconciled);
+                    if (budget) return res.json({ ...reconciled, budget });
+                } catch (budgetError) {
+                    console.error('[ArchController] Budget check failed:', budgetError.message);
+                }
+            }
+
             return res.json(reconciled);
 
         } catch (error) {
@@ -57,6 +74,62 @@ class ArchitectureController {
         }
     }
 
+    /**
+     * Cost-saving recommendations for an architecture
+     * POST /api/architecture/optimizations
+     * Body: { infraSpec?, usage_profile?, cost_result?, provider?, intent?, cost_profile?, workspace_id? }
+     * Without infraSpec / cost_result, the workspace's saved ones are used
+     */
+    async optimizations(req, res) {
+        try {
+            const stateJson = req.access?.workspace?.state_json || {};
+            const infraSpec = req.body.infraSpec || stateJson.infraSpec;
+            if (!infraSpec) {
+                return res.status(400).json({ error: 'Missing infraSpec (or a workspace_id with a saved one)' });
+            }
+
+            const result = await costOptimizer.generateRecommendations(
+                infraSpec,
+                req.body.usage_profile || {},
+                req.body.cost_result || stateJson.costEstimation || {},
+                {
+                    provider: req.body.provider,
+                    intent: req.body.intent || infraSpec.locked_intent || stateJson.intent,
+                    costProfile: req.body.cost_profile,
+                    region: req.body.region
+                }
+            );
+            return res.json(result);
+
+        } catch (error) {
+            console.error('[ArchController] Error generating optimizations:', error);
+            if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * STRIDE threat model of an architecture
+     * POST /api/architecture/threat-model
+     * Body: { infraSpec?, provider?, workspace_id? }
+     * Without infraSpec, the workspace's saved one is used (and its chosen provider for labels)
+     */
+    async threatModel(req, res) {
+        try {
+            const stateJson = req.access?.workspace?.state_json || {};
+            const result = threatModelService.buildThreatModel(req.body.infraSpec || stateJson.infraSpec, {
+                provider: req.body.provider || stateJson.connection?.provider || stateJson.selectedProvider
+                    || stateJson.costEstimation?.recommended?.provider
+            });
+            return res.json(result);
+
+        } catch (error) {
+            console.error('[ArchController] Error building threat model:', error);
+            if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
     /**
      * AI-Driven Validation of Completeness
      */
@@ -1,7 +1,7 @@
 const User = require('../models/User');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const pool = require('../config/db');
+const sessionService = require('../services/shared/sessionService');
 const { sendWelcomeEmail, sendLoginNotification, sendPasswordResetEmail, sendAccountDeletionEmail } = require('../utils/emailService');
 require('dotenv').config();
 
@@ -10,12 +10,6 @@ const { OAuth2Client } = require('google-auth-library');
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d'
-  });
-};
 
 // Register user
 const register = async (req, res) => {
@@ -47,8 +41,8 @@ const register = async (req, res) => {
       device_id: req.body.device_id
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Open a session (access + refresh token)
+    const session = await sessionService.createSession(user.id, req);
 
     // Send welcome email (awaiting to ensure reliable delivery and error catching)
     try {
@@ -62,7 +56,7 @@ const register = async (req, res) => {
     // Respond immediately
     res.status(201).json({
       success: true,
-      token,
+      ...session,
       user: {
         id: user.id,
         name: user.name,
@@ -119,8 +113,8 @@ const login = async (req, res) => {
       }
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Open a session (access + refresh token)
+    const session = await sessionService.createSession(user.id, req);
 
     // Send login notification email (awaiting to ensure reliable delivery)
     try {
@@ -133,7 +127,7 @@ const login = async (req, res) => {
     // Respond immediately without waiting for email
     res.json({
       success: true,
-      token,
+      ...session,
       user: {
         id: user.id,
         name: user.name,
@@ -211,11 +205,16 @@ const resetPassword = async (req, res) => {
     const hashedPassword = await bcrypt.hash(newPassword, salt);
 
     // Update User
-    await pool.query("UPDATE users SET password = $1 WHERE email = $2", [hashedPassword, email]);
+    const updated = await pool.query("UPDATE users SET password = $1 WHERE email = $2 RETURNING id", [hashedPassword, email]);
 
     // Delete OTP
     await pool.query("DELETE FROM password_resets WHERE email = $1", [email]);
 
+    // Sign out everywhere: whoever knew the old password may hold a session
+    if (updated.rows[0]) {
+      await sessionService.revokeAllSessions(updated.rows[0].id, sessionService.REVOKE_REASONS.PASSWORD_RESET);
+    }
+
     res.json({ message: 'Password reset successfully' });
 
   } catch (error) {
@@ -310,7 +309,11 @@ const updatePassword = async (req, res) => {
     // Update
     await pool.query("UPDATE users SET password = $1 WHERE id = $2", [hashedPassword, req.user.id]);
 
-    res.json({ message: 'Password updated successfully' });
+    // Revoke every session, then sign this device back in with a fresh one
+    await sessionService.revokeAllSessions(req.user.id, sessionService.REVOKE_REASONS.PASSWORD_CHANGED);
+    const session = await sessionService.createSession(req.user.id, req);
+
+    res.json({ message: 'Password updated successfully', ...session });
   } catch (error) {
     console.error('Update password error:', error);
     res.status(500).json({ message: 'Server error updating password' });
@@ -350,6 +353,8 @@ const deleteAccount = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    await sessionService.revokeAllSessions(req.user.id, sessionService.REVOKE_REASONS.ACCOUNT_DELETED);
+
     // Send deletion confirmation email (non-blocking for response but good to try)
     try {
       await sendAccountDeletionEmail(user);
@@ -364,18 +369,77 @@ const deleteAccount = async (req, res) => {
   }
 };
 
-// Logout user
+// Logout user (revokes the current session: its access and refresh tokens stop working)
 const logout = async (req, res) => {
   try {
-    // In a more advanced implementation, you might want to blacklist the token
-    // For now, we'll just send a success response
+    await sessionService.revokeSession(req.user.id, req.user.sid, sessionService.REVOKE_REASONS.LOGOUT);
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
+    if (error.statusCode === 404) return res.json({ message: 'Logged out successfully' });
     console.error('Logout error:', error);
     res.status(500).json({ message: 'Server error during logout' });
   }
 };
 
+// Exchange a refresh token for a new access token and refresh token
+const refreshToken = async (req, res) => {
+  try {
+    const session = await sessionService.refreshSession(req.body.refresh_token, req);
+    res.json({ success: true, ...session });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ message: error.message });
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error refreshing session' });
+  }
+};
+
+// Token for URLs that can't send an Authorization header (?token=); { stream } binds it to one log stream
+const getUrlToken = async (req, res) => {
+  try {
+    res.json(sessionService.issueUrlToken(req.user, { stream: req.body?.stream }));
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ message: error.message });
+    console.error('URL token error:', error);
+    res.status(500).json({ message: 'Server error issuing token' });
+  }
+};
+
+// List the user's active sessions (device, IP, last seen)
+const listSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.user.sid);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ message: 'Server error retrieving sessions' });
+  }
+};
+
+// Revoke one session
+const revokeSession = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.id, req.params.sessionId, sessionService.REVOKE_REASONS.USER_REVOKED);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ message: error.message });
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error revoking session' });
+  }
+};
+
+// Revoke every session except the current one
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.id, sessionService.REVOKE_REASONS.USER_REVOKED, {
+      exceptSessionId: req.user.sid
+    });
+    res.json({ message: 'Other sessions revoked', revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error revoking sessions' });
+  }
+};
+
 // Verify Turnstile Token
 const verifyTurnstile = async (req, res) => {
   try {
@@ -465,12 +529,12 @@ const googleLogin = async (req, res) => {
       }
     }
 
-    // Generate App Token
-    const appToken = generateToken(user.id);
+    // Open a session (access + refresh token)
+    const session = await sessionService.createSession(user.id, req);
 
     res.json({
       success: true,
-      token: appToken,
+      ...session,
       user: {
         id: user.id,
         name: user.name,
@@ -496,6 +560,11 @@ module.exports = {
   updatePassword,
   deleteAccount,
   logout,
+  refreshToken,
+  getUrlToken,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
   verifyTurnstile,
   googleLogin
 };
\ No newline at end of file
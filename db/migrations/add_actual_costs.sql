@@ -0,0 +1,29 @@
+-- Migration: Actual-vs-estimated cost reconciliation
+-- What a DEPLOYED workspace is billed (read by its `Project` tag from AWS Cost Explorer,
+-- the GCP BigQuery billing export or Azure Cost Management), stored next to the
+-- cost_history estimate it is compared with. One row per workspace, provider and month,
+-- refreshed by the daily `cost_reconcile` job. Amounts are USD; actual_monthly_cost is
+-- the period's cost scaled to a month. Each row is mirrored into cost_feedback
+-- (user_feedback = 'ACTUAL_COST_VARIANCE') to calibrate the estimate engines.
+
+CREATE TABLE IF NOT EXISTS actual_costs (
+    id SERIAL PRIMARY KEY,
+    workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,  -- exclusive
+    billing_currency VARCHAR(3) DEFAULT 'USD',
+    actual_cost NUMERIC(12,2),
+    actual_monthly_cost NUMERIC(12,2),
+    estimated_cost NUMERIC(12,2),
+    variance NUMERIC(12,2),  -- actual_monthly_cost - estimated_cost
+    variance_pct NUMERIC(8,1),
+    cost_history_id INTEGER REFERENCES cost_history(id) ON DELETE SET NULL,
+    cost_feedback_id INTEGER REFERENCES cost_feedback(id) ON DELETE SET NULL,
+    category_variance JSONB DEFAULT '[]'::jsonb,  -- [{ category, estimated, actual, variance, variance_pct }]
+    billed_services JSONB DEFAULT '[]'::jsonb,    -- [{ service, amount_usd }]
+    tag VARCHAR(255),    -- e.g. Project=my-app
+    source VARCHAR(50),  -- fetcher name
+    fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (workspace_id, provider, period_start)
+);
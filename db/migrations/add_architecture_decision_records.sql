@@ -0,0 +1,21 @@
+-- Migration: Architecture decision records (ADRs)
+-- Each record captures why a workspace's architecture looks the way it does: the chosen
+-- pattern against its scored runners-up, why each service is in or out, the provider
+-- choice with its cost ranking, and the assumptions made. A new record is stored when
+-- those decisions change; the previous one is marked superseded. Markdown is rendered
+-- from `record` on export.
+
+CREATE TABLE IF NOT EXISTS architecture_decision_records (
+    id SERIAL PRIMARY KEY,
+    workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+    number INTEGER NOT NULL,                        -- ADR-0001, ADR-0002 ... per workspace
+    workspace_version INTEGER,                      -- workspaces.save_count when recorded
+    decision_hash VARCHAR(64) NOT NULL,             -- SHA-256 of the decisions, to skip unchanged designs
+    title TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'accepted', -- accepted | superseded
+    superseded_by INTEGER,                          -- number of the record that replaced it
+    record JSONB NOT NULL,                          -- { context, pattern, services, provider, assumptions, consequences }
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (workspace_id, number)
+);
@@ -0,0 +1,25 @@
+-- Migration: Conversational architecture edits
+-- A chat message ("swap Postgres for DynamoDB") is translated into a change set over the
+-- workspace's services contract and stored as a proposal with its validation result and
+-- monthly cost delta. Applying it requires the services to still hash to base_hash.
+-- before_contract / after_contract make applied rows an undo stack.
+
+CREATE TABLE IF NOT EXISTS architecture_refinements (
+    id SERIAL PRIMARY KEY,
+    workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id VARCHAR(255),
+    message TEXT NOT NULL,                              -- The user's request, as typed
+    summary TEXT,
+    change_set JSONB NOT NULL DEFAULT '{}'::jsonb,      -- { actions: [reconcile steps], diff }
+    validation JSONB DEFAULT '{}'::jsonb,               -- { valid, errors, warnings, skipped, unsupported }
+    cost_delta JSONB DEFAULT '{}'::jsonb,               -- { provider, before_usd, after_usd, delta_usd }
+    status VARCHAR(20) NOT NULL DEFAULT 'proposed',     -- proposed | applied | rejected | superseded | undone
+    base_hash VARCHAR(64) NOT NULL,                     -- SHA-256 of the services the proposal was made against
+    before_contract JSONB NOT NULL,
+    after_contract JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    applied_at TIMESTAMP,
+    undone_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_architecture_refinements_workspace ON architecture_refinements(workspace_id, created_at DESC);
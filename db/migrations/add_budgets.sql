@@ -0,0 +1,51 @@
+-- Migration: Budgets and cost-threshold alerts
+-- A budget caps the estimated monthly cost of one workspace or one project (the sum of
+-- its workspaces' latest recommended estimates). Amounts are in the budget's currency.
+-- Budgets are checked whenever an estimate is saved to cost_history and when the
+-- architecture is reconciled; escalations (ok -> warning -> exceeded) are emailed to the
+-- budget's creator, posted to its webhook and kept in budget_alerts.
+
+CREATE TABLE IF NOT EXISTS budgets (
+    id SERIAL PRIMARY KEY,
+    workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+    project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    warning_amount NUMERIC(12,2),
+    hard_amount NUMERIC(12,2),
+    block_deploy BOOLEAN DEFAULT FALSE,  -- refuse /deploy/terraform over the hard amount
+    notify_email BOOLEAN DEFAULT TRUE,
+    webhook_url TEXT,
+    created_by VARCHAR(255),
+
+    -- Result of the latest check (in the budget's currency)
+    last_status VARCHAR(20) DEFAULT 'ok',  -- ok, warning, exceeded
+    last_estimated_cost NUMERIC(12,2),
+    last_checked_at TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((workspace_id IS NULL) <> (project_id IS NULL))
+);
+
+CREATE TABLE IF NOT EXISTS budget_alerts (
+    id SERIAL PRIMARY KEY,
+    budget_id INTEGER REFERENCES budgets(id) ON DELETE CASCADE,
+    workspace_id INTEGER REFERENCES workspaces(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL,
+    estimated_cost NUMERIC(12,2),
+    threshold NUMERIC(12,2),
+    currency VARCHAR(3),
+    source VARCHAR(30),  -- estimate, reconcile, budget_saved
+    provider VARCHAR(20),
+    notified_email BOOLEAN DEFAULT FALSE,
+    webhook_status INTEGER,  -- HTTP status of the webhook call (0 if unreachable)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The recommended provider's row of each saved estimate is the workspace's cost
+ALTER TABLE cost_history ADD COLUMN IF NOT EXISTS is_recommended BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_budgets_workspace ON budgets(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_budgets_project ON budgets(project_id);
+CREATE INDEX IF NOT EXISTS idx_budget_alerts_budget ON budget_alerts(budget_id);
@@ -0,0 +1,6 @@
+-- Migration: Purchasing option behind each cost estimate
+-- on_demand (list prices), commit_1y / commit_3y (reserved instances, savings plans,
+-- committed-use discounts) or spot (batch compute only). Discounts come from the
+-- `commitments` table of the estimate's price sheet (price_sheet_version).
+
+ALTER TABLE cost_history ADD COLUMN IF NOT EXISTS purchase_option VARCHAR(20) DEFAULT 'on_demand';
@@ -0,0 +1,16 @@
+-- Migration: Record the image each deployment shipped
+-- Container builds are tagged <commit>-d<deployment id> instead of :latest,
+-- so any previous deployment can be redeployed (rolled back) without rebuilding
+
+-- Full reference that was deployed, pinned by digest when known
+-- e.g. 123456789012.dkr.ecr.ap-south-1.amazonaws.com/app-repo@sha256:...
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS image_ref TEXT;
+
+-- Registry digest of the pushed image (sha256:...)
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS image_digest VARCHAR(100);
+
+-- For source_type = 'rollback': the deployment whose image was redeployed
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS rollback_of INTEGER REFERENCES deployments(id);
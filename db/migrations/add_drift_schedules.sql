@@ -0,0 +1,19 @@
+-- Migration: Scheduled drift detection
+-- Each row schedules a `terraform plan -refresh-only` check for one workspace;
+-- results are appended to workspaces.deployment_history (DRIFT_* actions)
+
+CREATE TABLE IF NOT EXISTS drift_schedules (
+    workspace_id INTEGER PRIMARY KEY REFERENCES workspaces(id) ON DELETE CASCADE,
+    interval_hours INTEGER NOT NULL DEFAULT 24,  -- 1 .. 720
+    enabled BOOLEAN DEFAULT TRUE,
+    created_by VARCHAR(255),
+
+    -- Scheduler bookkeeping (claimed with FOR UPDATE SKIP LOCKED)
+    last_run_at TIMESTAMP,
+    next_run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_drift_schedules_due ON drift_schedules(next_run_at) WHERE enabled;
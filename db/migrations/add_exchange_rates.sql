@@ -0,0 +1,13 @@
+-- Migration: Dated exchange rates for multi-currency cost output
+-- Rate = units of `currency` per 1 USD, effective from `effective_date` until a newer row.
+-- Estimates are always computed and stored (cost_history) in USD; these rates only
+-- convert them for display. Defaults ship in catalog/currency/exchange_rates.json.
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    currency VARCHAR(3) NOT NULL,           -- INR, EUR
+    rate NUMERIC(14,6) NOT NULL,
+    effective_date DATE NOT NULL,
+    source TEXT,                            -- e.g. "RBI reference rate"
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (currency, effective_date)
+);
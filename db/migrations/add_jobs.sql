@@ -0,0 +1,35 @@
+-- Migration: Durable job store for Terraform, app deploy and destroy jobs
+-- Replaces the in-memory job Maps so job status and logs survive a restart
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id VARCHAR(100) PRIMARY KEY,          -- UUID, or 'destroy-<workspace>-<ts>' for destroy jobs
+    type VARCHAR(20) NOT NULL,            -- terraform, app, destroy, drift, cost_reconcile, workflow
+    workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id VARCHAR(255),
+
+    -- Progress
+    status VARCHAR(20) NOT NULL DEFAULT 'init',
+    -- terraform/app: init, running, completed, failed
+    -- destroy:       pending, running, success, failed
+    -- any:           interrupted (set by boot-time reconciliation)
+    stage VARCHAR(50),
+    logs JSONB DEFAULT '[]'::jsonb,       -- [{timestamp, message, type}]
+    exit_codes JSONB DEFAULT '{}'::jsonb, -- {init: 0, plan: 0, apply: 1}
+    error TEXT,
+    metadata JSONB DEFAULT '{}'::jsonb,
+
+    -- Worker ownership
+    worker_id VARCHAR(255),               -- <hostname>-<pid>
+    claimed_at TIMESTAMP,
+    heartbeat_at TIMESTAMP,
+
+    -- Timestamps
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Status polling and "active job for workspace" lookups
+CREATE INDEX IF NOT EXISTS idx_jobs_workspace ON jobs(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
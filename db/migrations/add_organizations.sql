@@ -0,0 +1,61 @@
+-- Migration: Team organizations with role-based access
+-- Projects can belong to an organization; its members get a role on every
+-- workspace in those projects. Project owners keep full access to their own
+-- projects. Cloud connections can be shared with the whole organization.
+--
+-- Roles (each includes the ones before it):
+--   viewer    - read workspaces, plans, deployments and analytics
+--   architect - edit workspaces, architecture and environments
+--   deployer  - plan/apply, deploy, roll back and manage cloud connections
+--   admin     - destroy, delete workspaces, manage members and shared connections
+
+CREATE TABLE IF NOT EXISTS organizations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+    organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer',  -- viewer, architect, deployer, admin
+    invited_by VARCHAR(255),
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (organization_id, user_id)
+);
+
+-- Email invitations; only the SHA-256 of the emailed token is stored
+CREATE TABLE IF NOT EXISTS organization_invitations (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    invited_by VARCHAR(255),
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    accepted_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Org-scoped cloud connections (same persisted fields as user_cloud_connections).
+-- Workspaces in organization projects use these before the acting user's own.
+CREATE TABLE IF NOT EXISTS organization_cloud_connections (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+    connection_data JSONB NOT NULL,
+    shared_by VARCHAR(255),
+    connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (organization_id, provider)
+);
+
+-- NULL = personal project (owner only)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_org_members_user ON organization_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_projects_organization ON projects(organization_id);
+CREATE INDEX IF NOT EXISTS idx_audit_workspace ON audit_log(workspace_id);
@@ -0,0 +1,20 @@
+-- Migration: Versioned pricing catalog
+-- Each row is one immutable price sheet: the cost engines' base price tables,
+-- built from the providers' bulk pricing files (scripts/import_pricing.js).
+-- The active row is what new estimates use; without one, the shipped
+-- catalog/pricing/baseline-*.json sheet is used.
+
+CREATE TABLE IF NOT EXISTS pricing_sheets (
+    version VARCHAR(64) PRIMARY KEY,
+    description TEXT,
+    currency VARCHAR(3) DEFAULT 'USD',
+    effective_date DATE,                    -- Publication date of the newest source file
+    sources JSONB DEFAULT '{}'::jsonb,      -- Per provider: files, region, import time
+    sheet JSONB NOT NULL,                   -- { version, engines: { static: { AWS, GCP, AZURE }, ... }, fallback }
+    is_active BOOLEAN DEFAULT FALSE,
+    imported_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sheet each estimate was priced with, so it can be reproduced
+ALTER TABLE cost_history ADD COLUMN IF NOT EXISTS price_sheet_version VARCHAR(64);
@@ -0,0 +1,33 @@
+-- Migration: Two-phase Terraform deploys (plan -> approve -> apply)
+-- Each plan run stores its reviewable diff; apply only runs against an approved plan
+
+CREATE TABLE IF NOT EXISTS terraform_plans (
+    id SERIAL PRIMARY KEY,
+    workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+    job_id VARCHAR(100),                  -- Plan job (jobs.id)
+    provider VARCHAR(20),
+
+    -- Lifecycle
+    status VARCHAR(30) NOT NULL DEFAULT 'PENDING_APPROVAL',
+    -- PENDING_APPROVAL -> APPROVED -> APPLIED | FAILED
+    -- PENDING_APPROVAL -> REJECTED | STALE (infraSpec changed) | SUPERSEDED (newer plan)
+
+    -- Integrity
+    infra_spec_hash VARCHAR(64) NOT NULL, -- sha256 of state_json.infraSpec at plan time
+    plan_file_hash VARCHAR(64),           -- sha256 of the saved tfplan binary
+
+    -- Reviewable diff
+    plan_json JSONB,                      -- `terraform show -json tfplan` (variables stripped)
+    summary JSONB DEFAULT '{}'::jsonb,    -- {totals: {create, update, replace, destroy}, modules: {...}}
+
+    -- Approval
+    created_by VARCHAR(255),
+    approved_by VARCHAR(255),
+    approved_at TIMESTAMP,
+    apply_job_id VARCHAR(100),
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_terraform_plans_workspace ON terraform_plans(workspace_id, created_at DESC);
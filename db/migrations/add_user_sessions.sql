@@ -0,0 +1,26 @@
+-- Migration: Login sessions with rotating refresh tokens
+-- Every login opens a session per device. Access tokens (JWT, 15 minutes) carry the
+-- session id and are rejected once the session is revoked; the refresh token is
+-- opaque and only its SHA-256 is stored. Each refresh replaces it and keeps the
+-- replaced hash, so a copied token presented later revokes the session.
+-- Logout, password changes/resets and account deletion revoke sessions.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    previous_token_hash VARCHAR(64),
+    device_id VARCHAR(255),
+    device_name VARCHAR(255),       -- e.g. 'Chrome on Windows', from the user agent
+    ip_address VARCHAR(64),         -- last seen from
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    rotated_at TIMESTAMP,           -- last refresh
+    expires_at TIMESTAMP NOT NULL,  -- refresh token expiry (30 days from login)
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50)      -- logout | user_revoked | password_changed | password_reset | account_deleted | refresh_token_reuse
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
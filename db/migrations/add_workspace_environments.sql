@@ -0,0 +1,33 @@
+-- Migration: Named environments per workspace
+-- Each environment (dev / staging / prod ...) has its own region, sizing tier,
+-- tfvars overrides, Terraform state key, outputs and deployment history.
+-- Rows without an environment keep using the workspace-level columns.
+
+CREATE TABLE IF NOT EXISTS workspace_environments (
+    id SERIAL PRIMARY KEY,
+    workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+    name VARCHAR(20) NOT NULL,
+    region VARCHAR(50),
+    sizing_tier VARCHAR(10) NOT NULL DEFAULT 'MEDIUM',  -- SMALL, MEDIUM, LARGE (sizingModel tiers)
+    tfvars JSONB DEFAULT '{}'::jsonb,                   -- Extra terraform.tfvars values
+
+    -- Architecture pinned by a promotion (NULL = follow the workspace infraSpec)
+    infra_spec JSONB,
+    -- Architecture of the last successful apply (source for promotions)
+    deployed_infra_spec JSONB,
+    infra_outputs JSONB,
+    image_ref TEXT,                                     -- Last image shipped (repo@sha256:...)
+
+    deployment_status VARCHAR(50) DEFAULT 'DRAFT',
+    deployment_history JSONB DEFAULT '[]'::jsonb,
+    promoted_from VARCHAR(20),
+
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (workspace_id, name)
+);
+
+-- Plans and app deployments targeting an environment (NULL = workspace level)
+ALTER TABLE terraform_plans ADD COLUMN IF NOT EXISTS environment VARCHAR(20);
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS environment VARCHAR(20);
@@ -1,21 +1,34 @@
-const jwt = require('jsonwebtoken');
+const sessionService = require('../services/shared/sessionService');
 require('dotenv').config();
 
-const auth = (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '') || req.query.token;
+/**
+ * Requires an access token (`Authorization: Bearer`) whose session is still active.
+ * A `?token=` query string is only accepted on GET, and only for a url token
+ * (POST /api/auth/url-token) - for EventSource streams and redirects that can't send headers.
+ * Stream tokens are only accepted on the stream path they were issued for.
+ */
+const auth = async (req, res, next) => {
+  const headerToken = req.header('Authorization')?.replace('Bearer ', '');
+  const urlToken = !headerToken && req.method === 'GET' ? req.query.token : null;
+  const token = headerToken || urlToken;
 
   if (!token) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // { id: ... } matches the generateToken payload { id: user.id }
-    next();
+    const user = await sessionService.verifyToken(token, headerToken
+      ? { type: 'access' }
+      : { type: 'url', path: req.originalUrl.split('?')[0] });
+    req.user = user; // { id, sid } - the session's user and id
+    sessionService.touchSession(user.sid, req);
   } catch (err) {
     console.error("Token verification failed:", err.message);
-    res.status(401).json({ message: 'Token is not valid' });
+    // TOKEN_EXPIRED: refresh with POST /api/auth/refresh; TOKEN_INVALID / SESSION_REVOKED: log in again
+    if (err.statusCode === 401) return res.status(401).json({ message: err.message, code: err.code });
+    return res.status(500).json({ message: 'Server error verifying token' });
   }
+  next();
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
@@ -0,0 +1,120 @@
+const authorizationService = require('../services/shared/authorizationService');
+const auditService = require('../services/shared/auditService');
+
+const { workspaceFrom } = authorizationService;
+
+const auditOptions = (req, workspaceId) => ({
+  workspaceId,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+const describeRequest = (req) => ({
+  method: req.method,
+  path: req.originalUrl.split('?')[0]
+});
+
+const recordDenied = (req, permission, details, workspaceId = null) =>
+  auditService.logAction(req.user.id, auditService.ACTIONS.ACCESS_DENIED, {
+    permission,
+    ...describeRequest(req),
+    ...details
+  }, auditOptions(req, workspaceId));
+
+// Reads aren't audited; changes are recorded once the handler has succeeded
+const recordWhenSucceeded = (req, res, permission, details, workspaceId = null) => {
+  if (req.method === 'GET') return;
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return;
+    auditService.logAction(req.user.id, auditService.ACTIONS.AUTHORIZED_REQUEST, {
+      permission,
+      ...describeRequest(req),
+      status: res.statusCode,
+      ...details
+    }, auditOptions(req, workspaceId));
+  });
+};
+
+const forbidden = (res, role, permission) => res.status(403).json({
+  message: `Your ${role} role does not allow this action`,
+  requiredRole: authorizationService.PERMISSIONS[permission]
+});
+
+/**
+ * Require `permission` on the workspace a request targets.
+ * Sets req.access = { workspace, role, projectId, organizationId }.
+ * Must run after `auth`.
+ *
+ * @param {string} permission - Key of authorizationService.PERMISSIONS
+ * @param {function} resolveWorkspaceId - (req) => workspace ID (see authorizationService.workspaceFrom)
+ * @param {object} options - { optional: continue without req.access when the request names no existing workspace }
+ */
+const authorizeWorkspace = (permission, resolveWorkspaceId = workspaceFrom.param('id'), { optional = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const workspaceId = await resolveWorkspaceId(req);
+      const access = workspaceId ? await authorizationService.getWorkspaceAccess(workspaceId, req.user.id) : null;
+
+      if (!access) {
+        if (optional) return next();
+        return res.status(404).json({ message: 'Workspace not found' });
+      }
+
+      const { role, workspace, organizationId } = access;
+      if (!role) {
+        // Same answer as a missing workspace, so IDs can't be probed
+        await recordDenied(req, permission, { reason: 'no_access' }, workspace.id);
+        return res.status(404).json({ message: 'Workspace not found' });
+      }
+
+      if (!authorizationService.hasPermission(role, permission)) {
+        await recordDenied(req, permission, { reason: 'insufficient_role', role, organizationId }, workspace.id);
+        return forbidden(res, role, permission);
+      }
+
+      req.access = access;
+      recordWhenSucceeded(req, res, permission, { role, organizationId }, workspace.id);
+      next();
+    } catch (err) {
+      console.error('[AUTHZ] Workspace authorization failed:', err.message);
+      res.status(500).json({ message: 'Authorization check failed' });
+    }
+  };
+};
+
+/**
+ * Require `permission` in the organization named by a route param.
+ * Sets req.organizationAccess = { organizationId, role }.
+ */
+const authorizeOrganization = (permission, paramName = 'orgId') => {
+  return async (req, res, next) => {
+    try {
+      const organizationId = req.params[paramName];
+      const role = /^\d+$/.test(organizationId)
+        ? await authorizationService.getOrganizationRole(organizationId, req.user.id)
+        : null;
+
+      if (!role) {
+        return res.status(404).json({ message: 'Organization not found' });
+      }
+
+      if (!authorizationService.hasPermission(role, permission)) {
+        await recordDenied(req, permission, { reason: 'insufficient_role', role, organizationId });
+        return forbidden(res, role, permission);
+      }
+
+      req.organizationAccess = { organizationId: parseInt(organizationId, 10), role };
+      recordWhenSucceeded(req, res, permission, { role, organizationId });
+      next();
+    } catch (err) {
+      console.error('[AUTHZ] Organization authorization failed:', err.message);
+      res.status(500).json({ message: 'Authorization check failed' });
+    }
+  };
+};
+
+module.exports = {
+  authorizeWorkspace,
+  authorizeOrganization,
+  workspaceFrom
+};
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const aiService = require('../services/ai/aiService');
+const llm = require('../services/ai/llm');
+const authMiddleware = require('../middleware/auth');
 
 /**
  * POST /api/ai/enhance-requirements
@@ -27,4 +29,12 @@ router.post('/enhance-requirements', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/ai/metrics
+ * Provider per task and output validation counts (first-try valid, repaired, defaulted, fallback)
+ */
+router.get('/metrics', authMiddleware, (req, res) => {
+    res.json({ providers: llm.describeConfig(), validation: llm.getMetrics() });
+});
+
 module.exports = router;
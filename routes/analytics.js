@@ -6,7 +6,10 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const { authorizeWorkspace, workspaceFrom } = require('../middleware/authorize');
 const costHistoryService = require('../services/cost/costHistoryService');
+const pricingCatalog = require('../services/cost/pricingCatalog');
+const actualCost = require('../services/cost/actualCost');
 const templateService = require('../services/infrastructure/templateService');
 const auditService = require('../services/shared/auditService');
 
@@ -78,7 +81,7 @@ router.post('/templates/:id/use', authMiddleware, async (req, res) => {
 
         // Log the action
         await auditService.logAction(
-            req.user.userId,
+            req.user.id,
             auditService.ACTIONS.TEMPLATE_USED,
             { template_id: req.params.id, template_name: template.name }
         );
@@ -102,7 +105,7 @@ router.post('/templates', authMiddleware, async (req, res) => {
             return res.status(400).json({ error: 'Missing required fields: name, category, template_json' });
         }
 
-        const template = await templateService.createTemplate(req.user.userId, {
+        const template = await templateService.createTemplate(req.user.id, {
             name,
             description,
             category,
@@ -111,7 +114,7 @@ router.post('/templates', authMiddleware, async (req, res) => {
         });
 
         await auditService.logAction(
-            req.user.userId,
+            req.user.id,
             auditService.ACTIONS.TEMPLATE_CREATED,
             { template_id: template.id, template_name: template.name }
         );
@@ -129,7 +132,7 @@ router.post('/templates', authMiddleware, async (req, res) => {
  */
 router.get('/templates/user/my', authMiddleware, async (req, res) => {
     try {
-        const templates = await templateService.getUserTemplates(req.user.userId);
+        const templates = await templateService.getUserTemplates(req.user.id);
         res.json({ success: true, templates });
     } catch (error) {
         console.error('User Templates Error:', error);
@@ -145,7 +148,7 @@ router.get('/templates/user/my', authMiddleware, async (req, res) => {
  * GET /api/analytics/costs/workspace/:workspaceId
  * Get cost history for a specific workspace
  */
-router.get('/costs/workspace/:workspaceId', authMiddleware, async (req, res) => {
+router.get('/costs/workspace/:workspaceId', authMiddleware, authorizeWorkspace('VIEW_ANALYTICS', workspaceFrom.param('workspaceId')), async (req, res) => {
     try {
         const { provider, limit } = req.query;
         const history = await costHistoryService.getWorkspaceCostHistory(
@@ -164,7 +167,7 @@ router.get('/costs/workspace/:workspaceId', authMiddleware, async (req, res) =>
  * GET /api/analytics/costs/trends/:workspaceId
  * Get cost trends over time for charts
  */
-router.get('/costs/trends/:workspaceId', authMiddleware, async (req, res) => {
+router.get('/costs/trends/:workspaceId', authMiddleware, authorizeWorkspace('VIEW_ANALYTICS', workspaceFrom.param('workspaceId')), async (req, res) => {
     try {
         const { days } = req.query;
         const trends = await costHistoryService.getCostTrends(
@@ -185,7 +188,7 @@ router.get('/costs/trends/:workspaceId', authMiddleware, async (req, res) => {
  */
 router.get('/costs/comparison', authMiddleware, async (req, res) => {
     try {
-        const comparison = await costHistoryService.getProviderComparison(req.user.userId);
+        const comparison = await costHistoryService.getProviderComparison(req.user.id);
         res.json({ success: true, comparison });
     } catch (error) {
         console.error('Provider Comparison Error:', error);
@@ -199,7 +202,7 @@ router.get('/costs/comparison', authMiddleware, async (req, res) => {
  */
 router.get('/costs/stats', authMiddleware, async (req, res) => {
     try {
-        const stats = await costHistoryService.getCostStatistics(req.user.userId);
+        const stats = await costHistoryService.getCostStatistics(req.user.id);
         res.json({ success: true, stats });
     } catch (error) {
         console.error('Cost Stats Error:', error);
@@ -207,6 +210,63 @@ router.get('/costs/stats', authMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/analytics/costs/actual/:workspaceId
+ * Billed cost of a deployed workspace against its estimate, per month and category
+ */
+router.get('/costs/actual/:workspaceId', authMiddleware, authorizeWorkspace('VIEW_ANALYTICS', workspaceFrom.param('workspaceId')), async (req, res) => {
+    try {
+        const reconciliations = await actualCost.getActualCosts(req.params.workspaceId, parseInt(req.query.limit) || 12);
+        res.json({ success: true, reconciliations });
+    } catch (error) {
+        console.error('Actual Cost Error:', error);
+        res.status(500).json({ error: 'Failed to fetch actual costs' });
+    }
+});
+
+/**
+ * POST /api/analytics/costs/actual/:workspaceId/reconcile
+ * Fetch the billed cost now (reads the connected cloud account's billing data)
+ */
+router.post('/costs/actual/:workspaceId/reconcile', authMiddleware, authorizeWorkspace('DEPLOY', workspaceFrom.param('workspaceId')), async (req, res) => {
+    try {
+        const reconciliation = await actualCost.runReconciliationJob(req.params.workspaceId, { userId: req.user.id });
+        res.json({ success: true, reconciliation });
+    } catch (error) {
+        if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+        console.error('Cost Reconciliation Error:', error);
+        res.status(502).json({ error: `Failed to fetch billed cost: ${error.message}` });
+    }
+});
+
+/**
+ * GET /api/analytics/costs/calibration/:provider
+ * Actual / estimated ratios from the user's reconciled workspaces
+ */
+router.get('/costs/calibration/:provider', authMiddleware, async (req, res) => {
+    try {
+        const calibration = await actualCost.getCalibration(req.params.provider, { userId: req.user.id });
+        res.json({ success: true, calibration });
+    } catch (error) {
+        console.error('Cost Calibration Error:', error);
+        res.status(500).json({ error: 'Failed to fetch cost calibration' });
+    }
+});
+
+/**
+ * GET /api/analytics/pricing/sheets
+ * Price sheet versions in the pricing catalog (the active one is used for new estimates)
+ */
+router.get('/pricing/sheets', authMiddleware, async (req, res) => {
+    try {
+        const sheets = await pricingCatalog.listSheets();
+        res.json({ success: true, active_version: pricingCatalog.getActiveVersion(), sheets });
+    } catch (error) {
+        console.error('Price Sheets Error:', error);
+        res.status(500).json({ error: 'Failed to fetch price sheets' });
+    }
+});
+
 // ============================================================
 // AUDIT LOG ENDPOINTS
 // ============================================================
@@ -218,7 +278,7 @@ router.get('/costs/stats', authMiddleware, async (req, res) => {
 router.get('/audit', authMiddleware, async (req, res) => {
     try {
         const { action, limit, offset, startDate, endDate } = req.query;
-        const logs = await auditService.getUserAuditLog(req.user.userId, {
+        const logs = await auditService.getUserAuditLog(req.user.id, {
             action,
             limit: parseInt(limit) || 50,
             offset: parseInt(offset) || 0,
@@ -237,7 +297,7 @@ router.get('/audit', authMiddleware, async (req, res) => {
  * GET /api/analytics/audit/workspace/:workspaceId
  * Get audit log for a specific workspace
  */
-router.get('/audit/workspace/:workspaceId', authMiddleware, async (req, res) => {
+router.get('/audit/workspace/:workspaceId', authMiddleware, authorizeWorkspace('VIEW_ANALYTICS', workspaceFrom.param('workspaceId')), async (req, res) => {
     try {
         const logs = await auditService.getWorkspaceAuditLog(
             req.params.workspaceId,
@@ -258,7 +318,7 @@ router.get('/audit/workspace/:workspaceId', authMiddleware, async (req, res) =>
 router.get('/audit/stats', authMiddleware, async (req, res) => {
     try {
         const { days } = req.query;
-        const stats = await auditService.getActionStats(req.user.userId, parseInt(days) || 30);
+        const stats = await auditService.getActionStats(req.user.id, parseInt(days) || 30);
         res.json({ success: true, stats });
     } catch (error) {
         console.error('Action Stats Error:', error);
@@ -277,10 +337,10 @@ router.get('/audit/stats', authMiddleware, async (req, res) => {
 router.get('/dashboard', authMiddleware, async (req, res) => {
     try {
         const [costStats, comparison, recentLogs, templates] = await Promise.all([
-            costHistoryService.getCostStatistics(req.user.userId),
-            costHistoryService.getProviderComparison(req.user.userId),
-            auditService.getUserAuditLog(req.user.userId, { limit: 10 }),
-            templateService.getUserTemplates(req.user.userId)
+            costHistoryService.getCostStatistics(req.user.id),
+            costHistoryService.getProviderComparison(req.user.id),
+            auditService.getUserAuditLog(req.user.id, { limit: 10 }),
+            templateService.getUserTemplates(req.user.id)
         ]);
 
         res.json({
@@ -1,12 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const architectureController = require('../controllers/architectureController');
+const authMiddleware = require('../middleware/auth');
+const { authorizeWorkspace, workspaceFrom } = require('../middleware/authorize');
 
 // Validate service removal
 router.post('/validate-removal', architectureController.validateRemoval);
 
-// Reconcile architecture (future)
-router.post('/reconcile', architectureController.reconcile);
+// Reconcile architecture (with workspace_id, also checks the workspace's budgets)
+router.post('/reconcile', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE', workspaceFrom.body(), { optional: true }), architectureController.reconcile);
+
+// Cost-saving recommendations (with workspace_id, the workspace's saved infraSpec and estimate are used)
+router.post('/optimizations', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.body(), { optional: true }), architectureController.optimizations);
+
+// STRIDE threat model; findings carry a reconcile_action (with workspace_id, the workspace's saved infraSpec is used)
+router.post('/threat-model', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.body(), { optional: true }), architectureController.threatModel);
 
 // AI Validation
 router.post('/validate-completeness', architectureController.validateCompleteness);
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getProfile, updateProfile, updatePassword, deleteAccount, logout, forgotPassword, resetPassword, verifyTurnstile, googleLogin } = require('../controllers/authController');
+const { register, login, getProfile, updateProfile, updatePassword, deleteAccount, logout, refreshToken, getUrlToken, listSessions, revokeSession, revokeOtherSessions, forgotPassword, resetPassword, verifyTurnstile, googleLogin } = require('../controllers/authController');
 const authMiddleware = require('../middleware/auth');
 
 // Register route
@@ -16,9 +16,20 @@ router.post('/google', googleLogin);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPassword);
 
-// Logout route
+// Logout route (revokes the current session)
 router.post('/logout', authMiddleware, logout);
 
+// Rotate a refresh token into a new access token + refresh token
+router.post('/refresh', refreshToken);
+
+// 60-second token for ?token= URLs (EventSource streams, redirects)
+router.post('/url-token', authMiddleware, getUrlToken);
+
+// Active sessions (protected routes)
+router.get('/sessions', authMiddleware, listSessions);
+router.delete('/sessions', authMiddleware, revokeOtherSessions);
+router.delete('/sessions/:sessionId', authMiddleware, revokeSession);
+
 // Get profile (protected route)
 router.get('/profile', authMiddleware, getProfile);
 
@@ -2,7 +2,12 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const authMiddleware = require('../middleware/auth');
+const { authorizeWorkspace, workspaceFrom } = require('../middleware/authorize');
+const authorizationService = require('../services/shared/authorizationService');
+const organizationService = require('../services/shared/organizationService');
 const User = require('../models/User');
+const stateBackendService = require('../services/infrastructure/stateBackendService');
+const iamPolicyService = require('../services/infrastructure/iamPolicyService');
 const { STSClient, AssumeRoleCommand, GetCallerIdentityCommand } = require("@aws-sdk/client-sts");
 const { CloudFormationClient, DeleteStackCommand, DescribeStacksCommand } = require("@aws-sdk/client-cloudformation");
 const { google } = require('googleapis');
@@ -345,85 +350,72 @@ const verifyCloudConnection = async (provider, metadata) => {
     }
 };
 
-router.post('/aws/template', authMiddleware, async (req, res) => {
+/**
+ * Least-privilege inputs for a workspace: its infraSpec and the Terraform project name
+ */
+async function getWorkspaceIamInputs(workspaceId) {
+    const wsRes = await pool.query('SELECT state_json FROM workspaces WHERE id = $1', [workspaceId]);
+    if (wsRes.rows.length === 0) return null;
+    const stateJson = wsRes.rows[0].state_json || {};
+    return {
+        infraSpec: stateJson.infraSpec || {},
+        // Same project name the deploy route hands to the Terraform generator
+        projectName: stateJson.projectData?.name || 'cloudiverse-project',
+        connection: stateJson.connection || {}
+    };
+}
+
+/**
+ * CloudFormation template for the cross-account role, with an inline policy
+ * generated from the workspace's services (variant: 'deploy' | 'readonly')
+ */
+async function buildAwsTemplateForWorkspace(workspaceId, variant, logTag) {
+    const inputs = await getWorkspaceIamInputs(workspaceId);
+    if (!inputs) return null;
+
+    // 🧠 CLARITY: Who is the backend?
+    // If we trust the root account, the calling identity must have its own sts:AssumeRole permission.
+    // If we trust the identity ARNs specifically, it works even without explicit user policies.
+    let backendIdentityArn = null;
     try {
-        const { workspace_id } = req.body;
-        if (!workspace_id) return res.status(400).json({ msg: "Workspace ID is required" });
+        const sts = new STSClient({ region: "ap-south-1" });
+        const caller = await sts.send(new GetCallerIdentityCommand({}));
+        backendIdentityArn = caller.Arn;
+        console.log(`[${logTag}] Detected Backend Identity: ${backendIdentityArn}`);
+    } catch (stsErr) {
+        console.warn(`[${logTag}] Could not detect backend identity, falling back to account root`, stsErr.message);
+    }
 
-        // 🧠 CLARITY: Who is the backend?
-        // If we trust the root account, the calling identity must have its own sts:AssumeRole permission.
-        // If we trust the identity ARNs specifically, it works even without explicit user policies.
-        let backendIdentityArn = null;
-        try {
-            const sts = new STSClient({ region: "ap-south-1" });
-            const caller = await sts.send(new GetCallerIdentityCommand({}));
-            backendIdentityArn = caller.Arn;
-            console.log(`[AWS_TEMPLATE] Detected Backend Identity: ${backendIdentityArn}`);
-        } catch (stsErr) {
-            console.warn("[AWS_TEMPLATE] Could not detect backend identity, falling back to account root", stsErr.message);
-        }
+    // 🧠 FIX: Use stable ExternalId (cloudiverse-user-{workspace_id})
+    // This matches the strict check in /aws/verify
+    const externalId = `cloudiverse-user-${workspaceId}`;
+    const accountId = process.env.AWS_ACCOUNT_ID || "123456789012";
+    const readOnly = variant === 'readonly';
+
+    const policyDocument = iamPolicyService.buildAwsPolicy(inputs.infraSpec, inputs.projectName, { readOnly });
+    const boundaryDocument = readOnly ? null : iamPolicyService.buildAwsBoundaryPolicy(inputs.infraSpec, inputs.projectName);
+    const template = iamPolicyService.buildAwsRoleTemplate({
+        externalId, accountId, backendIdentityArn, policyDocument, boundaryDocument,
+        resourcePrefix: iamPolicyService.toResourcePrefix(inputs.projectName),
+        readOnly
+    });
+    console.log(`[${logTag}] Generated ${readOnly ? 'read-only' : 'deploy'} policy with ${policyDocument.Statement.length} statements for ${iamPolicyService.toResourcePrefix(inputs.projectName)}-*`);
 
-        // 🧠 FIX: Use stable ExternalId (cloudiverse-user-{workspace_id})
-        // This matches the strict check in /aws/verify
-        const externalId = `cloudiverse-user-${workspace_id}`;
-        const accountId = process.env.AWS_ACCOUNT_ID || "123456789012";
+    return { template, externalId, accountId, readOnly };
+}
 
-        // Construct Principal list
-        const principals = [accountId];
-        if (backendIdentityArn && !principals.includes(backendIdentityArn)) {
-            principals.push(backendIdentityArn);
-        }
+router.post('/aws/template', authMiddleware, authorizeWorkspace('MANAGE_CLOUD', workspaceFrom.body()), async (req, res) => {
+    try {
+        const { workspace_id, variant } = req.body;
+        if (!workspace_id) return res.status(400).json({ msg: "Workspace ID is required" });
 
-        const yamlContent = `
-AWSTemplateFormatVersion: '2010-09-09'
-Description: 'Cloudiverse Cross-Account Access Role'
-Parameters:
-  ExternalId:
-    Type: String
-    Description: 'The External ID for security'
-    Default: '${externalId}'
-  CloudiverseAccountId:
-    Type: String
-    Description: 'The Cloudiverse AWS Account ID (Root)'
-    Default: '${accountId}'
-Resources:
-  CloudiverseAccessRole:
-    Type: 'AWS::IAM::Role'
-    Properties:
-      RoleName: !Sub 'CloudiverseAccessRole-\${ExternalId}'
-      AssumeRolePolicyDocument:
-        Version: '2012-10-17'
-        Statement:
-          - Effect: Allow
-            Principal:
-              AWS:
-                - !Ref CloudiverseAccountId
-                ${backendIdentityArn ? `- '${backendIdentityArn}'` : ''}
-            Action: 'sts:AssumeRole'
-            Condition:
-              StringEquals:
-                'sts:ExternalId': !Ref ExternalId
-      ManagedPolicyArns:
-        - 'arn:aws:iam::aws:policy/AmazonS3FullAccess'
-        - 'arn:aws:iam::aws:policy/CloudFrontFullAccess'
-      Policies:
-        - PolicyName: 'CloudiversePowerUserAccess'
-          PolicyDocument:
-            Version: '2012-10-17'
-            Statement:
-              - Effect: Allow
-                Action: '*'
-                Resource: '*'
-Outputs:
-  RoleArn:
-    Description: 'The ARN of the role to paste into Cloudiverse'
-    Value: !GetAtt CloudiverseAccessRole.Arn
-`;
+        const result = await buildAwsTemplateForWorkspace(workspace_id, variant, 'AWS_TEMPLATE');
+        if (!result) return res.status(404).json({ msg: "Workspace not found" });
 
         res.json({
-            template: yamlContent,
-            filename: `cloudiverse-trust-role-${workspace_id}.yaml`,
-            extra: { externalId, accountId }
+            template: result.template,
+            filename: `cloudiverse-${result.readOnly ? 'readonly' : 'trust'}-role-${workspace_id}.yaml`,
+            extra: { externalId: result.externalId, accountId: result.accountId, variant: result.readOnly ? 'readonly' : 'deploy' }
         });
 
     } catch (err) {
@@ -437,68 +429,12 @@ router.get('/aws/template/download/:workspace_id', async (req, res) => {
     try {
         const { workspace_id } = req.params;
 
-        // 1. Get Backend Identity
-        let backendIdentityArn = null;
-        try {
-            const sts = new STSClient({ region: "ap-south-1" });
-            const caller = await sts.send(new GetCallerIdentityCommand({}));
-            backendIdentityArn = caller.Arn;
-        } catch (stsErr) {
-            console.warn("[AWS_DOWNLOAD] Could not detect backend identity", stsErr.message);
-        }
-
-        const externalId = `cloudiverse-user-${workspace_id}`;
-        const accountId = process.env.AWS_ACCOUNT_ID || "123456789012";
-
-        const yamlContent = `
-AWSTemplateFormatVersion: '2010-09-09'
-Description: 'Cloudiverse Cross-Account Access Role'
-Parameters:
-  ExternalId:
-    Type: String
-    Description: 'The External ID for security'
-    Default: '${externalId}'
-  CloudiverseAccountId:
-    Type: String
-    Description: 'The Cloudiverse AWS Account ID (Root)'
-    Default: '${accountId}'
-Resources:
-  CloudiverseAccessRole:
-    Type: 'AWS::IAM::Role'
-    Properties:
-      RoleName: !Sub 'CloudiverseAccessRole-\${ExternalId}'
-      AssumeRolePolicyDocument:
-        Version: '2012-10-17'
-        Statement:
-          - Effect: Allow
-            Principal:
-              AWS:
-                - !Ref CloudiverseAccountId
-                ${backendIdentityArn ? `- '${backendIdentityArn}'` : ''}
-            Action: 'sts:AssumeRole'
-            Condition:
-              StringEquals:
-                'sts:ExternalId': !Ref ExternalId
-      ManagedPolicyArns:
-        - 'arn:aws:iam::aws:policy/AmazonS3FullAccess'
-        - 'arn:aws:iam::aws:policy/CloudFrontFullAccess'
-      Policies:
-        - PolicyName: 'CloudiversePowerUserAccess'
-          PolicyDocument:
-            Version: '2012-10-17'
-            Statement:
-              - Effect: Allow
-                Action: '*'
-                Resource: '*'
-Outputs:
-  RoleArn:
-    Description: 'The ARN of the role to paste into Cloudiverse'
-    Value: !GetAtt CloudiverseAccessRole.Arn
-`;
+        const result = await buildAwsTemplateForWorkspace(workspace_id, req.query.variant, 'AWS_DOWNLOAD');
+        if (!result) return res.status(404).send("Workspace not found");
 
         res.setHeader('Content-Type', 'text/yaml');
-        res.setHeader('Content-Disposition', `attachment; filename=cloudiverse-aws-setup-${workspace_id}.yaml`);
-        res.send(yamlContent);
+        res.setHeader('Content-Disposition', `attachment; filename=cloudiverse-aws-${result.readOnly ? 'readonly' : 'setup'}-${workspace_id}.yaml`);
+        res.send(result.template);
 
     } catch (err) {
         console.error("Download Error:", err);
@@ -506,7 +442,48 @@ Outputs:
     }
 });
 
-router.get('/connections/:provider', authMiddleware, async (req, res) => {
+// GET /api/cloud/:provider/role-definition?workspace_id=&variant=deploy|readonly
+// Least-privilege permissions for the workspace's services (AWS policy / GCP custom role / Azure role definition)
+router.get('/:provider/role-definition', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.query()), async (req, res) => {
+    try {
+        const provider = req.params.provider.toLowerCase();
+        const { workspace_id, variant } = req.query;
+        if (!workspace_id) return res.status(400).json({ msg: "Workspace ID required" });
+
+        const inputs = await getWorkspaceIamInputs(workspace_id);
+        if (!inputs) return res.status(404).json({ msg: "Workspace not found" });
+
+        const readOnly = variant === 'readonly';
+        const resourcePrefix = iamPolicyService.toResourcePrefix(inputs.projectName);
+        let definition;
+        if (provider === 'aws') {
+            definition = iamPolicyService.buildAwsPolicy(inputs.infraSpec, inputs.projectName, { readOnly });
+        } else if (provider === 'gcp') {
+            definition = iamPolicyService.buildGcpCustomRole(inputs.infraSpec, inputs.projectName, { readOnly });
+        } else if (provider === 'azure') {
+            definition = iamPolicyService.buildAzureRoleDefinition(inputs.infraSpec, inputs.projectName, {
+                readOnly,
+                subscriptionId: inputs.connection.provider === 'azure' ? inputs.connection.subscription_id : null
+            });
+        } else {
+            return res.status(400).json({ msg: `Unsupported provider: ${provider}` });
+        }
+
+        res.json({
+            provider,
+            variant: readOnly ? 'readonly' : 'deploy',
+            resourcePrefix,
+            resourceTypes: iamPolicyService.getResourceTypes(inputs.infraSpec, provider),
+            definition
+        });
+
+    } catch (err) {
+        console.error("Role Definition Error:", err);
+        res.status(500).json({ msg: "Failed to generate role definition" });
+    }
+});
+
+router.get('/connections/:provider', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.query()), async (req, res) => {
     try {
         const provider = req.params.provider.toLowerCase();
         const { workspace_id } = req.query;
@@ -532,11 +509,13 @@ router.get('/connections/:provider', authMiddleware, async (req, res) => {
             });
         }
 
-        // AUTO-CONNECT: Check User Profile
-        const userCreds = await User.getCloudCredentials(req.user.id);
-        if (userCreds[provider]) {
-            console.log(`[CLOUD] Auto-connecting workspace ${workspace_id} to ${provider} using saved user credentials`);
-            const savedConnection = userCreds[provider];
+        // AUTO-CONNECT: Organization connection first, then the User Profile (only for roles that may connect)
+        const canConnect = authorizationService.hasPermission(req.access.role, 'MANAGE_CLOUD');
+        const orgConnection = canConnect ? await organizationService.getOrganizationConnection(req.access.organizationId, provider) : null;
+        const userCreds = canConnect && !orgConnection ? await User.getCloudCredentials(req.user.id) : {};
+        if (orgConnection || userCreds?.[provider]) {
+            console.log(`[CLOUD] Auto-connecting workspace ${workspace_id} to ${provider} using saved ${orgConnection ? 'organization' : 'user'} credentials`);
+            const savedConnection = orgConnection || userCreds[provider];
 
             // Merge into workspace state
             const updatedState = {
@@ -571,7 +550,7 @@ router.get('/connections/:provider', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/:provider/connect', authMiddleware, async (req, res) => {
+router.post('/:provider/connect', authMiddleware, authorizeWorkspace('MANAGE_CLOUD', workspaceFrom.body()), async (req, res) => {
     try {
         const provider = req.params.provider.toLowerCase();
         const { workspace_id } = req.body;
@@ -870,6 +849,15 @@ router.get('/:provider/callback', async (req, res) => {
             }
         }
 
+        // 2.5 Bootstrap Remote Terraform State (Best Effort - retried lazily at deploy time)
+        if (connectionMetadata.status === 'connected') {
+            try {
+                connectionMetadata.state_backend = await stateBackendService.ensureBackend(provider, connectionMetadata);
+            } catch (backendErr) {
+                console.warn(`[CLOUD] State backend bootstrap failed for ${provider}:`, backendErr.message);
+            }
+        }
+
         // 3. Update Workspace
         const wsRes = await pool.query("SELECT user_id, state_json FROM workspaces WHERE id = $1", [workspace_id]);
         if (wsRes.rows.length === 0) return res.status(404).send("Workspace not found");
@@ -936,7 +924,7 @@ router.get('/:provider/callback', async (req, res) => {
 });
 
 // Disconnect Cloud Account
-router.post('/disconnect', authMiddleware, async (req, res) => {
+router.post('/disconnect', authMiddleware, authorizeWorkspace('MANAGE_CLOUD', workspaceFrom.body()), async (req, res) => {
     try {
         const { workspace_id } = req.body;
         if (!workspace_id) return res.status(400).json({ msg: "Workspace ID required" });
@@ -982,7 +970,10 @@ router.post('/disconnect', authMiddleware, async (req, res) => {
 // DELETE CLOUDFORMATION STACK (AWS Only)
 // Permanently removes the Cloudiverse IAM role stack from user's account
 // ═══════════════════════════════════════════════════════════════════
-router.post('/aws/delete-stack', authMiddleware, async (req, res) => {
+// The stack's external ID is `cloudiverse-user-<workspaceId>`
+const workspaceFromExternalId = (req) => (req.body.external_id || '').replace('cloudiverse-user-', '') || null;
+
+router.post('/aws/delete-stack', authMiddleware, authorizeWorkspace('MANAGE_CLOUD', workspaceFromExternalId), async (req, res) => {
     try {
         const { account_id, external_id } = req.body;
 
@@ -1072,7 +1063,7 @@ router.post('/aws/delete-stack', authMiddleware, async (req, res) => {
 });
 
 // Unified Verification Endpoint (Manual Trigger)
-router.post('/:provider/verify', authMiddleware, async (req, res) => {
+router.post('/:provider/verify', authMiddleware, authorizeWorkspace('MANAGE_CLOUD', workspaceFrom.body()), async (req, res) => {
     try {
         const { provider } = req.params;
         const { workspace_id, role_arn, external_id, account_id } = req.body;
@@ -1165,6 +1156,13 @@ router.post('/:provider/verify', authMiddleware, async (req, res) => {
             connected_at: new Date().toISOString()
         };
 
+        // Bootstrap Remote Terraform State (Best Effort - retried lazily at deploy time)
+        try {
+            finalMetadata.state_backend = await stateBackendService.ensureBackend(provider, finalMetadata);
+        } catch (backendErr) {
+            console.warn(`[CLOUD] State backend bootstrap failed for ${provider}:`, backendErr.message);
+        }
+
         const updatedState = {
             ...currentState,
             connection: finalMetadata
@@ -1196,7 +1194,7 @@ router.post('/:provider/verify', authMiddleware, async (req, res) => {
 });
 
 // GCP Billing Status Check (Frontend Pre-flight)
-router.get('/gcp/billing-status/:projectId', authMiddleware, async (req, res) => {
+router.get('/gcp/billing-status/:projectId', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.query()), async (req, res) => {
     try {
         const { projectId } = req.params;
         const { workspace_id } = req.query;
@@ -1311,6 +1309,15 @@ async function getUserConnection(userId, provider) {
     }
 }
 
+/**
+ * Connection to deploy a workspace with: its organization's shared connection
+ * for the provider, else the acting user's own saved connection
+ */
+async function getWorkspaceConnection(userId, organizationId, provider) {
+    const orgConnection = await organizationService.getOrganizationConnection(organizationId, provider);
+    return orgConnection || getUserConnection(userId, provider);
+}
+
 // Get all saved connections for a user
 router.get('/connections', authMiddleware, async (req, res) => {
     try {
@@ -1362,7 +1369,7 @@ router.get('/connections/:provider', authMiddleware, async (req, res) => {
 });
 
 // Apply saved connection to a workspace
-router.post('/connections/:provider/apply', authMiddleware, async (req, res) => {
+router.post('/connections/:provider/apply', authMiddleware, authorizeWorkspace('MANAGE_CLOUD', workspaceFrom.body()), async (req, res) => {
     try {
         const { provider } = req.params;
         const { workspace_id } = req.body;
@@ -1371,8 +1378,8 @@ router.post('/connections/:provider/apply', authMiddleware, async (req, res) =>
             return res.status(400).json({ error: 'workspace_id required' });
         }
 
-        // Get saved connection
-        const savedConnection = await getUserConnection(req.user.id, provider);
+        // Get saved connection (organization workspaces prefer the org's shared one)
+        const savedConnection = await getWorkspaceConnection(req.user.id, req.access.organizationId, provider);
         if (!savedConnection) {
             return res.status(404).json({
                 error: `No saved ${provider} connection found`,
@@ -1380,20 +1387,8 @@ router.post('/connections/:provider/apply', authMiddleware, async (req, res) =>
             });
         }
 
-        // Get workspace
-        const wsRes = await pool.query(
-            `SELECT state_json FROM workspaces w
-             JOIN projects p ON w.project_id = p.id
-             WHERE w.id = $1 AND p.owner_id = $2`,
-            [workspace_id, req.user.id]
-        );
-
-        if (wsRes.rows.length === 0) {
-            return res.status(404).json({ error: 'Workspace not found' });
-        }
-
         // Apply saved connection to workspace
-        const currentState = wsRes.rows[0].state_json || {};
+        const currentState = req.access.workspace.state_json || {};
         const updatedState = {
             ...currentState,
             connection: {
@@ -1441,3 +1436,4 @@ router.delete('/connections/:provider', authMiddleware, async (req, res) => {
 module.exports = router;
 module.exports.saveUserConnection = saveUserConnection;
 module.exports.getUserConnection = getUserConnection;
+module.exports.getWorkspaceConnection = getWorkspaceConnection;
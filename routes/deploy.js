@@ -1,50 +1,73 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const { authorizeWorkspace, workspaceFrom } = require('../middleware/authorize');
 const deployService = require('../services/infrastructure/deployService');
 const preflightService = require('../services/infrastructure/preflightService');
-const { getUserConnection } = require('./cloud');
+const environmentService = require('../services/infrastructure/environmentService');
+const { getWorkspaceConnection } = require('./cloud');
 const pool = require('../config/db');
+const jobQueue = require('../services/infrastructure/jobQueue');
+const logStream = require('../services/shared/logStream');
 
 // POST /api/deploy
-// Start a new deployment
-router.post('/', authMiddleware, async (req, res) => {
+// Start a new deployment (optionally into a named workspace environment)
+router.post('/', authMiddleware, authorizeWorkspace('DEPLOY', workspaceFrom.body()), async (req, res) => {
     try {
-        const { workspace_id, source, config } = req.body;
+        const { workspace_id, source, config, environment: environmentName } = req.body;
         const userId = req.user.id;
 
         if (!workspace_id || !source || !config) {
             return res.status(400).json({ error: "Missing required fields" });
         }
 
-        // 1. Get Workspace & Validation
-        const wsRes = await pool.query('SELECT * FROM workspaces WHERE id = $1', [workspace_id]);
-        if (wsRes.rows.length === 0) return res.status(404).json({ error: "Workspace not found" });
-        const workspace = wsRes.rows[0];
+        // 1. Workspace (loaded by the authorization check)
+        let workspace = req.access.workspace;
+
+        // Environment deploys target that environment's outputs and region
+        let environment = null;
+        if (environmentName) {
+            environment = await environmentService.getEnvironment(workspace_id, environmentName);
+            if (!environment) return res.status(404).json({ error: `Environment '${environmentName}' not found` });
+            if (!environmentService.PROMOTABLE_STATUSES.includes(environment.deployment_status)) {
+                return res.status(409).json({ error: `Environment '${environmentName}' has no provisioned infrastructure yet` });
+            }
+            workspace = environmentService.toEnvironmentWorkspace(workspace, environment);
+        }
 
         // 🛡️ PREFLIGHT VALIDATION (3-Layer Refactor Layer 3)
-        const provider = workspace.state_json?.infraSpec?.resolved_region?.provider || workspace.state_json?.connection?.provider || 'aws';
-        if (provider === 'aws') {
-            console.log(`[PREFLIGHT] Starting AWS validation for workspace ${workspace_id}...`);
-            const conn = await getUserConnection(userId, 'aws');
+        const provider = (workspace.state_json?.infraSpec?.resolved_region?.provider || workspace.state_json?.connection?.provider || 'aws').toLowerCase();
+        const providerLabel = { aws: 'AWS', gcp: 'GCP', azure: 'Azure' }[provider];
+        if (providerLabel) {
+            console.log(`[PREFLIGHT] Starting ${providerLabel} validation for workspace ${workspace_id}...`);
+            const conn = await getWorkspaceConnection(userId, req.access.organizationId, provider);
             if (!conn) {
-                return res.status(400).json({ error: "No AWS connection found. Please connect your cloud account first." });
+                return res.status(400).json({ error: `No ${providerLabel} connection found. Please connect your cloud account first.` });
             }
 
             // Extract services for targeted preflight checks
             const services = workspace.state_json?.infraSpec?.services?.map(s => s.service_id) || [];
-            const preflight = await preflightService.validateAWS(workspace.state_json?.region || 'ap-south-1', conn, services);
+            let preflight;
+            if (provider === 'aws') {
+                preflight = await preflightService.validateAWS(workspace.state_json?.region || 'ap-south-1', conn, services);
+            } else if (provider === 'gcp') {
+                preflight = await preflightService.validateGCP(conn, services);
+            } else {
+                // Same resource group naming as the Terraform executor
+                preflight = await preflightService.validateAzure(conn, services, environmentService.getResourceGroupName(workspace_id, environment?.name));
+            }
+
             if (!preflight.valid) {
                 return res.status(403).json({
                     error: "Preflight Validation Failed",
-                    details: preflight.checks.filter(c => c.status === 'FAIL')
+                    details: preflight.checks.filter(c => c.status !== 'PASS')
                 });
             }
-            console.log(`[PREFLIGHT] AWS validation PASSED.`);
+            console.log(`[PREFLIGHT] ${providerLabel} validation PASSED.`);
         }
 
         // 2. Create Deployment Record
-        const deploymentId = await deployService.createDeployment(workspace_id, source, config);
+        const deploymentId = await deployService.createDeployment(workspace_id, source, config, environment?.name);
 
         // 3. Trigger Async Deployment
         if (source === 'github') {
@@ -64,7 +87,7 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // GET /api/deploy/:id/status
-router.get('/:id/status', authMiddleware, async (req, res) => {
+router.get('/:id/status', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.deployment('id')), async (req, res) => {
     try {
         const deployment = await deployService.getDeploymentStatus(req.params.id);
         if (!deployment) return res.status(404).json({ error: "Deployment not found" });
@@ -74,9 +97,74 @@ router.get('/:id/status', authMiddleware, async (req, res) => {
     }
 });
 
+// GET /api/deploy/:id/stream
+// Live build/deploy logs over Server-Sent Events (resumable via Last-Event-ID)
+router.get('/:id/stream', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.deployment('id')), async (req, res) => {
+    const { id } = req.params;
+    const deployment = await deployService.getDeploymentStatus(id).catch(() => null);
+    if (!deployment) return res.status(404).json({ error: "Deployment not found" });
+
+    logStream.streamLogs(req, res, {
+        channel: `deployment:${id}`,
+        terminalStates: deployService.DEPLOYMENT_TERMINAL_STATES,
+        loadSnapshot: async () => {
+            const current = await deployService.getDeploymentStatus(id);
+            return current && { logs: current.logs, status: current.status, url: current.url };
+        }
+    });
+});
+
+// POST /api/deploy/:id/rollback
+// Redeploy the image recorded on a previous successful deployment (no rebuild)
+router.post('/:id/rollback', authMiddleware, authorizeWorkspace('DEPLOY', workspaceFrom.deployment('id')), async (req, res) => {
+    try {
+        const target = await deployService.getDeploymentStatus(req.params.id);
+        if (!target) return res.status(404).json({ error: "Deployment not found" });
+
+        if (target.status !== 'success' || !target.image_ref) {
+            return res.status(400).json({
+                error: "Cannot roll back to this deployment",
+                details: "Only successful container deployments with a recorded image can be redeployed."
+            });
+        }
+
+        // Roll back within the environment the target deployment shipped to
+        let workspace = req.access.workspace;
+        if (target.environment) {
+            const environment = await environmentService.getEnvironment(target.workspace_id, target.environment);
+            if (!environment) return res.status(404).json({ error: `Environment '${target.environment}' not found` });
+            workspace = environmentService.toEnvironmentWorkspace(workspace, environment);
+        }
+
+        const deploymentId = await deployService.createDeployment(target.workspace_id, 'rollback', {}, target.environment);
+        deployService.rollbackDeployment(deploymentId, workspace, target);
+
+        res.json({ deploymentId, status: 'pending', rollbackOf: target.id, image: target.image_ref });
+    } catch (err) {
+        console.error("Rollback Route Error:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/deploy/workspace/:workspaceId/history
+// Previous deployments with the images they shipped (rollback targets)
+router.get('/workspace/:workspaceId/history', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.param('workspaceId')), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT id, environment, source_type, status, url, commit_hash, image_tag, image_ref, image_digest, rollback_of, created_at
+             FROM deployments WHERE workspace_id = $1 ORDER BY created_at DESC LIMIT 50`,
+            [req.params.workspaceId]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error("Deploy History Error:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // GET /api/deploy/workspace/:workspaceId/latest
 // Fetch the most recent deployment for a workspace (to hydrate logs)
-router.get('/workspace/:workspaceId/latest', authMiddleware, async (req, res) => {
+router.get('/workspace/:workspaceId/latest', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.param('workspaceId')), async (req, res) => {
     try {
         const { workspaceId } = req.params;
         const result = await pool.query(
@@ -103,7 +191,7 @@ const destroyService = require('../services/infrastructure/destroyService');
 
 // POST /api/deploy/:workspaceId/destroy
 // Initiate infrastructure destruction (requires typed confirmation)
-router.post('/:workspaceId/destroy', authMiddleware, async (req, res) => {
+router.post('/:workspaceId/destroy', authMiddleware, authorizeWorkspace('DESTROY', workspaceFrom.param('workspaceId')), async (req, res) => {
     try {
         const { workspaceId } = req.params;
         const { confirmation } = req.body;
@@ -133,10 +221,10 @@ router.post('/:workspaceId/destroy', authMiddleware, async (req, res) => {
 
 // GET /api/deploy/:workspaceId/destroy/:jobId/status
 // Poll destroy job status
-router.get('/:workspaceId/destroy/:jobId/status', authMiddleware, async (req, res) => {
+router.get('/:workspaceId/destroy/:jobId/status', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.job('jobId')), async (req, res) => {
     try {
         const { jobId } = req.params;
-        const status = destroyService.getJobStatus(jobId);
+        const status = await destroyService.getJobStatus(jobId);
 
         if (!status) {
             return res.status(404).json({ error: "Destroy job not found" });
@@ -148,4 +236,21 @@ router.get('/:workspaceId/destroy/:jobId/status', authMiddleware, async (req, re
     }
 });
 
+// GET /api/deploy/:workspaceId/destroy/:jobId/stream
+// Live destroy logs over Server-Sent Events (resumable via Last-Event-ID)
+router.get('/:workspaceId/destroy/:jobId/stream', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.job('jobId')), async (req, res) => {
+    const { jobId } = req.params;
+    const status = await destroyService.getJobStatus(jobId).catch(() => null);
+    if (!status) return res.status(404).json({ error: "Destroy job not found" });
+
+    logStream.streamLogs(req, res, {
+        channel: `job:${jobId}`,
+        terminalStates: jobQueue.TERMINAL_STATES,
+        loadSnapshot: async () => {
+            const current = await destroyService.getJobStatus(jobId);
+            return current && { logs: current.logs, status: current.status, error: current.error };
+        }
+    });
+});
+
 module.exports = router;
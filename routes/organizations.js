@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const authMiddleware = require('../middleware/auth');
+const { authorizeOrganization } = require('../middleware/authorize');
+const organizationService = require('../services/shared/organizationService');
+const auditService = require('../services/shared/auditService');
+const { getUserConnection } = require('./cloud');
+
+const SUPPORTED_PROVIDERS = ['aws', 'gcp', 'azure'];
+
+const sendError = (res, err, label) => {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error(`${label}:`, err);
+    res.status(500).json({ error: err.message });
+};
+
+const getUser = async (userId) => {
+    const result = await pool.query('SELECT id, name, email FROM users WHERE id = $1', [userId]);
+    return result.rows[0] || null;
+};
+
+// GET /api/organizations
+// Organizations the current user belongs to
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const organizations = await organizationService.listOrganizations(req.user.id);
+        res.json({ organizations });
+    } catch (err) {
+        sendError(res, err, 'List Organizations Error');
+    }
+});
+
+// POST /api/organizations
+// Create an organization ({ name }); the creator becomes its admin
+router.post('/', authMiddleware, async (req, res) => {
+    try {
+        const organization = await organizationService.createOrganization(req.body.name, req.user.id);
+        await auditService.logAction(req.user.id, auditService.ACTIONS.ORGANIZATION_CREATED, {
+            organizationId: organization.id,
+            name: organization.name
+        }, { ipAddress: req.ip, userAgent: req.get('User-Agent') });
+
+        res.status(201).json({ organization });
+    } catch (err) {
+        sendError(res, err, 'Create Organization Error');
+    }
+});
+
+// POST /api/organizations/invitations/accept
+// Join with the token from an invitation email ({ token })
+router.post('/invitations/accept', authMiddleware, async (req, res) => {
+    try {
+        const user = await getUser(req.user.id);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const result = await organizationService.acceptInvitation(req.body.token, user);
+        await auditService.logAction(req.user.id, auditService.ACTIONS.ORGANIZATION_MEMBER_JOINED, {
+            organizationId: result.organization.id,
+            role: result.role
+        }, { ipAddress: req.ip, userAgent: req.get('User-Agent') });
+
+        res.json(result);
+    } catch (err) {
+        sendError(res, err, 'Accept Invitation Error');
+    }
+});
+
+// GET /api/organizations/:orgId
+// Organization with members, pending invitations and projects
+router.get('/:orgId', authMiddleware, authorizeOrganization('VIEW_ORGANIZATION'), async (req, res) => {
+    try {
+        const { organizationId, role } = req.organizationAccess;
+        const [organization, members, projects] = await Promise.all([
+            organizationService.getOrganization(organizationId),
+            organizationService.listMembers(organizationId),
+            organizationService.listProjects(organizationId)
+        ]);
+        // Invitation emails are only visible to admins
+        const invitations = role === 'admin' ? await organizationService.listInvitations(organizationId) : [];
+
+        res.json({ organization, role, members, invitations, projects });
+    } catch (err) {
+        sendError(res, err, 'Get Organization Error');
+    }
+});
+
+// PUT /api/organizations/:orgId
+// Rename an organization ({ name })
+router.put('/:orgId', authMiddleware, authorizeOrganization('MANAGE_ORGANIZATION'), async (req, res) => {
+    try {
+        const organization = await organizationService.renameOrganization(req.organizationAccess.organizationId, req.body.name);
+        res.json({ organization });
+    } catch (err) {
+        sendError(res, err, 'Rename Organization Error');
+    }
+});
+
+// ─── MEMBERS ────────────────────────────────────────────────────────────────
+
+// POST /api/organizations/:orgId/invitations
+// Invite a member by email ({ email, role })
+router.post('/:orgId/invitations', authMiddleware, authorizeOrganization('MANAGE_ORGANIZATION'), async (req, res) => {
+    try {
+        const inviter = await getUser(req.user.id);
+        const invitation = await organizationService.inviteMember(req.organizationAccess.organizationId, {
+            email: req.body.email,
+            role: req.body.role,
+            invitedBy: inviter || { id: req.user.id }
+        });
+        res.status(201).json({ invitation });
+    } catch (err) {
+        sendError(res, err, 'Invite Member Error');
+    }
+});
+
+// DELETE /api/organizations/:orgId/invitations/:invitationId
+router.delete('/:orgId/invitations/:invitationId', authMiddleware, authorizeOrganization('MANAGE_ORGANIZATION'), async (req, res) => {
+    try {
+        await organizationService.revokeInvitation(req.organizationAccess.organizationId, req.params.invitationId);
+        res.json({ msg: 'Invitation revoked' });
+    } catch (err) {
+        sendError(res, err, 'Revoke Invitation Error');
+    }
+});
+
+// PUT /api/organizations/:orgId/members/:userId
+// Change a member's role ({ role })
+router.put('/:orgId/members/:userId', authMiddleware, authorizeOrganization('MANAGE_ORGANIZATION'), async (req, res) => {
+    try {
+        const member = await organizationService.updateMemberRole(req.organizationAccess.organizationId, req.params.userId, req.body.role);
+        res.json({ member });
+    } catch (err) {
+        sendError(res, err, 'Update Member Role Error');
+    }
+});
+
+// DELETE /api/organizations/:orgId/members/:userId
+router.delete('/:orgId/members/:userId', authMiddleware, authorizeOrganization('MANAGE_ORGANIZATION'), async (req, res) => {
+    try {
+        await organizationService.removeMember(req.organizationAccess.organizationId, req.params.userId);
+        res.json({ msg: 'Member removed' });
+    } catch (err) {
+        sendError(res, err, 'Remove Member Error');
+    }
+});
+
+// DELETE /api/organizations/:orgId/membership
+// Leave an organization
+router.delete('/:orgId/membership', authMiddleware, authorizeOrganization('VIEW_ORGANIZATION'), async (req, res) => {
+    try {
+        await organizationService.removeMember(req.organizationAccess.organizationId, req.user.id);
+        res.json({ msg: 'Left organization' });
+    } catch (err) {
+        sendError(res, err, 'Leave Organization Error');
+    }
+});
+
+// ─── PROJECTS ───────────────────────────────────────────────────────────────
+
+// PUT /api/organizations/:orgId/projects/:projectId
+// Share one of your projects (and its workspaces) with the organization
+router.put('/:orgId/projects/:projectId', authMiddleware, authorizeOrganization('ADD_PROJECT'), async (req, res) => {
+    try {
+        const project = await organizationService.addProject(req.organizationAccess.organizationId, req.params.projectId, req.user.id);
+        res.json({ project });
+    } catch (err) {
+        sendError(res, err, 'Add Project Error');
+    }
+});
+
+// DELETE /api/organizations/:orgId/projects/:projectId
+// Return a project to its owner only
+router.delete('/:orgId/projects/:projectId', authMiddleware, authorizeOrganization('MANAGE_ORGANIZATION'), async (req, res) => {
+    try {
+        await organizationService.removeProject(req.organizationAccess.organizationId, req.params.projectId);
+        res.json({ msg: 'Project removed from organization' });
+    } catch (err) {
+        sendError(res, err, 'Remove Project Error');
+    }
+});
+
+// ─── CLOUD CONNECTIONS ──────────────────────────────────────────────────────
+
+// GET /api/organizations/:orgId/connections
+router.get('/:orgId/connections', authMiddleware, authorizeOrganization('VIEW_ORGANIZATION'), async (req, res) => {
+    try {
+        const connections = await organizationService.listConnections(req.organizationAccess.organizationId);
+        res.json({ connections });
+    } catch (err) {
+        sendError(res, err, 'List Organization Connections Error');
+    }
+});
+
+// PUT /api/organizations/:orgId/connections/:provider
+// Share your saved connection for a provider with the whole organization
+router.put('/:orgId/connections/:provider', authMiddleware, authorizeOrganization('MANAGE_ORGANIZATION'), async (req, res) => {
+    try {
+        const provider = req.params.provider.toLowerCase();
+        if (!SUPPORTED_PROVIDERS.includes(provider)) {
+            return res.status(400).json({ error: `Unsupported provider: ${provider}` });
+        }
+
+        const connection = await getUserConnection(req.user.id, provider);
+        if (!connection || connection.status !== 'connected') {
+            return res.status(404).json({ error: `No saved ${provider} connection found`, needsSetup: true });
+        }
+
+        await organizationService.shareConnection(req.organizationAccess.organizationId, provider, connection, req.user.id);
+        res.json({ success: true, msg: `${provider} connection shared with the organization` });
+    } catch (err) {
+        sendError(res, err, 'Share Connection Error');
+    }
+});
+
+// DELETE /api/organizations/:orgId/connections/:provider
+router.delete('/:orgId/connections/:provider', authMiddleware, authorizeOrganization('MANAGE_ORGANIZATION'), async (req, res) => {
+    try {
+        const removed = await organizationService.removeConnection(req.organizationAccess.organizationId, req.params.provider);
+        if (!removed) return res.status(404).json({ error: 'Connection not found' });
+        res.json({ success: true, msg: `${req.params.provider} connection removed from the organization` });
+    } catch (err) {
+        sendError(res, err, 'Remove Organization Connection Error');
+    }
+});
+
+module.exports = router;
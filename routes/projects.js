@@ -2,13 +2,34 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const authMiddleware = require('../middleware/auth');
+const authorizationService = require('../services/shared/authorizationService');
+const budgetService = require('../services/cost/budgetService');
 
-// Get all projects for a user
+// Load the project named by :id if the user has `permission` on it (req.project)
+const loadProject = (permission) => async (req, res, next) => {
+    try {
+        const result = /^\d+$/.test(req.params.id) ? await pool.query(
+            `SELECT p.* FROM projects p WHERE p.id = $2 AND ${authorizationService.accessibleProjectsClause('$1', permission)}`,
+            [String(req.user.id), req.params.id]
+        ) : { rows: [] };
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        req.project = result.rows[0];
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server error loading project' });
+    }
+};
+
+// Get all projects for a user (owned + shared through organizations)
 router.get('/', authMiddleware, async (req, res) => {
     try {
-        // Assuming projects table has owner_id matching user.id or similar
-        // If projects table uses UUID for owner_id or VARCHAR matching Auth0/User ID
-        const result = await pool.query('SELECT * FROM projects WHERE owner_id = $1', [req.user.id]);
+        const result = await pool.query(
+            `SELECT p.* FROM projects p WHERE ${authorizationService.accessibleProjectsClause('$1')}`,
+            [String(req.user.id)]
+        );
         res.json(result.rows);
     } catch (err) {
         console.error(err);
@@ -31,4 +52,66 @@ router.post('/', authMiddleware, async (req, res) => {
     }
 });
 
+// Budgets on a project (the sum of its workspaces' latest estimates)
+router.get('/:id/budgets', authMiddleware, loadProject('VIEW_WORKSPACE'), async (req, res) => {
+    try {
+        const [budgets, estimatedCost] = await Promise.all([
+            budgetService.listBudgets({ projectId: req.project.id }),
+            budgetService.getProjectCost(req.project.id)
+        ]);
+        res.json({ budgets: budgets.map(budgetService.toBudgetView), estimatedMonthlyCostUsd: estimatedCost });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server error fetching budgets' });
+    }
+});
+
+// Create a project budget ({ name, currency, warningAmount, hardAmount, blockDeploy, notifyEmail, webhookUrl })
+router.post('/:id/budgets', authMiddleware, loadProject('EDIT_WORKSPACE'), async (req, res) => {
+    try {
+        const check = await budgetService.createBudget({ projectId: req.project.id }, req.body, req.user.id);
+        res.status(201).json({ budget: budgetService.toBudgetView(check.budget) });
+    } catch (err) {
+        if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+        console.error(err);
+        res.status(500).json({ error: 'Server error creating budget' });
+    }
+});
+
+// Update a project budget
+router.put('/:id/budgets/:budgetId', authMiddleware, loadProject('EDIT_WORKSPACE'), async (req, res) => {
+    try {
+        const check = await budgetService.updateBudget({ projectId: req.project.id }, req.params.budgetId, req.body);
+        res.json({ budget: budgetService.toBudgetView(check.budget) });
+    } catch (err) {
+        if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+        console.error(err);
+        res.status(500).json({ error: 'Server error updating budget' });
+    }
+});
+
+// Delete a project budget
+router.delete('/:id/budgets/:budgetId', authMiddleware, loadProject('EDIT_WORKSPACE'), async (req, res) => {
+    try {
+        await budgetService.deleteBudget({ projectId: req.project.id }, req.params.budgetId);
+        res.json({ message: 'Budget deleted' });
+    } catch (err) {
+        if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+        console.error(err);
+        res.status(500).json({ error: 'Server error deleting budget' });
+    }
+});
+
+// Alerts a project budget has raised
+router.get('/:id/budgets/:budgetId/alerts', authMiddleware, loadProject('VIEW_WORKSPACE'), async (req, res) => {
+    try {
+        const alerts = await budgetService.getBudgetAlerts({ projectId: req.project.id }, req.params.budgetId, parseInt(req.query.limit, 10) || 50);
+        res.json({ alerts });
+    } catch (err) {
+        if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+        console.error(err);
+        res.status(500).json({ error: 'Server error fetching budget alerts' });
+    }
+});
+
 module.exports = router;
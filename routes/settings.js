@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const authMiddleware = require('../middleware/auth');
+const currencyService = require('../services/cost/currencyService');
+const freeTier = require('../services/cost/freeTier');
 
 // Get User Settings & Usage
 router.get('/', authMiddleware, async (req, res) => {
@@ -38,6 +40,14 @@ router.get('/', authMiddleware, async (req, res) => {
 router.put('/preferences', authMiddleware, async (req, res) => {
     try {
         const { preferences } = req.body;
+        // Cost estimates are shown in this currency (USD, INR or EUR)
+        if (preferences?.currency && !currencyService.isSupportedCurrency(preferences.currency)) {
+            return res.status(400).json({ error: `Unsupported currency: ${preferences.currency}` });
+        }
+        // Free-tier allowances credited in cost estimates (first_year, always_free or none)
+        if (preferences?.free_tier && !freeTier.isValidFreeTierMode(preferences.free_tier)) {
+            return res.status(400).json({ error: `Unsupported free tier mode: ${preferences.free_tier}` });
+        }
         await pool.query(
             `INSERT INTO user_settings (user_id, preferences) VALUES ($1, $2)
              ON CONFLICT (user_id) DO UPDATE SET preferences = $2, updated_at = NOW()`,
@@ -2,18 +2,30 @@ const express = require('express');
 const router = express.Router();
 const aiService = require('../services/ai/aiService');
 const authMiddleware = require('../middleware/auth');
+const { authorizeWorkspace, workspaceFrom } = require('../middleware/authorize');
+const organizationService = require('../services/shared/organizationService');
 const monopolyLayers = require('../services/core/monopolyLayers');
 const infracostService = require('../services/cost/infracostService');
 const auditService = require('../services/shared/auditService');
 const costHistoryService = require('../services/cost/costHistoryService');
+const currencyService = require('../services/cost/currencyService');
+const commitmentPricing = require('../services/cost/commitmentPricing');
+const freeTier = require('../services/cost/freeTier');
+const budgetService = require('../services/cost/budgetService');
 const patternResolver = require('../services/core/patternResolver');
 const ARCHITECTURE_PATTERNS = require('../catalog/patterns/index');
 const { validateServiceSelection } = require('../catalog/terraform/utils');
 const integrityService = require('../services/core/integrityService');
 const terraformService = require('../services/infrastructure/terraformService');
 const terraformExecutor = require('../services/infrastructure/terraformExecutor');
+const stateBackendService = require('../services/infrastructure/stateBackendService');
+const planService = require('../services/infrastructure/planService');
+const environmentService = require('../services/infrastructure/environmentService');
+const jobQueue = require('../services/infrastructure/jobQueue');
+const logStream = require('../services/shared/logStream');
 const costResultModel = require('../services/cost/costResultModel');
 const canonicalValidator = require('../services/core/canonicalValidator');
+const decisionRecordService = require('../services/core/decisionRecordService');
 const { generateServiceDisplay, groupServicesByCategory, getCategoryDisplayName, SERVICE_DISPLAY } = require('../services/shared/serviceDisplay');
 const pool = require('../config/db');
 const archiver = require('archiver');
@@ -1927,6 +1939,30 @@ router.post('/cost-analysis', authMiddleware, async (req, res) => {
             });
         }
 
+        // Display currency: explicit request, else the user's preference (estimates are computed in USD)
+        const currency = req.body.currency
+            ? String(req.body.currency).toUpperCase()
+            : await currencyService.getUserCurrency(req.user.id);
+        if (!currencyService.isSupportedCurrency(currency)) {
+            return res.status(400).json({ error: `Unsupported currency: ${req.body.currency}` });
+        }
+
+        // Purchasing option for compute, database and cache: on_demand | commit_1y | commit_3y | spot (batch only)
+        if (!commitmentPricing.isValidPurchaseOption(req.body.purchase_option)) {
+            return res.status(400).json({ error: `Unsupported purchase option: ${req.body.purchase_option}` });
+        }
+        const purchaseOption = commitmentPricing.normalizePurchaseOption(req.body.purchase_option);
+
+        // Free-tier allowances: first_year (new account) | always_free (past its first year) | none
+        const freeTierMode = req.body.free_tier
+            ? freeTier.normalizeFreeTierMode(req.body.free_tier)
+            : await freeTier.getUserFreeTierMode(req.user.id);
+        if (!freeTier.isValidFreeTierMode(freeTierMode)) {
+            return res.status(400).json({ error: `Unsupported free tier mode: ${req.body.free_tier}` });
+        }
+        // Region to price in: logical (EU_PRIMARY) or provider region; defaults to the infraSpec's
+        const pricingOptions = { purchaseOption, freeTier: freeTierMode, region: req.body.region };
+
         const costProfile = cost_profile || 'cost_effective';
         const selected_provider = req.body.selected_provider || 'AWS';
 
@@ -2170,7 +2206,8 @@ router.post('/cost-analysis', authMiddleware, async (req, res) => {
                 scenarioResults = await infracostService.calculateScenarios(
                     infraSpec,
                     intent,
-                    profileScenarios
+                    profileScenarios,
+                    pricingOptions
                 );
                 scenarioSuccess = true;
             } catch (scenarioError) {
@@ -2189,6 +2226,7 @@ router.post('/cost-analysis', authMiddleware, async (req, res) => {
                 costAnalysis.confidence = scenarioResults.confidence;
                 costAnalysis.services = scenarioResults.services;
                 costAnalysis.drivers = scenarioResults.drivers;
+                costAnalysis.purchase_options = scenarioResults.purchase_options;
 
                 // Set recommended provider to avoid fallback to AWS
                 costAnalysis.recommended_provider = scenarioResults.recommended?.provider;
@@ -2211,7 +2249,11 @@ router.post('/cost-analysis', authMiddleware, async (req, res) => {
                         infraSpec,
                         intent,
                         costProfile,
-                        usage_profile // 🔥 FIX: Pass usage_profile to fallback verification
+                        usage_profile, // 🔥 FIX: Pass usage_profile to fallback verification
+                        false,
+                        null,
+                        null,
+                        pricingOptions
                     );
                 } catch (analysisError) {
                     console.error('[COST ANALYSIS ERROR]:', analysisError);
@@ -2351,7 +2393,11 @@ router.post('/cost-analysis', authMiddleware, async (req, res) => {
                     infraSpec,
                     intent,
                     costProfile,
-                    usage_profile // 🔥 FIX: Pass usage_profile to fallback verification
+                    usage_profile, // 🔥 FIX: Pass usage_profile to fallback verification
+                    false,
+                    null,
+                    null,
+                    pricingOptions
                 );
             } catch (analysisError) {
                 console.error('[COST ANALYSIS ERROR]:', analysisError);
@@ -2581,6 +2627,12 @@ router.post('/cost-analysis', authMiddleware, async (req, res) => {
         console.log(`Recommended: ${costAnalysis.recommended_provider}`);
         console.log(`Cost Range: ${costAnalysis.recommended_cost_range?.formatted}`);
 
+        // History keeps USD; everything shown from here on (rankings, ranges, scenarios, report) is in the display currency
+        const usdCostAnalysis = costAnalysis;
+        if (currency !== currencyService.BASE_CURRENCY) {
+            costAnalysis = currencyService.localizeCostAnalysis(costAnalysis, currency);
+        }
+
         // Defensive Patching for Step 3 Response
         const safeProvider = costAnalysis.recommended_provider || 'AWS';
         const safeDetails = costAnalysis.provider_details?.[safeProvider] || {};
@@ -2638,6 +2690,12 @@ router.post('/cost-analysis', authMiddleware, async (req, res) => {
             } catch (saveError) {
                 console.error('[STEP 3] Error saving updated infraSpec to workspace:', saveError);
             }
+
+            // Keep the estimate and the price sheet behind it, so it can be compared and reproduced later
+            if (usdCostAnalysis.rankings?.length) {
+                costHistoryService.saveCostEstimate(workspace_id, { ...usdCostAnalysis, cost_profile: costProfile, purchase_option: purchaseOption })
+                    .catch(historyError => console.error('[STEP 3] Error saving cost history:', historyError.message));
+            }
         }
 
         // Ensure explicit undefined checks for critical fields
@@ -2649,9 +2707,14 @@ router.post('/cost-analysis', authMiddleware, async (req, res) => {
                 analysis_status: aiExplanation ? 'SUCCESS' : 'PARTIAL_SUCCESS',
 
                 cost_profile: costProfile,
+                purchase_option: purchaseOption,
+                free_tier: freeTierMode,
                 deployment_type: costAnalysis.deployment_type || 'standard',
                 scale_tier: costAnalysis.scale_tier || 'medium',
 
+                // Display currency and the exchange rate behind it (USD originals sit beside each figure as *_usd)
+                currency: costAnalysis.currency || { code: currencyService.BASE_CURRENCY, exchange_rate: 1 },
+
                 // Rankings (sorted by score)
                 rankings: costAnalysis.rankings || [],
 
@@ -2687,6 +2750,9 @@ router.post('/cost-analysis', authMiddleware, async (req, res) => {
                 // ═══════════════════════════════════════════════════════
                 scenarios: costAnalysis.scenarios || {},
 
+                // On-demand vs 1-year / 3-year commitments vs spot, with break-even points
+                purchase_options: costAnalysis.purchase_options || null,
+
                 // Overall cost range across all profiles
                 cost_range: costAnalysis.cost_range || safeRange,
 
@@ -3145,7 +3211,8 @@ router.post('/architecture', authMiddleware, async (req, res) => {
 
         // Map to provider-specific services
         const architectureDiagramService = require('../services/core/architectureDiagramService');
-        const providerArchitecture = architectureDiagramService.mapToProvider(canonicalArchitecture, provider);
+        // Edges carry the monthly traffic behind the estimate's data-transfer line item
+        const providerArchitecture = architectureDiagramService.mapToProvider(canonicalArchitecture, provider, usage_profile);
 
         // Generate services list
         const services = architectureDiagramService.generateServicesList(providerArchitecture, provider);
@@ -3420,7 +3487,7 @@ router.post('/architecture-display', async (req, res) => {
  * NEW: Export Generated Terraform as Zip
  * GET /api/workflow/export-terraform
  */
-router.get('/export-terraform', async (req, res) => {
+router.get('/export-terraform', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.query('workspaceId'), { optional: true }), async (req, res) => {
     console.log('[API] Request to export Terraform zip');
     try {
         const targetProvider = req.query.provider ? req.query.provider.toLowerCase() : null;
@@ -3428,11 +3495,12 @@ router.get('/export-terraform', async (req, res) => {
         console.log(`[EXPORT] Target provider: ${targetProvider || 'ALL'}, Workspace: ${workspaceId || 'N/A'}`);
 
         let exportDir = null;
+        let decisionRecords = [];
 
-        // PATH A: High-Fidelity Export (using Workspace Data)
-        if (workspaceId && targetProvider) {
+        // PATH A: High-Fidelity Export (using Workspace Data) - only for a workspace the caller can view
+        if (req.access && targetProvider) {
             try {
-                const wsRes = await pool.query("SELECT state_json, name FROM workspaces WHERE id = $1", [workspaceId]);
+                const wsRes = await pool.query("SELECT id, state_json, name, save_count FROM workspaces WHERE id = $1", [workspaceId]);
                 if (wsRes.rows.length > 0) {
                     const infraSpec = wsRes.rows[0].state_json?.infraSpec;
                     const projectName = wsRes.rows[0].state_json?.infraSpec?.project_name || wsRes.rows[0].name || 'cloudiverse-project';
@@ -3441,6 +3509,13 @@ router.get('/export-terraform', async (req, res) => {
                         console.log('[EXPORT] Generating fresh full-project export...');
                         // Generate fresh full project
                         exportDir = await infracostService.generateFullProjectExport(infraSpec, targetProvider, projectName);
+
+                        // Decision records travel with the code (read-only: new ones are recorded from the workspace routes)
+                        try {
+                            decisionRecords = await decisionRecordService.listDecisionRecords(wsRes.rows[0].id);
+                        } catch (adrErr) {
+                            console.warn(`[EXPORT] Decision records skipped: ${adrErr.message}`);
+                        }
                     }
                 }
             } catch (dbErr) {
@@ -3512,6 +3587,7 @@ This zip file contains the generated Terraform configuration for your architectu
 - \`gcp/\`: Terraform configuration for Google Cloud Platform
 - \`azure/\`: Terraform configuration for Microsoft Azure
 - \`canonical_architecture.json\`: Machine-readable architecture definition
+- \`docs/adr/\`: Architecture decision records (why this pattern, these services and this provider)
 
 ## 🚀 How to Deploy
 
@@ -3550,6 +3626,10 @@ This configuration uses **local state** (\`terraform.tfstate\`). For team collab
 
         archive.append(readmeContent, { name: 'README.md' });
 
+        decisionRecords.forEach(record => {
+            archive.append(decisionRecordService.toMarkdown(record), { name: `docs/adr/${decisionRecordService.markdownFileName(record)}` });
+        });
+
         archive.finalize();
 
     } catch (error) {
@@ -3563,28 +3643,35 @@ This configuration uses **local state** (\`terraform.tfstate\`). For team collab
 // ═══════════════════════════════════════════════════════════════════
 
 // Step 6: Trigger Infrastructure Provisioning (Terraform Apply)
-router.post('/deploy/terraform', authMiddleware, async (req, res) => {
+// Pass `environment` to plan one of the workspace's named environments
+router.post('/deploy/terraform', authMiddleware, authorizeWorkspace('DEPLOY', workspaceFrom.body()), async (req, res) => {
     try {
-        const { workspace_id, provider } = req.body;
-        console.log(`[DEPLOY:TF] Starting job for workspace ${workspace_id}`);
-
-        // Fetch workspace to get actual services and connection data
-        const wsResult = await pool.query(
-            `SELECT w.state_json 
-             FROM workspaces w 
-             JOIN projects p ON w.project_id = p.id 
-             WHERE w.id = $1 AND p.owner_id = $2`,
-            [workspace_id, req.user.id]
-        );
+        const { workspace_id, provider, environment: environmentName } = req.body;
+        console.log(`[DEPLOY:TF] Starting job for workspace ${workspace_id}${environmentName ? ` (environment '${environmentName}')` : ''}`);
 
-        if (!wsResult.rows.length) {
-            return res.status(404).json({ error: 'Workspace not found' });
-        }
+        // Workspace (loaded by the authorization check) holds the services and connection data
+        const stateJson = req.access.workspace.state_json || {};
 
-        const stateJson = wsResult.rows[0].state_json || {};
-        const infraSpec = stateJson.infraSpec || {};
+        // A named environment deploys its own (possibly promoted) architecture into its own state
+        const environment = environmentName ? await environmentService.getEnvironment(workspace_id, environmentName) : null;
+        if (environmentName && !environment) {
+            return res.status(404).json({ error: `Environment '${environmentName}' not found` });
+        }
+        const storedSpec = environment ? environmentService.getEffectiveInfraSpec(environment, stateJson) : stateJson.infraSpec;
+        const infraSpec = storedSpec || {};
         let connectionData = stateJson.connection || {};
 
+        // Budgets with block_deploy refuse a deployment whose estimate is over their hard amount
+        try {
+            await budgetService.assertDeployAllowed(workspace_id, provider);
+        } catch (budgetError) {
+            if (budgetError.statusCode !== 409) throw budgetError;
+            return res.status(409).json({ error: budgetError.message, budget: budgetError.budget, evaluation: budgetError.evaluation });
+        }
+
+        // Hash the stored spec before request-level edits; approve compares against it to reject stale plans
+        const infraSpecHash = planService.hashInfraSpec(storedSpec);
+
         // 🔥 MERGE USER REMOVALS INTO TERMINAL EXCLUSIONS (for Terraform)
         if (req.body.removedServices && Array.isArray(req.body.removedServices)) {
             const userRemoved = req.body.removedServices.map(s => s.service_name || s.id || s);
@@ -3607,9 +3694,17 @@ router.post('/deploy/terraform', authMiddleware, async (req, res) => {
         if (!connectionData.status || connectionData.status !== 'connected' || isAzureMissingToken) {
             console.log(`[DEPLOY:TF] Connection in state_json is ${connectionData.status || 'missing'} or incomplete. Refreshing from User Profile...`);
 
-            // 1. Try User Profile (Primary Source of Truth for Credentials)
+            // 0. Organization workspaces use the organization's shared connection
             let foundInProfile = false;
-            const userCreds = await User.getCloudCredentials(req.user.id);
+            const orgConnection = await organizationService.getOrganizationConnection(req.access.organizationId, provider);
+            if (orgConnection) {
+                connectionData = orgConnection;
+                console.log(`[DEPLOY:TF] ✅ Using organization ${req.access.organizationId} connection.`);
+                foundInProfile = true;
+            }
+
+            // 1. Try User Profile (Primary Source of Truth for Credentials)
+            const userCreds = foundInProfile ? null : await User.getCloudCredentials(req.user.id);
             if (userCreds && userCreds[provider.toLowerCase()]) {
                 const savedConn = userCreds[provider.toLowerCase()];
                 connectionData = {
@@ -3655,7 +3750,7 @@ router.post('/deploy/terraform', authMiddleware, async (req, res) => {
 
         console.log(`[DEPLOY:TF] Deploying ${deployableServices.length} services for ${provider}`);
 
-        const job = terraformExecutor.createJob('terraform', workspace_id, { provider, services: deployableServices });
+        let job;
 
         // ─── REAL TERRAFORM EXECUTION ───────────────────────────────────────────
         if (terraformExecutor.isRealExecutionEnabled()) {
@@ -3713,7 +3808,7 @@ router.post('/deploy/terraform', authMiddleware, async (req, res) => {
             if (provider.toLowerCase() === 'azure') defaultRegion = 'centralindia';
             if (provider.toLowerCase() === 'gcp') defaultRegion = 'asia-south1';
 
-            let region = infraSpec.resolved_region?.resolved || infraSpec.region?.logical || defaultRegion;
+            let region = environment?.region || infraSpec.resolved_region?.resolved || infraSpec.region?.logical || defaultRegion;
 
             // Fix generic dash logic if likely AWS
             if (provider.toLowerCase() === 'aws' && region && /^[a-z]+-[a-z]+\d$/.test(region) === false && region.match(/[a-z]+[a-z]+\d/)) {
@@ -3722,13 +3817,16 @@ router.post('/deploy/terraform', authMiddleware, async (req, res) => {
             console.log(`[DEPLOY:TF] Using normalized region: ${region}`);
             const projectName = stateJson.projectData?.name || 'cloudiverse-project';
 
+            // Remote state backend (S3+DynamoDB / GCS / azurerm) in the user's account
+            const stateBackend = await stateBackendService.resolveForWorkspace(providerLower, workspace_id, connectionData, environment?.name);
+
             console.log('[DEPLOY:TF] Generating Terraform files for real execution...');
             const tfResult = await terraformGenerator.generateTerraform(
                 infraSpec.canonical_architecture,
                 provider,
                 region,
                 projectName,
-                { connectionData }
+                { connectionData, stateBackend, ...(environment && environmentService.getTerraformOptions(environment, providerLower)) }
             );
 
             // DEBUG: Log contents of connectionData before execution
@@ -3738,41 +3836,204 @@ router.post('/deploy/terraform', authMiddleware, async (req, res) => {
                 credentials: connectionData.credentials ? 'PRESENT' : 'MISSING'
             }, null, 2));
 
-            // Start async real execution
+            // Persist the job only once all gates have passed
+            job = await terraformExecutor.createJob('terraform', workspace_id, { provider, services: deployableServices, environment: environment?.name }, req.user.id);
+
+            // Start async real execution (plan only - apply waits for /plans/:planId/approve)
             terraformExecutor.startRealTerraformExecution(
                 job.id,
                 provider,
                 workspace_id,
                 tfResult.files,  // Pass the generated files object
-                connectionData   // Pass cloud credentials
+                connectionData,  // Pass cloud credentials
+                { infraSpecHash, userId: req.user.id, environment: environment?.name }
             );
 
-            console.log('[DEPLOY:TF] Real Terraform execution started');
+            console.log('[DEPLOY:TF] Real Terraform plan started');
         } else {
             // ─── SIMULATION MODE ────────────────────────────────────────────────────
             console.log('[DEPLOY:TF] 🔄 Running in SIMULATION mode');
+            job = await terraformExecutor.createJob('terraform', workspace_id, { provider, services: deployableServices, environment: environment?.name }, req.user.id);
             terraformExecutor.startTerraformSimulation(job.id, provider, deployableServices);
         }
 
         res.json({
             success: true,
             jobId: job.id,
-            mode: terraformExecutor.isRealExecutionEnabled() ? 'real' : 'simulation'
+            environment: environment?.name || null,
+            mode: terraformExecutor.isRealExecutionEnabled() ? 'real' : 'simulation',
+            // Real runs stop after plan; poll the job until stage 'awaiting_approval', then approve metadata.planId
+            requiresApproval: terraformExecutor.isRealExecutionEnabled()
         });
     } catch (error) {
         console.error('[DEPLOY:TF] Error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * Load a Terraform plan with its workspace state (access is checked by authorizeWorkspace)
+ */
+async function getPlanWithWorkspace(planId) {
+    const result = await pool.query(
+        `SELECT tp.*, w.state_json AS workspace_state
+         FROM terraform_plans tp
+         JOIN workspaces w ON tp.workspace_id = w.id
+         WHERE tp.id = $1`,
+        [planId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Architecture a plan must still match: its environment's spec, or the workspace's
+ */
+async function getPlanInfraSpec(plan) {
+    if (!plan.environment) return plan.workspace_state?.infraSpec;
+    const environment = await environmentService.getEnvironment(plan.workspace_id, plan.environment);
+    return environment ? environmentService.getEffectiveInfraSpec(environment, plan.workspace_state) : null;
+}
+
+/**
+ * GET /api/workflow/deploy/terraform/plans/:planId
+ * Reviewable plan summary (creates/updates/replaces/destroys per module).
+ * Pass ?full=true to include the stored `terraform show -json` output.
+ */
+router.get('/deploy/terraform/plans/:planId', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.plan()), async (req, res) => {
+    try {
+        const plan = await getPlanWithWorkspace(req.params.planId);
+        if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+        const view = planService.toPlanView(plan);
+        view.stale = plan.status === planService.PLAN_STATES.PENDING_APPROVAL &&
+            planService.hashInfraSpec(await getPlanInfraSpec(plan)) !== plan.infra_spec_hash;
+        if (req.query.full === 'true') view.plan = plan.plan_json;
+
+        res.json(view);
+    } catch (error) {
+        console.error('[DEPLOY:PLAN] Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/workflow/deploy/terraform/:workspaceId/plan
+ * Latest plan for a workspace (?environment=<name> for one of its environments)
+ */
+router.get('/deploy/terraform/:workspaceId/plan', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.param('workspaceId')), async (req, res) => {
+    try {
+        const latest = await planService.getLatestPlan(req.params.workspaceId, req.query.environment || null);
+        const plan = latest && await getPlanWithWorkspace(latest.id);
+        if (!plan) return res.status(404).json({ error: 'No plan found for this workspace' });
+
+        res.json(planService.toPlanView(plan));
+    } catch (error) {
+        console.error('[DEPLOY:PLAN] Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/workflow/deploy/terraform/plans/:planId/approve
+ * Apply exactly the saved plan. Rejected if the workspace infraSpec changed since planning.
+ */
+router.post('/deploy/terraform/plans/:planId/approve', authMiddleware, authorizeWorkspace('DEPLOY', workspaceFrom.plan()), async (req, res) => {
+    try {
+        const plan = await getPlanWithWorkspace(req.params.planId);
+        if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+        if (plan.status !== planService.PLAN_STATES.PENDING_APPROVAL) {
+            return res.status(409).json({ error: `Plan is ${plan.status} and cannot be approved.` });
+        }
+
+        const stateJson = plan.workspace_state || {};
+        if (planService.hashInfraSpec(await getPlanInfraSpec(plan)) !== plan.infra_spec_hash) {
+            await planService.setPlanStatus(plan.id, planService.PLAN_STATES.STALE, {
+                fromStatus: planService.PLAN_STATES.PENDING_APPROVAL
+            });
+            return res.status(409).json({
+                error: 'Plan is stale',
+                details: 'The architecture changed after this plan was generated. Please run a new plan.'
+            });
+        }
+
+        const activeJobs = await terraformExecutor.getActiveJobs(plan.workspace_id);
+        if (activeJobs.some(j => j.status === 'running')) {
+            return res.status(409).json({ error: 'Another operation is in progress for this workspace.' });
+        }
+
+        let connectionData = stateJson.connection || {};
+        if (connectionData.status !== 'connected') {
+            const orgConn = await organizationService.getOrganizationConnection(req.access.organizationId, plan.provider);
+            const savedConn = orgConn || (await User.getCloudCredentials(req.user.id))?.[plan.provider.toLowerCase()];
+            if (!savedConn) {
+                return res.status(400).json({ error: 'Cloud connection required to apply this plan.', connectionRequired: true });
+            }
+            connectionData = { ...savedConn, status: 'connected', verified: true, provider: plan.provider.toLowerCase() };
+        }
+
+        // Atomic transition - a second approver gets a 409
+        const approved = await planService.approvePlan(plan.id, req.user.id);
+        if (!approved) {
+            return res.status(409).json({ error: 'Plan was already approved or is no longer pending.' });
+        }
+
+        const job = await terraformExecutor.createJob('terraform', plan.workspace_id, { provider: plan.provider, planId: plan.id, phase: 'apply', environment: plan.environment }, req.user.id);
+        await planService.setPlanStatus(plan.id, planService.PLAN_STATES.APPROVED, { applyJobId: job.id });
+
+        await auditService.logAction(req.user.id, auditService.ACTIONS.TERRAFORM_PLAN_APPROVED, { planId: plan.id, summary: plan.summary?.totals }, {
+            workspaceId: plan.workspace_id,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        terraformExecutor.startTerraformApply(job.id, plan.id, plan.provider, plan.workspace_id, connectionData);
+
+        res.json({ success: true, jobId: job.id, planId: plan.id });
+    } catch (error) {
+        console.error('[DEPLOY:APPROVE] Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/workflow/deploy/terraform/plans/:planId/reject
+ */
+router.post('/deploy/terraform/plans/:planId/reject', authMiddleware, authorizeWorkspace('DEPLOY', workspaceFrom.plan()), async (req, res) => {
+    try {
+        const plan = await getPlanWithWorkspace(req.params.planId);
+        if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+        if (plan.status !== planService.PLAN_STATES.PENDING_APPROVAL) {
+            return res.status(409).json({ error: `Plan is ${plan.status} and cannot be rejected.` });
+        }
+
+        const rejected = await planService.setPlanStatus(plan.id, planService.PLAN_STATES.REJECTED, {
+            fromStatus: planService.PLAN_STATES.PENDING_APPROVAL
+        });
+        if (!rejected) {
+            return res.status(409).json({ error: 'Plan is no longer pending.' });
+        }
+        await auditService.logAction(req.user.id, auditService.ACTIONS.TERRAFORM_PLAN_REJECTED, { planId: plan.id }, {
+            workspaceId: plan.workspace_id,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+        res.json({ success: true, plan: planService.toPlanView(rejected) });
+    } catch (error) {
+        console.error('[DEPLOY:REJECT] Error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // Step 7: Trigger Application Deployment
-router.post('/deploy/resources', authMiddleware, async (req, res) => {
+router.post('/deploy/resources', authMiddleware, authorizeWorkspace('DEPLOY', workspaceFrom.body()), async (req, res) => {
     try {
         const { workspace_id, provider, source_type, repo_url, docker_image } = req.body;
         console.log(`[DEPLOY:APP] Starting app deploy for ${workspace_id}`);
 
         const target = source_type === 'github' ? repo_url : docker_image;
-        const job = terraformExecutor.createJob('app', workspace_id, { provider, source_type, target });
+        const job = await terraformExecutor.createJob('app', workspace_id, { provider, source_type, target }, req.user.id);
 
         // Start async
         terraformExecutor.startAppDeploySimulation(job.id, source_type, target);
@@ -3784,20 +4045,45 @@ router.post('/deploy/resources', authMiddleware, async (req, res) => {
     }
 });
 
-// Poll Status
-router.get('/deploy/:jobId/status', authMiddleware, (req, res) => {
-    const job = terraformExecutor.getJob(req.params.jobId);
+// Poll Status (served from the persisted job store)
+router.get('/deploy/:jobId/status', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.job()), async (req, res) => {
+    try {
+        const job = await terraformExecutor.getJob(req.params.jobId);
+        if (!job) return res.status(404).json({ error: "Job not found" });
+        res.json(job);
+    } catch (error) {
+        console.error('[DEPLOY:STATUS] Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/workflow/deploy/:jobId/stream
+ * Server-Sent Events: `log` events (id = log index, resumable via Last-Event-ID)
+ * and a final `end` event with the terminal status.
+ */
+router.get('/deploy/:jobId/stream', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.job()), async (req, res) => {
+    const { jobId } = req.params;
+    const job = await terraformExecutor.getJob(jobId).catch(() => null);
     if (!job) return res.status(404).json({ error: "Job not found" });
-    res.json(job);
+
+    logStream.streamLogs(req, res, {
+        channel: `job:${jobId}`,
+        terminalStates: jobQueue.TERMINAL_STATES,
+        loadSnapshot: async () => {
+            const current = await terraformExecutor.getJob(jobId);
+            return current && { logs: current.logs, status: current.status, stage: current.stage, error: current.error, metadata: current.metadata };
+        }
+    });
 });
 
 // ═══════════════════════════════════════════════════════════════════
 // TERRAFORM DESTROY (Pro Plan Only)
 // ═══════════════════════════════════════════════════════════════════
-router.post('/deploy/terraform/destroy', authMiddleware, async (req, res) => {
+router.post('/deploy/terraform/destroy', authMiddleware, authorizeWorkspace('DESTROY', workspaceFrom.body()), async (req, res) => {
     try {
-        const { workspace_id, provider } = req.body;
-        console.log(`[DESTROY:TF] Starting destroy job for workspace ${workspace_id}`);
+        const { workspace_id, provider, environment: environmentName } = req.body;
+        console.log(`[DESTROY:TF] Starting destroy job for workspace ${workspace_id}${environmentName ? ` (environment '${environmentName}')` : ''}`);
 
         // 🔒 PRO PLAN CHECK
         const userResult = await pool.query(
@@ -3816,22 +4102,15 @@ router.post('/deploy/terraform/destroy', authMiddleware, async (req, res) => {
             });
         }
 
-        // Fetch workspace context
-        const wsResult = await pool.query(
-            `SELECT w.state_json 
-             FROM workspaces w 
-             JOIN projects p ON w.project_id = p.id 
-             WHERE w.id = $1 AND p.owner_id = $2`,
-            [workspace_id, req.user.id]
-        );
+        // Workspace context (loaded by the authorization check)
+        const stateJson = req.access.workspace.state_json || {};
+        const connectionData = stateJson.connection || {};
 
-        if (!wsResult.rows.length) {
-            return res.status(404).json({ error: 'Workspace not found' });
+        const environment = environmentName ? await environmentService.getEnvironment(workspace_id, environmentName) : null;
+        if (environmentName && !environment) {
+            return res.status(404).json({ error: `Environment '${environmentName}' not found` });
         }
-
-        const stateJson = wsResult.rows[0].state_json || {};
-        const connectionData = stateJson.connection || {};
-        const infraSpec = stateJson.infraSpec || {};
+        const infraSpec = environment ? environmentService.getEffectiveInfraSpec(environment, stateJson) : (stateJson.infraSpec || {});
 
         // Verify cloud connection
         if (!connectionData.status || connectionData.status !== 'connected') {
@@ -3842,7 +4121,7 @@ router.post('/deploy/terraform/destroy', authMiddleware, async (req, res) => {
         }
 
         // 🛡️ SAFETY CHECK 1: Deployment in progress?
-        const activeJobs = terraformExecutor.getActiveJobs(workspace_id);
+        const activeJobs = await terraformExecutor.getActiveJobs(workspace_id);
         const hasRunningJob = activeJobs.some(j => j.status === 'running');
         if (hasRunningJob) {
             return res.status(409).json({
@@ -3861,24 +4140,42 @@ router.post('/deploy/terraform/destroy', authMiddleware, async (req, res) => {
         // but the user requested a check.
 
         // Create destroy job
-        const job = terraformExecutor.createJob('destroy', workspace_id, { provider });
+        const job = await terraformExecutor.createJob('destroy', workspace_id, { provider, environment: environment?.name }, req.user.id);
 
         if (terraformExecutor.isRealExecutionEnabled()) {
             console.log('[DESTROY:TF] ⚡ REAL TERRAFORM DESTROY ENABLED');
 
             // Get region
-            let region = infraSpec.resolved_region?.resolved || infraSpec.region?.logical || 'ap-south-1';
+            let region = environment?.region || infraSpec.resolved_region?.resolved || infraSpec.region?.logical || 'ap-south-1';
             if (region && /^[a-z]+-[a-z]+\d$/.test(region) === false && region.match(/[a-z]+[a-z]+\d/)) {
                 region = region.replace(/([a-z]+)-?([a-z]+)(\d)/, "$1-$2-$3");
             }
 
+            // Regenerate the configuration so a lost local workspace can be rebuilt from remote state
+            let terraformFiles = null;
+            const stateBackend = stateBackendService.getBackendConfig(connectionData.state_backend, workspace_id, environment?.name);
+            if (stateBackend && infraSpec.canonical_architecture) {
+                const terraformGenerator = require('../services/infrastructure/terraformGeneratorV2');
+                const projectName = stateJson.projectData?.name || 'cloudiverse-project';
+                const tfResult = await terraformGenerator.generateTerraform(
+                    infraSpec.canonical_architecture,
+                    provider,
+                    region,
+                    projectName,
+                    { connectionData, stateBackend, ...(environment && environmentService.getTerraformOptions(environment, provider)) }
+                );
+                terraformFiles = tfResult.files;
+            }
+
             // Start destroy execution
             terraformExecutor.startTerraformDestroy(
                 job.id,
                 provider,
                 workspace_id,
                 connectionData,
-                region
+                region,
+                terraformFiles,
+                environment?.name
             );
 
             console.log('[DESTROY:TF] Terraform destroy started');
@@ -3950,7 +4247,8 @@ Output ONLY valid JSON in this exact format:
             systemPrompt: 'You are a cloud architecture expert. Always respond with valid JSON only.',
             userMessage: prompt,
             temperature: 0.3,
-            maxTokens: 500
+            maxTokens: 500,
+            input: { description: user_description, selectedServices: selected_services, availableServiceIds }
         });
 
         // Parse AI response
@@ -4040,13 +4338,13 @@ function generateFallbackSuggestions(domains, selectedServices) {
 // [REMOVED DUPLICATE DEPLOY/TERRAFORM ROUTE]
 
 // Step 7: Trigger Application Deployment
-router.post('/deploy/resources', authMiddleware, async (req, res) => {
+router.post('/deploy/resources', authMiddleware, authorizeWorkspace('DEPLOY', workspaceFrom.body()), async (req, res) => {
     try {
         const { workspace_id, provider, source_type, repo_url, docker_image, branch } = req.body;
         console.log(`[DEPLOY:APP] Starting app deploy for ${workspace_id} (branch: ${branch})`);
 
         const target = source_type === 'github' ? repo_url : docker_image;
-        const job = terraformExecutor.createJob('app', workspace_id, { provider, source_type, target, branch });
+        const job = await terraformExecutor.createJob('app', workspace_id, { provider, source_type, target, branch }, req.user.id);
 
         // Start async
         terraformExecutor.startAppDeploySimulation(job.id, source_type, target, branch);
@@ -4059,10 +4357,15 @@ router.post('/deploy/resources', authMiddleware, async (req, res) => {
 });
 
 // Poll Job Status
-router.get('/deploy/:jobId/status', authMiddleware, (req, res) => {
-    const job = terraformExecutor.getJob(req.params.jobId);
-    if (!job) return res.status(404).json({ error: "Job not found" });
-    res.json(job);
+router.get('/deploy/:jobId/status', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE', workspaceFrom.job()), async (req, res) => {
+    try {
+        const job = await terraformExecutor.getJob(req.params.jobId);
+        if (!job) return res.status(404).json({ error: "Job not found" });
+        res.json(job);
+    } catch (error) {
+        console.error('[DEPLOY:STATUS] Error:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
 module.exports = router;
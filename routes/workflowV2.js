@@ -17,6 +17,7 @@ const aiService = require('../services/ai/aiService');
 const patternResolver = require('../services/core/patternResolver');
 const integrityService = require('../services/core/integrityService');
 const serviceDisplay = require('../services/shared/serviceDisplay');
+const assumptionsGenerator = require('../services/ai/assumptionsGenerator');
 const authMiddleware = require('../middleware/auth');
 
 // POST /api/workflow/v2/analyze
@@ -172,6 +173,8 @@ router.post('/analyze', authMiddleware, async (req, res) => {
             project_name: aiIntent.project_info?.name || aiIntent.project_name || "New Project",
             project_summary: aiIntent.project_info?.description || `Optimized ${aiIntent.intent_classification.workload_type} architecture for ${aiIntent.intent_classification.primary_domain}.`,
             architecture_pattern: typeof architecture.selectedPattern === 'string' ? architecture.selectedPattern : architecture.selectedPattern.id,
+            // Capability scores of the other patterns (decision record evidence)
+            pattern_resolution: patternResolver.scorePatternAlternatives(aiIntent),
             explanations: explanations,
             // 🔥 REQUIRED for Cost Analysis fallback
             services: architecture.servicesContract.required_services || architecture.servicesContract.services || [],
@@ -197,6 +200,17 @@ router.post('/analyze', authMiddleware, async (req, res) => {
             costs: null
         };
 
+        // Assumptions, including any AI output that failed validation and was defaulted
+        const confidentAxes = Object.entries(aiIntent.axes || {})
+            .filter(([, axis]) => axis?.confidence >= 0.6)
+            .map(([key]) => (key === 'estimated_mau' ? 'scale' : key));
+        infraSpec.assumptions_summary = assumptionsGenerator.generateAssumptionsSummary(
+            { nfr: architecture.requirements.nfr },
+            preIntentContext.raw_description,
+            { provided: confidentAxes },
+            [aiIntent.output_validation]
+        );
+
         // Enforce integrity (reuse V1 logic)
         integrityService.sanitizeInfraSpec(architecture.selectedPattern, infraSpec);
 
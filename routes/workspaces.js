@@ -2,15 +2,23 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const authMiddleware = require('../middleware/auth');
+const { authorizeWorkspace, workspaceFrom } = require('../middleware/authorize');
+const authorizationService = require('../services/shared/authorizationService');
 const emailService = require('../utils/emailService');
 const billingService = require('../services/billing/billingService');
+const driftService = require('../services/infrastructure/driftService');
+const environmentService = require('../services/infrastructure/environmentService');
+const budgetService = require('../services/cost/budgetService');
+const jobQueue = require('../services/infrastructure/jobQueue');
+const refinementService = require('../services/core/refinementService');
+const decisionRecordService = require('../services/core/decisionRecordService');
 
 /**
  * @route POST /api/workspaces/save
  * @desc Save current draft state (Creates new or Updates existing)
  * @access Private
  */
-router.post('/save', authMiddleware, async (req, res) => {
+router.post('/save', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE', workspaceFrom.body('workspaceId'), { optional: true }), async (req, res) => {
   try {
     const { workspaceId, projectId, name, step, state } = req.body;
 
@@ -19,7 +27,8 @@ router.post('/save', authMiddleware, async (req, res) => {
       return res.status(400).json({ msg: "Step and State are required" });
     }
 
-    let currentWorkspaceId = workspaceId;
+    // A workspaceId the authorization check couldn't find falls through to creating a new copy
+    let currentWorkspaceId = req.access ? workspaceId : null;
     let targetProjectId = projectId;
 
     // 1. UPDATE EXISTING WORKSPACE
@@ -68,10 +77,13 @@ router.post('/save', authMiddleware, async (req, res) => {
     }
 
     // 2. CREATE NEW PROJECT (IF NEEDED) OR VERIFY EXISTENCE
-    // If we have a targetProjectId, we must ensure it actually exists in the DB.
+    // If we have a targetProjectId, we must ensure it actually exists in the DB (and the user may edit it).
     // If it doesn't exist (e.g. user cleared DB), we must create a NEW one to avoid FK error.
     if (targetProjectId) {
-      const projCheck = await pool.query("SELECT id FROM projects WHERE id = $1", [targetProjectId]);
+      const projCheck = await pool.query(
+        `SELECT id FROM projects p WHERE p.id = $1 AND ${authorizationService.accessibleProjectsClause('$2', 'EDIT_WORKSPACE')}`,
+        [targetProjectId, String(req.user.id)]
+      );
       if (projCheck.rows.length === 0) {
         console.log(`Project ${targetProjectId} not found. Creating new project container.`);
         targetProjectId = null; // Reset to force creation below
@@ -117,20 +129,9 @@ router.post('/save', authMiddleware, async (req, res) => {
  * @desc Get workspace state by ID
  * @access Private
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE'), async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const result = await pool.query(
-      "SELECT * FROM workspaces WHERE id = $1",
-      [id]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ msg: "Workspace not found" });
-    }
-
-    res.json(result.rows[0]);
+    res.json({ ...req.access.workspace, access_role: req.access.role });
   } catch (err) {
     console.error("Get Workspace Error:", err);
     res.status(500).send("Server Error");
@@ -144,9 +145,18 @@ router.get('/:id', authMiddleware, async (req, res) => {
  */
 router.post('/', authMiddleware, async (req, res) => {
   try {
-    const { name, description, project_data } = req.body;
+    const { name, description, project_data, organization_id: organizationId } = req.body;
     const userId = req.user.id;
 
+    // Creating inside an organization needs a role that may add projects to it
+    if (organizationId) {
+      const orgRole = await authorizationService.getOrganizationRole(organizationId, userId);
+      if (!orgRole) return res.status(404).json({ msg: "Organization not found" });
+      if (!authorizationService.hasPermission(orgRole, 'ADD_PROJECT')) {
+        return res.status(403).json({ msg: `Your ${orgRole} role cannot create projects in this organization` });
+      }
+    }
+
     // 1. Check Usage Limits (Free Tier = 3 Projects)
     const planStatus = await billingService.getPlanStatus(userId);
 
@@ -193,8 +203,8 @@ router.post('/', authMiddleware, async (req, res) => {
 
     // 2. Create Project
     const projRes = await pool.query(
-      "INSERT INTO projects (name, description, owner_id) VALUES ($1, $2, $3) RETURNING id",
-      [name || "Untitled Project", description, req.user?.id || null]
+      "INSERT INTO projects (name, description, owner_id, organization_id) VALUES ($1, $2, $3, $4) RETURNING id",
+      [name || "Untitled Project", description, req.user?.id || null, organizationId || null]
     );
     const projectId = projRes.rows[0].id;
 
@@ -218,6 +228,7 @@ router.post('/', authMiddleware, async (req, res) => {
     res.json({
       id: workspaceRes.rows[0].id,
       project_id: projectId,
+      organization_id: organizationId || null,
       name: name,
       description: description,
       created_at: workspaceRes.rows[0].updated_at // using updated_at as created proxy
@@ -250,10 +261,11 @@ router.get('/', authMiddleware, async (req, res) => {
         w.project_id,
         w.state_json,
         p.description, 
-        p.created_at 
+        p.created_at,
+        p.organization_id
       FROM workspaces w 
       JOIN projects p ON w.project_id = p.id 
-      WHERE p.owner_id = $1::varchar
+      WHERE ${authorizationService.accessibleProjectsClause('$1::varchar')}
       ORDER BY w.updated_at DESC`,
       [String(userId)] // Ensure it's a string for VARCHAR comparison
     );
@@ -272,7 +284,7 @@ router.get('/', authMiddleware, async (req, res) => {
  * @desc Delete a workspace (and its parent project to clean up)
  * @access Private
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, authorizeWorkspace('DELETE_WORKSPACE'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -318,7 +330,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
  * @desc Mark workspace as ACTIVE DEPLOYMENT and increment active_deployments count
  * @access Private
  */
-router.put('/:id/deploy', authMiddleware, async (req, res) => {
+router.put('/:id/deploy', authMiddleware, authorizeWorkspace('DEPLOY'), async (req, res) => {
   try {
     const { id } = req.params;
     const { deployment_method, provider } = req.body;
@@ -453,7 +465,7 @@ router.put('/:id/deploy', authMiddleware, async (req, res) => {
  * @desc Toggle using_suggestion preference for self-deployment projects
  * @access Private
  */
-router.put('/:id/suggestion-preference', authMiddleware, async (req, res) => {
+router.put('/:id/suggestion-preference', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
   try {
     const { id } = req.params;
     const { using_suggestion } = req.body;
@@ -500,26 +512,13 @@ router.put('/:id/suggestion-preference', authMiddleware, async (req, res) => {
  * @desc Toggle project live/offline status
  * @access Private
  */
-router.put('/:id/live-status', authMiddleware, async (req, res) => {
+router.put('/:id/live-status', authMiddleware, authorizeWorkspace('DEPLOY'), async (req, res) => {
   try {
     const { id } = req.params;
     const { is_live } = req.body;
 
-    // Get current state_json with robust ownership check (Project Owner OR Workspace User)
-    const wsRes = await pool.query(
-      `SELECT w.state_json 
-       FROM workspaces w
-       JOIN projects p ON w.project_id = p.id
-       WHERE w.id = $1 AND (p.owner_id = $2 OR w.user_id = $2)`,
-      [id, String(req.user.id)]
-    );
-
-    if (wsRes.rows.length === 0) {
-      return res.status(404).json({ msg: "Workspace not found" });
-    }
-
     // Update state_json with live status AND enforce step='deployed'
-    const currentState = wsRes.rows[0].state_json || {};
+    const currentState = req.access.workspace.state_json || {};
     const updatedState = {
       ...currentState,
       is_live: is_live,
@@ -556,7 +555,7 @@ router.put('/:id/live-status', authMiddleware, async (req, res) => {
  * @desc Update workspace name and description
  * @access Private
  */
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, description } = req.body;
@@ -616,4 +615,480 @@ router.put('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route GET /api/workspaces/:id/drift
+ * @desc Latest drift check, recent history, schedule and any running check (?environment= for one environment)
+ * @access Private
+ */
+router.get('/:id/drift', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+    const environment = req.query.environment || null;
+    const env = environment ? await environmentService.getEnvironment(workspace.id, environment) : null;
+    if (environment && !env) {
+      return res.status(404).json({ msg: `Environment '${environment}' not found` });
+    }
+
+    const [history, schedule, activeJobs] = await Promise.all([
+      driftService.getDriftHistory(workspace.id, parseInt(req.query.limit, 10) || 10, environment),
+      driftService.getSchedule(workspace.id),
+      jobQueue.getActiveJobs(workspace.id, jobQueue.JOB_TYPES.DRIFT)
+    ]);
+
+    const latest = history[0] || null;
+    res.json({
+      workspaceId: workspace.id,
+      environment,
+      deploymentStatus: env ? env.deployment_status : workspace.deployment_status,
+      drifted: latest ? latest.action === driftService.DRIFT_ACTIONS.DETECTED : null,
+      latest,
+      history,
+      schedule,
+      runningJobId: activeJobs.find(job => (job.metadata?.environment || null) === environment)?.id || null
+    });
+  } catch (err) {
+    console.error("Get Drift Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route POST /api/workspaces/:id/drift
+ * @desc Start a drift check now ({ environment } to check one environment; poll or stream the returned job)
+ * @access Private
+ */
+router.post('/:id/drift', authMiddleware, authorizeWorkspace('DEPLOY'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const job = await driftService.startDriftCheck(workspace.id, {
+      userId: req.user.id,
+      trigger: 'manual',
+      environment: req.body?.environment || null
+    });
+    res.status(202).json({ jobId: job.id, status: job.status });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Start Drift Check Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route PUT /api/workspaces/:id/drift/schedule
+ * @desc Schedule recurring drift checks ({ intervalHours, enabled })
+ * @access Private
+ */
+router.put('/:id/drift/schedule', authMiddleware, authorizeWorkspace('DEPLOY'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const { intervalHours = 24, enabled = true } = req.body;
+    const schedule = await driftService.upsertSchedule(workspace.id, { intervalHours, enabled, userId: req.user.id });
+    res.json({ schedule });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Schedule Drift Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route DELETE /api/workspaces/:id/drift/schedule
+ * @desc Stop recurring drift checks
+ * @access Private
+ */
+router.delete('/:id/drift/schedule', authMiddleware, authorizeWorkspace('DEPLOY'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const deleted = await driftService.deleteSchedule(workspace.id);
+    res.json({ msg: deleted ? "Drift schedule removed" : "No drift schedule configured" });
+  } catch (err) {
+    console.error("Delete Drift Schedule Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:id/environments
+ * @desc Named environments of a workspace (dev / staging / prod ...)
+ * @access Private
+ */
+router.get('/:id/environments', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const environments = await environmentService.listEnvironments(workspace.id);
+    res.json({ environments: environments.map(env => environmentService.toEnvironmentView(env)) });
+  } catch (err) {
+    console.error("List Environments Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route POST /api/workspaces/:id/environments
+ * @desc Create an environment ({ name, region, sizingTier, tfvars })
+ * @access Private
+ */
+router.post('/:id/environments', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const { name, region, sizingTier, tfvars } = req.body;
+    const environment = await environmentService.createEnvironment(
+      workspace.id,
+      { name, region, sizingTier, tfvars, userId: req.user.id },
+      workspace.state_json?.infraSpec
+    );
+    res.status(201).json({ environment: environmentService.toEnvironmentView(environment) });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Create Environment Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:id/environments/:env
+ * @desc One environment with its deployment history
+ * @access Private
+ */
+router.get('/:id/environments/:env', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const environment = await environmentService.requireEnvironment(workspace.id, req.params.env);
+    res.json({ environment: environmentService.toEnvironmentView(environment, { includeHistory: true }) });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Get Environment Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route PUT /api/workspaces/:id/environments/:env
+ * @desc Change an environment's region, sizing tier or tfvars
+ * @access Private
+ */
+router.put('/:id/environments/:env', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const { region, sizingTier, tfvars } = req.body;
+    const environment = await environmentService.updateEnvironment(workspace.id, req.params.env, { region, sizingTier, tfvars });
+    res.json({ environment: environmentService.toEnvironmentView(environment) });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Update Environment Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route DELETE /api/workspaces/:id/environments/:env
+ * @desc Remove an environment without live infrastructure
+ * @access Private
+ */
+router.delete('/:id/environments/:env', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    await environmentService.deleteEnvironment(workspace.id, req.params.env);
+    res.json({ msg: "Environment deleted" });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Delete Environment Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:id/environments/:env/cost
+ * @desc Monthly cost estimate at the environment's sizing tier
+ * @access Private
+ */
+router.get('/:id/environments/:env/cost', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const environment = await environmentService.requireEnvironment(workspace.id, req.params.env);
+    const cost = await environmentService.estimateEnvironmentCost(environment, workspace.state_json || {}, req.query.costProfile);
+    res.json(cost);
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Environment Cost Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route POST /api/workspaces/:id/environments/:env/promote
+ * @desc Carry the deployed architecture and image of { from } into this environment.
+ *       If the architecture changed, plan this environment next and promote again once applied.
+ * @access Private
+ */
+router.post('/:id/environments/:env/promote', authMiddleware, authorizeWorkspace('DEPLOY'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const { from } = req.body;
+    if (!from) return res.status(400).json({ msg: "Source environment (from) is required" });
+
+    const result = await environmentService.promoteEnvironment(workspace, { from, to: req.params.env, userId: req.user.id });
+    res.json({ ...result, environment: environmentService.toEnvironmentView(result.environment) });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Promote Environment Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:id/budgets
+ * @desc Budgets on this workspace and on its project, with their latest status
+ * @access Private
+ */
+router.get('/:id/budgets', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const [budgets, projectBudgets, estimatedCost] = await Promise.all([
+      budgetService.listBudgets({ workspaceId: workspace.id }),
+      budgetService.listBudgets({ projectId: workspace.project_id }),
+      budgetService.getWorkspaceCost(workspace.id)
+    ]);
+    res.json({
+      budgets: budgets.map(budgetService.toBudgetView),
+      projectBudgets: projectBudgets.map(budgetService.toBudgetView),
+      estimatedMonthlyCostUsd: estimatedCost
+    });
+  } catch (err) {
+    console.error("List Budgets Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route POST /api/workspaces/:id/budgets
+ * @desc Create a budget ({ name, currency, warningAmount, hardAmount, blockDeploy, notifyEmail, webhookUrl })
+ * @access Private
+ */
+router.post('/:id/budgets', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const check = await budgetService.createBudget({ workspaceId: workspace.id }, req.body, req.user.id);
+    res.status(201).json({ budget: budgetService.toBudgetView(check.budget) });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Create Budget Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route PUT /api/workspaces/:id/budgets/:budgetId
+ * @desc Change a budget's name, currency, thresholds or notifications
+ * @access Private
+ */
+router.put('/:id/budgets/:budgetId', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const check = await budgetService.updateBudget({ workspaceId: workspace.id }, req.params.budgetId, req.body);
+    res.json({ budget: budgetService.toBudgetView(check.budget) });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Update Budget Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route DELETE /api/workspaces/:id/budgets/:budgetId
+ * @desc Remove a budget
+ * @access Private
+ */
+router.delete('/:id/budgets/:budgetId', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    await budgetService.deleteBudget({ workspaceId: workspace.id }, req.params.budgetId);
+    res.json({ msg: "Budget deleted" });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Delete Budget Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:id/budgets/:budgetId/alerts
+ * @desc Warnings and breaches a budget has raised, newest first
+ * @access Private
+ */
+router.get('/:id/budgets/:budgetId/alerts', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const alerts = await budgetService.getBudgetAlerts({ workspaceId: workspace.id }, req.params.budgetId, parseInt(req.query.limit, 10) || 50);
+    res.json({ alerts });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Budget Alerts Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:id/refinements
+ * @desc Chat edits of the architecture (proposed, applied, undone ...), newest first
+ * @access Private
+ */
+router.get('/:id/refinements', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const refinements = await refinementService.listRefinements(workspace.id, parseInt(req.query.limit, 10) || 20);
+    res.json({ refinements: refinements.map(refinementService.toRefinementView) });
+  } catch (err) {
+    console.error("List Refinements Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route POST /api/workspaces/:id/refinements
+ * @desc Propose an edit from a chat message ({ message }): change set, validation and cost delta.
+ *       Nothing changes until it is applied.
+ * @access Private
+ */
+router.post('/:id/refinements', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const refinement = await refinementService.proposeRefinement(workspace, req.user.id, req.body.message);
+    res.status(201).json({ refinement: refinementService.toRefinementView(refinement) });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Propose Refinement Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route POST /api/workspaces/:id/refinements/undo
+ * @desc Restore the services from before the last applied refinement
+ * @access Private
+ */
+router.post('/:id/refinements/undo', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const { refinement, infraSpec } = await refinementService.undoLastRefinement(workspace);
+    res.json({ refinement: refinementService.toRefinementView(refinement), infraSpec });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Undo Refinement Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route POST /api/workspaces/:id/refinements/:refinementId/apply
+ * @desc Apply a proposed refinement after confirmation
+ * @access Private
+ */
+router.post('/:id/refinements/:refinementId/apply', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const { refinement, infraSpec } = await refinementService.applyRefinement(workspace, req.params.refinementId);
+    res.json({ refinement: refinementService.toRefinementView(refinement), infraSpec });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Apply Refinement Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route DELETE /api/workspaces/:id/refinements/:refinementId
+ * @desc Reject a proposed refinement
+ * @access Private
+ */
+router.delete('/:id/refinements/:refinementId', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const refinement = await refinementService.rejectRefinement(workspace, req.params.refinementId);
+    res.json({ refinement: refinementService.toRefinementView(refinement) });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Reject Refinement Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:id/decisions
+ * @desc Architecture decision records, newest first
+ * @access Private
+ */
+router.get('/:id/decisions', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const records = await decisionRecordService.listDecisionRecords(workspace.id);
+    res.json({ decisions: records.map(decisionRecordService.toDecisionRecordView) });
+  } catch (err) {
+    console.error("List Decision Records Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route POST /api/workspaces/:id/decisions
+ * @desc Record the current architecture's decisions (201 when new, 200 when unchanged since the last record)
+ * @access Private
+ */
+router.post('/:id/decisions', authMiddleware, authorizeWorkspace('EDIT_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const { record, created } = await decisionRecordService.recordDecisions(workspace, req.user.id);
+    res.status(created ? 201 : 200).json({ decision: decisionRecordService.toDecisionRecordView(record), created });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Record Decisions Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:id/decisions/:number
+ * @desc One decision record; ?format=markdown downloads it as an ADR Markdown file
+ * @access Private
+ */
+router.get('/:id/decisions/:number', authMiddleware, authorizeWorkspace('VIEW_WORKSPACE'), async (req, res) => {
+  try {
+    const { workspace } = req.access;
+
+    const record = await decisionRecordService.getDecisionRecord(workspace.id, req.params.number);
+    if (req.query.format === 'markdown') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename=${decisionRecordService.markdownFileName(record)}`);
+      return res.send(decisionRecordService.toMarkdown(record));
+    }
+    res.json({ decision: decisionRecordService.toDecisionRecordView(record) });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ msg: err.message });
+    console.error("Get Decision Record Error:", err);
+    res.status(500).send("Server Error");
+  }
+});
+
+module.exports = router;
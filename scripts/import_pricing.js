@@ -0,0 +1,100 @@
+/**
+ * Import a provider's bulk pricing files into the pricing catalog (no network access needed)
+ *
+ * Usage:
+ *   node scripts/import_pricing.js <aws|gcp|azure> <file...> [--version v] [--base v] [--activate]
+ *   node scripts/import_pricing.js <aws|gcp|azure> <file...> --out catalog/pricing/<version>.json
+ *   node scripts/import_pricing.js activate <version>
+ *   node scripts/import_pricing.js list
+ *
+ * Files:
+ *   aws   - Price List offer files, e.g. offers/v1.0/aws/AmazonS3/current/us-east-1/index.json
+ *           (use index.csv for AmazonEC2 / AmazonRDS, which are too large for JSON)
+ *   gcp   - Cloud Billing Catalog SKU listings (services/<id>/skus responses)
+ *   azure - Retail Prices API responses (prices.azure.com/api/retail/prices pages)
+ *
+ * --out writes the new sheet as JSON instead of storing it in the database.
+ */
+
+const fs = require('fs');
+require('dotenv').config();
+const pool = require('../config/db');
+const pricingCatalog = require('../services/cost/pricingCatalog');
+
+function parseArgs(argv) {
+    const args = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--activate') args.activate = true;
+        else if (arg === '--version') args.version = argv[++i];
+        else if (arg === '--base') args.baseVersion = argv[++i];
+        else if (arg === '--out') args.out = argv[++i];
+        else if (!args.command) args.command = arg;
+        else args.files.push(arg);
+    }
+    return args;
+}
+
+async function listSheets() {
+    await pricingCatalog.loadActiveSheet();
+    const sheets = await pricingCatalog.listSheets();
+    for (const sheet of sheets) {
+        const providers = Object.keys(sheet.sources || {}).join(', ') || 'baseline';
+        console.log(`${sheet.is_active ? '*' : ' '} ${sheet.version.padEnd(32)} ${String(sheet.effective_date || '').slice(0, 10).padEnd(10)} ${sheet.origin.padEnd(8)} ${providers}`);
+    }
+}
+
+async function importFiles(args) {
+    // Offline (--out) imports build on the shipped sheets; otherwise start from the database's active sheet
+    if (!args.out) await pricingCatalog.loadActiveSheet();
+
+    const { sheet, updated, missing } = await pricingCatalog.importBulkFiles({
+        provider: args.command,
+        files: args.files,
+        version: args.version,
+        baseVersion: args.baseVersion
+    });
+
+    for (const change of updated) {
+        const marker = change.previous === change.value ? ' ' : '~';
+        console.log(`${marker} ${change.key.padEnd(45)} ${String(change.previous).padStart(14)} -> ${change.value}  (${change.sku})`);
+    }
+    if (missing.length > 0) {
+        console.log(`\nNot found in the files (carried over from ${sheet.derived_from}):\n  ${missing.join('\n  ')}`);
+    }
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(sheet, null, 2) + '\n');
+        console.log(`\nWrote price sheet ${sheet.version} to ${args.out}`);
+        return;
+    }
+
+    await pricingCatalog.saveSheet(sheet, { activate: args.activate, importedBy: process.env.USER || null });
+    console.log(`\nSaved price sheet ${sheet.version}${args.activate ? ' (active)' : ''}`);
+}
+
+async function run() {
+    const args = parseArgs(process.argv.slice(2));
+
+    try {
+        if (args.command === 'list') {
+            await listSheets();
+        } else if (args.command === 'activate') {
+            await pricingCatalog.activateSheet(args.files[0]);
+        } else if (['aws', 'gcp', 'azure'].includes(args.command)) {
+            await importFiles(args);
+        } else {
+            console.log('Usage: node scripts/import_pricing.js <aws|gcp|azure> <file...> [--version v] [--base v] [--activate] [--out file]');
+            console.log('       node scripts/import_pricing.js activate <version>');
+            console.log('       node scripts/import_pricing.js list');
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Pricing import failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+run();
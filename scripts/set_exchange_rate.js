@@ -0,0 +1,36 @@
+/**
+ * Add or correct a dated exchange rate used to show estimates in INR / EUR
+ *
+ * Usage:
+ *   node scripts/set_exchange_rate.js <INR|EUR> <rate per USD> [effective date YYYY-MM-DD] [source]
+ *
+ * Example:
+ *   node scripts/set_exchange_rate.js INR 86.4 2025-02-01 "RBI reference rate"
+ */
+
+require('dotenv').config();
+const pool = require('../config/db');
+const currencyService = require('../services/cost/currencyService');
+
+async function run() {
+    const [currency, rate, effectiveDate, source] = process.argv.slice(2);
+
+    if (!currency || !rate) {
+        console.log('Usage: node scripts/set_exchange_rate.js <INR|EUR> <rate per USD> [effective date YYYY-MM-DD] [source]');
+        process.exitCode = 1;
+        await pool.end();
+        return;
+    }
+
+    try {
+        const saved = await currencyService.setExchangeRate(currency, rate, effectiveDate, source || null);
+        console.log(`1 USD = ${saved.rate} ${saved.currency} from ${saved.effective_date}`);
+    } catch (error) {
+        console.error('Setting exchange rate failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+run();
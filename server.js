@@ -3,6 +3,11 @@ const cors = require('cors');
 const helmet = require('helmet');
 require('dotenv').config();
 const pool = require('./config/db');
+const jobQueue = require('./services/infrastructure/jobQueue');
+const driftService = require('./services/infrastructure/driftService');
+const pricingCatalog = require('./services/cost/pricingCatalog');
+const currencyService = require('./services/cost/currencyService');
+const actualCost = require('./services/cost/actualCost');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -117,7 +122,7 @@ pool.query('SELECT NOW()', async (err, res) => {
       CREATE TABLE IF NOT EXISTS deployments (
           id SERIAL PRIMARY KEY,
           workspace_id INTEGER REFERENCES workspaces(id),
-          source_type VARCHAR(20) NOT NULL, -- 'github' | 'docker'
+          source_type VARCHAR(20) NOT NULL, -- 'github' | 'docker' | 'rollback'
           status VARCHAR(20) DEFAULT 'pending', -- pending, running, success, failed
           url TEXT,
           commit_hash VARCHAR(100),
@@ -127,6 +132,11 @@ pool.query('SELECT NOW()', async (err, res) => {
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- 4a. Shipped image per deployment (immutable tags + rollback)
+      ALTER TABLE deployments ADD COLUMN IF NOT EXISTS image_ref TEXT;
+      ALTER TABLE deployments ADD COLUMN IF NOT EXISTS image_digest VARCHAR(100);
+      ALTER TABLE deployments ADD COLUMN IF NOT EXISTS rollback_of INTEGER REFERENCES deployments(id);
+
       -- 5. Create GitHub Installations table (now used for OAuth)
       CREATE TABLE IF NOT EXISTS github_installations (
           id SERIAL PRIMARY KEY,
@@ -141,6 +151,286 @@ pool.query('SELECT NOW()', async (err, res) => {
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- 5b. Create jobs table (durable Terraform / deploy / destroy jobs)
+      CREATE TABLE IF NOT EXISTS jobs (
+          id VARCHAR(100) PRIMARY KEY,
+          type VARCHAR(20) NOT NULL, -- 'terraform' | 'app' | 'destroy' | 'drift' | 'cost_reconcile' | 'workflow'
+          workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+          user_id VARCHAR(255),
+          status VARCHAR(20) NOT NULL DEFAULT 'init', -- init/pending, running, completed/success, failed, interrupted
+          stage VARCHAR(50),
+          logs JSONB DEFAULT '[]'::jsonb,
+          exit_codes JSONB DEFAULT '{}'::jsonb, -- { init: 0, plan: 0, apply: 1 }
+          error TEXT,
+          metadata JSONB DEFAULT '{}'::jsonb,
+          worker_id VARCHAR(255),
+          claimed_at TIMESTAMP,
+          heartbeat_at TIMESTAMP,
+          started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          completed_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_workspace ON jobs(workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+
+      -- 5c. Create terraform_plans table (plan -> approve -> apply)
+      CREATE TABLE IF NOT EXISTS terraform_plans (
+          id SERIAL PRIMARY KEY,
+          workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+          job_id VARCHAR(100),
+          provider VARCHAR(20),
+          status VARCHAR(30) NOT NULL DEFAULT 'PENDING_APPROVAL', -- PENDING_APPROVAL, APPROVED, APPLIED, FAILED, REJECTED, STALE, SUPERSEDED
+          infra_spec_hash VARCHAR(64) NOT NULL,
+          plan_file_hash VARCHAR(64),
+          plan_json JSONB,
+          summary JSONB DEFAULT '{}'::jsonb,
+          created_by VARCHAR(255),
+          approved_by VARCHAR(255),
+          approved_at TIMESTAMP,
+          apply_job_id VARCHAR(100),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_terraform_plans_workspace ON terraform_plans(workspace_id, created_at DESC);
+
+      -- 5d. Create drift_schedules table (periodic refresh-only drift checks)
+      CREATE TABLE IF NOT EXISTS drift_schedules (
+          workspace_id INTEGER PRIMARY KEY REFERENCES workspaces(id) ON DELETE CASCADE,
+          interval_hours INTEGER NOT NULL DEFAULT 24,
+          enabled BOOLEAN DEFAULT TRUE,
+          created_by VARCHAR(255),
+          last_run_at TIMESTAMP,
+          next_run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_drift_schedules_due ON drift_schedules(next_run_at) WHERE enabled;
+
+      -- 5e. Create workspace_environments table (dev / staging / prod per workspace)
+      CREATE TABLE IF NOT EXISTS workspace_environments (
+          id SERIAL PRIMARY KEY,
+          workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+          name VARCHAR(20) NOT NULL,
+          region VARCHAR(50),
+          sizing_tier VARCHAR(10) NOT NULL DEFAULT 'MEDIUM', -- SMALL, MEDIUM, LARGE
+          tfvars JSONB DEFAULT '{}'::jsonb,
+          infra_spec JSONB,
+          deployed_infra_spec JSONB,
+          infra_outputs JSONB,
+          image_ref TEXT,
+          deployment_status VARCHAR(50) DEFAULT 'DRAFT',
+          deployment_history JSONB DEFAULT '[]'::jsonb,
+          promoted_from VARCHAR(20),
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (workspace_id, name)
+      );
+
+      ALTER TABLE terraform_plans ADD COLUMN IF NOT EXISTS environment VARCHAR(20);
+      ALTER TABLE deployments ADD COLUMN IF NOT EXISTS environment VARCHAR(20);
+
+      -- 5f. Create organization tables (team access with viewer / architect / deployer / admin roles)
+      CREATE TABLE IF NOT EXISTS organizations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS organization_members (
+          organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+          user_id VARCHAR(255) NOT NULL,
+          role VARCHAR(20) NOT NULL DEFAULT 'viewer', -- viewer, architect, deployer, admin
+          invited_by VARCHAR(255),
+          joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (organization_id, user_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS organization_invitations (
+          id SERIAL PRIMARY KEY,
+          organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+          email VARCHAR(255) NOT NULL,
+          role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+          token_hash VARCHAR(64) NOT NULL UNIQUE,
+          invited_by VARCHAR(255),
+          expires_at TIMESTAMP NOT NULL,
+          accepted_at TIMESTAMP,
+          accepted_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS organization_cloud_connections (
+          id SERIAL PRIMARY KEY,
+          organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+          provider VARCHAR(20) NOT NULL,
+          connection_data JSONB NOT NULL,
+          shared_by VARCHAR(255),
+          connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (organization_id, provider)
+      );
+
+      ALTER TABLE projects ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_org_members_user ON organization_members(user_id);
+      CREATE INDEX IF NOT EXISTS idx_projects_organization ON projects(organization_id);
+      CREATE INDEX IF NOT EXISTS idx_audit_workspace ON audit_log(workspace_id);
+
+      -- 5g. Create pricing_sheets table (versioned pricing catalog imported from bulk pricing files)
+      CREATE TABLE IF NOT EXISTS pricing_sheets (
+          version VARCHAR(64) PRIMARY KEY,
+          description TEXT,
+          currency VARCHAR(3) DEFAULT 'USD',
+          effective_date DATE,
+          sources JSONB DEFAULT '{}'::jsonb,
+          sheet JSONB NOT NULL,
+          is_active BOOLEAN DEFAULT FALSE,
+          imported_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE cost_history ADD COLUMN IF NOT EXISTS price_sheet_version VARCHAR(64);
+
+      -- 5h. Create exchange_rates table (dated USD -> INR / EUR rates for displaying estimates)
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+          currency VARCHAR(3) NOT NULL,
+          rate NUMERIC(14,6) NOT NULL,
+          effective_date DATE NOT NULL,
+          source TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (currency, effective_date)
+      );
+
+      -- 5i. Purchasing option behind each cost estimate (on_demand, commit_1y, commit_3y, spot)
+      ALTER TABLE cost_history ADD COLUMN IF NOT EXISTS purchase_option VARCHAR(20) DEFAULT 'on_demand';
+
+      -- 5j. Budgets per workspace or project (warning / hard thresholds) and the alerts they raised
+      CREATE TABLE IF NOT EXISTS budgets (
+          id SERIAL PRIMARY KEY,
+          workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+          project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+          name VARCHAR(255) NOT NULL,
+          currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+          warning_amount NUMERIC(12,2),
+          hard_amount NUMERIC(12,2),
+          block_deploy BOOLEAN DEFAULT FALSE,
+          notify_email BOOLEAN DEFAULT TRUE,
+          webhook_url TEXT,
+          created_by VARCHAR(255),
+          last_status VARCHAR(20) DEFAULT 'ok',
+          last_estimated_cost NUMERIC(12,2),
+          last_checked_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          CHECK ((workspace_id IS NULL) <> (project_id IS NULL))
+      );
+
+      CREATE TABLE IF NOT EXISTS budget_alerts (
+          id SERIAL PRIMARY KEY,
+          budget_id INTEGER REFERENCES budgets(id) ON DELETE CASCADE,
+          workspace_id INTEGER REFERENCES workspaces(id) ON DELETE SET NULL,
+          status VARCHAR(20) NOT NULL,
+          estimated_cost NUMERIC(12,2),
+          threshold NUMERIC(12,2),
+          currency VARCHAR(3),
+          source VARCHAR(30),
+          provider VARCHAR(20),
+          notified_email BOOLEAN DEFAULT FALSE,
+          webhook_status INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE cost_history ADD COLUMN IF NOT EXISTS is_recommended BOOLEAN DEFAULT FALSE;
+
+      CREATE INDEX IF NOT EXISTS idx_budgets_workspace ON budgets(workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_budgets_project ON budgets(project_id);
+      CREATE INDEX IF NOT EXISTS idx_budget_alerts_budget ON budget_alerts(budget_id);
+
+      -- 5k. Billed cost of deployed workspaces next to their cost_history estimate (one row per month)
+      CREATE TABLE IF NOT EXISTS actual_costs (
+          id SERIAL PRIMARY KEY,
+          workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+          provider VARCHAR(20) NOT NULL,
+          period_start DATE NOT NULL,
+          period_end DATE NOT NULL,
+          billing_currency VARCHAR(3) DEFAULT 'USD',
+          actual_cost NUMERIC(12,2),
+          actual_monthly_cost NUMERIC(12,2),
+          estimated_cost NUMERIC(12,2),
+          variance NUMERIC(12,2),
+          variance_pct NUMERIC(8,1),
+          cost_history_id INTEGER REFERENCES cost_history(id) ON DELETE SET NULL,
+          cost_feedback_id INTEGER REFERENCES cost_feedback(id) ON DELETE SET NULL,
+          category_variance JSONB DEFAULT '[]'::jsonb,
+          billed_services JSONB DEFAULT '[]'::jsonb,
+          tag VARCHAR(255),
+          source VARCHAR(50),
+          fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (workspace_id, provider, period_start)
+      );
+
+      -- 5l. Login sessions: one per device, holding the hash of its current refresh token
+      CREATE TABLE IF NOT EXISTS user_sessions (
+          id SERIAL PRIMARY KEY,
+          user_id VARCHAR(255) NOT NULL,
+          refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+          previous_token_hash VARCHAR(64),
+          device_id VARCHAR(255),
+          device_name VARCHAR(255),
+          ip_address VARCHAR(64),
+          user_agent TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          rotated_at TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          revoked_at TIMESTAMP,
+          revoked_reason VARCHAR(50)
+      );
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
+
+      -- 5m. Conversational architecture edits: proposed change sets, applied ones double as undo history
+      CREATE TABLE IF NOT EXISTS architecture_refinements (
+          id SERIAL PRIMARY KEY,
+          workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+          user_id VARCHAR(255),
+          message TEXT NOT NULL,
+          summary TEXT,
+          change_set JSONB NOT NULL DEFAULT '{}'::jsonb,
+          validation JSONB DEFAULT '{}'::jsonb,
+          cost_delta JSONB DEFAULT '{}'::jsonb,
+          status VARCHAR(20) NOT NULL DEFAULT 'proposed',
+          base_hash VARCHAR(64) NOT NULL,
+          before_contract JSONB NOT NULL,
+          after_contract JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          applied_at TIMESTAMP,
+          undone_at TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_architecture_refinements_workspace ON architecture_refinements(workspace_id, created_at DESC);
+
+      -- 5n. Architecture decision records: one per change of a workspace's decisions, newest accepted
+      CREATE TABLE IF NOT EXISTS architecture_decision_records (
+          id SERIAL PRIMARY KEY,
+          workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+          number INTEGER NOT NULL,
+          workspace_version INTEGER,
+          decision_hash VARCHAR(64) NOT NULL,
+          title TEXT NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'accepted',
+          superseded_by INTEGER,
+          record JSONB NOT NULL,
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (workspace_id, number)
+      );
+
       -- 6. Create Indexes for Analytics Tables
       CREATE INDEX IF NOT EXISTS idx_templates_category ON infrastructure_templates(category);
       CREATE INDEX IF NOT EXISTS idx_cost_history_workspace ON cost_history(workspace_id);
@@ -260,6 +550,35 @@ pool.query('SELECT NOW()', async (err, res) => {
     } catch (migErr) {
       console.error("Auto-Migration Failed:", migErr);
     }
+
+    // Recover from a restart: fail orphaned jobs and release stuck workspaces,
+    // then keep sweeping for jobs whose worker stopped heartbeating
+    try {
+      await jobQueue.reconcileOrphanedJobs({ boot: true });
+    } catch (jobErr) {
+      console.error("Job Reconciliation Failed:", jobErr);
+    }
+    jobQueue.startOrphanReconciler();
+
+    // Price sheet imported into the database takes over from the shipped baseline
+    try {
+      await pricingCatalog.loadActiveSheet();
+    } catch (pricingErr) {
+      console.error("Pricing Catalog Load Failed:", pricingErr);
+    }
+
+    // Exchange rates added since the shipped table
+    try {
+      await currencyService.loadExchangeRates();
+    } catch (rateErr) {
+      console.error("Exchange Rate Load Failed:", rateErr);
+    }
+
+    // Scheduled drift checks (refresh-only plans against deployed workspaces)
+    driftService.startDriftScheduler();
+
+    // Daily billed-vs-estimated cost reconciliation of deployed workspaces
+    actualCost.startReconciliationScheduler();
   }
 });
 
@@ -327,6 +646,7 @@ app.use('/api', feedbackRoutes); // Feedback mounts at root /api/feedback usuall
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/architecture', architectureRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/organizations', require('./routes/organizations')); // Teams & role-based access
 app.use('/api/billing', billingRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/cloud', cloudRoutes);
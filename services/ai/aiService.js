@@ -1,11 +1,6 @@
-const Groq = require('groq-sdk');
 require('dotenv').config();
-
-console.log("Checking Groq API Key:", process.env.GROQ_API_KEY ? "Present" : "Missing");
-
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY
-});
+const llm = require('./llm');
+const { TASKS } = llm;
 
 // 🔒 MASTER SYSTEM PROMPT (PASTE AS-IS)
 // REQUIRED FOR ALL AI INTERACTIONS
@@ -202,30 +197,22 @@ Remember:
       { role: "user", content: stepPrompt }
     ];
 
-    const completion = await groq.chat.completions.create({
+    const { value, validation } = await llm.completeJSON(TASKS.INTENT, {
       messages: messages,
-      model: process.env.AI_MODEL || "llama-3.1-8b-instant",
       temperature: 0.1,
-      response_format: { type: "json_object" }
-    });
-
-    let result;
-    try {
-      result = JSON.parse(completion.choices[0]?.message?.content || "{}");
-    } catch (parseErr) {
-      console.error("AI JSON Parse Error:", parseErr);
-      result = getDefaultIntentResult();
-    }
+      input: { description: userInput }
+    }, { fallback: getDefaultIntentResult() });
 
-    // Validate and normalize the result
-    result = normalizeAIResult(result);
+    // Validated against the intent contract; normalizeAIResult only trims the question list
+    let result = normalizeAIResult(value);
+    result.output_validation = validation;
 
     console.log("AI Step 1 Output:", JSON.stringify(result, null, 2));
     return result;
 
   } catch (error) {
     console.error("Intent Norm Error:", error.message);
-    return getDefaultIntentResult();
+    return withFallbackValidation(getDefaultIntentResult(), TASKS.INTENT, error);
   }
 };
 
@@ -276,32 +263,24 @@ const normalizeIntentV2 = async (preIntentContext) => {
       { role: "user", content: inputPrompt }
     ];
 
-    const completion = await groq.chat.completions.create({
+    const { value, validation } = await llm.completeJSON(TASKS.INTENT_V2, {
       messages: messages,
-      model: process.env.AI_MODEL || "llama-3.1-8b-instant",
       temperature: 0.1,
-      response_format: { type: "json_object" }
-    });
-
-    let result;
-    try {
-      result = JSON.parse(completion.choices[0]?.message?.content || "{}");
-    } catch (parseErr) {
-      console.error("AI V2 JSON Parse Error:", parseErr);
-      return getDefaultIntentResult();
-    }
+      input: { preIntentContext }
+    }, { fallback: getDefaultIntentResult() });
 
     // V2 Normalization
-    result = normalizeAIResult(result);
+    let result = normalizeAIResult(value);
     result.version = "v2";
     result.source = "ai_v2";
+    result.output_validation = validation;
 
     console.log("AI Step 1 (V2) Output:", JSON.stringify(result, null, 2));
     return result;
 
   } catch (error) {
     console.error("Intent V2 Error:", error.message);
-    return getDefaultIntentResult();
+    return withFallbackValidation(getDefaultIntentResult(), TASKS.INTENT_V2, error);
   }
 };
 
@@ -335,6 +314,21 @@ function getDefaultIntentResult() {
   };
 }
 
+/**
+ * Mark a step's fallback output as entirely defaulted (same shape as llm.completeJSON validation)
+ */
+function withFallbackValidation(result, task, error) {
+  result.output_validation = {
+    task,
+    valid: false,
+    source: "fallback",
+    repairs: 0,
+    errors: [error.message],
+    defaulted_fields: [{ path: "*", value: null, reason: error.message }]
+  };
+  return result;
+}
+
 /**
  * Normalize and validate AI result to ensure all required fields exist
  */
@@ -539,37 +533,43 @@ CRITICAL: The "explanations" object must contain EXACTLY 4 key-value pairs repre
       { role: "user", content: stepPrompt }
     ];
 
-    const completion = await groq.chat.completions.create({
+    const { value: result, validation } = await llm.completeJSON(TASKS.PROPOSAL, {
       messages: messages,
-      model: process.env.AI_MODEL || "llama-3.1-8b-instant",
       temperature: 0.1,
-      response_format: { type: "json_object" }
-    });
+      input: { intent: intentObject }
+    }, { fallback: getDefaultProposal() });
 
-    const result = JSON.parse(completion.choices[0]?.message?.content || "{}");
+    result.output_validation = validation;
     console.log("AI Step 2 Output:", JSON.stringify(result, null, 2));
     return result;
   } catch (error) {
     console.error("AI Proposal Error:", error.message);
     // Return safe fallback instead of throwing
-    return {
-      architecture_pattern: "generic_web_application",
-      component_roles: {
-        networking: { isolation_required: true },
-        compute: { execution_model: "orchestrated_runtime", stateful: false, scaling_driver: "cpu_utilization" },
-        data: { database_type: "relational", consistency: "strong", write_intensity: "medium" },
-        cache: { recommended: true, purpose: "read_acceleration" },
-        observability: { importance: "medium" }
-      },
-      risk_review: { security: [], availability: [], cost: [] },
-      review_scores: { architecture_soundness: 75, security_posture: 75, operational_readiness: 75 },
-      explanations: { fallback: "AI analysis failed, using safe defaults" },
-      project_name: "CloudApp",
-      project_summary: "Cloud-native application"
-    };
+    return withFallbackValidation(getDefaultProposal(), TASKS.PROPOSAL, error);
   }
 };
 
+/**
+ * Safe Step 2 proposal, used for error fallback and for fields the AI got wrong
+ */
+function getDefaultProposal() {
+  return {
+    architecture_pattern: "generic_web_application",
+    component_roles: {
+      networking: { isolation_required: true },
+      compute: { execution_model: "orchestrated_runtime", stateful: false, scaling_driver: "cpu_utilization" },
+      data: { database_type: "relational", consistency: "strong", write_intensity: "medium" },
+      cache: { recommended: true, purpose: "read_acceleration" },
+      observability: { importance: "medium" }
+    },
+    risk_review: { security: [], availability: [], cost: [] },
+    review_scores: { architecture_soundness: 75, security_posture: 75, operational_readiness: 75 },
+    explanations: { fallback: "AI analysis failed, using safe defaults" },
+    project_name: "CloudApp",
+    project_summary: "Cloud-native application"
+  };
+}
+
 // STEP 2 SCORING SYSTEM PROMPT (from Step2.txt)
 const SCORING_SYSTEM_PROMPT = `
 You are an infrastructure review and scoring assistant inside a deterministic backend system.
@@ -672,34 +672,40 @@ Never invent missing infrastructure. Never output an overall score.
       { role: "user", content: scoringPrompt }
     ];
 
-    const completion = await groq.chat.completions.create({
+    const { value: result, validation } = await llm.completeJSON(TASKS.SCORING, {
       messages: messages,
-      model: process.env.AI_MODEL || "llama-3.1-8b-instant",
       temperature: 0.1,
-      response_format: { type: "json_object" }
-    });
+      input: { intentObject, infraSpec, provenance }
+    }, { fallback: getDefaultScoring() });
 
-    const result = JSON.parse(completion.choices[0]?.message?.content || "{}");
+    result.output_validation = validation;
     console.log("AI Scoring Output:", JSON.stringify(result, null, 2));
     return result;
   } catch (error) {
     console.error("AI Scoring Error:", error.message);
     // Return safe fallback
-    return {
-      category_scores: {
-        architecture_soundness: 75,
-        security_posture: 75,
-        reliability: 75,
-        operational_readiness: 75
-      },
-      risk_alignment: { critical_risks: [], moderate_risks: [], low_risks: [] },
-      strengths: ["Architecture follows standard patterns"],
-      weaknesses: ["Scoring AI unavailable, using default assessment"],
-      confidence_statement: "Default assessment due to AI unavailability."
-    };
+    return withFallbackValidation(getDefaultScoring(), TASKS.SCORING, error);
   }
 };
 
+/**
+ * Neutral category scores, used for error fallback and for fields the AI got wrong
+ */
+function getDefaultScoring() {
+  return {
+    category_scores: {
+      architecture_soundness: 75,
+      security_posture: 75,
+      reliability: 75,
+      operational_readiness: 75
+    },
+    risk_alignment: { critical_risks: [], moderate_risks: [], low_risks: [] },
+    strengths: ["Architecture follows standard patterns"],
+    weaknesses: ["Scoring AI unavailable, using default assessment"],
+    confidence_statement: "Default assessment due to AI unavailability."
+  };
+}
+
 /**
  * STEP 3 — AI Cost Recommendation Explanation
  * AI explains rankings, service choices, and tradeoffs
@@ -754,18 +760,18 @@ const explainOutcomes = async (rankings, costProfile, infraSpec, usageProfile, c
     ${costContext.missing_components?.map(m => m.name).join(', ')}
     `;
 
-    const completion = await groq.chat.completions.create({
+    const completion = await llm.complete(TASKS.EXPLANATION, {
       messages: [
         { role: "system", content: EXPLANATION_AGENT_PROMPT },
         { role: "user", content: context }
       ],
-      model: "llama-3.1-8b-instant", // Fast model for explanation
       temperature: 0.3,
-      max_tokens: 300,
-      response_format: { type: "json_object" }
+      maxTokens: 300,
+      json: true,
+      input: { rankings, costProfile, infraSpec, usageProfile, costContext }
     });
 
-    const result = JSON.parse(completion.choices[0]?.message?.content || "{}");
+    const result = JSON.parse(completion.content || "{}");
     return result;
 
   } catch (error) {
@@ -827,40 +833,46 @@ CRITICAL RULES:
       { role: "user", content: stepPrompt }
     ];
 
-    const completion = await groq.chat.completions.create({
+    const { value: result, validation } = await llm.completeJSON(TASKS.USAGE, {
       messages: messages,
-      model: "llama-3.1-8b-instant",
       temperature: 0.2,
-      response_format: { type: "json_object" }
-    });
+      input: { intent: intentObject, infraSpec }
+    }, { fallback: getDefaultUsagePrediction() });
 
-    const result = JSON.parse(completion.choices[0]?.message?.content || "{}");
+    result.output_validation = validation;
     console.log("AI Usage Prediction:", JSON.stringify(result, null, 2));
     return result;
 
   } catch (error) {
     console.error("Usage Prediction Error:", error.message);
-    // 🔥 FIX 3: Realistic SMB defaults with confidence scores
-    return {
-      usage_profile: {
-        monthly_users: { min: 1000, max: 5000, confidence: 0.4 },
-        requests_per_user: { min: 10, max: 50, confidence: 0.5 },
-        peak_concurrency: { min: 50, max: 200, confidence: 0.4 },
-        data_transfer_gb: { min: 10, max: 50, confidence: 0.5 },
-        data_storage_gb: { min: 5, max: 20, confidence: 0.6 }
-      },
-      confidence: 0.4,
-      reasoning: {
-        monthly_users: "SMB default: 1k-5k monthly active users",
-        requests_per_user: "Standard web app: 10-50 daily requests per user",
-        data_transfer_gb: "SMB data egress: 10-50GB/month",
-        data_storage_gb: "Standard storage: 5-20GB for small apps",
-        general: "Fallback estimation using conservative SMB assumptions"
-      }
-    };
+    return withFallbackValidation(getDefaultUsagePrediction(), TASKS.USAGE, error);
   }
 };
 
+/**
+ * 🔥 FIX 3: Realistic SMB defaults with confidence scores
+ * Used for error fallback and for ranges the AI got wrong
+ */
+function getDefaultUsagePrediction() {
+  return {
+    usage_profile: {
+      monthly_users: { min: 1000, max: 5000, confidence: 0.4 },
+      requests_per_user: { min: 10, max: 50, confidence: 0.5 },
+      peak_concurrency: { min: 50, max: 200, confidence: 0.4 },
+      data_transfer_gb: { min: 10, max: 50, confidence: 0.5 },
+      data_storage_gb: { min: 5, max: 20, confidence: 0.6 }
+    },
+    confidence: 0.4,
+    reasoning: {
+      monthly_users: "SMB default: 1k-5k monthly active users",
+      requests_per_user: "Standard web app: 10-50 daily requests per user",
+      data_transfer_gb: "SMB data egress: 10-50GB/month",
+      data_storage_gb: "Standard storage: 5-20GB for small apps",
+      general: "Fallback estimation using conservative SMB assumptions"
+    }
+  };
+}
+
 /**
  * STEP 3.5 — PROVIDER REASONING (Dynamic "Why X?")
  * Goal: Generate specific Pros/Cons/BestFor reasoning based on project context
@@ -902,17 +914,17 @@ const generateProviderReasoning = async (intent, infraSpec, costAnalysis) => {
     }
     `;
 
-    const completion = await groq.chat.completions.create({
+    const completion = await llm.complete(TASKS.PROVIDER_REASONING, {
       messages: [
         { role: "system", content: "You are a cloud architect. Output JSON only." },
         { role: "user", content: prompt }
       ],
-      model: "llama-3.1-8b-instant",
       temperature: 0.3,
-      response_format: { type: "json_object" }
+      json: true,
+      input: { intent, infraSpec, costAnalysis }
     });
 
-    const result = JSON.parse(completion.choices[0]?.message?.content || "{}");
+    const result = JSON.parse(completion.content || "{}");
     console.log("AI Provider Reasoning:", JSON.stringify(result, null, 2));
     return result;
 
@@ -1000,16 +1012,16 @@ Output:
 "Please provide a clear description related to cloud infrastructure or applications"
 `;
 
-    const completion = await groq.chat.completions.create({
+    const completion = await llm.complete(TASKS.ENHANCE_REQUIREMENTS, {
       messages: [
         { role: "system", content: systemPrompt },
         { role: "user", content: text }
       ],
-      model: "llama-3.1-8b-instant",
       temperature: 0.1,
+      input: { text }
     });
 
-    const result = completion.choices[0]?.message?.content?.trim();
+    const result = completion.content?.trim();
     console.log("AI Enhanced Requirements (Output):", result);
     return result;
 
@@ -1056,17 +1068,17 @@ const validateServiceCompleteness = async (description, currentServices, catalog
     }
     `;
 
-    const completion = await groq.chat.completions.create({
+    const completion = await llm.complete(TASKS.COMPLETENESS, {
       messages: [
         { role: "system", content: "You are a cloud architecture validator. Output strict JSON." },
         { role: "user", content: prompt }
       ],
-      model: "llama-3.1-8b-instant",
       temperature: 0.1,
-      response_format: { type: "json_object" }
+      json: true,
+      input: { description, currentServices, catalog }
     });
 
-    const result = JSON.parse(completion.choices[0]?.message?.content || "{}");
+    const result = JSON.parse(completion.content || "{}");
     console.log("AI Validation Output:", JSON.stringify(result, null, 2));
     return result;
 
@@ -1076,6 +1088,91 @@ const validateServiceCompleteness = async (description, currentServices, catalog
   }
 };
 
-module.exports = { normalizeIntent, normalizeIntentV2, generateConstrainedProposal, scoreInfraSpec, explainOutcomes, predictUsage, generateProviderReasoning, enhanceRequirements, validateServiceCompleteness };
+/**
+ * ARCHITECTURE REFINEMENT (chat edits)
+ * Goal: Turn a natural-language edit ("swap Postgres for DynamoDB") into a change set over the
+ * current services. The result is only a proposal; refinementService validates and prices it.
+ * @param {string} message - the user's edit request
+ * @param {Array} services - current services_contract services
+ * @param {object} context - { catalogIds: string[], history: string[] } (edits applied before)
+ */
+const translateArchitectureEdit = async (message, services, context = {}) => {
+  console.log("--- REFINEMENT: Translate Architecture Edit (AI) ---");
+  const fallback = { summary: "", changes: [], unsupported: [message] };
+  try {
+    const current = services.map(s => `${s.canonical_type || s.id} (${s.state || 'OPTIONAL'})`).join(', ');
+    const history = (context.history || []).map(h => `- ${h}`).join('\n') || '- none';
+
+    const prompt = `
+ACT AS: architecture_refinement_agent.
+GOAL: Translate the USER EDIT into changes over the CURRENT SERVICES. Do not redesign anything else.
+
+CURRENT SERVICES (service_id (state)):
+${current}
+
+EDITS ALREADY APPLIED:
+${history}
+
+ALLOWED SERVICE IDS (only use these):
+${(context.catalogIds || []).join(', ')}
+
+USER EDIT:
+"${message}"
+
+RULES:
+1. A swap is a REMOVE_SERVICE of the old service with "replaced_by" set, followed by an ADD_SERVICE of the new one.
+2. Compliance requests (HIPAA, PCI, GDPR, SOC2) add the controls they need (audit logging, key management, secrets, WAF)
+   and CONFIGURE_SERVICE the data services with { "encryption_at_rest": true, "compliance": ["HIPAA"] }.
+3. Schedules go in CONFIGURE_SERVICE configuration as { "schedule": "<cron expression>" }.
+4. Anything you cannot express with these change types goes in "unsupported", word for word.
+
+OUTPUT JSON:
+{
+  "summary": "one sentence describing the change",
+  "changes": [
+    { "type": "ADD_SERVICE | REMOVE_SERVICE | RESTORE_SERVICE | CONFIGURE_SERVICE", "service_id": "string", "configuration": {}, "replaced_by": "string", "reason": "string" }
+  ],
+  "unsupported": ["string"]
+}
+`;
+
+    const { value: result, validation } = await llm.completeJSON(TASKS.REFINEMENT, {
+      messages: [
+        { role: "system", content: "You are a cloud architecture editor. Output JSON only." },
+        { role: "user", content: prompt }
+      ],
+      temperature: 0.1,
+      input: { message, services, history: context.history || [] }
+    }, { fallback });
+
+    result.output_validation = validation;
+    console.log("AI Refinement Output:", JSON.stringify(result, null, 2));
+    return result;
+
+  } catch (error) {
+    console.error("Refinement Translation Error:", error.message);
+    return withFallbackValidation(fallback, TASKS.REFINEMENT, error);
+  }
+};
+
+/**
+ * Free-form completion for callers that build their own prompt (e.g. service suggestions).
+ * Unlike the steps above there is no fallback here: errors reach the caller.
+ * @returns {Promise<object>} { content, provider, model }
+ */
+const getCompletion = async ({ task = TASKS.SERVICE_SUGGESTIONS, systemPrompt, userMessage, temperature = 0.3, maxTokens, json = true, input }) => {
+  return llm.complete(task, {
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userMessage }
+    ],
+    temperature,
+    maxTokens,
+    json,
+    input
+  });
+};
+
+module.exports = { normalizeIntent, normalizeIntentV2, generateConstrainedProposal, scoreInfraSpec, explainOutcomes, predictUsage, generateProviderReasoning, enhanceRequirements, validateServiceCompleteness, translateArchitectureEdit, getCompletion };
 
 
@@ -9,11 +9,20 @@
 
 /**
  * Generate assumptions summary from analysis
+ * @param outputValidations - `output_validation` of the AI steps behind the analysis (optional);
+ *                            every field they defaulted becomes an assumption
  */
-function generateAssumptionsSummary(analysis, userInput, axes) {
+function generateAssumptionsSummary(analysis, userInput, axes, outputValidations = []) {
   const assumptions = [];
   const missingInputs = [];
   const riskDomains = [];
+
+  // Detect AI output that was replaced by defaults
+  const defaultedAIFields = describeDefaultedAIFields(outputValidations);
+  if (defaultedAIFields.length > 0) {
+    defaultedAIFields.forEach(field => assumptions.push(field.assumption));
+    riskDomains.push('ai_output');
+  }
   
   // Detect scale assumptions
   if (!axes || !axes.provided || !axes.provided.includes('scale')) {
@@ -64,12 +73,34 @@ function generateAssumptionsSummary(analysis, userInput, axes) {
     assumptions_made: assumptions,
     missing_user_inputs: missingInputs,
     risk_domains: riskDomains,
+    defaulted_ai_fields: defaultedAIFields,
     editable: true,
     confidence_impact: calculateConfidenceImpact(assumptions.length),
     recommendation: generateRecommendation(assumptions.length, riskDomains)
   };
 }
 
+/**
+ * One assumption per AI output field that failed validation and took its default value
+ */
+function describeDefaultedAIFields(outputValidations) {
+  const fields = [];
+
+  (outputValidations || []).filter(Boolean).forEach(validation => {
+    (validation.defaulted_fields || []).forEach(field => {
+      const assumption = field.path === '*'
+        ? `AI ${validation.task} step unavailable - the whole result uses safe defaults`
+        : field.value === null
+          ? `AI ${validation.task} output "${field.path}" was invalid and removed`
+          : `AI ${validation.task} output "${field.path}" was invalid - defaulted to ${JSON.stringify(field.value)}`;
+
+      fields.push({ task: validation.task, path: field.path, value: field.value, reason: field.reason, assumption });
+    });
+  });
+
+  return fields;
+}
+
 /**
  * Calculate how assumptions affect confidence
  */
@@ -139,6 +170,9 @@ function formatAssumptionsForUI(summary) {
 function categorizeAssumption(assumption) {
   const text = assumption.toLowerCase();
   
+  if (text.startsWith('ai ')) {
+    return 'ai_output';
+  }
   if (text.includes('traffic') || text.includes('users') || text.includes('scale')) {
     return 'scale';
   }
@@ -194,5 +228,6 @@ module.exports = {
   generateAssumptionsSummary,
   formatAssumptionsForUI,
   validateAssumptions,
-  calculateConfidenceImpact
+  calculateConfidenceImpact,
+  describeDefaultedAIFields
 };
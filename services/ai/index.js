@@ -1,6 +1,7 @@
 // AI Services Index
 module.exports = {
     aiService: require('./aiService'),
+    llm: require('./llm'),
     aiScoringSanitizer: require('./aiScoringSanitizer'),
     assumptionsGenerator: require('./assumptionsGenerator'),
     confidenceCalculator: require('./confidenceCalculator')
@@ -0,0 +1,83 @@
+/**
+ * LLM FIXTURE STORE
+ * Record / replay of completions, so the pipeline can run deterministically without network access
+ *
+ * LLM_FIXTURES=record - every live completion is saved to LLM_FIXTURES_DIR/<task>/<key>.json
+ * LLM_FIXTURES=replay - completions are answered from those files only; a missing one is an error
+ *
+ * The key hashes the task, messages and response format, not the provider or model, so fixtures
+ * recorded against one provider replay under any configuration.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(__dirname, '../../../fixtures/llm');
+const MODES = ['record', 'replay'];
+
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+function getMode() {
+    const mode = (process.env.LLM_FIXTURES || '').toLowerCase();
+    return MODES.includes(mode) ? mode : null;
+}
+
+function fixtureDir() {
+    return process.env.LLM_FIXTURES_DIR || DEFAULT_DIR;
+}
+
+function fixtureKey(task, { messages, json }) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ task, messages, json: Boolean(json) }))
+        .digest('hex')
+        .slice(0, 32);
+}
+
+function fixturePath(task, key) {
+    return path.join(fixtureDir(), task, `${key}.json`);
+}
+
+/**
+ * Recorded completion for a request
+ * @throws 503 when nothing was recorded for it
+ */
+function replay(task, request) {
+    const key = fixtureKey(task, request);
+    const file = fixturePath(task, key);
+    if (!fs.existsSync(file)) {
+        throw Object.assign(fail(503, `No recorded LLM response for task "${task}" (${key}) in ${fixtureDir()}`), { code: 'FIXTURE_MISSING' });
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { content: fixture.response.content, model: fixture.model, provider: fixture.provider };
+}
+
+function record(task, request, { provider, model, content }) {
+    const key = fixtureKey(task, request);
+    const file = fixturePath(task, key);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+        task,
+        key,
+        provider,
+        model,
+        recorded_at: new Date().toISOString(),
+        request: {
+            messages: request.messages,
+            json: Boolean(request.json),
+            temperature: request.temperature,
+            max_tokens: request.maxTokens
+        },
+        response: { content }
+    }, null, 2));
+    console.log(`[LLM] Recorded ${task} fixture ${key}`);
+}
+
+module.exports = {
+    getMode,
+    fixtureKey,
+    replay,
+    record
+};
@@ -0,0 +1,171 @@
+/**
+ * LLM PROVIDER LAYER
+ * One entry point for every model call in aiService: complete(task, request)
+ *
+ * PROVIDERS:
+ * - groq      - GROQ_API_KEY (GROQ_BASE_URL)
+ * - openai    - OPENAI_API_KEY (OPENAI_BASE_URL)
+ * - ollama    - OLLAMA_BASE_URL, default http://localhost:11434/v1
+ * - llamacpp  - LLAMACPP_BASE_URL, default http://localhost:8080/v1
+ * - custom    - any other OpenAI-compatible endpoint: LLM_BASE_URL (+ LLM_API_KEY)
+ * - offline   - rule-based answers from fusionService keyword detection, no network
+ *
+ * SELECTION (per task, see tasks.js):
+ *   LLM_TASK_<TASK>=provider[:model]   e.g. LLM_TASK_EXPLANATION=ollama:llama3.1:8b
+ *   LLM_PROVIDER / LLM_MODEL           default for every task (AI_MODEL is still read as LLM_MODEL)
+ *   no LLM_PROVIDER                    groq when GROQ_API_KEY is set, otherwise offline
+ *
+ * LLM_FIXTURES=record|replay wraps whichever provider is selected (see fixtureStore.js).
+ *
+ * request: { messages, temperature, maxTokens, json, input }
+ *   json  - ask for a JSON object response
+ *   input - the structured data the prompt was built from; used by the offline provider only
+ * resolves { content, provider, model, replayed }
+ *
+ * completeJSON(task, request, { fallback }) adds the task's output contract, repair retries and
+ * explicit defaulting on top (see structuredOutput.js).
+ */
+
+const { createOpenAICompatibleProvider } = require('./openAICompatibleProvider');
+const offlineProvider = require('./offlineProvider');
+const fixtureStore = require('./fixtureStore');
+const structuredOutput = require('./structuredOutput');
+const { TASKS } = require('./tasks');
+
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS, 10) || undefined;
+
+const providers = {
+    groq: createOpenAICompatibleProvider({
+        name: 'groq',
+        baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+        apiKey: process.env.GROQ_API_KEY,
+        apiKeyEnv: 'GROQ_API_KEY',
+        requiresApiKey: true,
+        defaultModel: 'llama-3.1-8b-instant',
+        timeoutMs
+    }),
+    openai: createOpenAICompatibleProvider({
+        name: 'openai',
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        apiKeyEnv: 'OPENAI_API_KEY',
+        requiresApiKey: true,
+        defaultModel: 'gpt-4o-mini',
+        timeoutMs
+    }),
+    ollama: createOpenAICompatibleProvider({
+        name: 'ollama',
+        baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+        defaultModel: 'llama3.1',
+        timeoutMs
+    }),
+    llamacpp: createOpenAICompatibleProvider({
+        name: 'llamacpp',
+        baseUrl: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+        // llama.cpp serves whichever model it was started with
+        defaultModel: 'default',
+        timeoutMs
+    }),
+    custom: createOpenAICompatibleProvider({
+        name: 'custom',
+        baseUrl: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY,
+        defaultModel: 'default',
+        timeoutMs
+    }),
+    offline: offlineProvider
+};
+
+/**
+ * Use another provider under a name (tests, other endpoints)
+ */
+function registerProvider(name, provider) {
+    if (typeof provider?.complete !== 'function') {
+        throw new Error('An LLM provider needs a complete({ task, model, messages, temperature, maxTokens, json, input }) method');
+    }
+    providers[String(name).toLowerCase()] = provider;
+}
+
+function defaultProviderName() {
+    if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER.toLowerCase();
+    return process.env.GROQ_API_KEY ? 'groq' : 'offline';
+}
+
+/**
+ * Provider and model a task runs on
+ * @returns {object} { provider, model }
+ */
+function resolveTask(task) {
+    const override = process.env[`LLM_TASK_${String(task).toUpperCase()}`];
+    let providerName = defaultProviderName();
+    let taskModel = null;
+    if (override) {
+        // Split on the first colon only: Ollama model names carry tags (llama3.1:8b)
+        const separator = override.indexOf(':');
+        providerName = (separator >= 0 ? override.slice(0, separator) : override).toLowerCase();
+        taskModel = separator >= 0 ? override.slice(separator + 1) : null;
+    }
+
+    const provider = providers[providerName];
+    if (!provider) throw fail(500, `Unknown LLM provider "${providerName}" for task "${task}"`);
+
+    // A default model belongs to the default provider; a task switched to another provider uses that one's default
+    const model = taskModel || (override ? null : process.env.LLM_MODEL || process.env.AI_MODEL) || provider.defaultModel;
+    return { provider, model };
+}
+
+/**
+ * Run a completion for a task on its configured provider
+ */
+async function complete(task, request) {
+    if (!Object.values(TASKS).includes(task)) throw fail(500, `Unknown LLM task "${task}"`);
+
+    const mode = fixtureStore.getMode();
+    if (mode === 'replay') {
+        return { ...fixtureStore.replay(task, request), replayed: true };
+    }
+
+    const { provider, model } = resolveTask(task);
+    const result = await provider.complete({ task, model, ...request });
+    const completion = { content: result.content, provider: provider.name, model: result.model || model, replayed: false };
+
+    if (mode === 'record') fixtureStore.record(task, request, completion);
+    return completion;
+}
+
+/**
+ * Complete a task whose output has a contract; resolves { value, validation }
+ */
+function completeJSON(task, request, options) {
+    return structuredOutput.completeJSON(complete, task, request, options);
+}
+
+/**
+ * Resolved provider / model of every task (startup log, diagnostics)
+ */
+function describeConfig() {
+    return Object.fromEntries(Object.values(TASKS).map(task => {
+        try {
+            const { provider, model } = resolveTask(task);
+            return [task, { provider: provider.name, model, configured: provider.isConfigured ? provider.isConfigured() : true }];
+        } catch (err) {
+            return [task, { error: err.message }];
+        }
+    }));
+}
+
+const defaultTask = describeConfig()[TASKS.INTENT];
+console.log(`[LLM] Default provider: ${defaultTask.provider || defaultProviderName()} (${defaultTask.model || defaultTask.error})` +
+    (fixtureStore.getMode() ? `, fixtures: ${fixtureStore.getMode()}` : ''));
+
+module.exports = {
+    TASKS,
+    complete,
+    completeJSON,
+    getMetrics: structuredOutput.getMetrics,
+    registerProvider,
+    resolveTask,
+    describeConfig
+};
@@ -0,0 +1,384 @@
+/**
+ * OFFLINE PROVIDER
+ * Rule-based answers built on fusionService keyword detection, so the pipeline runs without
+ * any model. Responses have the same JSON shape the prompts ask for; tasks with no rules here
+ * (scoring, provider reasoning) fail, and their callers use their existing defaults.
+ *
+ * Reads the structured `input` a caller passes next to its messages, never the prompt text.
+ */
+
+const fusionService = require('../../core/fusionService');
+const capabilitiesConfig = require('../../../config/v2/capabilities.json');
+const { TASKS } = require('./tasks');
+
+const MODEL = 'rules-v1';
+
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// fusionService capability -> catalog service suggested when it's missing
+const CAPABILITY_SERVICES = {
+    relational_db: 'relationaldatabase',
+    object_storage: 'objectstorage',
+    realtime: 'websocketgateway',
+    auth: 'identityauth',
+    search: 'searchengine',
+    cache: 'cache',
+    analytics: 'datawarehouse',
+    batch_processing: 'computebatch',
+    global_delivery: 'cdn',
+    notifications_extended: 'notification',
+    iot_management: 'iotcore',
+    ml_ops: 'mlinference',
+    microservices_governance: 'servicemesh'
+};
+
+const WORKLOAD_TYPES = { web_app: 'web_application', worker: 'batch', iot: 'iot', static_site: 'static_site' };
+const MAU_BY_TRAFFIC = { small: 'low', medium: 'medium', large: 'high' };
+const COMPLEX_CAPABILITIES = ['iot_management', 'ml_ops', 'microservices_governance', 'batch_processing'];
+
+// Asked first while still uncertain, as the intent prompt ranks them
+const QUESTION_PRIORITIES = [
+    ['data_sensitivity', 0.9],
+    ['regulatory_compliance', 0.85],
+    ['availability_target', 0.8],
+    ['stateful', 0.75],
+    ['allowed_providers', 0.7],
+    ['primary_region_hint', 0.6]
+];
+
+const detected = (value = true) => ({ value, confidence: 0.75 });
+const excluded = () => ({ value: false, confidence: 0.9 });
+const unknown = (value = null) => ({ value, confidence: 0.3 });
+
+/**
+ * small | medium | large from a traffic toggle, MAU axis or InfraSpec traffic tier
+ */
+function trafficTier(hint) {
+    const value = String(hint || '').toLowerCase();
+    if (/small|low|minimal|tiny/.test(value)) return 'small';
+    if (/large|high|enterprise|massive/.test(value)) return 'large';
+    return 'medium';
+}
+
+/**
+ * Intent object (STEP_1 output schema) from a pre-intent context
+ */
+function intentFromContext(context) {
+    const capabilities = new Set(context.detected?.capability_hints || []);
+    const exclusions = context.exclusions || {};
+    const has = (...caps) => caps.some(cap => capabilities.has(cap));
+    const workload = context.derived?.workload_guess || 'web_app';
+    const isStatic = workload === 'static_site';
+    const traffic = trafficTier(context.toggles?.traffic);
+
+    const flag = (...caps) => (has(...caps) ? detected() : unknown());
+    const persistent = has('relational_db', 'payments', 'auth', 'identity_access');
+
+    const axes = {
+        static_content: isStatic ? detected() : unknown(),
+        api_backend: isStatic ? { value: false, confidence: 0.6 } : { value: true, confidence: 0.6 },
+        user_authentication: exclusions.auth ? excluded() : flag('auth', 'authentication', 'identity_access'),
+        stateful: exclusions.database ? excluded() : (persistent ? detected() : unknown()),
+        primary_data_model: exclusions.database ? { value: 'none', confidence: 0.9 } : (persistent ? detected('relational') : unknown()),
+        file_storage: flag('object_storage'),
+        realtime_updates: flag('realtime'),
+        messaging_queue: flag('notifications_extended', 'batch_processing'),
+        scheduled_jobs: flag('batch_processing'),
+        payments: flag('payments'),
+        search: flag('search'),
+        admin_dashboard: flag('analytics'),
+        mobile_clients: flag('mobile'),
+        mobile_apps: flag('mobile'),
+        kubernetes_required: flag('microservices_governance'),
+        domain_iot: flag('iot_management'),
+        domain_ml_heavy: flag('ml_ops'),
+        estimated_mau: { value: MAU_BY_TRAFFIC[traffic], confidence: 0.5 },
+        data_sensitivity: has('payments') ? detected('high') : unknown(),
+        regulatory_compliance: has('payments') ? { value: ['PCI_DSS'], confidence: 0.6 } : unknown([]),
+        availability_target: unknown('99.5'),
+        allowed_providers: { value: [], confidence: 0.1 },
+        primary_region_hint: unknown()
+    };
+
+    const complex = traffic === 'large' || has(...COMPLEX_CAPABILITIES) ||
+        (has('payments') && capabilities.size >= 4) || capabilities.size >= 6;
+    const domains = context.domain_tags || [];
+    const description = String(context.raw_description || '').trim();
+
+    return {
+        intent_classification: {
+            primary_domain: domains[0] || (isStatic ? 'portfolio' : 'web_application'),
+            project_categories: domains.length > 0 ? domains : ['general'],
+            workload_type: WORKLOAD_TYPES[workload] || 'web_application',
+            user_facing: workload !== 'worker'
+        },
+        complexity: complex ? 'COMPLEX' : 'SIMPLE',
+        axes,
+        ranked_axes_for_questions: QUESTION_PRIORITIES
+            .filter(([key]) => (axes[key]?.confidence ?? 0) < 0.6)
+            .map(([axis_key, priority]) => ({ axis_key, priority })),
+        project_info: {
+            name: isStatic ? 'Static Site' : 'Cloud Application',
+            description: description.split(/(?<=[.!?])\s/)[0].slice(0, 160) || 'Cloud-native application'
+        }
+    };
+}
+
+function proposalFromIntent(intent) {
+    const axes = intent?.axes || {};
+    const isStatic = intent?.intent_classification?.workload_type === 'static_site';
+    const stateful = axes.stateful?.value === true;
+    const highTraffic = ['high', 'very_high'].includes(axes.estimated_mau?.value);
+    const sensitive = axes.data_sensitivity?.value === 'high';
+
+    const security = [];
+    if (axes.payments?.value === true) security.push('Payment data must stay isolated from the rest of the system (PCI DSS scope).');
+    if (axes.user_authentication?.value === true) security.push('User credentials and sessions need a managed identity provider.');
+    const availability = highTraffic ? ['A single instance of any tier would be a bottleneck at this traffic.'] : [];
+    const cost = highTraffic ? ['Data transfer and compute scale with traffic; review usage estimates.'] : [];
+
+    return {
+        architecture_pattern: isStatic ? 'static_site' : (stateful ? 'three_tier_web_application' : 'stateless_web_application'),
+        component_roles: {
+            networking: { isolation_required: !isStatic },
+            compute: {
+                execution_model: isStatic ? 'static_hosting' : 'orchestrated_runtime',
+                stateful: false,
+                scaling_driver: highTraffic ? 'request_rate' : 'cpu_utilization'
+            },
+            data: {
+                database_type: stateful ? (axes.primary_data_model?.value || 'relational') : 'none',
+                consistency: axes.payments?.value === true ? 'strong' : 'eventual',
+                write_intensity: 'medium'
+            },
+            cache: { recommended: highTraffic, purpose: 'read_acceleration' },
+            observability: { importance: sensitive || highTraffic ? 'high' : 'medium' }
+        },
+        risk_review: { security, availability, cost },
+        review_scores: { architecture_soundness: 70, security_posture: sensitive ? 65 : 70, operational_readiness: 70 },
+        explanations: {
+            'Pattern': isStatic ? 'Static hosting behind a CDN; no runtime to operate.' : 'Managed compute behind a load balancer.',
+            'Data Strategy': stateful ? 'Managed relational database for persistent state.' : 'No persistent state detected in the description.',
+            'Scaling': highTraffic ? 'Horizontal scaling on request rate.' : 'Horizontal scaling on CPU with a small baseline.',
+            'Security Mode': sensitive ? 'Private networking and encryption for sensitive data.' : 'Standard network isolation.'
+        },
+        project_name: intent?.project_info?.name || 'CloudApp',
+        project_summary: intent?.project_info?.description || 'Cloud-native application'
+    };
+}
+
+function usageFromIntent(intent, infraSpec) {
+    const tier = trafficTier(infraSpec?.assumptions?.traffic_tier || intent?.axes?.estimated_mau?.value);
+    const { users, rps } = capabilitiesConfig.traffic_scenarios[tier];
+    const noDatabase = intent?.axes?.stateful?.value === false;
+
+    return {
+        usage_profile: {
+            monthly_users: { min: Math.round(users * 0.5), max: users * 2 },
+            requests_per_user: { min: 10, max: 50, desc: 'daily requests per user' },
+            peak_concurrency: { min: Math.round(rps / 2), max: rps, desc: 'simultaneous users' },
+            data_transfer_gb: { min: Math.max(1, Math.round(users / 100)), max: Math.max(5, Math.round(users / 20)), desc: 'monthly egress' },
+            data_storage_gb: noDatabase
+                ? { min: 1, max: 5, desc: 'static assets only' }
+                : { min: Math.max(5, Math.round(users / 200)), max: Math.max(20, Math.round(users / 20)), desc: 'total assets' }
+        },
+        confidence: 0.4,
+        reasoning: {
+            data_transfer_gb: `Scaled from the ${tier} traffic scenario`,
+            requests_per_user: 'Typical interactive web usage',
+            general: `Rule-based estimate from the ${tier} traffic scenario (${users} users, ${rps} rps)`
+        }
+    };
+}
+
+function explanationFromCosts({ rankings = [], costProfile, usageProfile, costContext = {} }) {
+    const top = rankings[0] || {};
+    const drivers = (costContext.dominant_drivers || []).slice(0, 2);
+    const users = usageProfile?.monthly_users;
+
+    return {
+        outcome_narrative: `${top.provider || 'The selected provider'} ranks first for the ${costProfile || 'selected'} profile at about $${top.monthly_cost ?? '?'}/month` +
+            (users ? ` for ${users.min}-${users.max} monthly users.` : '.') +
+            (drivers.length > 0 ? ` Most of the cost is ${drivers.map(d => d.category).join(' and ')}.` : ''),
+        confidence_score: usageProfile ? 0.6 : 0.4,
+        confidence_reason: 'Generated from cost breakdown rules without a language model.',
+        critical_cost_drivers: drivers.length > 0 ? drivers.map(d => `${d.category} ($${d.cost})`) : ['Base Infrastructure'],
+        architectural_fit: 'Services were selected deterministically from the detected capabilities.'
+    };
+}
+
+/**
+ * Catalog services for capabilities the description mentions but the architecture lacks
+ */
+function suggestMissingServices(description, currentServiceIds, availableServiceIds) {
+    const context = fusionService.fuse({ description });
+    const current = new Set(currentServiceIds.map(id => String(id).toLowerCase()));
+    const available = new Set(availableServiceIds);
+
+    return context.detected.capability_hints
+        .filter(cap => CAPABILITY_SERVICES[cap] && available.has(CAPABILITY_SERVICES[cap]) && !current.has(CAPABILITY_SERVICES[cap]))
+        .map(cap => ({ service_id: CAPABILITY_SERVICES[cap], reason: `Description mentions ${cap.replace(/_/g, ' ')}` }));
+}
+
+// ─── ARCHITECTURE EDITS ─────────────────────────────────────────────────────
+
+// Words for a service -> catalog service; first match wins, so specific phrases come first
+const SERVICE_TERMS = [
+    [/\b(audit logging|audit logs?|audit trail)\b/, 'auditlogging'],
+    [/\b(postgres(?:ql)?|mysql|mariadb|rds|aurora|cloud sql|sql database|relational database)\b/, 'relationaldatabase'],
+    [/\b(dynamo ?db|mongo ?db|firestore|cosmos ?db|nosql(?: database)?|document database)\b/, 'nosqldatabase'],
+    [/\b(redis|memcached|valkey|elasticache|cach(?:e|ing)(?: layer)?)\b/, 'cache'],
+    [/\b(s3|gcs|blob storage|object storage|buckets?)\b/, 'objectstorage'],
+    [/\b(batch(?: jobs?| processing)?|cron(?: jobs?)?|scheduled jobs?)\b/, 'computebatch'],
+    [/\b(lambdas?|cloud functions?|azure functions?|serverless(?: functions?| compute)?)\b/, 'computeserverless'],
+    [/\b(containers?|ecs|fargate|kubernetes|k8s|eks|gke|aks|cloud run)\b/, 'computecontainer'],
+    [/\b(ec2|vms?|virtual machines?|compute engine)\b/, 'computevm'],
+    [/\b(cdn|cloudfront|front door)\b/, 'cdn'],
+    [/\b(waf|web application firewall)\b/, 'waf'],
+    [/\b(sqs|message queue|queues?)\b/, 'messagequeue'],
+    [/\b(elasticsearch|opensearch|search(?: engine)?)\b/, 'searchengine'],
+    [/\b(load balancer|alb|elb)\b/, 'loadbalancer'],
+    [/\b(api gateway)\b/, 'apigateway'],
+    [/\b(websockets?)\b/, 'websocketgateway'],
+    [/\b(cognito|auth(?:entication)?|identity|login)\b/, 'identityauth'],
+    [/\b(secrets?(?: manager)?)\b/, 'secretsmanagement'],
+    [/\b(kms|key management|encryption keys?)\b/, 'keymanagement'],
+    [/\b(monitoring|metrics)\b/, 'monitoring'],
+    [/\b(logging|logs)\b/, 'logging'],
+    [/\b(emails?(?: notifications?)?)\b/, 'emailnotification']
+];
+
+const COMPLIANCE_PRESETS = [
+    [/\bhipaa\b/, 'HIPAA', ['auditlogging', 'keymanagement', 'secretsmanagement', 'waf']],
+    [/\bpci(?:[- ]?dss)?\b/, 'PCI_DSS', ['waf', 'auditlogging', 'keymanagement', 'secretsmanagement']],
+    [/\bgdpr\b/, 'GDPR', ['auditlogging', 'keymanagement']],
+    [/\bsoc ?2\b/, 'SOC2', ['auditlogging', 'monitoring', 'logging']]
+];
+
+const DATA_SERVICES = ['relationaldatabase', 'nosqldatabase', 'objectstorage', 'cache', 'filestorage', 'blockstorage'];
+
+const SCHEDULES = [
+    [/\b(nightly|every night)\b/, '0 2 * * *'],
+    [/\b(hourly|every hour)\b/, '0 * * * *'],
+    [/\b(weekly|every week)\b/, '0 0 * * 0'],
+    [/\b(daily|every day)\b/, '0 0 * * *']
+];
+
+const EDIT_VERBS = 'add|include|enable|remove|drop|delete|disable|swap|replace|switch|use|make|restore|bring back|get rid of';
+
+const serviceIn = (text) => SERVICE_TERMS.find(([pattern]) => pattern.test(text))?.[1] || null;
+
+/**
+ * Change set (REFINEMENT output schema) for a natural-language edit, one clause at a time
+ */
+function changesFromEdit({ message, services = [] }) {
+    const active = new Set(services
+        .filter(s => s.state !== 'USER_DISABLED' && s.state !== 'EXCLUDED')
+        .map(s => s.canonical_type));
+    const present = new Set(services.map(s => s.canonical_type));
+    const changes = [];
+    const unsupported = [];
+
+    const add = (serviceId, reason) => {
+        if (active.has(serviceId)) return;
+        changes.push({ type: present.has(serviceId) ? 'RESTORE_SERVICE' : 'ADD_SERVICE', service_id: serviceId, reason });
+        active.add(serviceId);
+    };
+    const remove = (serviceId, reason, replacedBy) => {
+        if (!active.has(serviceId)) return false;
+        changes.push({ type: 'REMOVE_SERVICE', service_id: serviceId, reason, ...(replacedBy && { replaced_by: replacedBy }) });
+        active.delete(serviceId);
+        return true;
+    };
+
+    const clauses = String(message || '').toLowerCase()
+        .split(new RegExp(`\\s*[,;.]\\s*|\\s+(?:and|then|also)\\s+(?=(?:${EDIT_VERBS})\\b)`))
+        .map(c => c.trim())
+        .filter(Boolean);
+
+    for (const clause of clauses) {
+        const compliance = COMPLIANCE_PRESETS.find(([pattern]) => pattern.test(clause));
+        const swap = clause.match(/\b(?:swap|replace|switch)\s+(?:out\s+)?(?:from\s+)?(.+?)\s+(?:for|with|to)\s+(.+)/);
+        const useInstead = clause.match(/\buse\s+(.+?)\s+instead of\s+(.+)/);
+
+        if (compliance) {
+            const [, standard, controls] = compliance;
+            controls.forEach(id => add(id, `${standard} control`));
+            DATA_SERVICES.filter(id => active.has(id)).forEach(id => changes.push({
+                type: 'CONFIGURE_SERVICE',
+                service_id: id,
+                configuration: { encryption_at_rest: true, encryption_in_transit: true, compliance: [standard] },
+                reason: `${standard} requires encrypted data stores`
+            }));
+        } else if (swap || useInstead) {
+            const [from, to] = swap ? [serviceIn(swap[1]), serviceIn(swap[2])] : [serviceIn(useInstead[2]), serviceIn(useInstead[1])];
+            if (!from || !to || from === to) {
+                unsupported.push(clause);
+            } else if (!remove(from, `Replaced by ${to}`, to)) {
+                unsupported.push(`${clause} (${from} is not in the architecture)`);
+            } else {
+                add(to, `Replaces ${from}`);
+            }
+        } else if (/\b(restore|bring back|re-?enable)\b/.test(clause) && serviceIn(clause)) {
+            const id = serviceIn(clause);
+            if (present.has(id) && !active.has(id)) {
+                changes.push({ type: 'RESTORE_SERVICE', service_id: id, reason: 'Requested' });
+                active.add(id);
+            }
+        } else if (/\b(remove|drop|delete|get rid of|disable|no longer need|(?:don't|do not) need)\b/.test(clause) && serviceIn(clause)) {
+            const id = serviceIn(clause);
+            if (!remove(id, 'Requested')) unsupported.push(`${clause} (${id} is not in the architecture)`);
+        } else if (/\b(add|include|enable|need|want|set up|attach)\b/.test(clause) && serviceIn(clause)) {
+            const id = serviceIn(clause);
+            add(id, 'Requested');
+            const schedule = SCHEDULES.find(([pattern]) => pattern.test(clause));
+            if (schedule) {
+                changes.push({ type: 'CONFIGURE_SERVICE', service_id: id, configuration: { schedule: schedule[1] }, reason: 'Requested schedule' });
+            }
+        } else {
+            unsupported.push(clause);
+        }
+    }
+
+    return {
+        summary: changes.length > 0 ? `${changes.length} change(s) from: "${String(message).trim()}"` : '',
+        changes,
+        unsupported
+    };
+}
+
+const handlers = {
+    [TASKS.INTENT]: ({ description }) => intentFromContext(fusionService.fuse({ description })),
+    [TASKS.INTENT_V2]: ({ preIntentContext }) => intentFromContext(preIntentContext),
+    [TASKS.PROPOSAL]: ({ intent }) => proposalFromIntent(intent),
+    [TASKS.USAGE]: ({ intent, infraSpec }) => usageFromIntent(intent, infraSpec),
+    [TASKS.EXPLANATION]: (input) => explanationFromCosts(input),
+    [TASKS.ENHANCE_REQUIREMENTS]: ({ text }) => text,
+    [TASKS.COMPLETENESS]: ({ description, currentServices = [], catalog = {} }) => ({
+        suggestions: suggestMissingServices(description, currentServices.map(s => s.id || s.canonical_type || s.name), Object.keys(catalog))
+    }),
+    [TASKS.REFINEMENT]: (input) => changesFromEdit(input),
+    [TASKS.SERVICE_SUGGESTIONS]: ({ description, selectedServices = [], availableServiceIds = [] }) => ({
+        suggestions: suggestMissingServices(description, selectedServices, availableServiceIds)
+    })
+};
+
+const offlineProvider = {
+    name: 'offline',
+    defaultModel: MODEL,
+
+    isConfigured() {
+        return true;
+    },
+
+    async complete({ task, input }) {
+        const handler = handlers[task];
+        if (!handler) throw fail(503, `Offline LLM provider has no rules for task "${task}"`);
+        if (!input) throw fail(500, `Offline LLM provider needs the structured input of task "${task}"`);
+
+        const result = handler(input);
+        return { content: typeof result === 'string' ? result : JSON.stringify(result), model: MODEL };
+    }
+};
+
+module.exports = offlineProvider;
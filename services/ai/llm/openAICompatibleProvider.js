@@ -0,0 +1,57 @@
+/**
+ * OPENAI-COMPATIBLE PROVIDER
+ * Chat completions against any endpoint speaking the OpenAI `/chat/completions` API:
+ * Groq, OpenAI, a local Ollama (`/v1`) or llama.cpp server, vLLM, LM Studio, ...
+ */
+
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * @param {object} config - { name, baseUrl, apiKey, apiKeyEnv, requiresApiKey, defaultModel, timeoutMs }
+ */
+function createOpenAICompatibleProvider(config) {
+    const { name, defaultModel, requiresApiKey = false } = config;
+
+    return {
+        name,
+        defaultModel,
+
+        isConfigured() {
+            return Boolean(config.baseUrl) && (!requiresApiKey || Boolean(config.apiKey));
+        },
+
+        async complete({ model, messages, temperature, maxTokens, json }) {
+            if (!config.baseUrl) throw fail(503, `LLM provider "${name}" has no base URL configured`);
+            if (requiresApiKey && !config.apiKey) {
+                throw fail(503, `LLM provider "${name}" needs an API key (${config.apiKeyEnv})`);
+            }
+
+            const body = { model: model || defaultModel, messages };
+            if (temperature !== undefined) body.temperature = temperature;
+            if (maxTokens) body.max_tokens = maxTokens;
+            if (json) body.response_format = { type: 'json_object' };
+
+            let response;
+            try {
+                response = await axios.post(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, body, {
+                    headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+                    timeout: config.timeoutMs || DEFAULT_TIMEOUT_MS
+                });
+            } catch (err) {
+                const detail = err.response?.data?.error?.message || err.message;
+                throw fail(502, `LLM provider "${name}" request failed${err.response ? ` (${err.response.status})` : ''}: ${detail}`);
+            }
+
+            return {
+                content: response.data?.choices?.[0]?.message?.content || '',
+                model: response.data?.model || body.model
+            };
+        }
+    };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,109 @@
+/**
+ * AI OUTPUT CONTRACTS
+ * Joi schema of the JSON each structured AI step must return (the shape its prompt asks for).
+ * Unknown keys are allowed; what's here is what the pipeline reads.
+ */
+
+const Joi = require('joi');
+const { TASKS } = require('./tasks');
+
+const score = Joi.number().min(0).max(100);
+const confidence = Joi.number().min(0).max(1);
+const stringList = Joi.array().items(Joi.string());
+const range = Joi.object({ min: Joi.number().min(0).required(), max: Joi.number().min(Joi.ref('min')).required() });
+
+const intent = Joi.object({
+    intent_classification: Joi.object({
+        primary_domain: Joi.string().allow(null).required(),
+        project_categories: stringList.required(),
+        workload_type: Joi.string().allow(null).required(),
+        user_facing: Joi.boolean().allow(null)
+    }).required(),
+    complexity: Joi.string().valid('SIMPLE', 'COMPLEX').required(),
+    axes: Joi.object().pattern(Joi.string(), Joi.object({
+        value: Joi.any(),
+        confidence: confidence.required()
+    })).min(1).required(),
+    ranked_axes_for_questions: Joi.array().items(Joi.object({
+        axis_key: Joi.string().required(),
+        priority: confidence.required()
+    })).required()
+});
+
+const proposal = Joi.object({
+    architecture_pattern: Joi.string().required(),
+    component_roles: Joi.object({
+        networking: Joi.object().required(),
+        compute: Joi.object().required(),
+        data: Joi.object().required(),
+        cache: Joi.object(),
+        observability: Joi.object()
+    }).required(),
+    risk_review: Joi.object({
+        security: stringList.required(),
+        availability: stringList.required(),
+        cost: stringList.required()
+    }).required(),
+    review_scores: Joi.object({
+        architecture_soundness: score.required(),
+        security_posture: score.required(),
+        operational_readiness: score.required()
+    }).required(),
+    explanations: Joi.object().pattern(Joi.string(), Joi.string()).min(1).required(),
+    project_name: Joi.string().required(),
+    project_summary: Joi.string().required()
+});
+
+const scoring = Joi.object({
+    category_scores: Joi.object({
+        architecture_soundness: score.required(),
+        security_posture: score.required(),
+        reliability: score.required(),
+        operational_readiness: score.required()
+    }).required(),
+    risk_alignment: Joi.object({
+        critical_risks: Joi.array().required(),
+        moderate_risks: Joi.array().required(),
+        low_risks: Joi.array().required()
+    }).required(),
+    strengths: stringList.required(),
+    weaknesses: stringList.required(),
+    confidence_statement: Joi.string().required()
+});
+
+const usage = Joi.object({
+    usage_profile: Joi.object({
+        monthly_users: range.required(),
+        requests_per_user: range.required(),
+        peak_concurrency: range.required(),
+        data_transfer_gb: range.required(),
+        data_storage_gb: range.required()
+    }).required(),
+    confidence: confidence.required(),
+    reasoning: Joi.object().pattern(Joi.string(), Joi.string())
+});
+
+const refinement = Joi.object({
+    summary: Joi.string().allow('').required(),
+    changes: Joi.array().items(Joi.object({
+        type: Joi.string().valid('ADD_SERVICE', 'REMOVE_SERVICE', 'RESTORE_SERVICE', 'CONFIGURE_SERVICE').required(),
+        service_id: Joi.string().required(),
+        configuration: Joi.object().when('type', { is: 'CONFIGURE_SERVICE', then: Joi.required() }),
+        replaced_by: Joi.string(),
+        reason: Joi.string().allow('')
+    })).required(),
+    unsupported: stringList
+});
+
+const OUTPUT_SCHEMAS = {
+    [TASKS.INTENT]: intent,
+    [TASKS.INTENT_V2]: intent.keys({
+        project_info: Joi.object({ name: Joi.string(), description: Joi.string() })
+    }),
+    [TASKS.PROPOSAL]: proposal,
+    [TASKS.SCORING]: scoring,
+    [TASKS.USAGE]: usage,
+    [TASKS.REFINEMENT]: refinement
+};
+
+module.exports = { OUTPUT_SCHEMAS };
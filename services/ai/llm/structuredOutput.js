@@ -0,0 +1,198 @@
+/**
+ * STRUCTURED OUTPUT
+ * JSON completions checked against the task's contract (outputSchemas.js)
+ *
+ * 1. The response is parsed and validated.
+ * 2. While invalid, the validation errors are sent back to the model for a corrected object,
+ *    at most LLM_MAX_REPAIRS times (default 2).
+ * 3. Still invalid: each failing field takes the step's fallback value (or is dropped when the
+ *    fallback has nothing there); if that can't make it valid, the whole fallback is used.
+ *    A provider error also means the whole fallback.
+ *
+ * Every result carries `validation`, listing each defaulted field, so a substituted value is
+ * never silent (assumptionsGenerator turns them into assumptions). Counts per task are kept in
+ * memory for getMetrics().
+ */
+
+const { OUTPUT_SCHEMAS } = require('./outputSchemas');
+
+const MAX_REPAIRS = Number.isInteger(parseInt(process.env.LLM_MAX_REPAIRS, 10)) ? parseInt(process.env.LLM_MAX_REPAIRS, 10) : 2;
+const MAX_REPORTED_ERRORS = 15;
+
+const VALIDATE_OPTIONS = { abortEarly: false, allowUnknown: true, convert: true };
+
+const SOURCES = {
+    MODEL: 'model',         // valid as returned
+    REPAIRED: 'repaired',   // valid after the model corrected it
+    DEFAULTED: 'defaulted', // some fields replaced by fallback values
+    FALLBACK: 'fallback'    // the model's output was not used at all
+};
+
+const metrics = {};
+
+function countFor(task) {
+    if (!metrics[task]) {
+        metrics[task] = { calls: 0, valid_first_try: 0, repaired: 0, repair_attempts: 0, defaulted: 0, fallback: 0, provider_errors: 0, defaulted_fields: 0 };
+    }
+    return metrics[task];
+}
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function getAt(object, path) {
+    return path.reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), object);
+}
+
+function setAt(object, path, value) {
+    const parent = getAt(object, path.slice(0, -1));
+    if (parent && typeof parent === 'object') parent[path[path.length - 1]] = value;
+}
+
+/**
+ * Parse and validate a raw response
+ * @returns {object} { value, errors: [{ path, message }] }
+ */
+function check(schema, content) {
+    let parsed;
+    try {
+        parsed = JSON.parse(content || '');
+    } catch (err) {
+        return { value: null, errors: [{ path: [], message: `Response is not valid JSON: ${err.message}` }] };
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { value: null, errors: [{ path: [], message: 'Response must be a JSON object' }] };
+    }
+
+    const { value, error } = schema.validate(parsed, VALIDATE_OPTIONS);
+    return {
+        value: error ? parsed : value,
+        errors: error ? error.details.map(detail => ({ path: detail.path, message: detail.message })) : []
+    };
+}
+
+function repairPrompt(errors) {
+    const lines = errors.slice(0, MAX_REPORTED_ERRORS).map(e => `- ${e.message}`);
+    if (errors.length > MAX_REPORTED_ERRORS) lines.push(`- ... and ${errors.length - MAX_REPORTED_ERRORS} more`);
+    return `Your JSON does not match the required schema:\n${lines.join('\n')}\n\nReturn the complete corrected JSON object only.`;
+}
+
+/**
+ * Replace (or drop) each invalid field with the fallback's value at the same path
+ * @returns {object|null} { value, defaulted } or null when the whole object is unusable
+ */
+function defaultInvalidFields(schema, value, errors, fallback) {
+    if (!value || errors.some(e => e.path.length === 0)) return null;
+
+    const patched = clone(value);
+    const defaulted = [];
+    const removals = [];
+
+    for (const { path, message } of errors) {
+        // Deepest part of the path the fallback also has; list items are never matched by position
+        const listItem = path.findIndex(key => typeof key === 'number');
+        let depth = listItem >= 0 ? listItem : path.length;
+        while (depth > 0 && getAt(fallback, path.slice(0, depth)) === undefined) depth--;
+
+        if (depth === path.length) {
+            const replacement = clone(getAt(fallback, path));
+            setAt(patched, path, replacement);
+            defaulted.push({ path: path.join('.'), value: replacement, reason: message });
+        } else {
+            // An entry the fallback doesn't know (an extra axis, a list item) is dropped instead
+            removals.push(path.slice(0, depth + 1));
+            defaulted.push({ path: path.slice(0, depth + 1).join('.'), value: null, reason: `${message} (dropped)` });
+        }
+    }
+
+    // Deepest and highest index first, so array positions stay valid while removing
+    removals.sort((a, b) => b.length - a.length || (b[b.length - 1] > a[a.length - 1] ? 1 : -1));
+    for (const path of removals) {
+        const parent = getAt(patched, path.slice(0, -1));
+        const key = path[path.length - 1];
+        if (Array.isArray(parent)) parent.splice(key, 1);
+        else if (parent && typeof parent === 'object') delete parent[key];
+    }
+
+    const { value: validated, error } = schema.validate(patched, VALIDATE_OPTIONS);
+    return error ? null : { value: validated, defaulted };
+}
+
+/**
+ * Complete a structured task and return a value that satisfies its contract
+ * @param {string} task - one of TASKS with an entry in OUTPUT_SCHEMAS
+ * @param {object} request - as for llm.complete (json is implied)
+ * @param {object} options - { fallback }: the step's safe default output
+ * @returns {Promise<object>} { value, validation: { task, valid, source, repairs, errors, defaulted_fields, provider, model } }
+ */
+async function completeJSON(complete, task, request, { fallback }) {
+    const schema = OUTPUT_SCHEMAS[task];
+    if (!schema) throw new Error(`No output schema for LLM task "${task}"`);
+
+    const count = countFor(task);
+    count.calls++;
+
+    const messages = [...request.messages];
+    const validation = { task, valid: false, source: SOURCES.FALLBACK, repairs: 0, errors: [], defaulted_fields: [], provider: null, model: null };
+
+    const useFallback = (reason) => {
+        count.fallback++;
+        count.defaulted_fields++;
+        validation.defaulted_fields = [{ path: '*', value: null, reason }];
+        console.warn(`[LLM] ${task}: using fallback output (${reason})`);
+        return { value: clone(fallback), validation };
+    };
+
+    let result;
+    for (let attempt = 0; ; attempt++) {
+        let completion;
+        try {
+            completion = await complete(task, { ...request, messages, json: true });
+        } catch (err) {
+            count.provider_errors++;
+            validation.errors = [err.message];
+            return useFallback(`provider error: ${err.message}`);
+        }
+        validation.provider = completion.provider;
+        validation.model = completion.model;
+
+        result = check(schema, completion.content);
+        validation.errors = result.errors.map(e => e.message);
+
+        if (result.errors.length === 0) {
+            validation.valid = true;
+            validation.source = attempt === 0 ? SOURCES.MODEL : SOURCES.REPAIRED;
+            if (attempt === 0) count.valid_first_try++;
+            else count.repaired++;
+            return { value: result.value, validation };
+        }
+        if (attempt >= MAX_REPAIRS) break;
+
+        console.warn(`[LLM] ${task}: invalid output (${result.errors.length} error(s)), asking for a repair (${attempt + 1}/${MAX_REPAIRS})`);
+        count.repair_attempts++;
+        validation.repairs++;
+        messages.push({ role: 'assistant', content: completion.content || '' }, { role: 'user', content: repairPrompt(result.errors) });
+    }
+
+    const patched = defaultInvalidFields(schema, result.value, result.errors, fallback);
+    if (!patched) return useFallback(`output still invalid after ${validation.repairs} repair(s)`);
+
+    count.defaulted++;
+    count.defaulted_fields += patched.defaulted.length;
+    validation.source = SOURCES.DEFAULTED;
+    validation.defaulted_fields = patched.defaulted;
+    console.warn(`[LLM] ${task}: defaulted ${patched.defaulted.length} field(s): ${patched.defaulted.map(d => d.path).join(', ')}`);
+    return { value: patched.value, validation };
+}
+
+/**
+ * Validation counts per task since startup
+ */
+function getMetrics() {
+    return clone(metrics);
+}
+
+module.exports = {
+    SOURCES,
+    completeJSON,
+    getMetrics
+};
@@ -0,0 +1,21 @@
+/**
+ * LLM TASKS
+ * Every completion names its task, so provider, model and fixtures can be chosen per task
+ * (`LLM_TASK_<TASK>=provider[:model]`, e.g. LLM_TASK_EXPLANATION=ollama:llama3.1:8b)
+ */
+
+const TASKS = {
+    INTENT: 'intent',                         // normalizeIntent
+    INTENT_V2: 'intent_v2',                   // normalizeIntentV2
+    PROPOSAL: 'proposal',                     // generateConstrainedProposal
+    SCORING: 'scoring',                       // scoreInfraSpec
+    EXPLANATION: 'explanation',               // explainOutcomes
+    USAGE: 'usage',                           // predictUsage
+    PROVIDER_REASONING: 'provider_reasoning', // generateProviderReasoning
+    ENHANCE_REQUIREMENTS: 'enhance_requirements',
+    COMPLETENESS: 'completeness',             // validateServiceCompleteness
+    SERVICE_SUGGESTIONS: 'service_suggestions',
+    REFINEMENT: 'refinement'                  // translateArchitectureEdit
+};
+
+module.exports = { TASKS };
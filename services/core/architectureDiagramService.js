@@ -15,6 +15,7 @@ const { SERVICE_DISPLAY } = require('../shared/serviceDisplay');
 const patternResolver = require('./patternResolver');
 const providerMappingService = require('../infrastructure/providerMappingService');
 const catalog = require('../../catalog/terraform/services');
+const dataTransfer = require('../cost/dataTransfer');
 
 /**
  * Service Registry - Static infrastructure knowledge
@@ -141,8 +142,9 @@ function generateConnectionLabel(from, to) {
 /**
  * Map canonical architecture to provider-specific services
  * NOW USES CANONICAL SERVICES CONTRACT as single source of truth
+ * With a usage profile, edges also carry their monthly traffic and transfer class (see dataTransfer)
  */
-function mapToProvider(canonicalArchitecture, provider) {
+function mapToProvider(canonicalArchitecture, provider, usageProfile = null) {
     console.log(`[MAP TO PROVIDER] Mapping ${canonicalArchitecture.pattern} to ${provider}`);
 
     // Validate that we have canonical services
@@ -246,7 +248,10 @@ function mapToProvider(canonicalArchitecture, provider) {
     console.log(`[MAP TO PROVIDER] Generated ${nodes.length} nodes for ${provider}`);
 
     // Generate edges based on pattern and services
-    const edges = generateEdgesForPattern(pattern, nodes);
+    let edges = generateEdgesForPattern(pattern, nodes);
+    if (usageProfile) {
+        edges = dataTransfer.annotateEdges(edges, usageProfile, dataTransfer.resolveTopology({ canonical_architecture: canonicalArchitecture }));
+    }
     console.log(`[MAP TO PROVIDER] Generated ${edges.length} edges`);
 
     return {
@@ -731,6 +736,7 @@ function calculateNodePosition(index, category, existingNodes = []) {
 module.exports = {
     generateCanonicalArchitecture,
     mapToProvider,
+    generateEdgesForPattern,
     generateArchitectureNotes,
     generateServicesList,
     calculateNodePosition
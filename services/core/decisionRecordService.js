@@ -0,0 +1,375 @@
+/**
+ * decisionRecordService.js - Architecture Decision Records (ADRs) per workspace
+ *
+ * Collects the "why" that is otherwise spread over the pipeline into one record:
+ * - the chosen pattern against the runners-up from patternResolver.resolvePatternsByScore
+ * - why each service is in the architecture (resolveServices' selected_by) or left out
+ * - the provider choice with the cost ranking behind it
+ * - the assumptions made (assumptions_summary, defaults)
+ * - consequences (architectureDiagramService.generateArchitectureNotes)
+ *
+ * A record is stored whenever the decisions differ from the workspace's latest record,
+ * tagged with the workspace version (save_count); the previous one becomes superseded.
+ * Markdown is rendered from the stored record, so a record's status is always current.
+ */
+
+const crypto = require('crypto');
+const pool = require('../../config/db');
+const patternResolver = require('./patternResolver');
+const { generateArchitectureNotes } = require('./architectureDiagramService');
+const { getPattern } = require('../../config');
+const { resolveServiceId } = require('../../config/aliases');
+const { getServiceDefinition } = require('../../catalog/terraform/utils');
+const { getServicesForCapability } = require('../../catalog/mappings/capabilities');
+
+const STATUSES = {
+    ACCEPTED: 'accepted',
+    SUPERSEDED: 'superseded'
+};
+
+const RUNNERS_UP = 3;
+
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const isActive = (service) => service.state !== 'USER_DISABLED' && service.state !== 'EXCLUDED';
+const serviceName = (id) => getServiceDefinition(id)?.name || id;
+
+// ─── DECISIONS ──────────────────────────────────────────────────────────────
+
+function patternDecision(infraSpec, intent) {
+    const chosen = infraSpec.canonical_architecture?.pattern || infraSpec.architecture_pattern || null;
+    const scoring = infraSpec.pattern_resolution?.ranking
+        ? infraSpec.pattern_resolution
+        : patternResolver.scorePatternAlternatives(intent);
+    const ranking = scoring?.ranking || [];
+    const chosenScore = ranking.find(r => r.pattern === chosen);
+
+    const decision = {
+        chosen,
+        name: infraSpec.canonical_architecture?.pattern_name || getPattern(chosen)?.name || chosen,
+        description: infraSpec.canonical_architecture?.pattern_description || getPattern(chosen)?.description || null,
+        selected_by: 'Rule-based pattern resolution (requirements and workload type)',
+        score: chosenScore ? chosenScore.score : null,
+        score_reasoning: chosenScore?.reasoning || [],
+        runners_up: ranking
+            .filter(r => r.pattern !== chosen)
+            .slice(0, RUNNERS_UP)
+            .map(r => ({ pattern: r.pattern, score: r.score, description: r.description || null, reasoning: r.reasoning || [] })),
+        notes: []
+    };
+
+    if (ranking.length === 0) {
+        decision.notes.push('No capability scores were available to compare alternatives.');
+    } else if (ranking[0].pattern !== chosen) {
+        decision.notes.push(`Capability scoring ranks ${ranking[0].pattern} highest (${formatScore(ranking[0].score)}); ` +
+            `the requirement rules chose ${chosen}${chosenScore ? ` (${formatScore(chosenScore.score)})` : ''}.`);
+    }
+    return decision;
+}
+
+function inclusionReason(service, pattern) {
+    const selectedBy = service.selected_by || {};
+    if (String(service.id).includes('_user_')) return 'Added by the user';
+    if (selectedBy.source === 'pattern_mandatory') return `Required by the ${pattern} pattern`;
+    if (selectedBy.source === 'requirement_rule') return `Requirement rule: ${selectedBy.rule.replace(/_/g, ' ')}`;
+    if (selectedBy.source === 'capability') return `Detected capability: ${selectedBy.capability.replace(/_/g, ' ')}`;
+    if (['REQUIRED', 'MANDATORY'].includes(service.state)) return 'Required by the pattern or a stated requirement';
+    return 'Suggested for the detected capabilities';
+}
+
+function servicesDecision(infraSpec, pattern) {
+    const services = (infraSpec.services_contract || infraSpec.canonical_architecture?.services_contract)?.services || [];
+    const included = services.filter(isActive).map(service => {
+        const compliance = service.configuration?.compliance;
+        return {
+            service: service.canonical_type,
+            name: serviceName(service.canonical_type),
+            state: service.state,
+            reason: inclusionReason(service, pattern) + (compliance?.length ? ` (configured for ${compliance.join(', ')})` : '')
+        };
+    });
+
+    // First reason wins: the user's own choices, then stated exclusions, then the pattern
+    const present = new Set(included.map(s => s.service));
+    const excluded = new Map();
+    const exclude = (id, reason) => {
+        if (id && !present.has(id) && !excluded.has(id) && getServiceDefinition(id)) {
+            excluded.set(id, { service: id, name: serviceName(id), reason });
+        }
+    };
+
+    services.filter(s => !isActive(s)).forEach(s => exclude(
+        s.canonical_type,
+        s.state === 'USER_DISABLED' ? 'Removed by the user' : 'Excluded by the requirements'
+    ));
+    Object.entries(infraSpec.intent?.features || {})
+        .filter(([, enabled]) => enabled === false)
+        .forEach(([feature]) => {
+            [resolveServiceId(feature), ...getServicesForCapability(feature)]
+                .forEach(id => exclude(id, `Explicitly excluded (${feature.replace(/_/g, ' ')})`));
+        });
+
+    const patternDef = getPattern(pattern) || {};
+    (patternDef.forbidden_services || []).forEach(id => exclude(id, `Not allowed in the ${pattern} pattern`));
+    (patternDef.optional_services || []).forEach(id => exclude(id, `Optional for ${pattern}; no requirement or detected capability called for it`));
+
+    return { included, excluded: [...excluded.values()] };
+}
+
+function providerDecision(stateJson, infraSpec) {
+    const costEstimation = stateJson.costEstimation || {};
+    const rankings = [...(costEstimation.rankings || [])].sort((a, b) => (a.rank || 99) - (b.rank || 99));
+    const recommended = costEstimation.recommended?.provider || rankings.find(r => r.recommended)?.provider || rankings[0]?.provider || null;
+    const selected = stateJson.connection?.provider || stateJson.selectedProvider || infraSpec.resolved_region?.provider || null;
+    const chosen = (selected || recommended || '').toUpperCase() || null;
+
+    let rationale;
+    if (!chosen) {
+        rationale = 'No provider chosen yet (cost estimation not run).';
+    } else if (!recommended) {
+        rationale = `${chosen} was selected without a cost ranking.`;
+    } else if (chosen === recommended.toUpperCase()) {
+        rationale = `${chosen} ranks first on cost and fit for the ${costEstimation.cost_profile || 'selected'} cost profile.`;
+    } else {
+        rationale = `${chosen} was selected over the cost ranking's recommendation (${recommended.toUpperCase()}).`;
+    }
+
+    return {
+        chosen,
+        recommended: recommended ? recommended.toUpperCase() : null,
+        cost_profile: costEstimation.cost_profile || null,
+        currency: costEstimation.currency?.code || 'USD',
+        rationale,
+        rankings: rankings.map(r => ({
+            provider: String(r.provider).toUpperCase(),
+            rank: r.rank ?? null,
+            monthly_cost: r.monthly_cost ?? null,
+            formatted_cost: r.formatted_cost || null,
+            score: r.score ?? null,
+            pros: r.pros || [],
+            cons: r.cons || []
+        }))
+    };
+}
+
+function assumptionsList(infraSpec) {
+    const summary = infraSpec.assumptions_summary || {};
+    const assumptions = [...(summary.assumptions_made || [])];
+    Object.entries(infraSpec.assumptions || {}).forEach(([key, value]) => {
+        if (value !== null && typeof value !== 'object') assumptions.push(`${key.replace(/_/g, ' ')}: ${value}`);
+    });
+    (summary.missing_user_inputs || []).forEach(input => assumptions.push(`Not provided, defaulted: ${input}`));
+    return [...new Set(assumptions)];
+}
+
+/**
+ * Decisions behind a workspace's current architecture
+ * @param {object} workspace - Workspace row (state_json holds the infraSpec)
+ * @returns {object} record (stored as-is; see toMarkdown)
+ */
+function buildDecisionRecord(workspace) {
+    const stateJson = workspace.state_json || {};
+    const infraSpec = stateJson.infraSpec;
+    if (!infraSpec) throw fail(400, 'Workspace has no architecture to record yet');
+
+    const intent = infraSpec.locked_intent || infraSpec.intent || stateJson.intent || {};
+    const pattern = patternDecision(infraSpec, intent);
+    const projectName = infraSpec.project_name || stateJson.projectData?.name || workspace.name || 'Cloud project';
+
+    return {
+        title: `${pattern.name || 'Architecture'} for ${projectName}`,
+        context: {
+            project: projectName,
+            summary: infraSpec.project_summary || null,
+            domain: intent.intent_classification?.primary_domain || null,
+            workload: intent.intent_classification?.workload_type || null,
+            complexity: intent.complexity || null,
+            drivers: infraSpec.explanations || []
+        },
+        pattern,
+        services: servicesDecision(infraSpec, pattern.chosen),
+        provider: providerDecision(stateJson, infraSpec),
+        assumptions: assumptionsList(infraSpec),
+        consequences: generateArchitectureNotes(infraSpec, stateJson.usageProfile || {}, patternResolver.extractRequirements(intent))
+    };
+}
+
+/**
+ * Fingerprint of what was decided (not of the wording), so unchanged designs aren't re-recorded
+ */
+function decisionHash(record) {
+    const decided = {
+        pattern: record.pattern.chosen,
+        services: record.services.included.map(s => `${s.service}:${s.state}:${s.reason}`).sort(),
+        provider: record.provider.chosen,
+        rankings: record.provider.rankings.map(r => `${r.provider}:${r.monthly_cost}`),
+        assumptions: record.assumptions
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(decided)).digest('hex');
+}
+
+// ─── STORAGE ────────────────────────────────────────────────────────────────
+
+async function listDecisionRecords(workspaceId) {
+    const result = await pool.query(
+        'SELECT * FROM architecture_decision_records WHERE workspace_id = $1 ORDER BY number DESC',
+        [workspaceId]
+    );
+    return result.rows;
+}
+
+async function getDecisionRecord(workspaceId, number) {
+    const result = await pool.query(
+        'SELECT * FROM architecture_decision_records WHERE workspace_id = $1 AND number = $2',
+        [workspaceId, parseInt(number, 10) || 0]
+    );
+    if (result.rows.length === 0) throw fail(404, 'Decision record not found');
+    return result.rows[0];
+}
+
+/**
+ * Store the workspace's current decisions unless its latest record already has them
+ * @returns {Promise<object>} { record (row), created }
+ */
+async function recordDecisions(workspace, userId = null) {
+    const record = buildDecisionRecord(workspace);
+    const hash = decisionHash(record);
+
+    const latestRes = await pool.query(
+        'SELECT * FROM architecture_decision_records WHERE workspace_id = $1 ORDER BY number DESC LIMIT 1',
+        [workspace.id]
+    );
+    const latest = latestRes.rows[0];
+    if (latest && latest.decision_hash === hash) return { record: latest, created: false };
+
+    const number = (latest?.number || 0) + 1;
+    const inserted = await pool.query(
+        `INSERT INTO architecture_decision_records
+            (workspace_id, number, workspace_version, decision_hash, title, status, record, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (workspace_id, number) DO NOTHING
+         RETURNING *`,
+        [workspace.id, number, workspace.save_count ?? null, hash, record.title, STATUSES.ACCEPTED, JSON.stringify(record), userId]
+    );
+    // Recorded concurrently by another request
+    if (inserted.rows.length === 0) return { record: await getDecisionRecord(workspace.id, number), created: false };
+
+    await pool.query(
+        `UPDATE architecture_decision_records SET status = $3, superseded_by = $2
+         WHERE workspace_id = $1 AND number < $2 AND status = $4`,
+        [workspace.id, number, STATUSES.SUPERSEDED, STATUSES.ACCEPTED]
+    );
+
+    console.log(`[ADR] Workspace ${workspace.id}: recorded ADR-${pad(number)} (version ${workspace.save_count ?? '-'})`);
+    return { record: inserted.rows[0], created: true };
+}
+
+// ─── MARKDOWN ───────────────────────────────────────────────────────────────
+
+const pad = (number) => String(number).padStart(4, '0');
+const formatScore = (score) => (typeof score === 'number' ? score.toFixed(2) : 'n/a');
+const cell = (value) => String(value ?? '-').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+const bullets = (items, empty) => (items.length > 0 ? items.map(item => `- ${item}`) : [`_${empty}_`]);
+
+function table(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ];
+}
+
+/**
+ * File name of a record in exports, e.g. 0002-containerized-web-app-for-shop.md
+ */
+function markdownFileName(row) {
+    const slug = String(row.title || 'architecture').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+    return `${pad(row.number)}-${slug}.md`;
+}
+
+/**
+ * Render a stored record as a Markdown ADR
+ */
+function toMarkdown(row) {
+    const { context, pattern, services, provider, assumptions, consequences } = row.record;
+    const status = row.status === STATUSES.SUPERSEDED
+        ? `Superseded by ADR-${pad(row.superseded_by)}`
+        : 'Accepted';
+
+    const lines = [
+        `# ADR-${pad(row.number)}: ${row.title}`,
+        '',
+        `- Status: ${status}`,
+        `- Date: ${new Date(row.created_at || Date.now()).toISOString().slice(0, 10)}`,
+        `- Workspace version: ${row.workspace_version ?? '-'}`,
+        '',
+        '## Context',
+        '',
+        context.summary || `Architecture for ${context.project}.`,
+        '',
+        ...(context.domain || context.workload ? [`Domain: ${context.domain || '-'}, workload: ${context.workload || '-'}, complexity: ${context.complexity || '-'}.`, ''] : []),
+        ...(context.drivers.length > 0 ? [...bullets(context.drivers), ''] : []),
+        '## Decision',
+        '',
+        '### Architecture pattern',
+        '',
+        `Use **${pattern.name}** (\`${pattern.chosen}\`)${pattern.description ? `: ${pattern.description}` : ''}.`,
+        `Selected by: ${pattern.selected_by}.`,
+        '',
+        ...table(['Pattern', 'Capability score', 'Scoring'], [
+            [`**${pattern.chosen}** (chosen)`, formatScore(pattern.score), pattern.score_reasoning.join(', ')],
+            ...pattern.runners_up.map(r => [r.pattern, formatScore(r.score), r.reasoning.join(', ')])
+        ]),
+        '',
+        ...(pattern.notes.length > 0 ? [...bullets(pattern.notes), ''] : []),
+        '### Services',
+        '',
+        ...table(['Service', 'State', 'Why included'], services.included.map(s => [`${s.name} (\`${s.service}\`)`, s.state, s.reason])),
+        '',
+        ...(services.excluded.length > 0
+            ? [...table(['Service', 'Why excluded'], services.excluded.map(s => [`${s.name} (\`${s.service}\`)`, s.reason])), '']
+            : []),
+        '### Cloud provider',
+        '',
+        provider.chosen ? `Deploy to **${provider.chosen}**. ${provider.rationale}` : provider.rationale,
+        '',
+        ...(provider.rankings.length > 0
+            ? [...table(['Rank', 'Provider', `Monthly cost (${provider.currency})`, 'Score', 'Pros', 'Cons'], provider.rankings.map(r => [
+                r.rank, r.provider, r.formatted_cost || r.monthly_cost, r.score, r.pros.join('; '), r.cons.join('; ')
+            ])), '']
+            : []),
+        '### Assumptions',
+        '',
+        ...bullets(assumptions, 'None recorded'),
+        '',
+        '## Consequences',
+        '',
+        ...bullets(consequences, 'None recorded'),
+        ''
+    ];
+    return lines.join('\n');
+}
+
+function toDecisionRecordView(row) {
+    return {
+        number: row.number,
+        title: row.title,
+        status: row.status,
+        superseded_by: row.superseded_by,
+        workspace_version: row.workspace_version,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        record: row.record
+    };
+}
+
+module.exports = {
+    STATUSES,
+    buildDecisionRecord,
+    recordDecisions,
+    listDecisionRecords,
+    getDecisionRecord,
+    toMarkdown,
+    markdownFileName,
+    toDecisionRecordView
+};
@@ -12,6 +12,8 @@ const { getServiceDefinition, isDeployable } = require('../../catalog/terraform/
 const { CAPABILITY_TO_SERVICE, resolveServicesFromCapabilities, getBlockedServices, getServicesForCapability } = require('../../catalog/mappings/capabilities');
 const { mapAxesToCapabilities, getCapabilitiesSummary } = require('../../catalog/mappings/axes');
 const { resolveServiceId } = require('../../config/aliases');
+// Catalog entries by service id (name, category, depends_on) for the removal guardrail
+const SERVICE_REGISTRY = require('../../catalog/terraform/services');
 
 // ═══════════════════════════════════════════════════════════════════════════
 // NEW: Config-based pattern catalog for scoring (uses normalized patterns)
@@ -21,6 +23,8 @@ const { resolveServiceId } = require('../../config/aliases');
 // ═══════════════════════════════════════════════════════════════════════════
 const { patterns: patternsConfig, findBestPattern, getPattern: getPatternFromConfig } = require('../../config');
 const PATTERN_CATALOG = patternsConfig.patterns;
+// Raw pattern definitions with score weights, threshold and fallback (resolvePatternsByScore)
+const CANONICAL_PATTERNS = require('../../config/canonicalPatterns.json');
 const TruthGate = require('./truthGate');
 const { validateRuntimeContract } = require('../infrastructure/deploymentValidator');
 
@@ -1186,7 +1190,9 @@ class PatternResolver {
         description: serviceDef.description,
         category: serviceDef.category,
         kind: serviceDef.kind,
-        terraform_supported: serviceDef.terraform_supported
+        terraform_supported: serviceDef.terraform_supported,
+        // Why resolveServices picked it: { source: pattern_mandatory | requirement_rule | capability, rule?, capability? }
+        selected_by: { source: svc.source, ...(svc.rule && { rule: svc.rule }), ...(svc.capability && { capability: svc.capability }) }
       };
     });
 
@@ -1208,7 +1214,8 @@ class PatternResolver {
       state: service.state, // Pass through REQUIRED/SUGGESTED
       terraform_supported: service.terraform_supported,
       required: service.state === 'REQUIRED',
-      pattern_enforced: service.state === 'REQUIRED'
+      pattern_enforced: service.state === 'REQUIRED',
+      selected_by: service.selected_by
     }));
 
 
@@ -1567,10 +1574,33 @@ class PatternResolver {
         description: s.description
       })),
       reasoning: selected.reasoning,
-      services: selected.services
+      services: selected.services,
+      // Every pattern, best first (decision records compare the chosen pattern against it)
+      ranking: scores.map(s => ({
+        pattern: s.pattern,
+        score: s.score,
+        reasoning: s.reasoning,
+        description: s.description
+      }))
     };
   }
 
+  /**
+   * Capability scores of all patterns for an intent, to show what a selection was chosen over.
+   * Selection itself stays rule-based (selectPattern); null when there's nothing to score.
+   */
+  scorePatternAlternatives(intent = {}) {
+    try {
+      const capabilities = intent.axes && Object.keys(intent.axes).length > 0
+        ? mapAxesToCapabilities(intent.axes)
+        : (intent.capabilities || {});
+      return this.resolvePatternsByScore(capabilities, intent);
+    } catch (e) {
+      console.warn('[ARCHITECTURE] Pattern scoring unavailable:', e.message);
+      return null;
+    }
+  }
+
   /**
    * NEW: Resolve services from pattern definition (Step2.txt)
    * @param {Object} patternResolution - Pattern resolution from resolvePatternsByScore
@@ -1737,13 +1767,46 @@ class PatternResolver {
   /**
    * 🔄 RECONCILIATION ENGINE: Re-calculate states after a user change
    * @param {Object} currentInfra - Current full infra object
-   * @param {Object} action - { type: 'REMOVE_SERVICE' | 'ADD_SERVICE', serviceId: string }
+   * @param {Object} action - { type: 'REMOVE_SERVICE' | 'ADD_SERVICE' | 'RESTORE_SERVICE', serviceId: string }
+   *   | { type: 'CONFIGURE_SERVICE', serviceId, configuration } - merged into the service's `configuration`
+   *   | { type: 'APPLY_OPTIMIZATION', optimization_id, actions: [] } - a cost recommendation's actions, in order
+   *   | { type: 'APPLY_REFINEMENT', refinement_id, actions: [] } - a conversational change set, in order
+   *   | { type: 'APPLY_MITIGATION', mitigation_id, actions: [] } - a threat model finding's actions, in order
    * @returns {Object} { services: [], deployable_services: [] }
    */
   reconcileArchitecture(currentInfra, action) {
     // Clone services to avoid mutation
     let services = JSON.parse(JSON.stringify(currentInfra.services));
 
+    const steps = ['APPLY_OPTIMIZATION', 'APPLY_REFINEMENT', 'APPLY_MITIGATION'].includes(action.type) ? (action.actions || []) : [action];
+    for (const step of steps) {
+      this.applyServiceAction(services, step);
+    }
+
+    // Re-generate deployable list based on new states
+    const deployable_services = services.filter(s =>
+      s.state !== 'USER_DISABLED' &&
+      s.state !== 'EXCLUDED' &&
+      s.pricing_class === 'DIRECT'
+    );
+
+    return {
+      services_contract: {
+        ...currentInfra.services_contract,
+        services: services,
+        required_services: services.filter(s => s.state === 'MANDATORY').length
+      },
+      deployable_services,
+      ...(action.type === 'APPLY_OPTIMIZATION' && { applied_optimization: action.optimization_id }),
+      ...(action.type === 'APPLY_REFINEMENT' && { applied_refinement: action.refinement_id }),
+      ...(action.type === 'APPLY_MITIGATION' && { applied_mitigation: action.mitigation_id })
+    };
+  }
+
+  /**
+   * Apply one reconcile action to a (cloned) services list in place
+   */
+  applyServiceAction(services, action) {
     if (action.type === 'REMOVE_SERVICE') {
       // Find the service and mark it USER_DISABLED
       const target = services.find(s => s.id === action.serviceId);
@@ -1781,22 +1844,14 @@ class PatternResolver {
         }
       }
     }
-
-    // Re-generate deployable list based on new states
-    const deployable_services = services.filter(s =>
-      s.state !== 'USER_DISABLED' &&
-      s.state !== 'EXCLUDED' &&
-      s.pricing_class === 'DIRECT'
-    );
-
-    return {
-      services_contract: {
-        ...currentInfra.services_contract,
-        services: services,
-        required_services: services.filter(s => s.state === 'MANDATORY').length
-      },
-      deployable_services
-    };
+    else if (action.type === 'CONFIGURE_SERVICE') {
+      const target = services.find(s => s.id === action.serviceId || s.canonical_type === action.serviceId);
+      if (target) {
+        target.configuration = { ...(target.configuration || {}), ...(action.configuration || {}) };
+      } else {
+        console.warn(`[RECONCILE] Unknown service ID for CONFIGURE_SERVICE: ${action.serviceId}`);
+      }
+    }
   }
 
   getServiceCategory(svcType) {
@@ -1867,29 +1922,11 @@ class PatternResolver {
    * NOW with axes-based capabilities support
    */
   resolveArchitecture(intent) {
-    // Extract capabilities from axes if present (new Step 1 format)
-    let capabilities = intent.capabilities || {};
-
-    if (intent.axes && Object.keys(intent.axes).length > 0) {
-      console.log('[ARCHITECTURE] Using axes-based capabilities mapping');
-      capabilities = mapAxesToCapabilities(intent.axes);
-      console.log('[ARCHITECTURE] Mapped capabilities:', getCapabilitiesSummary(capabilities));
-    }
-
     const requirements = this.extractRequirements(intent);
 
-    // Try score-based resolution first (new system)
-    let selectedPattern;
-    let patternResolution;
-
-    try {
-      patternResolution = this.resolvePatternsByScore(capabilities, intent);
-      selectedPattern = patternResolution.selected_pattern;
-      console.log(`[ARCHITECTURE] Score-based pattern: ${selectedPattern} (score: ${patternResolution.score})`);
-    } catch (e) {
-      console.warn('[ARCHITECTURE] Score-based resolution failed, falling back to legacy:', e.message);
-      selectedPattern = this.selectPattern(requirements);
-    }
+    // Rule-based selection; the capability scores are kept as evidence of the alternatives
+    const selectedPattern = this.selectPattern(requirements);
+    const patternResolution = this.scorePatternAlternatives(intent);
 
     const canonicalArchitecture = this.generateCanonicalArchitecture(requirements, selectedPattern);
 
@@ -0,0 +1,455 @@
+/**
+ * refinementService.js - Conversational edits of a workspace's architecture
+ *
+ * A chat message ("make it HIPAA compliant", "swap Postgres for DynamoDB", "add a nightly
+ * batch job") becomes a change set over the services contract (aiService.translateArchitectureEdit).
+ * Nothing changes until the user confirms:
+ * - propose: each step is checked (patternResolver.validateServiceRemoval, then canonicalValidator
+ *   on the result), the before / after monthly cost is estimated, and the proposal is stored
+ * - apply: only while the architecture is still the one the proposal was made against
+ * - undo: the services from before the last applied refinement come back
+ *
+ * Rows keep the contract before and after, so the history doubles as an undo stack.
+ */
+
+const crypto = require('crypto');
+const pool = require('../../config/db');
+const patternResolver = require('./patternResolver');
+const canonicalValidator = require('./canonicalValidator');
+const budgetService = require('../cost/budgetService');
+const { getServiceDefinition, getDeployableServiceIds } = require('../../catalog/terraform/utils');
+const { resolveServiceId } = require('../../config/aliases');
+
+const STATUSES = {
+    PROPOSED: 'proposed',
+    APPLIED: 'applied',
+    REJECTED: 'rejected',
+    SUPERSEDED: 'superseded',   // another proposal was applied first
+    UNDONE: 'undone'
+};
+
+const MAX_MESSAGE_LENGTH = 1000;
+const HISTORY_SIZE = 5;
+
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const isActive = (service) => service.state !== 'USER_DISABLED' && service.state !== 'EXCLUDED';
+
+// ─── ARCHITECTURE ───────────────────────────────────────────────────────────
+
+/**
+ * Services contract of an infraSpec (top level, or inside canonical_architecture)
+ */
+function getContract(infraSpec = {}) {
+    return infraSpec.services_contract || infraSpec.canonical_architecture?.services_contract || null;
+}
+
+function getPattern(infraSpec = {}) {
+    return infraSpec.canonical_architecture?.pattern || infraSpec.architecture_pattern || null;
+}
+
+/**
+ * Fingerprint of a services list; a proposal only applies to the services it was made against
+ */
+function servicesHash(services = []) {
+    return crypto.createHash('sha256').update(JSON.stringify(services)).digest('hex');
+}
+
+function requireInfraSpec(workspace) {
+    const infraSpec = workspace.state_json?.infraSpec;
+    if (!infraSpec || !Array.isArray(getContract(infraSpec)?.services)) {
+        throw fail(400, 'Workspace has no architecture to refine yet');
+    }
+    return infraSpec;
+}
+
+/**
+ * infraSpec with a new services contract (and the deployable list derived from it)
+ */
+function withContract(infraSpec, servicesContract) {
+    const { deployable_services: deployableServices } = patternResolver.reconcileArchitecture(
+        { services: servicesContract.services, services_contract: servicesContract },
+        { type: 'APPLY_REFINEMENT', actions: [] }
+    );
+    const updated = { ...infraSpec, services_contract: servicesContract };
+    if (infraSpec.canonical_architecture) {
+        updated.canonical_architecture = {
+            ...infraSpec.canonical_architecture,
+            deployable_services: deployableServices,
+            ...(infraSpec.canonical_architecture.services_contract && { services_contract: servicesContract })
+        };
+    }
+    return updated;
+}
+
+// ─── CHANGE SETS ────────────────────────────────────────────────────────────
+
+/**
+ * Reconcile steps for a translated change set. Service ids from the model are resolved
+ * against the catalog and the current services; steps that can't be applied are skipped
+ * with the reason.
+ * @returns {object} { actions: [{ type, serviceId, configuration?, replaced_by?, reason }], skipped: [] }
+ */
+function toReconcileActions(changes, services) {
+    const working = services.map(s => ({ ...s }));
+    const find = (id) => working.find(s => s.id === id) || working.find(s => s.canonical_type === id);
+    const actions = [];
+    const skipped = [];
+
+    for (const change of changes) {
+        const requested = String(change.service_id || '').toLowerCase();
+        const canonical = resolveServiceId(requested);
+        const existing = find(requested) || find(canonical);
+
+        if (change.type === 'ADD_SERVICE') {
+            if (existing && isActive(existing)) {
+                skipped.push({ ...change, reason: `${existing.canonical_type} is already in the architecture` });
+                continue;
+            }
+            if (existing) {
+                // Previously removed: bring the same entry back
+                actions.push({ type: 'RESTORE_SERVICE', serviceId: existing.id, reason: change.reason });
+                existing.state = 'OPTIONAL';
+                continue;
+            }
+            const def = getServiceDefinition(canonical);
+            if (!def || def.terraform_supported === false) {
+                skipped.push({ ...change, reason: `${canonical} is not a deployable catalog service` });
+                continue;
+            }
+            actions.push({ type: 'ADD_SERVICE', serviceId: canonical, reason: change.reason });
+            working.push({ id: canonical, canonical_type: canonical, category: def.category, state: 'OPTIONAL' });
+            continue;
+        }
+
+        if (!existing) {
+            skipped.push({ ...change, reason: `${canonical} is not in the architecture` });
+            continue;
+        }
+
+        if (change.type === 'REMOVE_SERVICE') {
+            if (!isActive(existing)) {
+                skipped.push({ ...change, reason: `${existing.canonical_type} is already removed` });
+                continue;
+            }
+            existing.state = 'USER_DISABLED';
+        } else if (change.type === 'RESTORE_SERVICE') {
+            existing.state = 'OPTIONAL';
+        }
+        actions.push({
+            type: change.type,
+            serviceId: existing.id,
+            ...(change.configuration && { configuration: change.configuration }),
+            ...(change.replaced_by && { replaced_by: resolveServiceId(String(change.replaced_by).toLowerCase()) }),
+            reason: change.reason
+        });
+    }
+
+    return { actions, skipped };
+}
+
+/**
+ * Removal guardrail for each REMOVE step, against the services as they are at that step.
+ * A MANDATORY service may go when the same change set replaces it with one of the same
+ * category (Postgres -> DynamoDB); services depending on it still block.
+ * @returns {string[]} errors
+ */
+function checkRemovals(actions, services) {
+    const errors = [];
+    let working = JSON.parse(JSON.stringify(services));
+
+    for (const action of actions) {
+        if (action.type === 'REMOVE_SERVICE') {
+            const target = working.find(s => s.id === action.serviceId);
+            const replacement = action.replaced_by && getServiceDefinition(action.replaced_by);
+            const replaced = target?.state === 'MANDATORY' && replacement &&
+                replacement.category === (getServiceDefinition(target.canonical_type)?.category || target.category) &&
+                actions.some(a => ['ADD_SERVICE', 'RESTORE_SERVICE'].includes(a.type) &&
+                    (a.serviceId === action.replaced_by || working.find(s => s.id === a.serviceId)?.canonical_type === action.replaced_by));
+
+            const result = patternResolver.validateServiceRemoval(action.serviceId, {
+                services: replaced ? working.map(s => (s === target ? { ...s, state: 'OPTIONAL' } : s)) : working
+            });
+            if (!result.valid) errors.push(result.error);
+        }
+        working = patternResolver.reconcileArchitecture({ services: working }, action).services_contract.services;
+    }
+    return errors;
+}
+
+/**
+ * canonicalValidator errors of the architecture after the change that it didn't have before
+ */
+function checkPattern(infraSpec, beforeServices, afterServices) {
+    const pattern = getPattern(infraSpec);
+    if (!pattern) return { errors: [], warnings: [] };
+
+    const intent = infraSpec.locked_intent || {};
+    const validate = (services) => canonicalValidator.validateCanonicalArchitecture({ pattern, services: services.filter(isActive) }, intent);
+    const before = validate(beforeServices);
+    const after = validate(afterServices);
+
+    return {
+        errors: after.errors.filter(e => !before.errors.includes(e)),
+        warnings: [...after.warnings.filter(w => !before.warnings.includes(w)), ...before.errors.filter(e => after.errors.includes(e))]
+    };
+}
+
+/**
+ * Monthly cost before and after; the estimate is informational and never blocks a proposal
+ */
+async function estimateCostDelta(stateJson, reconciled) {
+    try {
+        const before = await budgetService.estimateArchitectureCost(stateJson);
+        const after = await budgetService.estimateArchitectureCost(stateJson, reconciled);
+        const delta = before.cost_usd !== null && after.cost_usd !== null
+            ? Math.round((after.cost_usd - before.cost_usd) * 100) / 100
+            : null;
+        return { provider: before.provider.toUpperCase(), before_usd: before.cost_usd, after_usd: after.cost_usd, delta_usd: delta };
+    } catch (err) {
+        console.error('[REFINE] Cost estimate failed:', err.message);
+        return { provider: null, before_usd: null, after_usd: null, delta_usd: null, error: err.message };
+    }
+}
+
+/**
+ * Per-service view of a change: what's added, removed, restored or reconfigured
+ */
+function describeDiff(beforeServices, afterServices) {
+    const before = new Map(beforeServices.map(s => [s.id, s]));
+    const diff = { added: [], removed: [], restored: [], configured: [] };
+
+    for (const service of afterServices) {
+        const previous = before.get(service.id);
+        if (!previous) {
+            diff.added.push(service.canonical_type);
+        } else if (isActive(previous) && !isActive(service)) {
+            diff.removed.push(service.canonical_type);
+        } else if (!isActive(previous) && isActive(service)) {
+            diff.restored.push(service.canonical_type);
+        } else if (JSON.stringify(previous.configuration || {}) !== JSON.stringify(service.configuration || {})) {
+            diff.configured.push({ service: service.canonical_type, from: previous.configuration || {}, to: service.configuration });
+        }
+    }
+    return diff;
+}
+
+// ─── PROPOSALS ──────────────────────────────────────────────────────────────
+
+async function getRefinement(workspaceId, refinementId) {
+    const result = await pool.query(
+        'SELECT * FROM architecture_refinements WHERE id = $1 AND workspace_id = $2',
+        [parseInt(refinementId, 10) || 0, workspaceId]
+    );
+    if (result.rows.length === 0) throw fail(404, 'Refinement not found');
+    return result.rows[0];
+}
+
+async function listRefinements(workspaceId, limit = 20) {
+    const result = await pool.query(
+        'SELECT * FROM architecture_refinements WHERE workspace_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+        [workspaceId, Math.min(Math.max(limit, 1), 100)]
+    );
+    return result.rows;
+}
+
+/**
+ * Translate a chat message into a stored, validated and priced proposal
+ * @param {object} workspace - Workspace row (state_json holds the infraSpec)
+ * @param {string} userId
+ * @param {string} message - e.g. "swap Postgres for DynamoDB"
+ * @returns {Promise<object>} the architecture_refinements row
+ */
+async function proposeRefinement(workspace, userId, message) {
+    if (typeof message !== 'string' || !message.trim()) throw fail(400, 'message is required');
+    if (message.length > MAX_MESSAGE_LENGTH) throw fail(400, `message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+
+    const infraSpec = requireInfraSpec(workspace);
+    const services = getContract(infraSpec).services;
+
+    // Required lazily: aiService loads the LLM providers
+    const aiService = require('../ai/aiService');
+    const history = (await listRefinements(workspace.id, HISTORY_SIZE))
+        .filter(r => r.status === STATUSES.APPLIED)
+        .map(r => r.message)
+        .reverse();
+    const translation = await aiService.translateArchitectureEdit(message.trim(), services, {
+        catalogIds: getDeployableServiceIds(),
+        history
+    });
+
+    const { actions, skipped } = toReconcileActions(translation.changes || [], services);
+    if (actions.length === 0) {
+        const reasons = [...(translation.unsupported || []), ...skipped.map(s => s.reason)];
+        throw fail(422, `No architecture change found in the request${reasons.length > 0 ? `: ${reasons.join('; ')}` : ''}`);
+    }
+
+    const reconciled = patternResolver.reconcileArchitecture(
+        { services, services_contract: getContract(infraSpec) },
+        { type: 'APPLY_REFINEMENT', actions }
+    );
+    const afterServices = reconciled.services_contract.services;
+    const removalErrors = checkRemovals(actions, services);
+    const pattern = checkPattern(infraSpec, services, afterServices);
+
+    const validation = {
+        valid: removalErrors.length === 0 && pattern.errors.length === 0,
+        errors: [...removalErrors, ...pattern.errors],
+        warnings: pattern.warnings,
+        skipped,
+        unsupported: translation.unsupported || [],
+        output_validation: translation.output_validation || null
+    };
+    const costDelta = await estimateCostDelta(workspace.state_json, reconciled);
+    const changeSet = { actions, diff: describeDiff(services, afterServices) };
+
+    const result = await pool.query(
+        `INSERT INTO architecture_refinements
+            (workspace_id, user_id, message, summary, change_set, validation, cost_delta, status, base_hash, before_contract, after_contract)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+            workspace.id,
+            userId,
+            message.trim(),
+            translation.summary || null,
+            JSON.stringify(changeSet),
+            JSON.stringify(validation),
+            JSON.stringify(costDelta),
+            STATUSES.PROPOSED,
+            servicesHash(services),
+            JSON.stringify(getContract(infraSpec)),
+            JSON.stringify(reconciled.services_contract)
+        ]
+    );
+
+    console.log(`[REFINE] Workspace ${workspace.id}: proposed ${actions.length} change(s) (${validation.valid ? 'valid' : `${validation.errors.length} error(s)`})`);
+    return result.rows[0];
+}
+
+/**
+ * Replace the workspace's services contract, unless the workspace changed since it was read
+ */
+async function writeContract(workspaceId, servicesContract, expectedHash) {
+    // updated_at as text: a JS Date would drop the microseconds and never match again
+    const wsRes = await pool.query('SELECT state_json, updated_at::text AS version FROM workspaces WHERE id = $1', [workspaceId]);
+    if (wsRes.rows.length === 0) throw fail(404, 'Workspace not found');
+
+    const { state_json: stateJson, version } = wsRes.rows[0];
+    const infraSpec = requireInfraSpec({ state_json: stateJson });
+    if (servicesHash(getContract(infraSpec).services) !== expectedHash) {
+        throw fail(409, 'The architecture changed since this refinement was proposed; propose it again');
+    }
+
+    const updated = withContract(infraSpec, servicesContract);
+    const result = await pool.query(
+        `UPDATE workspaces SET state_json = jsonb_set(state_json, '{infraSpec}', $2::jsonb), updated_at = NOW()
+         WHERE id = $1 AND updated_at::text IS NOT DISTINCT FROM $3`,
+        [workspaceId, JSON.stringify(updated), version]
+    );
+    if (result.rowCount === 0) {
+        throw fail(409, 'The workspace was saved while applying the refinement; try again');
+    }
+    return updated;
+}
+
+/**
+ * Apply a proposal after the user confirmed it
+ * @returns {Promise<object>} { refinement, infraSpec }
+ */
+async function applyRefinement(workspace, refinementId) {
+    const refinement = await getRefinement(workspace.id, refinementId);
+    if (refinement.status !== STATUSES.PROPOSED) throw fail(409, `Refinement is ${refinement.status}`);
+    if (refinement.validation?.valid === false) {
+        throw fail(422, `Refinement does not pass validation: ${refinement.validation.errors.join('; ')}`);
+    }
+
+    const infraSpec = await writeContract(workspace.id, refinement.after_contract, refinement.base_hash);
+
+    const result = await pool.query(
+        `UPDATE architecture_refinements SET status = $2, applied_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [refinement.id, STATUSES.APPLIED]
+    );
+    // Other open proposals were made against the old architecture
+    await pool.query(
+        'UPDATE architecture_refinements SET status = $3 WHERE workspace_id = $1 AND status = $2 AND id <> $4',
+        [workspace.id, STATUSES.PROPOSED, STATUSES.SUPERSEDED, refinement.id]
+    );
+
+    console.log(`[REFINE] Workspace ${workspace.id}: applied refinement ${refinement.id}`);
+    return { refinement: result.rows[0], infraSpec };
+}
+
+async function rejectRefinement(workspace, refinementId) {
+    const result = await pool.query(
+        `UPDATE architecture_refinements SET status = $3
+         WHERE id = $1 AND workspace_id = $2 AND status = $4 RETURNING *`,
+        [parseInt(refinementId, 10) || 0, workspace.id, STATUSES.REJECTED, STATUSES.PROPOSED]
+    );
+    if (result.rows.length === 0) {
+        const refinement = await getRefinement(workspace.id, refinementId);
+        throw fail(409, `Refinement is ${refinement.status}`);
+    }
+    return result.rows[0];
+}
+
+/**
+ * Put back the services from before the most recent applied refinement
+ * @returns {Promise<object>} { refinement, infraSpec }
+ */
+async function undoLastRefinement(workspace) {
+    const last = await pool.query(
+        `SELECT * FROM architecture_refinements WHERE workspace_id = $1 AND status = $2
+         ORDER BY applied_at DESC, id DESC LIMIT 1`,
+        [workspace.id, STATUSES.APPLIED]
+    );
+    if (last.rows.length === 0) throw fail(404, 'No applied refinement to undo');
+
+    const refinement = last.rows[0];
+    const infraSpec = await writeContract(workspace.id, refinement.before_contract, servicesHash(refinement.after_contract.services));
+
+    const result = await pool.query(
+        'UPDATE architecture_refinements SET status = $2, undone_at = NOW() WHERE id = $1 RETURNING *',
+        [refinement.id, STATUSES.UNDONE]
+    );
+    await pool.query(
+        'UPDATE architecture_refinements SET status = $3 WHERE workspace_id = $1 AND status = $2',
+        [workspace.id, STATUSES.PROPOSED, STATUSES.SUPERSEDED]
+    );
+
+    console.log(`[REFINE] Workspace ${workspace.id}: undid refinement ${refinement.id}`);
+    return { refinement: result.rows[0], infraSpec };
+}
+
+/**
+ * API shape of a refinement (contracts are left out; the diff describes them)
+ */
+function toRefinementView(row) {
+    return {
+        id: row.id,
+        message: row.message,
+        summary: row.summary,
+        status: row.status,
+        changes: row.change_set?.actions || [],
+        diff: row.change_set?.diff || null,
+        validation: row.validation,
+        cost_delta: row.cost_delta,
+        created_by: row.user_id,
+        created_at: row.created_at,
+        applied_at: row.applied_at,
+        undone_at: row.undone_at
+    };
+}
+
+module.exports = {
+    STATUSES,
+    servicesHash,
+    listRefinements,
+    getRefinement,
+    proposeRefinement,
+    applyRefinement,
+    rejectRefinement,
+    undoLastRefinement,
+    toRefinementView
+};
@@ -0,0 +1,558 @@
+/**
+ * THREAT MODEL SERVICE
+ * STRIDE threat model of an architecture, built from its diagram graph
+ *
+ * The nodes and edges come from architectureDiagramService.mapToProvider. Each node is
+ * placed in a zone (internet, edge, application, data, third party); an edge between two
+ * zones crosses a trust boundary:
+ * - internet → edge         (users reaching the CDN / load balancer / API gateway)
+ * - edge → application      (load balancer to compute)
+ * - application → data      (compute to databases, storage, queues)
+ * - application → third party
+ *
+ * Every element gets the STRIDE threats of its kind (external entity, process, data store,
+ * boundary-crossing data flow). A threat lists the controls that mitigate it and whether
+ * the design already has them (WAF, KMS, private subnets, ...). Missing controls become
+ * findings whose `reconcile_action` ({ type: 'APPLY_MITIGATION', actions }) POST
+ * /api/architecture/reconcile applies in one step.
+ *
+ * Security, observability and network-plumbing services are controls, not elements:
+ * their edges (logs, metrics) aren't modelled.
+ */
+
+const architectureDiagramService = require('./architectureDiagramService');
+const { resolveServiceId } = require('../../config/aliases');
+
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const ZONES = {
+    INTERNET: 'internet',
+    EDGE: 'edge',
+    APPLICATION: 'application',
+    DATA: 'data',
+    THIRD_PARTY: 'third_party'
+};
+
+const ZONE_BY_TYPE = {
+    client: ZONES.INTERNET,
+    devices: ZONES.INTERNET,
+    cdn: ZONES.EDGE,
+    apigateway: ZONES.EDGE,
+    loadbalancer: ZONES.EDGE,
+    globalloadbalancer: ZONES.EDGE,
+    websocketgateway: ZONES.EDGE,
+    iotcore: ZONES.EDGE,
+    messagequeue: ZONES.DATA,
+    eventbus: ZONES.DATA,
+    eventstream: ZONES.DATA,
+    paymentgateway: ZONES.THIRD_PARTY,
+    emailnotification: ZONES.THIRD_PARTY,
+    smsnotification: ZONES.THIRD_PARTY,
+    pushnotificationservice: ZONES.THIRD_PARTY,
+    webhookintegration: ZONES.THIRD_PARTY,
+    backup: null // a control (backups), not a data store
+};
+
+const ZONE_BY_CATEGORY = {
+    client: ZONES.INTERNET,
+    compute: ZONES.APPLICATION,
+    ml: ZONES.APPLICATION,
+    analytics: ZONES.APPLICATION,
+    database: ZONES.DATA,
+    storage: ZONES.DATA,
+    messaging: ZONES.DATA,
+    fintech: ZONES.THIRD_PARTY
+};
+
+// Zone pairs that make a trust boundary, in the direction traffic flows
+const BOUNDARIES = {
+    [`${ZONES.INTERNET}->${ZONES.EDGE}`]: 'Internet → edge',
+    [`${ZONES.INTERNET}->${ZONES.APPLICATION}`]: 'Internet → application',
+    [`${ZONES.EDGE}->${ZONES.APPLICATION}`]: 'Edge → application',
+    [`${ZONES.EDGE}->${ZONES.DATA}`]: 'Edge → data',
+    [`${ZONES.APPLICATION}->${ZONES.DATA}`]: 'Application → data',
+    [`${ZONES.APPLICATION}->${ZONES.THIRD_PARTY}`]: 'Application → third party'
+};
+
+const KINDS = {
+    ENTITY: 'external_entity',
+    PROCESS: 'process',
+    DATA_STORE: 'data_store',
+    FLOW: 'data_flow'
+};
+
+const STRIDE = {
+    S: 'Spoofing',
+    T: 'Tampering',
+    R: 'Repudiation',
+    I: 'Information disclosure',
+    D: 'Denial of service',
+    E: 'Elevation of privilege'
+};
+
+const SEVERITY_ORDER = ['low', 'medium', 'high'];
+
+const ENCRYPTED_AT_REST = { encryption_at_rest: true, kms_key: 'customer_managed' };
+const PRIVATE_PLACEMENT = { network_placement: 'private_subnet', public_access: false };
+
+// ─── CONTROLS ───────────────────────────────────────────────────────────────
+// present(context, element) → name of what provides it, or null
+// actions(context, elements) → reconcile actions that add it
+
+const anyService = (...types) => (context) => types.find(type => context.services.has(type)) || null;
+
+const addService = (type) => () => [{ type: 'ADD_SERVICE', serviceId: type }];
+
+// A flow is configured on the service it reaches
+const configureElements = (configuration) => (context, elements) => elements
+    .map(el => context.services.get(el.kind === KINDS.FLOW ? el.to : el.id))
+    .filter(Boolean)
+    .filter((svc, idx, all) => all.indexOf(svc) === idx)
+    .map(svc => ({ type: 'CONFIGURE_SERVICE', serviceId: svc.id, configuration }));
+
+const configured = (key, value) => (context, element) => {
+    const svc = context.services.get(element.kind === KINDS.FLOW ? element.to : element.id);
+    return svc && svc.configuration[key] === value ? `${svc.canonical_type} configuration (${key})` : null;
+};
+
+const CONTROLS = {
+    waf: {
+        title: 'Web application firewall',
+        description: 'Filters injection, XSS and bot traffic before it reaches the application.',
+        present: anyService('waf'),
+        actions: addService('waf')
+    },
+    ddos_protection: {
+        title: 'DDoS protection',
+        description: 'Absorbs volumetric attacks at the network edge.',
+        present: anyService('ddosprotection', 'cdn'),
+        actions: addService('ddosprotection')
+    },
+    rate_limiting: {
+        title: 'Request throttling',
+        description: 'Per-client rate limits on the public entry point.',
+        present: (context, element) => anyService('apigateway', 'waf')(context)
+            || configured('rate_limiting', true)(context, element),
+        actions: configureElements({ rate_limiting: true })
+    },
+    tls: {
+        title: 'Managed TLS certificates',
+        description: 'HTTPS on every public endpoint with certificates that renew themselves.',
+        present: anyService('certificatemanagement'),
+        actions: addService('certificatemanagement')
+    },
+    authentication: {
+        title: 'User authentication',
+        description: 'Managed sign-in and token validation for every caller.',
+        present: anyService('identityauth'),
+        actions: addService('identityauth')
+    },
+    least_privilege: {
+        title: 'Least-privilege IAM policies',
+        description: 'Each workload gets a role scoped to the resources it uses.',
+        present: anyService('iampolicy', 'policygovernance'),
+        actions: addService('iampolicy')
+    },
+    secrets: {
+        title: 'Secrets management',
+        description: 'Database credentials and API keys are fetched at runtime, never stored in code or images.',
+        present: anyService('secretsmanagement', 'parameterstore'),
+        actions: addService('secretsmanagement')
+    },
+    private_network: {
+        title: 'Private subnets',
+        description: 'Compute and data stores have no public address; only the edge is reachable from the internet.',
+        present: (context, element) => anyService('vpcnetworking', 'vpc', 'subnet', 'privatelink', 'securitygroup', 'networkfirewall')(context)
+            || (element.kind === KINDS.DATA_STORE ? configured('network_placement', 'private_subnet')(context, element) : null),
+        actions: (context, elements) => [
+            ...(anyService('vpcnetworking', 'vpc')(context) ? [] : [{ type: 'ADD_SERVICE', serviceId: 'vpcnetworking' }]),
+            ...configureElements(PRIVATE_PLACEMENT)(context, elements)
+        ]
+    },
+    encryption_at_rest: {
+        title: 'KMS encryption at rest',
+        description: 'Data stores are encrypted with keys held in a key management service.',
+        present: (context, element) => anyService('keymanagement', 'keymanagementservice', 'kms')(context)
+            || configured('encryption_at_rest', true)(context, element),
+        actions: (context, elements) => [
+            ...(anyService('keymanagement', 'keymanagementservice', 'kms')(context) ? [] : [{ type: 'ADD_SERVICE', serviceId: 'keymanagement' }]),
+            ...configureElements(ENCRYPTED_AT_REST)(context, elements)
+        ]
+    },
+    encryption_in_transit: {
+        title: 'TLS to data stores',
+        description: 'Connections from the application to its data stores require TLS.',
+        present: configured('encryption_in_transit', true),
+        actions: configureElements({ encryption_in_transit: true })
+    },
+    backups: {
+        title: 'Backups',
+        description: 'Point-in-time copies to recover from corruption, deletion or ransomware.',
+        present: (context, element) => anyService('backup')(context)
+            || (context.services.get(element.id)?.configuration.backup_retention_days ? `${element.id} configuration (backup_retention_days)` : null),
+        actions: addService('backup')
+    },
+    audit_logging: {
+        title: 'Audit logging',
+        description: 'A tamper-evident record of who did what, to whom and when.',
+        present: anyService('auditlogging', 'siem'),
+        actions: addService('auditlogging')
+    },
+    logging: {
+        title: 'Application logging',
+        description: 'Request and error logs kept outside the workload.',
+        present: anyService('logging', 'logaggregation'),
+        actions: addService('logging')
+    },
+    monitoring: {
+        title: 'Monitoring and alerting',
+        description: 'Saturation and error-rate alerts that catch an outage or attack in progress.',
+        present: anyService('monitoring', 'alerting', 'apm'),
+        actions: addService('monitoring')
+    }
+};
+
+// ─── THREATS ────────────────────────────────────────────────────────────────
+// applies(element, graph) picks the elements a threat is raised for
+
+const isPublicEdge = (el) => el.kind === KINDS.PROCESS && el.zone === ZONES.EDGE;
+const isApplication = (el) => el.kind === KINDS.PROCESS && el.zone === ZONES.APPLICATION;
+const crosses = (...boundaries) => (el) => el.kind === KINDS.FLOW && boundaries.includes(el.boundary);
+
+const THREATS = [
+    {
+        id: 'user_spoofing', stride: 'S', severity: 'high', controls: ['authentication'],
+        applies: (el, graph) => el.kind === KINDS.ENTITY && el.zone === ZONES.INTERNET && graph.hasApplication,
+        describe: (el) => `An attacker signs in as another user of ${el.label} (credential stuffing, stolen sessions).`
+    },
+    {
+        id: 'user_repudiation', stride: 'R', severity: 'medium', controls: ['audit_logging'],
+        applies: (el, graph) => el.kind === KINDS.ENTITY && el.zone === ZONES.INTERNET && graph.hasApplication,
+        describe: (el) => `${el.label} deny actions they performed and nothing proves otherwise.`
+    },
+    {
+        id: 'edge_injection', stride: 'T', severity: 'high', controls: ['waf'],
+        applies: isPublicEdge,
+        describe: (el) => `Injection, XSS and malformed requests pass through ${el.label} to the application.`
+    },
+    {
+        id: 'edge_endpoint_spoofing', stride: 'S', severity: 'medium', controls: ['tls'],
+        applies: isPublicEdge,
+        describe: (el) => `Users are sent to a look-alike endpoint because ${el.label} isn't served with a trusted certificate.`
+    },
+    {
+        id: 'edge_dos', stride: 'D', severity: 'high', controls: ['ddos_protection', 'rate_limiting'],
+        applies: isPublicEdge,
+        describe: (el) => `Volumetric or request floods exhaust ${el.label} and everything behind it.`
+    },
+    {
+        id: 'caller_spoofing', stride: 'S', severity: 'high', controls: ['authentication'],
+        applies: isApplication,
+        describe: (el) => `Unauthenticated callers invoke ${el.label} as if they were a trusted user.`
+    },
+    {
+        id: 'edge_bypass', stride: 'T', severity: 'high', controls: ['private_network'],
+        applies: isApplication,
+        describe: (el) => `Requests reach ${el.label} directly, skipping the controls at the edge.`
+    },
+    {
+        id: 'app_repudiation', stride: 'R', severity: 'medium', controls: ['logging', 'audit_logging'],
+        applies: isApplication,
+        describe: (el) => `Changes made through ${el.label} can't be traced to a caller.`
+    },
+    {
+        id: 'secret_leak', stride: 'I', severity: 'high', controls: ['secrets'],
+        applies: isApplication,
+        describe: (el) => `Credentials in ${el.label}'s code, images or environment leak and give direct access to its data.`
+    },
+    {
+        id: 'app_exhaustion', stride: 'D', severity: 'medium', controls: ['monitoring'],
+        applies: isApplication,
+        describe: (el) => `${el.label} saturates or crash-loops and no one is alerted.`
+    },
+    {
+        id: 'privilege_escalation', stride: 'E', severity: 'high', controls: ['least_privilege'],
+        applies: isApplication,
+        describe: (el) => `A compromised ${el.label} uses broad cloud permissions to reach other resources.`
+    },
+    {
+        id: 'data_tampering', stride: 'T', severity: 'high', controls: ['backups'],
+        applies: (el) => el.kind === KINDS.DATA_STORE,
+        describe: (el) => `Data in ${el.label} is altered, deleted or encrypted for ransom with no way back.`
+    },
+    {
+        id: 'data_repudiation', stride: 'R', severity: 'low', controls: ['audit_logging'],
+        applies: (el) => el.kind === KINDS.DATA_STORE,
+        describe: (el) => `Reads and changes to ${el.label} can't be attributed.`
+    },
+    {
+        id: 'data_exposure', stride: 'I', severity: 'high', controls: ['encryption_at_rest', 'private_network'],
+        applies: (el) => el.kind === KINDS.DATA_STORE,
+        describe: (el) => `${el.label} is read through a public endpoint, a leaked snapshot or the underlying disks.`
+    },
+    {
+        id: 'data_unavailable', stride: 'D', severity: 'medium', controls: ['monitoring'],
+        applies: (el) => el.kind === KINDS.DATA_STORE,
+        describe: (el) => `${el.label} fills up or runs out of connections without warning.`
+    },
+    {
+        id: 'public_flow_interception', stride: 'I', severity: 'high', controls: ['tls'],
+        applies: crosses(BOUNDARIES['internet->edge'], BOUNDARIES['internet->application']),
+        describe: (el) => `Traffic ${el.label} is read or modified on the network.`
+    },
+    {
+        id: 'origin_spoofing', stride: 'S', severity: 'medium', controls: ['private_network'],
+        applies: crosses(BOUNDARIES['edge->application'], BOUNDARIES['edge->data']),
+        describe: (el) => `Requests forged to look like they came ${el.label}.`
+    },
+    {
+        id: 'data_flow_interception', stride: 'I', severity: 'medium', controls: ['encryption_in_transit'],
+        applies: crosses(BOUNDARIES['application->data']),
+        describe: (el) => `Queries and results ${el.label} are read on the network.`
+    },
+    {
+        id: 'data_credential_spoofing', stride: 'S', severity: 'high', controls: ['secrets'],
+        applies: crosses(BOUNDARIES['application->data']),
+        describe: (el) => `Stolen credentials let an attacker connect ${el.label} as the application.`
+    },
+    {
+        id: 'third_party_credentials', stride: 'I', severity: 'high', controls: ['secrets'],
+        applies: crosses(BOUNDARIES['application->third_party']),
+        describe: (el) => `API keys used ${el.label} leak and are abused.`
+    }
+];
+
+// ─── GRAPH ──────────────────────────────────────────────────────────────────
+
+/**
+ * Active services of the architecture by canonical type: { id, canonical_type, configuration }
+ */
+function collectServices(infraSpec) {
+    const contract = infraSpec.services_contract?.services
+        || infraSpec.canonical_architecture?.services_contract?.services
+        || infraSpec.canonical_architecture?.services
+        || [];
+
+    const services = new Map();
+    for (const svc of contract) {
+        if (!svc || svc.state === 'USER_DISABLED' || svc.state === 'EXCLUDED') continue;
+        const rawType = svc.canonical_type || svc.service_class || svc.name;
+        if (!rawType) continue;
+        const type = resolveServiceId(String(rawType).toLowerCase());
+        if (services.has(type)) continue;
+        services.set(type, { ...svc, id: svc.id || type, canonical_type: type, configuration: svc.configuration || {} });
+    }
+    return services;
+}
+
+function zoneOf(node) {
+    if (node.type in ZONE_BY_TYPE) return ZONE_BY_TYPE[node.type];
+    return ZONE_BY_CATEGORY[node.category] || null;
+}
+
+/**
+ * Diagram nodes and edges for the architecture, with an internet entity in front of the
+ * public entry points when the pattern's diagram has no client node
+ */
+function buildGraph(infraSpec, services, provider) {
+    const pattern = infraSpec.canonical_architecture?.pattern || infraSpec.architecture_pattern;
+    let diagram;
+    try {
+        diagram = architectureDiagramService.mapToProvider({
+            ...(infraSpec.canonical_architecture || {}),
+            pattern,
+            services: [...services.values()]
+        }, provider);
+    } catch (error) {
+        // The diagram refuses patterns below their minimum service count; the threats still apply
+        console.warn(`[THREAT MODEL] Diagram unavailable (${error.message}), using the pattern's edges`);
+        const diagramNodes = [...services.values()].map(svc => ({
+            id: svc.canonical_type,
+            label: svc.name || svc.canonical_type,
+            type: svc.canonical_type,
+            category: svc.category
+        }));
+        diagram = {
+            provider: provider.toUpperCase(),
+            nodes: diagramNodes,
+            edges: architectureDiagramService.generateEdgesForPattern(pattern, diagramNodes)
+        };
+    }
+
+    const nodes = [...diagram.nodes];
+    const edges = [...diagram.edges];
+
+    if (!nodes.some(n => zoneOf(n) === ZONES.INTERNET)) {
+        const entries = nodes.filter(n => zoneOf(n) === ZONES.EDGE);
+        const fronted = new Set(edges.filter(e => entries.some(n => n.id === e.from)).map(e => e.to));
+        const exposed = entries.length > 0
+            ? entries.filter(n => !fronted.has(n.id))
+            : nodes.filter(n => zoneOf(n) === ZONES.APPLICATION).slice(0, 1);
+        if (exposed.length > 0) {
+            nodes.unshift({ id: 'client', label: 'Users / Browser', type: 'client', category: 'client' });
+            exposed.forEach(n => edges.unshift({ from: 'client', to: n.id, label: 'requests', type: 'directional' }));
+        }
+    }
+
+    return { provider: diagram.provider, nodes, edges };
+}
+
+/**
+ * DFD elements: nodes in a zone, and the edges that cross a trust boundary
+ */
+function buildElements(graph) {
+    const nodes = new Map();
+    for (const node of graph.nodes) {
+        const zone = zoneOf(node);
+        if (!zone || nodes.has(node.id)) continue;
+        const kind = zone === ZONES.INTERNET || zone === ZONES.THIRD_PARTY
+            ? KINDS.ENTITY
+            : zone === ZONES.DATA ? KINDS.DATA_STORE : KINDS.PROCESS;
+        nodes.set(node.id, { id: node.id, kind, zone, label: node.label || node.id });
+    }
+
+    const boundaries = new Map();
+    const flows = [];
+    for (const edge of graph.edges) {
+        const from = nodes.get(edge.from);
+        const to = nodes.get(edge.to);
+        if (!from || !to) continue;
+        const name = BOUNDARIES[`${from.zone}->${to.zone}`];
+        if (!name) continue;
+        const id = `${edge.from}->${edge.to}`;
+        if (flows.some(f => f.id === id)) continue;
+
+        flows.push({
+            id,
+            kind: KINDS.FLOW,
+            boundary: name,
+            from: edge.from,
+            to: edge.to,
+            label: `from ${from.label} to ${to.label}`
+        });
+        if (!boundaries.has(name)) boundaries.set(name, { name, from_zone: from.zone, to_zone: to.zone, flows: [] });
+        boundaries.get(name).flows.push(id);
+    }
+
+    // Third-party services are entities only when something calls them
+    const elements = [...nodes.values()].filter(el => el.zone !== ZONES.THIRD_PARTY || flows.some(f => f.to === el.id));
+    return { elements: [...elements, ...flows], boundaries: [...boundaries.values()] };
+}
+
+// ─── ANALYSIS ───────────────────────────────────────────────────────────────
+
+function evaluateThreat(context, threat, element) {
+    const mitigations = threat.controls.map(controlId => {
+        const via = CONTROLS[controlId].present(context, element);
+        return { control: controlId, title: CONTROLS[controlId].title, present: Boolean(via), via: via || null };
+    });
+    const present = mitigations.filter(m => m.present).length;
+
+    return {
+        id: `${threat.id}:${element.id}`,
+        threat: threat.id,
+        stride: STRIDE[threat.stride],
+        element: element.id,
+        severity: threat.severity,
+        description: threat.describe(element),
+        mitigations,
+        status: present === mitigations.length ? 'mitigated' : present > 0 ? 'partially_mitigated' : 'unmitigated'
+    };
+}
+
+/**
+ * One finding per missing control, covering every threat and element it leaves open
+ */
+function buildFindings(context, threats, elementsById) {
+    const byControl = new Map();
+    for (const threat of threats) {
+        for (const mitigation of threat.mitigations.filter(m => !m.present)) {
+            if (!byControl.has(mitigation.control)) byControl.set(mitigation.control, { threats: [], stride: new Set(), elements: new Set(), severity: 'low' });
+            const entry = byControl.get(mitigation.control);
+            entry.threats.push(threat.id);
+            entry.stride.add(threat.stride);
+            entry.elements.add(threat.element);
+            if (SEVERITY_ORDER.indexOf(threat.severity) > SEVERITY_ORDER.indexOf(entry.severity)) entry.severity = threat.severity;
+        }
+    }
+
+    return [...byControl.entries()]
+        .map(([controlId, entry]) => {
+            const control = CONTROLS[controlId];
+            const elements = [...entry.elements].map(id => elementsById.get(id));
+            return {
+                id: controlId,
+                title: control.title,
+                description: control.description,
+                severity: entry.severity,
+                stride: [...entry.stride],
+                elements: elements.map(el => el.id),
+                threats: entry.threats,
+                reconcile_action: { type: 'APPLY_MITIGATION', mitigation_id: controlId, actions: control.actions(context, elements) }
+            };
+        })
+        .filter(finding => finding.reconcile_action.actions.length > 0)
+        .sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity) || b.threats.length - a.threats.length);
+}
+
+// ─── ENTRY POINT ────────────────────────────────────────────────────────────
+
+/**
+ * STRIDE threat model of an architecture
+ *
+ * @param {object} infraSpec - Step 2 infraSpec (services_contract / canonical_architecture)
+ * @param {object} options - { provider } used for node labels (default AWS)
+ * @returns {object} { provider, pattern, trust_boundaries, elements, threats, existing_mitigations, findings, summary }
+ */
+function buildThreatModel(infraSpec, options = {}) {
+    if (!infraSpec) throw fail(400, 'Missing infraSpec (or a workspace_id with a saved one)');
+
+    const services = collectServices(infraSpec);
+    if (services.size === 0) throw fail(422, 'The architecture has no active services to model');
+
+    const context = { services };
+    const graph = buildGraph(infraSpec, services, String(options.provider || 'AWS'));
+    const { elements, boundaries } = buildElements(graph);
+    const elementsById = new Map(elements.map(el => [el.id, el]));
+    const shape = { hasApplication: elements.some(el => el.zone === ZONES.APPLICATION) };
+
+    const threats = [];
+    for (const element of elements) {
+        for (const threat of THREATS.filter(t => t.applies(element, shape))) {
+            threats.push(evaluateThreat(context, threat, element));
+        }
+    }
+
+    const existing = new Map();
+    for (const mitigation of threats.flatMap(t => t.mitigations).filter(m => m.present)) {
+        if (!existing.has(mitigation.control)) existing.set(mitigation.control, { control: mitigation.control, title: mitigation.title, via: new Set() });
+        existing.get(mitigation.control).via.add(mitigation.via);
+    }
+
+    const findings = buildFindings(context, threats, elementsById);
+    const count = (status) => threats.filter(t => t.status === status).length;
+
+    console.log(`[THREAT MODEL] ${elements.length} elements, ${threats.length} threats, ${findings.length} finding(s)`);
+    return {
+        provider: graph.provider,
+        pattern: infraSpec.canonical_architecture?.pattern || infraSpec.architecture_pattern || null,
+        trust_boundaries: boundaries,
+        elements,
+        threats,
+        existing_mitigations: [...existing.values()].map(m => ({ ...m, via: [...m.via] })),
+        findings,
+        summary: {
+            threats: threats.length,
+            mitigated: count('mitigated'),
+            partially_mitigated: count('partially_mitigated'),
+            unmitigated: count('unmitigated'),
+            high_severity_open: threats.filter(t => t.severity === 'high' && t.status !== 'mitigated').length
+        }
+    };
+}
+
+module.exports = {
+    CONTROLS,
+    THREATS,
+    buildThreatModel
+};
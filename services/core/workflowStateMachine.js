@@ -3,10 +3,14 @@
  * 
  * Prevents duplicate phase entries and cleans log noise
  * Enforces strict phase transitions with guards
+ *
+ * Workflows are `workflow` jobs in the jobs table (phase = stage, lock and
+ * transitions in metadata), so they survive a restart like every other job.
+ * Their status stays `open` until completed, which keeps them out of the
+ * active-job checks and the orphan sweep.
  */
 
-const { randomUUID } = require('crypto');
-const uuidv4 = randomUUID;
+const jobQueue = require('../infrastructure/jobQueue');
 
 
 // Phase enum (strict control)
@@ -20,45 +24,50 @@ const WorkflowPhase = {
   COMPLETE: "COMPLETE"
 };
 
-// In-memory workflow state store (replace with DB in production)
-const workflowStore = new Map();
+const WORKFLOW_STATUS = {
+  OPEN: 'open',
+  COMPLETED: 'completed'
+};
+
+function jobToWorkflow(job) {
+  return {
+    id: job.id,
+    workspaceId: job.workspaceId,
+    phase: job.stage,
+    locked: Boolean(job.metadata.locked),
+    startedAt: job.startTime,
+    transitions: job.metadata.transitions || []
+  };
+}
 
 /**
  * Initialize new workflow
  */
-function initWorkflow(workspaceId) {
-  const workflowId = uuidv4();
-  const workflow = {
-    id: workflowId,
-    workspaceId,
-    phase: WorkflowPhase.INTENT,
-    locked: false,
-    startedAt: new Date(),
-    transitions: []
-  };
-
-  workflowStore.set(workflowId, workflow);
-  logPhaseTransition(workflowId, WorkflowPhase.INTENT, 'INIT');
+async function initWorkflow(workspaceId) {
+  const job = await jobQueue.createJob(jobQueue.JOB_TYPES.WORKFLOW, workspaceId, {
+    status: WORKFLOW_STATUS.OPEN,
+    stage: WorkflowPhase.INTENT,
+    metadata: { locked: false, transitions: [] }
+  });
 
-  return workflow;
+  logPhaseTransition(job.id, WorkflowPhase.INTENT, 'INIT');
+  return jobToWorkflow(job);
 }
 
 /**
- * Get workflow by ID or workspace ID
+ * Get workflow by ID or workspace ID (its latest workflow)
  */
-function getWorkflow(workflowId, workspaceId) {
+async function getWorkflow(workflowId, workspaceId) {
   // Try by workflow ID first
-  if (workflowId && workflowStore.has(workflowId)) {
-    return workflowStore.get(workflowId);
+  if (workflowId) {
+    const job = await jobQueue.getJob(workflowId);
+    if (job && job.type === jobQueue.JOB_TYPES.WORKFLOW) return jobToWorkflow(job);
   }
 
   // Try by workspace ID
   if (workspaceId) {
-    for (const [id, workflow] of workflowStore.entries()) {
-      if (workflow.workspaceId === workspaceId) {
-        return workflow;
-      }
-    }
+    const job = await jobQueue.getLatestJob(workspaceId, jobQueue.JOB_TYPES.WORKFLOW);
+    if (job) return jobToWorkflow(job);
   }
 
   return null;
@@ -67,8 +76,9 @@ function getWorkflow(workflowId, workspaceId) {
 /**
  * Phase guard - prevents duplicate entries
  * Returns true if transition allowed, false if already in phase
+ * (or another request moved the workflow first)
  */
-function enterPhase(workflow, nextPhase) {
+async function enterPhase(workflow, nextPhase) {
   if (!workflow) {
     console.error('[WORKFLOW] No workflow provided to enterPhase');
     return false;
@@ -86,15 +96,21 @@ function enterPhase(workflow, nextPhase) {
     return false;
   }
 
-  // Valid transition
+  // Valid transition (conditional on the phase we read, so concurrent entries can't both win)
   const previousPhase = workflow.phase;
-  workflow.phase = nextPhase;
-  workflow.transitions.push({
+  const transitions = [...workflow.transitions, {
     from: previousPhase,
     to: nextPhase,
     timestamp: new Date()
-  });
+  }];
 
+  if (!(await jobQueue.advanceStage(workflow.id, previousPhase, nextPhase, { transitions }))) {
+    console.warn(`[WORKFLOW] Workflow ${workflow.id} left phase ${previousPhase} concurrently - blocking ${nextPhase}`);
+    return false;
+  }
+
+  workflow.phase = nextPhase;
+  workflow.transitions = transitions;
   logPhaseTransition(workflow.id, nextPhase, 'ENTER', previousPhase);
 
   return true;
@@ -103,18 +119,20 @@ function enterPhase(workflow, nextPhase) {
 /**
  * Lock workflow (prevents concurrent modifications)
  */
-function lockWorkflow(workflow) {
+async function lockWorkflow(workflow) {
   if (!workflow) return false;
   workflow.locked = true;
+  await jobQueue.updateJob(workflow.id, { metadata: { locked: true } });
   return true;
 }
 
 /**
  * Unlock workflow
  */
-function unlockWorkflow(workflow) {
+async function unlockWorkflow(workflow) {
   if (!workflow) return false;
   workflow.locked = false;
+  await jobQueue.updateJob(workflow.id, { metadata: { locked: false } });
   return true;
 }
 
@@ -160,10 +178,11 @@ function getWorkflowStatus(workflow) {
 /**
  * Complete workflow
  */
-function completeWorkflow(workflow) {
+async function completeWorkflow(workflow) {
   if (!workflow) return false;
 
-  if (enterPhase(workflow, WorkflowPhase.COMPLETE)) {
+  if (await enterPhase(workflow, WorkflowPhase.COMPLETE)) {
+    await jobQueue.updateJob(workflow.id, { status: WORKFLOW_STATUS.COMPLETED });
     logPhaseTransition(workflow.id, WorkflowPhase.COMPLETE, 'COMPLETED');
     return true;
   }
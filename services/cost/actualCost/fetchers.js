@@ -0,0 +1,241 @@
+/**
+ * BILLED COST FETCHERS
+ * Read what a provider actually billed for one deployed project
+ *
+ * INTERFACE:
+ *   fetcher.fetchActualCost({ connection, tag, start, end })
+ *     connection - state_json.connection of the workspace
+ *     tag        - { key, value }: the cost-allocation tag / label every resource carries
+ *                  (`Project = var.project_name`; GCP labels are lower-case)
+ *     start, end - 'YYYY-MM-DD', end exclusive
+ *   resolves { currency, line_items: [{ service, amount }] } in the billing currency
+ *
+ * FETCHERS:
+ * - aws   - Cost Explorer, grouped by SERVICE (the Project tag must be activated as a cost allocation tag)
+ * - gcp   - BigQuery billing export (`billing_export_table` on the connection, or GCP_BILLING_EXPORT_TABLE)
+ * - azure - Cost Management query API, grouped by ServiceName
+ * - stub  - local JSON file (ACTUAL_COST_STUB_FILE), used for every provider when ACTUAL_COST_FETCHER=stub
+ *
+ * registerFetcher() replaces a provider's fetcher (tests, other billing sources).
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const { google } = require('googleapis');
+const credentialProvider = require('../../infrastructure/credentialProvider');
+const stateBackendService = require('../../infrastructure/stateBackendService');
+
+const ARM_BASE = 'https://management.azure.com';
+const AZURE_COST_API_VERSION = '2023-03-01';
+const BIGQUERY_TIMEOUT_MS = 30000;
+const STUB_DAYS_PER_PERIOD = 30;
+
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const daysBetween = (start, end) => Math.round((new Date(`${end}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / 86400000);
+
+// ─── AWS ────────────────────────────────────────────────────────────────────
+
+const awsCostExplorer = {
+    name: 'aws_cost_explorer',
+
+    async fetchActualCost({ connection, tag, start, end }) {
+        const { CostExplorerClient, GetCostAndUsageCommand } = require('@aws-sdk/client-cost-explorer');
+        const { envVars } = await credentialProvider.getAwsCredentials(connection);
+
+        // Cost Explorer is a global API served from us-east-1
+        const client = new CostExplorerClient({
+            region: 'us-east-1',
+            credentials: {
+                accessKeyId: envVars.AWS_ACCESS_KEY_ID,
+                secretAccessKey: envVars.AWS_SECRET_ACCESS_KEY,
+                sessionToken: envVars.AWS_SESSION_TOKEN || undefined
+            }
+        });
+
+        const lineItems = new Map();
+        let currency = 'USD';
+        let nextPageToken;
+        do {
+            const response = await client.send(new GetCostAndUsageCommand({
+                TimePeriod: { Start: start, End: end },
+                Granularity: 'MONTHLY',
+                Metrics: ['UnblendedCost'],
+                Filter: { Tags: { Key: tag.key, Values: [tag.value], MatchOptions: ['EQUALS'] } },
+                GroupBy: [{ Type: 'DIMENSION', Key: 'SERVICE' }],
+                NextPageToken: nextPageToken
+            }));
+
+            for (const period of response.ResultsByTime || []) {
+                for (const group of period.Groups || []) {
+                    const metric = group.Metrics?.UnblendedCost;
+                    if (!metric) continue;
+                    currency = metric.Unit || currency;
+                    const service = group.Keys?.[0] || 'Other';
+                    lineItems.set(service, (lineItems.get(service) || 0) + parseFloat(metric.Amount || 0));
+                }
+            }
+            nextPageToken = response.NextPageToken;
+        } while (nextPageToken);
+
+        return { currency, line_items: [...lineItems].map(([service, amount]) => ({ service, amount })) };
+    }
+};
+
+// ─── GCP ────────────────────────────────────────────────────────────────────
+
+const gcpBillingExport = {
+    name: 'gcp_billing_export',
+
+    async fetchActualCost({ connection, tag, start, end }) {
+        const table = connection.billing_export_table || process.env.GCP_BILLING_EXPORT_TABLE;
+        if (!table) {
+            throw fail(400, 'GCP billing export is not configured (set billing_export_table on the connection or GCP_BILLING_EXPORT_TABLE)');
+        }
+        // project.dataset.table - interpolated into the query, so nothing else is accepted
+        if (!/^[a-z][a-z0-9-]{4,29}\.\w+\.\w+$/.test(table)) {
+            throw fail(400, `Invalid GCP billing export table: ${table}`);
+        }
+        if (!connection.tokens?.access_token) throw fail(400, 'GCP connection missing OAuth access token');
+
+        const auth = new google.auth.OAuth2(process.env.GCP_CLIENT_ID, process.env.GCP_CLIENT_SECRET);
+        auth.setCredentials(connection.tokens);
+        const bigquery = google.bigquery({ version: 'v2', auth });
+
+        // Credits (free tier, committed-use, promotions) are negative amounts next to the cost
+        const response = await bigquery.jobs.query({
+            projectId: connection.project_id || table.split('.')[0],
+            requestBody: {
+                useLegacySql: false,
+                timeoutMs: BIGQUERY_TIMEOUT_MS,
+                parameterMode: 'NAMED',
+                query: `
+                    SELECT service.description AS service, currency,
+                           SUM(cost) + SUM(IFNULL((SELECT SUM(c.amount) FROM UNNEST(credits) c), 0)) AS amount
+                    FROM \`${table}\`
+                    WHERE usage_start_time >= TIMESTAMP(@start) AND usage_start_time < TIMESTAMP(@end)
+                      AND EXISTS (SELECT 1 FROM UNNEST(labels) l WHERE l.key = @tag_key AND l.value = @tag_value)
+                    GROUP BY service, currency`,
+                queryParameters: [
+                    { name: 'start', parameterType: { type: 'STRING' }, parameterValue: { value: start } },
+                    { name: 'end', parameterType: { type: 'STRING' }, parameterValue: { value: end } },
+                    { name: 'tag_key', parameterType: { type: 'STRING' }, parameterValue: { value: tag.key.toLowerCase() } },
+                    { name: 'tag_value', parameterType: { type: 'STRING' }, parameterValue: { value: tag.value } }
+                ]
+            }
+        });
+
+        if (response.data.jobComplete === false) throw fail(504, 'BigQuery billing query did not finish in time');
+
+        const rows = (response.data.rows || []).map(row => row.f.map(field => field.v));
+        return {
+            currency: rows[0]?.[1] || 'USD',
+            line_items: rows.map(([service, , amount]) => ({ service, amount: parseFloat(amount) || 0 }))
+        };
+    }
+};
+
+// ─── AZURE ──────────────────────────────────────────────────────────────────
+
+const azureCostManagement = {
+    name: 'azure_cost_management',
+
+    async fetchActualCost({ connection, tag, start, end }) {
+        const { token, envVars } = await stateBackendService.getAzureArmToken(connection);
+        const subscriptionId = envVars.ARM_SUBSCRIPTION_ID;
+        if (!subscriptionId) throw fail(400, 'Azure connection missing subscription_id');
+
+        // The query's time period is inclusive
+        const lastDay = new Date(`${end}T00:00:00Z`);
+        lastDay.setUTCDate(lastDay.getUTCDate() - 1);
+
+        const response = await axios.post(
+            `${ARM_BASE}/subscriptions/${subscriptionId}/providers/Microsoft.CostManagement/query?api-version=${AZURE_COST_API_VERSION}`,
+            {
+                type: 'ActualCost',
+                timeframe: 'Custom',
+                timePeriod: { from: `${start}T00:00:00Z`, to: `${lastDay.toISOString().slice(0, 10)}T23:59:59Z` },
+                dataset: {
+                    granularity: 'None',
+                    aggregation: { totalCost: { name: 'Cost', function: 'Sum' } },
+                    grouping: [{ type: 'Dimension', name: 'ServiceName' }],
+                    filter: { tags: { name: tag.key, operator: 'In', values: [tag.value] } }
+                }
+            },
+            { headers: { Authorization: `Bearer ${token}` } }
+        );
+
+        const { columns = [], rows = [] } = response.data.properties || {};
+        const column = (name) => columns.findIndex(c => c.name.toLowerCase() === name.toLowerCase());
+        const [costIndex, serviceIndex, currencyIndex] = [column('Cost'), column('ServiceName'), column('Currency')];
+
+        return {
+            currency: (currencyIndex >= 0 && rows[0]?.[currencyIndex]) || 'USD',
+            line_items: rows.map(row => ({ service: row[serviceIndex] || 'Other', amount: parseFloat(row[costIndex]) || 0 }))
+        };
+    }
+};
+
+// ─── STUB ───────────────────────────────────────────────────────────────────
+
+/**
+ * Billed costs from a local JSON file, for development without billing access:
+ *   { "<tag value>" | "*": { "currency": "USD", "line_items": [{ "service": "AWS Lambda", "amount": 12.5 }] } }
+ * Amounts are per 30 days and prorated to the requested period.
+ */
+const stubFetcher = {
+    name: 'stub',
+
+    async fetchActualCost({ tag, start, end }) {
+        const file = process.env.ACTUAL_COST_STUB_FILE;
+        if (!file || !fs.existsSync(file)) {
+            throw fail(400, 'ACTUAL_COST_STUB_FILE is not set or does not exist');
+        }
+
+        const fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const fixture = fixtures[tag.value] || fixtures['*'];
+        if (!fixture) return { currency: 'USD', line_items: [] };
+
+        const share = daysBetween(start, end) / STUB_DAYS_PER_PERIOD;
+        return {
+            currency: fixture.currency || 'USD',
+            line_items: (fixture.line_items || []).map(item => ({ service: item.service, amount: item.amount * share }))
+        };
+    }
+};
+
+// ─── REGISTRY ───────────────────────────────────────────────────────────────
+
+const fetchers = {
+    aws: awsCostExplorer,
+    gcp: gcpBillingExport,
+    azure: azureCostManagement
+};
+
+/**
+ * Use another fetcher for a provider
+ */
+function registerFetcher(provider, fetcher) {
+    if (typeof fetcher?.fetchActualCost !== 'function') {
+        throw new Error('A billed cost fetcher needs a fetchActualCost({ connection, tag, start, end }) method');
+    }
+    fetchers[String(provider).toLowerCase()] = fetcher;
+}
+
+/**
+ * Fetcher for a provider (the stub for every provider when ACTUAL_COST_FETCHER=stub)
+ */
+function getFetcher(provider) {
+    if (process.env.ACTUAL_COST_FETCHER === 'stub') return stubFetcher;
+
+    const fetcher = fetchers[String(provider).toLowerCase()];
+    if (!fetcher) throw fail(400, `No billed cost source for provider: ${provider}`);
+    return fetcher;
+}
+
+module.exports = {
+    stubFetcher,
+    registerFetcher,
+    getFetcher,
+    daysBetween
+};
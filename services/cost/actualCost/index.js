@@ -0,0 +1,379 @@
+/**
+ * ACTUAL COST RECONCILIATION
+ * Compares what a deployed workspace is billed with what it was estimated to cost
+ *
+ * RULES:
+ * 1. Only DEPLOYED workspaces are reconciled, against the provider they were deployed to
+ * 2. Billed cost is read by the resources' `Project = var.project_name` tag, through a
+ *    pluggable fetcher (./fetchers), and converted to USD
+ * 3. The period is the current calendar month (from the deployment date if later) up to today;
+ *    its cost is scaled to a month so it compares with the monthly estimate
+ * 4. The estimate is the latest cost_history row for the provider; variance is reported overall
+ *    and per category (billed services and estimate categories share the buckets below)
+ * 5. Each result is stored in actual_costs (one row per workspace, provider and month, refreshed
+ *    on every run) and mirrored into cost_feedback, which getCalibration() reads back for the
+ *    heuristic engines
+ *
+ * A scheduled job reconciles every DEPLOYED workspace once a day (jobs type `cost_reconcile`).
+ */
+
+const pool = require('../../../config/db');
+const jobQueue = require('../../infrastructure/jobQueue');
+const currencyService = require('../currencyService');
+const fetchers = require('./fetchers');
+
+const ELIGIBLE_STATUS = 'DEPLOYED';
+const PROJECT_TAG_KEY = 'Project';
+const FEEDBACK_TYPE = 'ACTUAL_COST_VARIANCE';
+const DAYS_PER_MONTH = 30.44;
+
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+const RECONCILE_INTERVAL_HOURS = 24;
+const SCHEDULER_BATCH_SIZE = 5;
+
+let schedulerTimer = null;
+
+// Billed service names and estimate categories -> comparison bucket (first match wins)
+const CATEGORY_BUCKETS = [
+    { bucket: 'Data Transfer', pattern: /transfer|egress|bandwidth/i },
+    { bucket: 'Caching', pattern: /cache|redis|memcache|memorystore/i },
+    { bucket: 'AI/ML', pattern: /\bai\b|\bml\b|machine learning|sagemaker|vertex|bedrock|openai|cognitive/i },
+    { bucket: 'Database', pattern: /database|\brds\b|aurora|dynamo|sql|cosmos|firestore|bigtable|spanner|data & state/i },
+    { bucket: 'Storage', pattern: /storage|\bs3\b|blob|bucket|\bebs\b|disk|file|glacier|retention/i },
+    { bucket: 'Messaging', pattern: /queue|\bsqs\b|\bsns\b|pub\/?sub|event|messag|kinesis|stream/i },
+    { bucket: 'Observability', pattern: /monitor|logging|\blogs?\b|cloudwatch|insights|operation/i },
+    { bucket: 'Security', pattern: /security|\bkms\b|secret|\bwaf\b|guard|key vault|identity|cognito|auth/i },
+    { bucket: 'Networking', pattern: /network|\bcdn\b|cloudfront|front door|load balanc|gateway|\bdns\b|route ?53|\bvpc\b|\bnat\b|traffic|integration|api management/i },
+    { bucket: 'Compute', pattern: /compute|\bec2\b|lambda|function|fargate|\becs\b|\beks\b|kubernetes|container|cloud run|app service|virtual machine|serverless|batch/i }
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+function bucketFor(name) {
+    return CATEGORY_BUCKETS.find(({ pattern }) => pattern.test(name || ''))?.bucket || 'Other';
+}
+
+/**
+ * The `Project` tag value Terraform put on the workspace's resources (tfvars project_name)
+ */
+function projectTagValue(stateJson = {}) {
+    return (stateJson.projectData?.name || 'cloudiverse-project').toLowerCase().replace(/[^a-z0-9]/g, '-');
+}
+
+/**
+ * Billing period for a run on `asOf`: this month (or since the deployment) up to, not including, today
+ */
+function billingPeriod(asOf, deployedAt) {
+    const end = new Date(Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), asOf.getUTCDate()));
+    const yesterday = new Date(end);
+    yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+
+    let start = new Date(Date.UTC(yesterday.getUTCFullYear(), yesterday.getUTCMonth(), 1));
+    if (deployedAt) {
+        const deployed = new Date(deployedAt);
+        const deployedDay = new Date(Date.UTC(deployed.getUTCFullYear(), deployed.getUTCMonth(), deployed.getUTCDate()));
+        if (deployedDay > start) start = deployedDay;
+    }
+    return { start: toDateString(start), end: toDateString(end) };
+}
+
+/**
+ * Estimated vs actual monthly cost per bucket
+ * @param {Array} estimateCategories - cost_history.category_breakdown ([{ category, total }])
+ * @param {Array} billedItems - [{ service, monthly_usd }]
+ */
+function compareCategories(estimateCategories = [], billedItems = []) {
+    const buckets = new Map();
+    const entry = (bucket) => {
+        if (!buckets.has(bucket)) buckets.set(bucket, { category: bucket, estimated: 0, actual: 0, sources: [], services: [] });
+        return buckets.get(bucket);
+    };
+
+    (Array.isArray(estimateCategories) ? estimateCategories : []).forEach(category => {
+        const bucket = entry(bucketFor(category.category));
+        bucket.estimated += parseFloat(category.total) || 0;
+        bucket.sources.push(category.category);
+    });
+    billedItems.forEach(item => {
+        const bucket = entry(bucketFor(item.service));
+        bucket.actual += item.monthly_usd;
+        bucket.services.push(item.service);
+    });
+
+    return [...buckets.values()]
+        .map(bucket => {
+            const variance = bucket.actual - bucket.estimated;
+            return {
+                category: bucket.category,
+                estimated: round2(bucket.estimated),
+                actual: round2(bucket.actual),
+                variance: round2(variance),
+                variance_pct: bucket.estimated > 0 ? Math.round((variance / bucket.estimated) * 1000) / 10 : null,
+                estimate_categories: bucket.sources,
+                billed_services: bucket.services
+            };
+        })
+        .sort((a, b) => Math.abs(b.variance) - Math.abs(a.variance));
+}
+
+async function getLatestEstimate(workspaceId, provider, before) {
+    const result = await pool.query(`
+        SELECT id, estimated_cost, cost_range_low, cost_range_high, cost_profile, category_breakdown, price_sheet_version
+        FROM cost_history
+        WHERE workspace_id = $1 AND UPPER(provider) = $2 AND created_at < $3
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+    `, [workspaceId, provider.toUpperCase(), before]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Record (or refresh) the reconciliation's feedback row, so calibration sees one sample per month
+ */
+async function recordFeedback(row, estimate, provider) {
+    const details = {
+        source: 'actual_cost_reconciliation',
+        actual_costs_id: row.id,
+        cost_history_id: row.cost_history_id,
+        price_sheet_version: estimate.price_sheet_version,
+        period_start: row.period_start,
+        period_end: row.period_end,
+        estimated_monthly: parseFloat(row.estimated_cost),
+        actual_monthly: parseFloat(row.actual_monthly_cost),
+        variance_pct: row.variance_pct === null ? null : parseFloat(row.variance_pct),
+        categories: row.category_variance
+    };
+    const params = [
+        row.workspace_id,
+        estimate.cost_range_low || estimate.estimated_cost,
+        estimate.cost_range_high || estimate.estimated_cost,
+        provider.toUpperCase(),
+        estimate.cost_profile,
+        JSON.stringify(details)
+    ];
+
+    if (row.cost_feedback_id) {
+        const updated = await pool.query(`
+            UPDATE cost_feedback
+            SET estimated_min = $2, estimated_max = $3, selected_provider = $4, selected_profile = $5, feedback_details = $6
+            WHERE id = $7 AND workspace_id = $1
+        `, [...params, row.cost_feedback_id]);
+        if (updated.rowCount > 0) return row.cost_feedback_id;
+    }
+
+    const inserted = await pool.query(`
+        INSERT INTO cost_feedback (workspace_id, cost_intent, estimated_min, estimated_max, selected_provider, selected_profile, user_feedback, feedback_details)
+        VALUES ($1, 'reconciliation', $2, $3, $4, $5, '${FEEDBACK_TYPE}', $6)
+        RETURNING id
+    `, params);
+    await pool.query('UPDATE actual_costs SET cost_feedback_id = $1 WHERE id = $2', [inserted.rows[0].id, row.id]);
+    return inserted.rows[0].id;
+}
+
+/**
+ * Fetch a deployed workspace's billed cost, compare it with its estimate and store the result
+ * @param {number} workspaceId - Workspace ID
+ * @param {object} options - { asOf: run date (default now) }
+ * @returns {Promise<object>} actual_costs row
+ * @throws {Error} with `statusCode` when the workspace can't be reconciled
+ */
+async function reconcileWorkspace(workspaceId, { asOf = new Date() } = {}) {
+    const wsRes = await pool.query('SELECT id, state_json, deployment_status, deployed_at FROM workspaces WHERE id = $1', [workspaceId]);
+    if (wsRes.rows.length === 0) throw fail(404, 'Workspace not found');
+
+    const { state_json: stateJson = {}, deployment_status: deploymentStatus, deployed_at: deployedAt } = wsRes.rows[0];
+    if (deploymentStatus !== ELIGIBLE_STATUS) {
+        throw fail(409, `Workspace is ${deploymentStatus || 'not deployed'}; only deployed workspaces have billed costs`);
+    }
+
+    const connection = stateJson.connection || {};
+    const provider = (stateJson.infraSpec?.resolved_region?.provider || connection.provider || '').toLowerCase();
+    if (!provider) throw fail(400, 'Cloud provider of the deployment is unknown');
+
+    const period = billingPeriod(asOf, deployedAt);
+    const periodDays = fetchers.daysBetween(period.start, period.end);
+    if (periodDays < 1) throw fail(409, 'No complete billing day since the deployment yet');
+
+    const estimate = await getLatestEstimate(workspaceId, provider, period.end);
+    if (!estimate) throw fail(409, `Workspace has no ${provider.toUpperCase()} estimate to compare with`);
+
+    const tag = { key: PROJECT_TAG_KEY, value: projectTagValue(stateJson) };
+    const fetcher = fetchers.getFetcher(provider);
+    const billed = await fetcher.fetchActualCost({ connection, tag, start: period.start, end: period.end });
+
+    // Billing currency -> USD (rates are USD -> currency)
+    const { rate } = currencyService.getExchangeRate(billed.currency || currencyService.BASE_CURRENCY, period.end);
+    const monthlyFactor = DAYS_PER_MONTH / periodDays;
+    const billedItems = billed.line_items.map(item => ({
+        service: item.service,
+        amount_usd: round2(item.amount / rate),
+        monthly_usd: item.amount / rate * monthlyFactor
+    }));
+
+    const actualCost = round2(billedItems.reduce((sum, item) => sum + item.amount_usd, 0));
+    const actualMonthly = round2(billedItems.reduce((sum, item) => sum + item.monthly_usd, 0));
+    const estimatedCost = parseFloat(estimate.estimated_cost) || 0;
+    const variance = round2(actualMonthly - estimatedCost);
+    const variancePct = estimatedCost > 0 ? Math.round((variance / estimatedCost) * 1000) / 10 : null;
+    const categories = compareCategories(estimate.category_breakdown, billedItems);
+
+    const result = await pool.query(`
+        INSERT INTO actual_costs (workspace_id, provider, period_start, period_end, billing_currency, actual_cost,
+                                  actual_monthly_cost, estimated_cost, variance, variance_pct, cost_history_id,
+                                  category_variance, billed_services, tag, source, fetched_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
+        ON CONFLICT (workspace_id, provider, period_start) DO UPDATE
+        SET period_end = EXCLUDED.period_end, billing_currency = EXCLUDED.billing_currency,
+            actual_cost = EXCLUDED.actual_cost, actual_monthly_cost = EXCLUDED.actual_monthly_cost,
+            estimated_cost = EXCLUDED.estimated_cost, variance = EXCLUDED.variance, variance_pct = EXCLUDED.variance_pct,
+            cost_history_id = EXCLUDED.cost_history_id, category_variance = EXCLUDED.category_variance,
+            billed_services = EXCLUDED.billed_services, tag = EXCLUDED.tag, source = EXCLUDED.source, fetched_at = NOW()
+        RETURNING *
+    `, [
+        workspaceId, provider.toUpperCase(), period.start, period.end, billed.currency || currencyService.BASE_CURRENCY,
+        actualCost, actualMonthly, estimatedCost, variance, variancePct, estimate.id,
+        JSON.stringify(categories), JSON.stringify(billedItems.map(({ service, amount_usd }) => ({ service, amount_usd }))),
+        `${tag.key}=${tag.value}`, fetcher.name
+    ]);
+
+    const row = result.rows[0];
+    row.cost_feedback_id = await recordFeedback(row, estimate, provider);
+
+    console.log(`[ACTUAL COST] Workspace ${workspaceId} (${provider.toUpperCase()}, ${period.start}..${period.end}): $${actualMonthly}/mo billed vs $${estimatedCost}/mo estimated (${variancePct ?? 'n/a'}%)`);
+    return row;
+}
+
+/**
+ * Stored reconciliations of a workspace, newest first
+ */
+async function getActualCosts(workspaceId, limit = 12) {
+    const result = await pool.query(
+        'SELECT * FROM actual_costs WHERE workspace_id = $1 ORDER BY period_start DESC, provider LIMIT $2',
+        [workspaceId, limit]
+    );
+    return result.rows;
+}
+
+/**
+ * Actual / estimated ratios learned from reconciliations, overall and per category.
+ * A ratio above 1 means the engines under-estimate.
+ * @param {string} provider - AWS | GCP | AZURE
+ * @param {object} options - { userId: only workspaces of this user }
+ */
+async function getCalibration(provider, { userId = null } = {}) {
+    const params = [FEEDBACK_TYPE, String(provider).toUpperCase()];
+    let ownerClause = '';
+    if (userId) {
+        params.push(String(userId));
+        ownerClause = 'AND w.user_id = $3';
+    }
+
+    const result = await pool.query(`
+        SELECT cf.feedback_details
+        FROM cost_feedback cf
+        JOIN workspaces w ON w.id = cf.workspace_id
+        WHERE cf.user_feedback = $1 AND cf.selected_provider = $2 ${ownerClause}
+    `, params);
+
+    const overall = [];
+    const byCategory = {};
+    for (const { feedback_details: details } of result.rows) {
+        if (details?.estimated_monthly > 0) overall.push(details.actual_monthly / details.estimated_monthly);
+        for (const category of details?.categories || []) {
+            if (!(category.estimated > 0)) continue;
+            (byCategory[category.category] = byCategory[category.category] || []).push(category.actual / category.estimated);
+        }
+    }
+
+    const mean = (ratios) => Math.round((ratios.reduce((sum, r) => sum + r, 0) / ratios.length) * 1000) / 1000;
+    return {
+        provider: String(provider).toUpperCase(),
+        samples: overall.length,
+        ratio: overall.length ? mean(overall) : null,
+        categories: Object.fromEntries(
+            Object.entries(byCategory).map(([category, ratios]) => [category, { samples: ratios.length, ratio: mean(ratios) }])
+        )
+    };
+}
+
+// ─── SCHEDULED JOB ──────────────────────────────────────────────────────────
+
+/**
+ * Run a reconciliation as a `cost_reconcile` job (history and errors land in jobs)
+ */
+async function runReconciliationJob(workspaceId, { userId = null, trigger = 'manual' } = {}) {
+    const job = await jobQueue.createJob(jobQueue.JOB_TYPES.COST_RECONCILE, workspaceId, {
+        userId,
+        status: 'running',
+        stage: 'fetch',
+        metadata: { trigger }
+    });
+
+    try {
+        const row = await reconcileWorkspace(workspaceId);
+        await jobQueue.updateJob(job.id, {
+            status: 'completed',
+            stage: 'done',
+            metadata: { trigger, actual_costs_id: row.id, variance_pct: row.variance_pct }
+        });
+        return row;
+    } catch (err) {
+        await jobQueue.updateJob(job.id, { status: 'failed', error: err.message });
+        throw err;
+    }
+}
+
+/**
+ * Reconcile deployed workspaces not attempted in the last day. Failures (no billing access,
+ * no estimate) are kept on their job and retried a day later.
+ */
+async function runDueReconciliations() {
+    const due = await pool.query(`
+        SELECT w.id, w.user_id FROM workspaces w
+        WHERE w.deployment_status = $1
+          AND NOT EXISTS (
+              SELECT 1 FROM jobs j
+              WHERE j.workspace_id = w.id AND j.type = $2 AND j.created_at > NOW() - make_interval(hours => $3)
+          )
+        ORDER BY w.id
+        LIMIT $4
+    `, [ELIGIBLE_STATUS, jobQueue.JOB_TYPES.COST_RECONCILE, RECONCILE_INTERVAL_HOURS, SCHEDULER_BATCH_SIZE]);
+
+    for (const workspace of due.rows) {
+        try {
+            await runReconciliationJob(workspace.id, { userId: workspace.user_id, trigger: 'schedule' });
+        } catch (err) {
+            console.warn(`[ACTUAL COST] Skipped workspace ${workspace.id}: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Poll for due reconciliations once an hour (called once on boot)
+ */
+function startReconciliationScheduler() {
+    if (schedulerTimer) return;
+
+    schedulerTimer = setInterval(() => {
+        runDueReconciliations().catch(err => console.error('[ACTUAL COST] Scheduler tick failed:', err.message));
+    }, SCHEDULER_INTERVAL_MS);
+    schedulerTimer.unref();
+    console.log('[ACTUAL COST] Reconciliation scheduler started');
+}
+
+module.exports = {
+    CATEGORY_BUCKETS,
+    FEEDBACK_TYPE,
+    registerFetcher: fetchers.registerFetcher,
+    bucketFor,
+    projectTagValue,
+    billingPeriod,
+    compareCategories,
+    reconcileWorkspace,
+    runReconciliationJob,
+    getActualCosts,
+    getCalibration,
+    startReconciliationScheduler
+};
@@ -0,0 +1,549 @@
+/**
+ * BUDGET SERVICE
+ * Monthly budgets on workspaces and projects, with warning and hard thresholds
+ *
+ * RULES:
+ * 1. A budget belongs to one workspace or one project; a project's cost is the sum of the
+ *    latest recommended estimate of each of its workspaces
+ * 2. Amounts are in the budget's currency; estimates (USD) are converted at today's rate
+ * 3. Budgets are checked whenever an estimate is saved (cost_history) and when the architecture
+ *    is reconciled; a breach is announced once, when the status escalates (ok -> warning -> exceeded),
+ *    by email to the budget's creator and to its webhook (public hosts only, checked on save and on send)
+ * 4. A budget with block_deploy stops /deploy/terraform when the deploying provider's estimate
+ *    would exceed the hard amount
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+const pool = require('../../config/db');
+const currencyService = require('./currencyService');
+const emailService = require('../../utils/emailService');
+
+const BUDGET_STATUSES = ['ok', 'warning', 'exceeded'];
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const toAmount = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// ─── VALIDATION ─────────────────────────────────────────────────────────────
+
+function parseAmount(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = parseFloat(value);
+    if (!(amount > 0)) throw badRequest(`${field} must be a positive number`);
+    return round2(amount);
+}
+
+function parseWebhookUrl(value) {
+    if (!value) return null;
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        throw badRequest('webhookUrl must be a valid URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw badRequest('webhookUrl must be an http(s) URL');
+    return url.toString();
+}
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Reject webhooks whose host is, or resolves to, a non-public address
+ */
+async function assertPublicWebhookHost(webhookUrl) {
+    if (!webhookUrl) return;
+    const host = new URL(webhookUrl).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    } catch (err) {
+        throw badRequest(`webhookUrl host ${host} could not be resolved`);
+    }
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+        throw badRequest('webhookUrl must point to a public host');
+    }
+}
+
+/**
+ * dns.lookup for the webhook request itself, so the host can't be re-pointed at an
+ * internal address between the check and the connection
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+            return callback(Object.assign(new Error(`${hostname} resolves to a non-public address`), { code: 'ENOTPUBLIC' }));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Budget fields from a request body, merged over an existing budget when updating
+ */
+function normalizeBudgetInput(input, existing = {}) {
+    const pick = (key, column) => (input[key] !== undefined ? input[key] : existing[column]);
+
+    const name = String(pick('name', 'name') || '').trim();
+    if (!name) throw badRequest('Budget name is required');
+
+    const currency = String(pick('currency', 'currency') || currencyService.BASE_CURRENCY).toUpperCase();
+    if (!currencyService.isSupportedCurrency(currency)) throw badRequest(`Unsupported currency: ${currency}`);
+
+    const warningAmount = parseAmount(pick('warningAmount', 'warning_amount'), 'warningAmount');
+    const hardAmount = parseAmount(pick('hardAmount', 'hard_amount'), 'hardAmount');
+    if (warningAmount === null && hardAmount === null) throw badRequest('A warning or hard amount is required');
+    if (warningAmount !== null && hardAmount !== null && warningAmount >= hardAmount) {
+        throw badRequest('warningAmount must be below hardAmount');
+    }
+
+    const blockDeploy = Boolean(pick('blockDeploy', 'block_deploy'));
+    if (blockDeploy && hardAmount === null) throw badRequest('Blocking deployments requires a hard amount');
+
+    return {
+        name,
+        currency,
+        warningAmount,
+        hardAmount,
+        blockDeploy,
+        notifyEmail: pick('notifyEmail', 'notify_email') !== false,
+        webhookUrl: parseWebhookUrl(pick('webhookUrl', 'webhook_url'))
+    };
+}
+
+// ─── CRUD ───────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} scope - { workspaceId } or { projectId }
+ */
+const scopeColumn = (scope) => (scope.workspaceId ? 'workspace_id' : 'project_id');
+const scopeId = (scope) => scope.workspaceId || scope.projectId;
+
+async function listBudgets(scope) {
+    const result = await pool.query(
+        `SELECT * FROM budgets WHERE ${scopeColumn(scope)} = $1 ORDER BY created_at ASC`,
+        [scopeId(scope)]
+    );
+    return result.rows;
+}
+
+async function requireBudget(scope, budgetId) {
+    const result = await pool.query(
+        `SELECT * FROM budgets WHERE id = $1 AND ${scopeColumn(scope)} = $2`,
+        [parseInt(budgetId, 10) || 0, scopeId(scope)]
+    );
+    if (result.rows.length === 0) {
+        throw Object.assign(new Error('Budget not found'), { statusCode: 404 });
+    }
+    return result.rows[0];
+}
+
+/**
+ * Create a budget and evaluate it against the current estimate
+ */
+async function createBudget(scope, input, userId) {
+    const budget = normalizeBudgetInput(input);
+    await assertPublicWebhookHost(budget.webhookUrl);
+    const result = await pool.query(`
+        INSERT INTO budgets (workspace_id, project_id, name, currency, warning_amount, hard_amount,
+                             block_deploy, notify_email, webhook_url, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+    `, [
+        scope.workspaceId || null, scope.projectId || null, budget.name, budget.currency,
+        budget.warningAmount, budget.hardAmount, budget.blockDeploy, budget.notifyEmail, budget.webhookUrl, String(userId)
+    ]);
+
+    console.log(`[BUDGET] Created budget ${result.rows[0].id} on ${scopeColumn(scope)} ${scopeId(scope)}`);
+    return refreshBudget(result.rows[0], { source: 'budget_saved' });
+}
+
+async function updateBudget(scope, budgetId, input) {
+    const existing = await requireBudget(scope, budgetId);
+    const budget = normalizeBudgetInput(input, existing);
+    await assertPublicWebhookHost(budget.webhookUrl);
+    const result = await pool.query(`
+        UPDATE budgets
+        SET name = $1, currency = $2, warning_amount = $3, hard_amount = $4, block_deploy = $5,
+            notify_email = $6, webhook_url = $7, updated_at = NOW()
+        WHERE id = $8
+        RETURNING *
+    `, [
+        budget.name, budget.currency, budget.warningAmount, budget.hardAmount, budget.blockDeploy,
+        budget.notifyEmail, budget.webhookUrl, existing.id
+    ]);
+    return refreshBudget(result.rows[0], { source: 'budget_saved' });
+}
+
+async function deleteBudget(scope, budgetId) {
+    const budget = await requireBudget(scope, budgetId);
+    await pool.query('DELETE FROM budgets WHERE id = $1', [budget.id]);
+    return budget;
+}
+
+async function getBudgetAlerts(scope, budgetId, limit = 50) {
+    const budget = await requireBudget(scope, budgetId);
+    const result = await pool.query(
+        'SELECT * FROM budget_alerts WHERE budget_id = $1 ORDER BY created_at DESC LIMIT $2',
+        [budget.id, limit]
+    );
+    return result.rows;
+}
+
+// ─── COSTS ──────────────────────────────────────────────────────────────────
+
+/**
+ * Latest saved monthly estimate (USD) of a workspace - the recommended provider's,
+ * or a given provider's - or null if it was never estimated
+ */
+async function getWorkspaceCost(workspaceId, provider = null) {
+    const result = provider
+        ? await pool.query(
+            `SELECT estimated_cost FROM cost_history WHERE workspace_id = $1 AND UPPER(provider) = $2
+             ORDER BY created_at DESC, id DESC LIMIT 1`,
+            [workspaceId, String(provider).toUpperCase()])
+        : await pool.query(
+            `SELECT estimated_cost FROM cost_history WHERE workspace_id = $1 AND is_recommended
+             ORDER BY created_at DESC, id DESC LIMIT 1`,
+            [workspaceId]);
+    return result.rows.length ? parseFloat(result.rows[0].estimated_cost) : null;
+}
+
+/**
+ * Monthly estimate (USD) of a project: the latest recommended estimate of each workspace.
+ * `override` replaces one workspace's estimate with a projected one.
+ */
+async function getProjectCost(projectId, override = null) {
+    const result = await pool.query(`
+        SELECT DISTINCT ON (ch.workspace_id) ch.workspace_id, ch.estimated_cost
+        FROM cost_history ch
+        JOIN workspaces w ON w.id = ch.workspace_id
+        WHERE w.project_id = $1 AND ch.is_recommended
+        ORDER BY ch.workspace_id, ch.created_at DESC, ch.id DESC
+    `, [projectId]);
+
+    const costs = new Map(result.rows.map(row => [row.workspace_id, parseFloat(row.estimated_cost)]));
+    if (override && override.costUsd !== null && override.costUsd !== undefined) {
+        costs.set(parseInt(override.workspaceId, 10), override.costUsd);
+    }
+    if (costs.size === 0) return null;
+    return round2([...costs.values()].reduce((sum, cost) => sum + cost, 0));
+}
+
+/**
+ * Status of a budget for a monthly cost in USD
+ * @returns {object} { status, estimated_cost, threshold, currency, exchange_rate }
+ */
+function evaluateBudget(budget, costUsd) {
+    const { rate } = currencyService.getExchangeRate(budget.currency);
+    const cost = round2(costUsd * rate);
+    const warning = toAmount(budget.warning_amount);
+    const hard = toAmount(budget.hard_amount);
+
+    let status = 'ok';
+    let threshold = warning ?? hard;
+    if (hard !== null && cost > hard) {
+        status = 'exceeded';
+        threshold = hard;
+    } else if (warning !== null && cost > warning) {
+        status = 'warning';
+        threshold = warning;
+    }
+
+    return { status, estimated_cost: cost, threshold, currency: budget.currency, exchange_rate: rate };
+}
+
+// ─── NOTIFICATIONS ──────────────────────────────────────────────────────────
+
+async function describeScope(budget) {
+    const result = budget.workspace_id
+        ? await pool.query('SELECT name FROM workspaces WHERE id = $1', [budget.workspace_id])
+        : await pool.query('SELECT name FROM projects WHERE id = $1', [budget.project_id]);
+    const kind = budget.workspace_id ? 'workspace' : 'project';
+    return { kind, name: result.rows[0]?.name || `${kind} ${budget.workspace_id || budget.project_id}` };
+}
+
+async function notifyEmail(budget, alert, scope) {
+    if (!budget.notify_email || !budget.created_by) return false;
+    const userRes = await pool.query('SELECT email, name FROM users WHERE id::text = $1', [budget.created_by]);
+    if (userRes.rows.length === 0) return false;
+
+    await emailService.sendBudgetAlertEmail(userRes.rows[0], {
+        budgetName: budget.name,
+        scopeKind: scope.kind,
+        scopeName: scope.name,
+        status: alert.status,
+        estimatedCost: currencyService.formatMoney(alert.estimated_cost, budget.currency),
+        threshold: currencyService.formatMoney(alert.threshold, budget.currency),
+        source: alert.source,
+        workspaceId: budget.workspace_id || alert.workspace_id
+    });
+    return true;
+}
+
+async function notifyWebhook(budget, alert, scope) {
+    if (!budget.webhook_url) return null;
+    try {
+        await assertPublicWebhookHost(budget.webhook_url);
+        const response = await axios.post(budget.webhook_url, {
+            event: `budget.${alert.status}`,
+            budget: { id: budget.id, name: budget.name, currency: budget.currency },
+            [`${scope.kind}_id`]: budget.workspace_id || budget.project_id,
+            [`${scope.kind}_name`]: scope.name,
+            workspace_id: alert.workspace_id,
+            status: alert.status,
+            estimated_cost: alert.estimated_cost,
+            threshold: alert.threshold,
+            source: alert.source,
+            provider: alert.provider,
+            checked_at: new Date().toISOString()
+        }, { timeout: WEBHOOK_TIMEOUT_MS, maxRedirects: 0, lookup: publicLookup });
+        return response.status;
+    } catch (err) {
+        console.error(`[BUDGET] Webhook for budget ${budget.id} failed: ${err.message}`);
+        return err.response?.status || 0;
+    }
+}
+
+/**
+ * Announce a breach by email and webhook, and keep it in budget_alerts
+ */
+async function raiseAlert(budget, alert) {
+    const scope = await describeScope(budget);
+    const [emailed, webhookStatus] = await Promise.all([
+        notifyEmail(budget, alert, scope).catch(err => {
+            console.error(`[BUDGET] Alert email for budget ${budget.id} failed: ${err.message}`);
+            return false;
+        }),
+        notifyWebhook(budget, alert, scope)
+    ]);
+
+    await pool.query(`
+        INSERT INTO budget_alerts (budget_id, workspace_id, status, estimated_cost, threshold, currency,
+                                   source, provider, notified_email, webhook_status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+        budget.id, alert.workspace_id, alert.status, alert.estimated_cost, alert.threshold, budget.currency,
+        alert.source, alert.provider, emailed, webhookStatus
+    ]);
+    console.log(`[BUDGET] Budget ${budget.id} (${scope.kind} '${scope.name}') is ${alert.status}: ${alert.estimated_cost} ${budget.currency} over ${alert.threshold}`);
+}
+
+// ─── CHECKS ─────────────────────────────────────────────────────────────────
+
+/**
+ * Evaluate one budget for a cost, store its status and alert if it escalated
+ * @param {object} context - { source, provider, workspaceId }
+ */
+async function recordStatus(budget, costUsd, { source, provider = null, workspaceId = null } = {}) {
+    const evaluation = evaluateBudget(budget, costUsd);
+    const escalated = BUDGET_STATUSES.indexOf(evaluation.status) > BUDGET_STATUSES.indexOf(budget.last_status || 'ok');
+
+    const result = await pool.query(`
+        UPDATE budgets SET last_status = $1, last_estimated_cost = $2, last_checked_at = NOW()
+        WHERE id = $3 RETURNING *
+    `, [evaluation.status, evaluation.estimated_cost, budget.id]);
+
+    if (escalated) {
+        await raiseAlert(budget, { ...evaluation, source, provider, workspace_id: workspaceId || budget.workspace_id });
+    }
+    return { budget: result.rows[0] || budget, ...evaluation, escalated };
+}
+
+/**
+ * Re-evaluate a budget against its scope's latest saved estimate
+ */
+async function refreshBudget(budget, { source }) {
+    const costUsd = budget.workspace_id
+        ? await getWorkspaceCost(budget.workspace_id)
+        : await getProjectCost(budget.project_id);
+    if (costUsd === null) return { budget, status: budget.last_status || 'ok', estimated_cost: null };
+    return recordStatus(budget, costUsd, { source });
+}
+
+/**
+ * Check every budget covering a workspace - its own and its project's - for a new monthly cost
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} costUsd - Monthly cost (USD) of the workspace's recommended architecture
+ * @param {object} context - { source: 'estimate' | 'reconcile' | ..., provider }
+ * @returns {Promise<Array>} [{ budget, status, estimated_cost, threshold, currency, escalated }]
+ */
+async function checkWorkspaceBudgets(workspaceId, costUsd, { source, provider = null } = {}) {
+    if (costUsd === null || costUsd === undefined) return [];
+
+    const result = await pool.query(`
+        SELECT b.* FROM budgets b
+        JOIN workspaces w ON w.id = $1
+        WHERE b.workspace_id = w.id OR b.project_id = w.project_id
+        ORDER BY b.id
+    `, [workspaceId]);
+
+    const checks = [];
+    for (const budget of result.rows) {
+        const scopeCost = budget.workspace_id
+            ? costUsd
+            : await getProjectCost(budget.project_id, { workspaceId, costUsd });
+        checks.push(await recordStatus(budget, scopeCost, { source, provider, workspaceId }));
+    }
+    return checks;
+}
+
+async function hasBudgets(workspaceId) {
+    const result = await pool.query(`
+        SELECT 1 FROM budgets b
+        JOIN workspaces w ON w.id = $1
+        WHERE b.workspace_id = w.id OR b.project_id = w.project_id
+        LIMIT 1
+    `, [workspaceId]);
+    return result.rows.length > 0;
+}
+
+/**
+ * Projected monthly cost (USD) of a workspace's architecture, or of a reconciled version of it.
+ * The estimate is on-demand (before free-tier credits or commitments), so it errs high.
+ *
+ * @param {object} stateJson - Workspace state_json (holds the current infraSpec)
+ * @param {object} reconciled - patternResolver.reconcileArchitecture result (omit for the architecture as saved)
+ * @returns {Promise<object>} { provider, cost_usd }
+ */
+async function estimateArchitectureCost(stateJson, reconciled = null) {
+    const infracostService = require('./infracostService');
+    // generateCostEstimate annotates the spec it is given
+    const infraSpec = structuredClone(stateJson.infraSpec);
+    if (reconciled) {
+        infraSpec.canonical_architecture = {
+            ...(infraSpec.canonical_architecture || {}),
+            deployable_services: reconciled.deployable_services
+        };
+        infraSpec.services_contract = reconciled.services_contract;
+    }
+
+    const provider = (infraSpec.resolved_region?.provider || stateJson.connection?.provider || 'aws').toLowerCase();
+    const intent = infraSpec.locked_intent || stateJson.intent || {};
+    const estimate = await infracostService.generateCostEstimate(provider, infraSpec, intent, stateJson.costEstimation?.cost_profile || 'COST_EFFECTIVE');
+    return { provider, cost_usd: estimate?.total_monthly_cost ?? null };
+}
+
+/**
+ * Projected monthly cost of a reconciled architecture, checked against the workspace's budgets
+ *
+ * @param {object} workspace - Workspace row (state_json holds the current infraSpec)
+ * @param {object} reconciled - patternResolver.reconcileArchitecture result
+ * @returns {Promise<object|null>} { provider, projected_monthly_cost, budgets } - null without budgets
+ */
+async function checkReconciledArchitecture(workspace, reconciled) {
+    const stateJson = workspace.state_json || {};
+    if (!stateJson.infraSpec || !(await hasBudgets(workspace.id))) return null;
+
+    const { provider, cost_usd: costUsd } = await estimateArchitectureCost(stateJson, reconciled);
+    const checks = await checkWorkspaceBudgets(workspace.id, costUsd, { source: 'reconcile', provider: provider.toUpperCase() });
+    return {
+        provider: provider.toUpperCase(),
+        projected_monthly_cost: costUsd,
+        budgets: checks.map(toCheckView)
+    };
+}
+
+/**
+ * Refuse a deployment that a blocking budget's hard amount would not allow.
+ * Uses the provider's latest saved estimate; a workspace that was never estimated isn't blocked.
+ */
+async function assertDeployAllowed(workspaceId, provider) {
+    const result = await pool.query(`
+        SELECT b.* FROM budgets b
+        JOIN workspaces w ON w.id = $1
+        WHERE (b.workspace_id = w.id OR b.project_id = w.project_id) AND b.block_deploy AND b.hard_amount IS NOT NULL
+    `, [workspaceId]);
+    if (result.rows.length === 0) return;
+
+    const costUsd = await getWorkspaceCost(workspaceId, provider) ?? await getWorkspaceCost(workspaceId);
+    if (costUsd === null) return;
+
+    for (const budget of result.rows) {
+        const scopeCost = budget.workspace_id
+            ? costUsd
+            : await getProjectCost(budget.project_id, { workspaceId, costUsd });
+        const evaluation = evaluateBudget(budget, scopeCost);
+        if (evaluation.status !== 'exceeded') continue;
+
+        console.warn(`[BUDGET] Deployment of workspace ${workspaceId} blocked by budget ${budget.id}`);
+        throw Object.assign(
+            new Error(`Deployment blocked: the estimated ${currencyService.formatMoney(evaluation.estimated_cost, budget.currency)}/month exceeds the hard limit of budget '${budget.name}' (${currencyService.formatMoney(evaluation.threshold, budget.currency)})`),
+            { statusCode: 409, budget: toBudgetView(budget), evaluation }
+        );
+    }
+}
+
+// ─── VIEWS ──────────────────────────────────────────────────────────────────
+
+/**
+ * API view of a budget
+ */
+function toBudgetView(budget) {
+    if (!budget) return null;
+    return {
+        id: budget.id,
+        scope: budget.workspace_id ? 'workspace' : 'project',
+        workspaceId: budget.workspace_id,
+        projectId: budget.project_id,
+        name: budget.name,
+        currency: budget.currency,
+        warningAmount: toAmount(budget.warning_amount),
+        hardAmount: toAmount(budget.hard_amount),
+        blockDeploy: budget.block_deploy,
+        notifyEmail: budget.notify_email,
+        webhookUrl: budget.webhook_url,
+        status: budget.last_status,
+        lastEstimatedCost: toAmount(budget.last_estimated_cost),
+        lastCheckedAt: budget.last_checked_at,
+        createdAt: budget.created_at,
+        updatedAt: budget.updated_at
+    };
+}
+
+function toCheckView(check) {
+    return {
+        budget: toBudgetView(check.budget),
+        status: check.status,
+        estimatedCost: check.estimated_cost,
+        threshold: check.threshold ?? null,
+        currency: check.budget.currency,
+        alerted: Boolean(check.escalated)
+    };
+}
+
+module.exports = {
+    BUDGET_STATUSES,
+    listBudgets,
+    requireBudget,
+    createBudget,
+    updateBudget,
+    deleteBudget,
+    getBudgetAlerts,
+    getWorkspaceCost,
+    getProjectCost,
+    evaluateBudget,
+    checkWorkspaceBudgets,
+    estimateArchitectureCost,
+    checkReconciledArchitecture,
+    assertDeployAllowed,
+    toBudgetView,
+    toCheckView
+};
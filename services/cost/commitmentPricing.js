@@ -0,0 +1,237 @@
+/**
+ * COMMITMENT PRICING
+ * Purchasing options on top of on-demand estimates
+ *
+ * OPTIONS:
+ * - on_demand  - list prices (what Infracost and the engines return)
+ * - commit_1y  - 1-year reserved instances / savings plans / committed-use discounts
+ * - commit_3y  - 3-year commitments
+ * - spot       - spot / preemptible capacity, for batch compute only
+ *
+ * RULES:
+ * 1. Only VM, container, database and cache line items can be committed; everything else stays on-demand
+ * 2. Spot only applies to batch work (computebatch, or compute in a batch pattern) - it can be interrupted
+ * 3. Discounts come from the price sheet (`commitments`), so an estimate's sheet version covers them too
+ */
+
+const pricingCatalog = require('./pricingCatalog');
+const { scaleCostRange } = require('./costResultModel');
+
+const DEFAULT_PURCHASE_OPTION = 'on_demand';
+
+const PURCHASE_OPTIONS = {
+    on_demand: { label: 'On-demand', term_months: 0 },
+    commit_1y: { label: '1-year commitment', term_months: 12 },
+    commit_3y: { label: '3-year commitment', term_months: 36 },
+    spot: { label: 'Spot / preemptible', term_months: 0 }
+};
+
+// Service class -> commitment class in the price sheet
+const COMMITMENT_CLASSES = {
+    computevm: 'compute',
+    computebatch: 'compute',
+    computecontainer: 'container',
+    relationaldatabase: 'database',
+    cache: 'cache'
+};
+
+// Formula fallback line items carry a category but no service class
+const CATEGORY_CLASSES = {
+    Compute: 'container',
+    Database: 'database',
+    Caching: 'cache',
+    Cache: 'cache'
+};
+
+// Patterns whose compute is batch work, so it may run on spot capacity
+const BATCH_PATTERNS = new Set(['DATA_PROCESSING_PIPELINE', 'DATA_PLATFORM', 'ML_TRAINING_PLATFORM']);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function normalizePurchaseOption(option) {
+    return String(option || DEFAULT_PURCHASE_OPTION).toLowerCase();
+}
+
+function isValidPurchaseOption(option) {
+    return Object.prototype.hasOwnProperty.call(PURCHASE_OPTIONS, normalizePurchaseOption(option));
+}
+
+const serviceClassOf = (item) => String(item.service_class || '').replace(/_/g, '').toLowerCase();
+
+function commitmentClassOf(item) {
+    const serviceClass = serviceClassOf(item);
+    if (serviceClass) return COMMITMENT_CLASSES[serviceClass] || null;
+    return CATEGORY_CLASSES[item.category] || null;
+}
+
+// Line items keep their on-demand price once an option has been applied
+const onDemandMonthly = (item) => item.cost?.on_demand_monthly ?? item.cost?.monthly ?? 0;
+
+/**
+ * Discount for one line item under an option, or null if the option doesn't apply to it
+ */
+function discountFor(item, option, providerDiscounts, pattern) {
+    if (option === 'on_demand') return null;
+
+    const commitmentClass = commitmentClassOf(item);
+    const terms = commitmentClass ? providerDiscounts[commitmentClass] : null;
+    if (!terms) return null;
+
+    if (option === 'spot') {
+        const isBatch = serviceClassOf(item) === 'computebatch' || BATCH_PATTERNS.has(pattern);
+        if (!terms.spot || !isBatch) return null;
+        return { commitment_class: commitmentClass, program: terms.spot_program, discount: terms.spot };
+    }
+
+    if (!terms[option]) return null;
+    return { commitment_class: commitmentClass, program: terms.program, discount: terms[option] };
+}
+
+/**
+ * Price each line item of an estimate under an option
+ * @returns {object} { version, on_demand_monthly_cost, monthly_savings, line_items, byService (aligned with estimate.services) }
+ */
+function priceLineItems(estimate, provider, option, { pattern, priceSheetVersion } = {}) {
+    const { version, discounts } = pricingCatalog.getCommitmentDiscounts(priceSheetVersion);
+    const providerDiscounts = discounts[String(provider).toUpperCase()] || {};
+
+    const byService = (estimate.services || []).map(item => {
+        const base = onDemandMonthly(item);
+        const discount = base > 0 ? discountFor(item, option, providerDiscounts, pattern) : null;
+        if (!discount) return null;
+
+        return {
+            name: item.display_name || item.name || item.service_class,
+            service_class: item.service_class || null,
+            ...discount,
+            on_demand_monthly: base,
+            monthly_cost: round2(base * (1 - discount.discount))
+        };
+    });
+    const lineItems = byService.filter(Boolean);
+
+    return {
+        version,
+        on_demand_monthly_cost: estimate.purchase_option?.on_demand_monthly_cost ?? estimate.total_monthly_cost ?? 0,
+        monthly_savings: round2(lineItems.reduce((sum, item) => sum + item.on_demand_monthly - item.monthly_cost, 0)),
+        line_items: lineItems,
+        byService
+    };
+}
+
+/**
+ * Re-price an on-demand provider estimate (generateCostEstimate shape) for a purchase option.
+ * Covered line items get the discounted price with the on-demand one kept beside it.
+ *
+ * @param {object} estimate - { total_monthly_cost, services: [{ service_class, category, cost: { monthly } }], ... }
+ * @param {string} provider - AWS | GCP | AZURE
+ * @param {string} option - on_demand | commit_1y | commit_3y | spot
+ * @param {object} options - { pattern, priceSheetVersion }
+ */
+function applyPurchaseOption(estimate, provider, option, options = {}) {
+    const purchaseOption = normalizePurchaseOption(option);
+    if (!estimate || purchaseOption === 'on_demand' || !Array.isArray(estimate.services)) return estimate;
+
+    const priced = priceLineItems(estimate, provider, purchaseOption, options);
+    const services = estimate.services.map((item, index) => {
+        const lineItem = priced.byService[index];
+        if (!lineItem) return item;
+        return {
+            ...item,
+            purchase_option: purchaseOption,
+            cost: {
+                ...item.cost,
+                monthly: lineItem.monthly_cost,
+                formatted: `$${lineItem.monthly_cost.toFixed(2)}/mo`,
+                on_demand_monthly: lineItem.on_demand_monthly
+            }
+        };
+    });
+
+    const serviceCosts = estimate.service_costs ? { ...estimate.service_costs } : estimate.service_costs;
+    for (const lineItem of priced.line_items) {
+        if (serviceCosts && typeof serviceCosts[lineItem.service_class] === 'number') {
+            serviceCosts[lineItem.service_class] = round2(serviceCosts[lineItem.service_class] - (lineItem.on_demand_monthly - lineItem.monthly_cost));
+        }
+    }
+
+    const total = round2(priced.on_demand_monthly_cost - priced.monthly_savings);
+    const factor = priced.on_demand_monthly_cost > 0 ? total / priced.on_demand_monthly_cost : 1;
+
+    return {
+        ...estimate,
+        services,
+        service_costs: serviceCosts,
+        total_monthly_cost: total,
+        formatted_cost: `$${total.toFixed(2)}/month`,
+        cost_range: scaleCostRange(estimate.cost_range, factor),
+        purchase_option: {
+            option: purchaseOption,
+            label: PURCHASE_OPTIONS[purchaseOption].label,
+            price_sheet_version: priced.version,
+            on_demand_monthly_cost: priced.on_demand_monthly_cost,
+            monthly_savings: priced.monthly_savings,
+            line_items: priced.line_items
+        }
+    };
+}
+
+/**
+ * Every purchase option for one provider estimate, with the break-even against on-demand.
+ *
+ * For a commitment with discount d over a term of T months:
+ * - break_even_utilization: share of the term the resources must run for the commitment to pay off (1 - d)
+ * - break_even_month: month after which the commitment beats on-demand if the workload is retired early (T * (1 - d))
+ * Spot has no commitment, so no break-even - but it can be interrupted.
+ */
+function compareOptions(estimate, provider, options = {}) {
+    const comparison = {};
+    let onDemandMonthlyCost = 0;
+    let committableMonthlyCost = 0;
+
+    for (const [option, { label, term_months: termMonths }] of Object.entries(PURCHASE_OPTIONS)) {
+        const priced = priceLineItems(estimate, provider, option, options);
+        const coveredOnDemand = priced.line_items.reduce((sum, item) => sum + item.on_demand_monthly, 0);
+        const committedMonthly = priced.line_items.reduce((sum, item) => sum + item.monthly_cost, 0);
+        const monthlyCost = round2(priced.on_demand_monthly_cost - priced.monthly_savings);
+
+        onDemandMonthlyCost = priced.on_demand_monthly_cost;
+        if (option === 'commit_1y') committableMonthlyCost = round2(coveredOnDemand);
+
+        const entry = {
+            label,
+            monthly_cost: monthlyCost,
+            monthly_savings: priced.monthly_savings,
+            savings_percent: onDemandMonthlyCost > 0 ? Math.round((priced.monthly_savings / onDemandMonthlyCost) * 100) : 0,
+            covered_line_items: priced.line_items.map(item => item.name)
+        };
+
+        if (termMonths > 0 && coveredOnDemand > 0) {
+            const payRatio = committedMonthly / coveredOnDemand;
+            entry.term_months = termMonths;
+            entry.total_commitment = round2(committedMonthly * termMonths);
+            entry.break_even_utilization = Math.round(payRatio * 100);
+            entry.break_even_month = Math.ceil(termMonths * payRatio);
+        }
+        if (option === 'spot') {
+            entry.interruptible = true;
+        }
+
+        comparison[option] = entry;
+    }
+
+    return {
+        on_demand_monthly_cost: onDemandMonthlyCost,
+        committable_monthly_cost: committableMonthlyCost,
+        options: comparison
+    };
+}
+
+module.exports = {
+    DEFAULT_PURCHASE_OPTION,
+    PURCHASE_OPTIONS,
+    normalizePurchaseOption,
+    isValidPurchaseOption,
+    applyPurchaseOption,
+    compareOptions
+};
@@ -5,37 +5,8 @@
  */
 
 const type = 'infracost';
-
-// FIX 2: Explicit Pricing Constants
-const CONTAINER_PRICING = {
-    AWS: {
-        eks_cluster: 72,
-        eks_node_small: 25,
-        eks_node_medium: 50,
-        alb: 22,
-        rds_small: 25,
-        rds_medium: 50,
-        ebs_per_gb: 0.10
-    },
-    GCP: {
-        gke_management: 0, // regional cluster free tier eligible
-        gke_node_small: 24,
-        gke_node_medium: 48,
-        cloud_lb: 18,
-        cloud_sql_small: 25,
-        cloud_sql_medium: 50,
-        pd_per_gb: 0.04
-    },
-    AZURE: {
-        aks_cluster: 0,
-        aks_node_small: 30,
-        aks_node_medium: 60,
-        app_gateway: 25,
-        azure_sql_small: 30,
-        azure_sql_medium: 60,
-        disk_per_gb: 0.05
-    }
-};
+const priceSheets = require('./priceSheets');
+const freeTier = require('../freeTier');
 
 const COMPARISON_DATA = {
     AWS: {
@@ -85,6 +56,10 @@ function calculateConfidence(usageProfile, options = {}) {
     return { score: Math.round(confidence * 100) / 100, label };
 }
 
+/**
+ * options.computeArchitecture - x86_64 (default) | arm64: arm64 nodes are priced at the ARM family's ratio
+ * options.databaseLoadFactor - Share of the users' load that reaches the database (a cache in front lowers it); sizes the database
+ */
 function calculate(usageProfile, options = {}) {
     console.log('[CONTAINER ENGINE] Calculating Infracost-based costs');
     const usage = normalizeUsage(usageProfile);
@@ -93,10 +68,14 @@ function calculate(usageProfile, options = {}) {
     // Sizing logic
     const replicas = Math.max(2, Math.ceil(usage.monthly_users / 5000));
     const nodeSize = usage.monthly_users > 20000 ? 'medium' : 'small';
+    const databaseSize = usage.monthly_users * (options.databaseLoadFactor ?? 1) > 20000 ? 'medium' : 'small';
+    const sizes = { replicas, nodeSize, databaseSize };
 
-    const awsCost = calculateForCloud('AWS', replicas, nodeSize, usage.storage_gb, hasDatabase);
-    const gcpCost = calculateForCloud('GCP', replicas, nodeSize, usage.storage_gb, hasDatabase);
-    const azureCost = calculateForCloud('AZURE', replicas, nodeSize, usage.storage_gb, hasDatabase);
+    const sheets = priceSheets.forEngine('container', options);
+    const armRatios = priceSheets.computePriceRatios(options);
+    const awsCost = calculateForCloud('AWS', sizes, usage.storage_gb, hasDatabase, sheets.AWS, freeTier.createLedger('AWS', options), armRatios.AWS);
+    const gcpCost = calculateForCloud('GCP', sizes, usage.storage_gb, hasDatabase, sheets.GCP, freeTier.createLedger('GCP', options), armRatios.GCP);
+    const azureCost = calculateForCloud('AZURE', sizes, usage.storage_gb, hasDatabase, sheets.AZURE, freeTier.createLedger('AZURE', options), armRatios.AZURE);
 
     assertNumber(awsCost.total, "AWS Total");
     assertNumber(gcpCost.total, "GCP Total");
@@ -138,28 +117,32 @@ function calculate(usageProfile, options = {}) {
             confidence_score: confidence.score,
             critical_cost_drivers: ['Cluster Mgmt', 'Node Instances', 'Database']
         },
-        comparison: COMPARISON_DATA
+        comparison: COMPARISON_DATA,
+
+        // Price sheet version and regions this estimate was priced with
+        pricing: priceSheets.describe(sheets)
     };
 }
 
-function calculateForCloud(cloud, replicas, nodeSize, storage, hasDatabase) {
-    const p = CONTAINER_PRICING[cloud];
+function calculateForCloud(cloud, { replicas, nodeSize, databaseSize }, storage, hasDatabase, sheet, ledger, nodePriceRatio = 1) {
+    const p = sheet.prices;
 
+    // No free-tier allowance covers cluster nodes, load balancers or block storage
     const clusterCost = cloud === 'AWS' ? p.eks_cluster : 0;
     const nodeKey = nodeSize === 'medium'
         ? (cloud === 'AWS' ? 'eks_node_medium' : cloud === 'GCP' ? 'gke_node_medium' : 'aks_node_medium')
         : (cloud === 'AWS' ? 'eks_node_small' : cloud === 'GCP' ? 'gke_node_small' : 'aks_node_small');
-    const computeCost = clusterCost + replicas * p[nodeKey];
+    const computeCost = ledger.charge('compute', [], clusterCost + replicas * p[nodeKey] * nodePriceRatio);
 
-    const lbCost = p.alb || p.cloud_lb || p.app_gateway;
-    const storageCost = storage * (p.ebs_per_gb || p.pd_per_gb || p.disk_per_gb);
+    const lbCost = ledger.charge('networking', [], p.alb || p.cloud_lb || p.app_gateway);
+    const storageCost = ledger.charge('storage', [], storage * (p.ebs_per_gb || p.pd_per_gb || p.disk_per_gb));
 
     let databaseCost = 0;
     if (hasDatabase) {
-        const dbKey = nodeSize === 'medium'
+        const dbKey = databaseSize === 'medium'
             ? (cloud === 'AWS' ? 'rds_medium' : cloud === 'GCP' ? 'cloud_sql_medium' : 'azure_sql_medium')
             : (cloud === 'AWS' ? 'rds_small' : cloud === 'GCP' ? 'cloud_sql_small' : 'azure_sql_small');
-        databaseCost = p[dbKey];
+        databaseCost = ledger.charge('database', [], p[dbKey]);
     }
 
     const total = computeCost + lbCost + storageCost + databaseCost;
@@ -177,12 +160,14 @@ function calculateForCloud(cloud, replicas, nodeSize, storage, hasDatabase) {
         breakdown,
         services: [`K8s Cluster (${cloud})`, 'Load Balancer', 'Block Storage', ...(hasDatabase ? ['Managed DB'] : [])],
         drivers: [
-            { name: "Compute (Nodes)", percentage: Math.round((computeCost / total) * 100) },
-            { name: "Database", percentage: Math.round((databaseCost / total) * 100) }
+            { name: "Compute (Nodes)", percentage: total > 0 ? Math.round((computeCost / total) * 100) : 0 },
+            { name: "Database", percentage: total > 0 ? Math.round((databaseCost / total) * 100) : 0 }
         ],
         pros: COMPARISON_DATA[cloud].pros,
-        cons: COMPARISON_DATA[cloud].cons
+        cons: COMPARISON_DATA[cloud].cons,
+        free_tier: ledger.summary(),
+        pricing: sheet.pricing
     };
 }
 
-module.exports = { type, calculate, normalizeUsage, CONTAINER_PRICING };
+module.exports = { type, calculate, normalizeUsage };
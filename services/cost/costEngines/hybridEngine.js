@@ -9,48 +9,8 @@
  * Cost drivers: Compute, Database, Cache, Messaging, Ingress, Storage
  */
 
-const PROVIDER_PRICING = {
-    AWS: {
-        app_compute: { base: 25, per_gb_hour: 0.08, per_request: 0.000001 },
-        api_gateway: { base: 10, per_million_requests: 3.5 },
-        load_balancer: { base: 22, per_gb: 0.008 },
-        relational_db: { base: 45, per_gb_storage: 0.115, per_iops: 0.10 },
-        cache: { base: 35, per_gb: 0.05 },
-        websocket: { base: 15, per_million_messages: 1.0 },
-        message_queue: { base: 5, per_million_requests: 0.40 },
-        object_storage: { base: 3, per_gb: 0.023, per_1k_requests: 0.0004 },
-        authentication: { base: 8, per_mau: 0.0055 },
-        observability: { base: 12, per_gb_logs: 0.50 },
-        bandwidth: { per_gb: 0.09 }
-    },
-    GCP: {
-        app_compute: { base: 24, per_gb_hour: 0.076, per_request: 0.0000009 },
-        api_gateway: { base: 9, per_million_requests: 3.0 },
-        load_balancer: { base: 18, per_gb: 0.007 },
-        // DEBUG: Changed 42 -> 9999 to confirm source
-        relational_db: { base: 9999, per_gb_storage: 0.10, per_iops: 0.09 },
-        cache: { base: 32, per_gb: 0.047 },
-        websocket: { base: 14, per_million_messages: 0.9 },
-        message_queue: { base: 0, per_million_requests: 0.40 },
-        object_storage: { base: 2, per_gb: 0.020, per_1k_requests: 0.0004 },
-        authentication: { base: 7, per_mau: 0.0050 },
-        observability: { base: 10, per_gb_logs: 0.45 },
-        bandwidth: { per_gb: 0.08 }
-    },
-    AZURE: {
-        app_compute: { base: 23, per_gb_hour: 0.075, per_request: 0.0000008 },
-        api_gateway: { base: 12, per_million_requests: 3.8 },
-        load_balancer: { base: 20, per_gb: 0.0075 },
-        relational_db: { base: 40, per_gb_storage: 0.12, per_iops: 0.095 },
-        cache: { base: 30, per_gb: 0.046 },
-        websocket: { base: 13, per_million_messages: 0.85 },
-        message_queue: { base: 4, per_million_requests: 0.38 },
-        object_storage: { base: 2.5, per_gb: 0.021, per_1k_requests: 0.00043 },
-        authentication: { base: 6, per_mau: 0.0048 },
-        observability: { base: 11, per_gb_logs: 0.48 },
-        bandwidth: { per_gb: 0.087 }
-    }
-};
+const pricingCatalog = require('../pricingCatalog');
+const freeTier = require('../freeTier');
 
 /**
  * Calculate cost for HYBRID_PLATFORM pattern
@@ -76,42 +36,50 @@ async function calculate(usageProfile, options = {}) {
     console.log(`[HYBRID ENGINE] Users: ${monthlyUsers}, Requests: ${totalRequests}, Transfer: ${dataTransferGB}GB, Storage: ${dataStorageGB}GB`);
 
     const cost_estimates = {};
+    const { version, prices } = pricingCatalog.getEnginePricing('hybrid', options.priceSheetVersion);
+
+    for (const [provider, pricing] of Object.entries(prices)) {
+        const ledger = freeTier.createLedger(provider, options);
 
-    for (const [provider, pricing] of Object.entries(PROVIDER_PRICING)) {
-        // Calculate component costs
+        // Calculate component costs (net of free-tier allowances)
         const costs = {
-            app_compute: pricing.app_compute.base +
+            app_compute: ledger.charge('app_compute', [], pricing.app_compute.base +
                 (computeGBHours * pricing.app_compute.per_gb_hour) +
-                (totalRequestsMillions * pricing.app_compute.per_request * 1_000_000),
+                (totalRequestsMillions * pricing.app_compute.per_request * 1_000_000)),
 
-            api_gateway: pricing.api_gateway.base +
-                (totalRequestsMillions * pricing.api_gateway.per_million_requests),
+            api_gateway: ledger.charge('api_gateway', [
+                { meter: 'api_requests', quantity: totalRequests, unitPrice: pricing.api_gateway.per_million_requests / 1_000_000 }
+            ], pricing.api_gateway.base),
 
-            load_balancer: pricing.load_balancer.base +
-                (dataTransferGB * pricing.load_balancer.per_gb),
+            load_balancer: ledger.charge('load_balancer', [], pricing.load_balancer.base +
+                (dataTransferGB * pricing.load_balancer.per_gb)),
 
-            relational_db: pricing.relational_db.base +
-                (databaseStorageGB * pricing.relational_db.per_gb_storage),
+            relational_db: ledger.charge('relational_db', [], pricing.relational_db.base +
+                (databaseStorageGB * pricing.relational_db.per_gb_storage)),
 
-            cache: pricing.cache.base + (cacheGB * pricing.cache.per_gb),
+            cache: ledger.charge('cache', [], pricing.cache.base + (cacheGB * pricing.cache.per_gb)),
 
-            websocket: pricing.websocket.base +
-                (totalRequestsMillions * 0.2 * pricing.websocket.per_million_messages), // 20% realtime
+            websocket: ledger.charge('websocket', [], pricing.websocket.base +
+                (totalRequestsMillions * 0.2 * pricing.websocket.per_million_messages)), // 20% realtime
 
-            message_queue: pricing.message_queue.base +
-                (totalRequestsMillions * 0.3 * pricing.message_queue.per_million_requests), // 30% async
+            message_queue: ledger.charge('message_queue', [], pricing.message_queue.base +
+                (totalRequestsMillions * 0.3 * pricing.message_queue.per_million_requests)), // 30% async
 
-            object_storage: pricing.object_storage.base +
-                (dataStorageGB * 0.4 * pricing.object_storage.per_gb) + // 40% in object storage
-                (totalRequestsMillions * 10 * pricing.object_storage.per_1k_requests), // 10k per million
+            object_storage: ledger.charge('object_storage', [
+                { meter: 'object_storage_gb', quantity: dataStorageGB * 0.4, unitPrice: pricing.object_storage.per_gb }, // 40% in object storage
+                { meter: 'object_requests', quantity: totalRequests * 10, unitPrice: pricing.object_storage.per_1k_requests / 1000 } // 10k per million
+            ], pricing.object_storage.base),
 
-            authentication: pricing.authentication.base +
-                (monthlyUsers * pricing.authentication.per_mau),
+            authentication: ledger.charge('authentication', [
+                { meter: 'auth_mau', quantity: monthlyUsers, unitPrice: pricing.authentication.per_mau }
+            ], pricing.authentication.base),
 
-            observability: pricing.observability.base +
-                (logDataGB * pricing.observability.per_gb_logs),
+            observability: ledger.charge('observability', [], pricing.observability.base +
+                (logDataGB * pricing.observability.per_gb_logs)),
 
-            bandwidth: dataTransferGB * pricing.bandwidth.per_gb
+            bandwidth: ledger.charge('bandwidth', [
+                { meter: 'egress_gb', quantity: dataTransferGB, unitPrice: pricing.bandwidth.per_gb }
+            ])
         };
 
         const totalCost = Object.values(costs).reduce((sum, cost) => sum + cost, 0);
@@ -137,7 +105,9 @@ async function calculate(usageProfile, options = {}) {
                 log_data_gb: logDataGB
             },
             confidence: 0.78,
-            cost_profile: costProfile
+            cost_profile: costProfile,
+            free_tier: ledger.summary(), // before the cost profile multiplier
+            pricing: { sheet_version: version }
         };
 
         console.log(`[HYBRID ENGINE] ${provider}: $${adjustedCost.toFixed(2)}/mo`);
@@ -147,7 +117,8 @@ async function calculate(usageProfile, options = {}) {
     return {
         cost_estimates,
         pattern: 'HYBRID_PLATFORM',
-        engine_type: 'formula'
+        engine_type: 'formula',
+        pricing: { sheet_version: version }
     };
 }
 
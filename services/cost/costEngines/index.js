@@ -16,6 +16,7 @@ const mobileEngine = require('./mobileEngine');
 const vmEngine = require('./vmEngine');
 const pipelineEngine = require('./pipelineEngine');
 const hybridEngine = require('./hybridEngine');
+const pricingCatalog = require('../pricingCatalog');
 
 const ENGINES = {
     // V1 Pattern Catalog Mappings
@@ -53,7 +54,10 @@ function getEngine(patternName) {
  * @param {string} patternName - One of the 6 canonical patterns
  * @param {Object} usageProfile - AI-inferred or user-provided usage data
  * @param {Object} options - Additional options (costProfile, etc.)
- * @returns {Promise<Object>} Cost estimation results for all 3 clouds
+ * @param {string} options.region - Logical (EU_PRIMARY) or provider region (ap-south-1) to price in; defaults to US_PRIMARY
+ * @param {string} options.priceSheetVersion - Pricing catalog version to reproduce an earlier estimate; defaults to the active sheet
+ * @param {string} options.freeTier - Free-tier allowances to credit: first_year (default) | always_free | none
+ * @returns {Promise<Object>} Cost estimation results for all 3 clouds, with the price sheets used under `pricing`
  */
 async function calculateCost(patternName, usageProfile, options = {}) {
     const engine = getEngine(patternName);
@@ -62,6 +66,11 @@ async function calculateCost(patternName, usageProfile, options = {}) {
         throw new Error(`[COST ENGINE] Unknown pattern: ${patternName}`);
     }
 
+    // Older sheets live in the database until first used
+    if (options.priceSheetVersion) {
+        await pricingCatalog.ensureSheet(options.priceSheetVersion);
+    }
+
     console.log(`[COST ENGINE] Dispatching to ${patternName} engine`);
 
     // All engines must implement the same interface
@@ -4,33 +4,8 @@
  */
 
 const type = 'hybrid';
-
-const MOBILE_PRICING = {
-    AWS: {
-        api_gateway_per_million: 3.50,
-        lambda_per_million: 0.20,
-        cognito_per_mau: 0.0055,
-        dynamodb_baseline: 25,
-        sns_per_million: 0.50,
-        bandwidth_per_gb: 0.09
-    },
-    GCP: {
-        api_gateway_per_million: 3.00,
-        functions_per_million: 0.40,
-        firebase_auth_free_tier: 50000,
-        firestore_baseline: 20,
-        fcm_free: true,
-        bandwidth_per_gb: 0.12
-    },
-    AZURE: {
-        api_management_base: 25,
-        functions_per_million: 0.20,
-        aad_b2c_per_mau: 0.003,
-        cosmos_baseline: 30,
-        notification_hub: 10,
-        bandwidth_per_gb: 0.087
-    }
-};
+const priceSheets = require('./priceSheets');
+const freeTier = require('../freeTier');
 
 const COMPARISON_DATA = {
     AWS: {
@@ -86,9 +61,10 @@ function calculate(usageProfile, options = {}) {
     const usage = normalizeUsage(usageProfile);
     const totalRequests = usage.monthly_users * usage.requests_per_user;
 
-    const awsCost = calculateForCloud('AWS', usage, totalRequests);
-    const gcpCost = calculateForCloud('GCP', usage, totalRequests);
-    const azureCost = calculateForCloud('AZURE', usage, totalRequests);
+    const sheets = priceSheets.forEngine('mobile', options);
+    const awsCost = calculateForCloud('AWS', usage, totalRequests, sheets.AWS, freeTier.createLedger('AWS', options));
+    const gcpCost = calculateForCloud('GCP', usage, totalRequests, sheets.GCP, freeTier.createLedger('GCP', options));
+    const azureCost = calculateForCloud('AZURE', usage, totalRequests, sheets.AZURE, freeTier.createLedger('AZURE', options));
 
     assertNumber(awsCost.total, "AWS Total");
     assertNumber(gcpCost.total, "GCP Total");
@@ -130,25 +106,30 @@ function calculate(usageProfile, options = {}) {
             confidence_score: confidence.score,
             critical_cost_drivers: ['Auth (MAU)', 'API Calls', 'Database']
         },
-        comparison: COMPARISON_DATA
+        comparison: COMPARISON_DATA,
+
+        // Price sheet version and regions this estimate was priced with
+        pricing: priceSheets.describe(sheets)
     };
 }
 
-function calculateForCloud(cloud, usage, totalRequests) {
-    const p = MOBILE_PRICING[cloud];
+function calculateForCloud(cloud, usage, totalRequests, sheet, ledger) {
+    const p = sheet.prices;
 
-    const apiCost = (totalRequests / 1000000) * (p.api_gateway_per_million || p.api_management_base);
-    const computeCost = (totalRequests / 1000000) * (p.lambda_per_million || p.functions_per_million);
+    const apiCost = ledger.charge('api_gateway', [
+        { meter: 'api_requests', quantity: totalRequests, unitPrice: (p.api_gateway_per_million || p.api_management_base) / 1000000 }
+    ]);
+    const computeCost = ledger.charge('compute', [
+        { meter: 'function_requests', quantity: totalRequests, unitPrice: (p.lambda_per_million || p.functions_per_million) / 1000000 }
+    ]);
 
-    let authCost = 0;
-    if (cloud === 'AWS') {
-        authCost = Math.max(0, usage.monthly_users - 50000) * p.cognito_per_mau;
-    } else if (cloud === 'AZURE') {
-        authCost = Math.max(0, usage.monthly_users - 50000) * p.aad_b2c_per_mau;
-    }
+    // The first 50K MAU are a free-tier allowance (Firebase Auth has no per-MAU price here)
+    const authCost = ledger.charge('auth', [
+        { meter: 'auth_mau', quantity: usage.monthly_users, unitPrice: p.cognito_per_mau || p.aad_b2c_per_mau || 0 }
+    ]);
 
-    const databaseCost = p.dynamodb_baseline || p.firestore_baseline || p.cosmos_baseline;
-    const bandwidthCost = usage.data_transfer_gb * p.bandwidth_per_gb;
+    const databaseCost = ledger.charge('database', [], p.dynamodb_baseline || p.firestore_baseline || p.cosmos_baseline);
+    const bandwidthCost = ledger.charge('bandwidth', [{ meter: 'egress_gb', quantity: usage.data_transfer_gb, unitPrice: p.bandwidth_per_gb }]);
 
     const total = apiCost + computeCost + authCost + databaseCost + bandwidthCost;
 
@@ -165,13 +146,15 @@ function calculateForCloud(cloud, usage, totalRequests) {
         breakdown,
         services: ['API Gateway', 'Compute', 'Auth', 'Database', 'Notifications'],
         drivers: [
-            { name: "API & Compute", percentage: Math.round(((apiCost + computeCost) / total) * 100) },
-            { name: "Database", percentage: Math.round((databaseCost / total) * 100) },
-            { name: "Auth", percentage: Math.round((authCost / total) * 100) }
+            { name: "API & Compute", percentage: total > 0 ? Math.round(((apiCost + computeCost) / total) * 100) : 0 },
+            { name: "Database", percentage: total > 0 ? Math.round((databaseCost / total) * 100) : 0 },
+            { name: "Auth", percentage: total > 0 ? Math.round((authCost / total) * 100) : 0 }
         ],
         pros: COMPARISON_DATA[cloud].pros,
-        cons: COMPARISON_DATA[cloud].cons
+        cons: COMPARISON_DATA[cloud].cons,
+        free_tier: ledger.summary(),
+        pricing: sheet.pricing
     };
 }
 
-module.exports = { type, calculate, normalizeUsage, MOBILE_PRICING };
+module.exports = { type, calculate, normalizeUsage };
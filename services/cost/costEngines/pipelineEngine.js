@@ -3,12 +3,8 @@
  */
 
 const type = 'infracost';
-
-const PIPELINE_PRICING = {
-    AWS: { glue_dpu_hour: 0.44, s3_per_gb: 0.023, step_functions_per_1k: 0.025, athena_per_tb: 5.00 },
-    GCP: { dataflow_per_vcpu_hour: 0.056, storage_per_gb: 0.020, composer_small: 300, bigquery_per_tb: 5.00 },
-    AZURE: { databricks_dbu: 0.22, storage_per_gb: 0.018, data_factory_per_1k: 1.00, synapse_per_dwu: 1.20 }
-};
+const priceSheets = require('./priceSheets');
+const freeTier = require('../freeTier');
 
 const COMPARISON_DATA = {
     AWS: { pros: ["Glue is serverless & powerful", "Athena integration"], cons: ["Glue can get expensive"] },
@@ -44,9 +40,10 @@ function calculate(usageProfile, options = {}) {
     const usage = normalizeUsage(usageProfile);
     const monthlyJobHours = usage.jobs_per_day * 30 * usage.job_duration_hours;
 
-    const awsCost = calcCloud('AWS', usage, monthlyJobHours);
-    const gcpCost = calcCloud('GCP', usage, monthlyJobHours);
-    const azureCost = calcCloud('AZURE', usage, monthlyJobHours);
+    const sheets = priceSheets.forEngine('pipeline', options);
+    const awsCost = calcCloud('AWS', usage, monthlyJobHours, sheets.AWS, freeTier.createLedger('AWS', options));
+    const gcpCost = calcCloud('GCP', usage, monthlyJobHours, sheets.GCP, freeTier.createLedger('GCP', options));
+    const azureCost = calcCloud('AZURE', usage, monthlyJobHours, sheets.AZURE, freeTier.createLedger('AZURE', options));
 
     assertNumber(awsCost.total, "AWS total");
     assertNumber(gcpCost.total, "GCP total");
@@ -64,27 +61,32 @@ function calculate(usageProfile, options = {}) {
         recommended: { provider: recommended, total: costs[0].total, formatted_cost: costs[0].formatted, cost_range: costRange, service_count: 4 },
         usage: usage, confidence: confidence.label, confidence_details: confidence,
         ai_explanation: { rationale: 'Pipeline costs driven by compute hours and data volume.', confidence_score: confidence.score, critical_cost_drivers: ['ETL Compute', 'Storage', 'Query'] },
-        comparison: COMPARISON_DATA
+        comparison: COMPARISON_DATA,
+        pricing: priceSheets.describe(sheets)
     };
 }
 
-function calcCloud(cloud, usage, monthlyJobHours) {
-    const p = PIPELINE_PRICING[cloud];
-    let compute = 0;
-    if (cloud === 'AWS') compute = monthlyJobHours * p.glue_dpu_hour * 2;
-    else if (cloud === 'GCP') compute = monthlyJobHours * p.dataflow_per_vcpu_hour * 4;
-    else compute = monthlyJobHours * p.databricks_dbu * 2;
+function calcCloud(cloud, usage, monthlyJobHours, sheet, ledger) {
+    const p = sheet.prices;
+    let jobCost = 0;
+    if (cloud === 'AWS') jobCost = monthlyJobHours * p.glue_dpu_hour * 2;
+    else if (cloud === 'GCP') jobCost = monthlyJobHours * p.dataflow_per_vcpu_hour * 4;
+    else jobCost = monthlyJobHours * p.databricks_dbu * 2;
+    const compute = ledger.charge('compute', [], jobCost);
 
-    const storage = usage.storage_gb * (p.s3_per_gb || p.storage_per_gb);
+    const storage = ledger.charge('storage', [{ meter: 'object_storage_gb', quantity: usage.storage_gb, unitPrice: p.s3_per_gb || p.storage_per_gb }]);
     const queryTB = usage.storage_gb / 1000;
-    const query = queryTB * (p.athena_per_tb || p.bigquery_per_tb || p.synapse_per_dwu);
-    const total = compute + storage + query + 50;
+    const query = ledger.charge('query', [], queryTB * (p.athena_per_tb || p.bigquery_per_tb || p.synapse_per_dwu));
+    const orchestration = ledger.charge('orchestration', [], 50);
+    const total = compute + storage + query + orchestration;
     return {
         total: Math.round(total * 100) / 100, formatted: `$${total.toFixed(2)}`, breakdown: { compute, storage, query },
         services: ['ETL Service', 'Object Storage', 'Query Engine', 'Orchestration'],
         drivers: [{ name: 'Compute', percentage: Math.round((compute / total) * 100) }, { name: 'Query/Storage', percentage: Math.round(((query + storage) / total) * 100) }],
-        pros: COMPARISON_DATA[cloud].pros, cons: COMPARISON_DATA[cloud].cons
+        pros: COMPARISON_DATA[cloud].pros, cons: COMPARISON_DATA[cloud].cons,
+        free_tier: ledger.summary(),
+        pricing: sheet.pricing
     };
 }
 
-module.exports = { type, calculate, normalizeUsage, PIPELINE_PRICING };
+module.exports = { type, calculate, normalizeUsage };
@@ -0,0 +1,280 @@
+/**
+ * REGIONAL PRICE SHEETS FOR THE FORMULA ENGINES
+ *
+ * The pricing catalog holds each engine's base price tables, quoted in the provider's
+ * reference region (us-east-1 / us-central1 / eastus). A region's price sheet is
+ * that table with the region's published price ratio applied per price category.
+ *
+ * Every estimate reports the catalog version and region it was priced with, so a
+ * cost for ASIA_PRIMARY can be compared with EU_PRIMARY (or re-checked later).
+ * Infracost estimates are priced in the base regions too; applyToEstimate moves
+ * them to the workspace's region with the same factors.
+ */
+
+const { LogicalRegion, REGION_MAP } = require('../../infrastructure/regionResolver');
+const pricingCatalog = require('../pricingCatalog');
+const { scaleCostRange } = require('../costResultModel');
+
+const { BASE_REGIONS } = pricingCatalog;
+
+// Bump whenever a regional ratio changes
+const REGIONAL_FACTORS_VERSION = 'regional-2025.01';
+
+// Used when the caller passes no region (the base tables are US prices)
+const DEFAULT_LOGICAL_REGION = LogicalRegion.US_PRIMARY;
+
+/**
+ * Price ratio vs the base region, per category.
+ * Derived from the providers' public list prices (on-demand, Linux, first pricing tier).
+ * Missing categories are priced as in the base region.
+ */
+const REGION_FACTORS = {
+    AWS: {
+        'us-east-1': {},
+        'us-west-2': {},
+        'eu-west-1': { compute: 1.11, database: 1.10, networking: 1.12 },
+        'eu-central-1': { compute: 1.16, storage: 1.06, database: 1.17, networking: 1.20, requests: 1.06 },
+        'ap-south-1': { compute: 1.08, storage: 1.09, bandwidth: 1.21, database: 1.12, networking: 1.06 },
+        'ap-southeast-1': { compute: 1.27, storage: 1.09, bandwidth: 1.33, database: 1.30, networking: 1.13 }
+    },
+    GCP: {
+        'us-central1': {},
+        'us-east1': {},
+        'europe-west1': { compute: 1.10, database: 1.10 },
+        'europe-west4': { compute: 1.10, storage: 1.15, database: 1.10 },
+        'asia-south1': { compute: 1.20, storage: 1.15, database: 1.20, requests: 1.10 },
+        'asia-southeast1': { compute: 1.23, database: 1.22, requests: 1.10 }
+    },
+    AZURE: {
+        'eastus': {},
+        'westus2': {},
+        'westeurope': { compute: 1.15, storage: 1.10, database: 1.15, networking: 1.10 },
+        'northeurope': { compute: 1.05, storage: 1.05, database: 1.10 },
+        'centralindia': { compute: 1.08, storage: 1.05, bandwidth: 1.38, database: 1.10 },
+        'southeastasia': { compute: 1.25, storage: 1.10, bandwidth: 1.38, database: 1.25, networking: 1.10 }
+    }
+};
+
+/**
+ * Price key -> category (first match wins). Keys matching nothing are compute.
+ * `null` marks allowances and other values that aren't prices.
+ */
+const CATEGORY_RULES = [
+    [/free/, null],
+    [/bandwidth/, 'bandwidth'],
+    [/lambda|functions|api_gateway|api_management|requests_per|sns|notification|cognito|aad_b2c|step_functions|data_factory/, 'requests'],
+    [/rds|sql|dynamodb|firestore|cosmos|db_base|athena|bigquery|synapse/, 'database'],
+    [/alb|elb|cloud_lb|app_gateway|dns/, 'networking'],
+    [/storage|s3|ebs|pd_|disk/, 'storage']
+];
+
+/**
+ * Estimate line item service class -> category (first match wins). Anything else is compute.
+ */
+const SERVICE_CATEGORY_RULES = [
+    [/cdn|egress|datatransfer/, 'bandwidth'],
+    [/serverless|function|apigateway|queue|messag|notification|eventbus|auth|identity|workflow/, 'requests'],
+    [/database|cache|search|warehouse|sql/, 'database'],
+    [/loadbalancer|nat|dns|vpc|network/, 'networking'],
+    [/storage|backup|archive|disk|file/, 'storage']
+];
+
+const materializedSheets = new Map();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function categorize(key) {
+    const rule = CATEGORY_RULES.find(([pattern]) => pattern.test(key));
+    return rule ? rule[1] : 'compute';
+}
+
+function categorizeService(serviceClass) {
+    const normalized = String(serviceClass || '').replace(/_/g, '').toLowerCase();
+    const rule = SERVICE_CATEGORY_RULES.find(([pattern]) => pattern.test(normalized));
+    return rule ? rule[1] : 'compute';
+}
+
+/**
+ * Region an infraSpec is priced in: the logical region chosen in Step 2 (or the
+ * provider region it was resolved to); null prices the base regions
+ */
+function regionOf(infraSpec) {
+    const region = infraSpec?.region;
+    if (typeof region === 'string') return region;
+    return region?.logical_region
+        || region?.resolved_region
+        || infraSpec?.resolved_region?.logical
+        || infraSpec?.resolved_region?.resolved
+        || null;
+}
+
+/**
+ * Provider regions for an estimate. `region` may be logical (EU_PRIMARY) or a
+ * provider region (ap-south-1); a provider region is mapped to its logical
+ * region so the other clouds are priced in the equivalent location.
+ * @returns {object} { logical, AWS, GCP, AZURE }
+ */
+function resolveEngineRegions(region) {
+    let logical = region && LogicalRegion[region] ? region : null;
+
+    if (region && !logical) {
+        for (const mapping of Object.values(REGION_MAP)) {
+            const match = Object.entries(mapping).find(([, physical]) => physical === region);
+            if (match) {
+                logical = match[0];
+                break;
+            }
+        }
+    }
+    if (!logical) {
+        if (region) console.warn(`[PRICE SHEETS] Unknown region '${region}', pricing ${DEFAULT_LOGICAL_REGION}`);
+        logical = DEFAULT_LOGICAL_REGION;
+    }
+
+    const regions = { logical };
+    for (const cloud of Object.keys(BASE_REGIONS)) {
+        const physical = REGION_MAP[cloud.toLowerCase()][logical];
+        // Regions without a sheet are priced at the base region rather than guessed
+        regions[cloud] = REGION_FACTORS[cloud][physical] ? physical : BASE_REGIONS[cloud];
+    }
+    return regions;
+}
+
+/**
+ * Apply a region's factors to one provider's base table
+ */
+function buildSheet(basePrices, cloud, region) {
+    const factors = REGION_FACTORS[cloud][region] || {};
+    const prices = {};
+
+    for (const [key, value] of Object.entries(basePrices)) {
+        const category = typeof value === 'number' ? categorize(key) : null;
+        prices[key] = category ? Math.round(value * (factors[category] || 1) * 1e8) / 1e8 : value;
+    }
+    return prices;
+}
+
+/**
+ * Region-specific price sheets for every provider of an engine
+ * @param {string} engineName - Catalog engine name, e.g. 'static'
+ * @param {object} options - Engine options; `options.region` selects the region,
+ *                           `options.priceSheetVersion` a catalog version other than the active one
+ * @returns {object} { version, regions, AWS: { prices, pricing }, GCP: ..., AZURE: ... }
+ */
+function forEngine(engineName, options = {}) {
+    const base = pricingCatalog.getEnginePricing(engineName, options.priceSheetVersion);
+    const regions = resolveEngineRegions(options.region);
+    const sheets = { version: base.version, regions };
+
+    for (const cloud of Object.keys(BASE_REGIONS)) {
+        const region = regions[cloud];
+        const cacheKey = `${base.version}:${engineName}:${cloud}:${region}`;
+        if (!materializedSheets.has(cacheKey)) {
+            materializedSheets.set(cacheKey, buildSheet(base.prices[cloud], cloud, region));
+        }
+
+        sheets[cloud] = {
+            prices: materializedSheets.get(cacheKey),
+            pricing: {
+                sheet_version: base.version,
+                regional_factors: REGIONAL_FACTORS_VERSION,
+                region,
+                logical_region: regions.logical,
+                base_region: BASE_REGIONS[cloud]
+            }
+        };
+    }
+    return sheets;
+}
+
+/**
+ * Re-price a base-region provider estimate (generateCostEstimate shape) for a region.
+ * Each line item gets its category's factor; the estimate reports the region under `pricing`.
+ * @param {object} estimate - { total_monthly_cost, services: [{ service_class, cost: { monthly } }], ... }
+ * @param {string} provider - AWS | GCP | AZURE
+ * @param {string} region - Logical (EU_PRIMARY) or provider region
+ */
+function applyToEstimate(estimate, provider, region) {
+    const cloud = String(provider).toUpperCase();
+    if (!estimate || !Array.isArray(estimate.services) || !REGION_FACTORS[cloud]) return estimate;
+
+    const regions = resolveEngineRegions(region);
+    const factors = REGION_FACTORS[cloud][regions[cloud]] || {};
+    const serviceCosts = estimate.service_costs ? { ...estimate.service_costs } : estimate.service_costs;
+
+    let delta = 0;
+    const services = estimate.services.map(item => {
+        const monthly = item.cost?.monthly;
+        const factor = factors[categorizeService(item.service_class)] || 1;
+        if (typeof monthly !== 'number' || factor === 1) return item;
+
+        const regional = round2(monthly * factor);
+        delta += regional - monthly;
+        if (serviceCosts && typeof serviceCosts[item.service_class] === 'number') {
+            serviceCosts[item.service_class] = round2(serviceCosts[item.service_class] + regional - monthly);
+        }
+        return { ...item, cost: { ...item.cost, monthly: regional, formatted: `$${regional.toFixed(2)}/mo` } };
+    });
+
+    const base = estimate.total_monthly_cost || 0;
+    const total = round2(base + delta);
+    return {
+        ...estimate,
+        services,
+        service_costs: serviceCosts,
+        total_monthly_cost: total,
+        formatted_cost: `$${total.toFixed(2)}/month`,
+        cost_range: scaleCostRange(estimate.cost_range, base > 0 ? total / base : 1),
+        pricing: {
+            ...estimate.pricing,
+            regional_factors: REGIONAL_FACTORS_VERSION,
+            region: regions[cloud],
+            logical_region: regions.logical,
+            base_region: BASE_REGIONS[cloud]
+        }
+    };
+}
+
+/**
+ * Multiplier on VM / node prices per provider for `options.computeArchitecture`:
+ * the ARM family's price ratio for arm64, 1 for x86_64 (the base tables' prices)
+ */
+function computePriceRatios(options = {}) {
+    const ratios = {};
+    const arm = options.computeArchitecture === 'arm64'
+        ? pricingCatalog.getOptimizationPricing(options.priceSheetVersion).prices
+        : {};
+    for (const cloud of Object.keys(BASE_REGIONS)) {
+        ratios[cloud] = arm[cloud]?.arm?.price_ratio ?? 1;
+    }
+    return ratios;
+}
+
+/**
+ * Estimate-level summary of the sheets used
+ */
+function describe(sheets) {
+    return {
+        sheet_version: sheets.version,
+        regional_factors: REGIONAL_FACTORS_VERSION,
+        logical_region: sheets.regions.logical,
+        regions: {
+            aws: sheets.regions.AWS,
+            gcp: sheets.regions.GCP,
+            azure: sheets.regions.AZURE
+        }
+    };
+}
+
+module.exports = {
+    REGIONAL_FACTORS_VERSION,
+    REGION_FACTORS,
+    categorize,
+    categorizeService,
+    regionOf,
+    resolveEngineRegions,
+    forEngine,
+    applyToEstimate,
+    computePriceRatios,
+    describe
+};
@@ -9,38 +9,8 @@
  */
 
 const type = 'hybrid';
-
-// FIX 2: Explicit Pricing Constants
-const SERVERLESS_PRICING = {
-    AWS: {
-        lambda_per_million_invocations: 0.20,
-        lambda_per_gb_second: 0.0000166667,
-        api_gateway_per_million: 3.50,
-        dynamodb_per_wcu: 0.00065,
-        dynamodb_per_rcu: 0.00013,
-        bandwidth_per_gb: 0.09,
-        s3_per_gb: 0.023,
-        db_base: 25 // Approximate small RDS/Dynamo
-    },
-    GCP: {
-        functions_per_million: 0.40,
-        functions_per_gb_second: 0.0000025,
-        api_gateway_per_million: 3.00,
-        firestore_operations: 0.108,
-        bandwidth_per_gb: 0.12,
-        storage_per_gb: 0.020,
-        db_base: 20
-    },
-    AZURE: {
-        functions_per_million: 0.20,
-        functions_per_gb_second: 0.000016,
-        api_management_base: 0.035, // hourly
-        cosmos_per_100_ru: 0.008,
-        bandwidth_per_gb: 0.087,
-        storage_per_gb: 0.018,
-        db_base: 30
-    }
-};
+const priceSheets = require('./priceSheets');
+const freeTier = require('../freeTier');
 
 const COMPARISON_DATA = {
     AWS: {
@@ -119,9 +89,10 @@ function calculate(usageProfile, options = {}) {
     const hasDatabase = options.hasDatabase !== false;
     const totalRequests = usage.monthly_users * usage.requests_per_user;
 
-    const awsCost = calculateForCloud('AWS', usage, totalRequests, hasDatabase);
-    const gcpCost = calculateForCloud('GCP', usage, totalRequests, hasDatabase);
-    const azureCost = calculateForCloud('AZURE', usage, totalRequests, hasDatabase);
+    const sheets = priceSheets.forEngine('serverless', options);
+    const awsCost = calculateForCloud('AWS', usage, totalRequests, hasDatabase, sheets.AWS, freeTier.createLedger('AWS', options));
+    const gcpCost = calculateForCloud('GCP', usage, totalRequests, hasDatabase, sheets.GCP, freeTier.createLedger('GCP', options));
+    const azureCost = calculateForCloud('AZURE', usage, totalRequests, hasDatabase, sheets.AZURE, freeTier.createLedger('AZURE', options));
 
     // STRICT ASSERTIONS
     assertNumber(awsCost.total, "AWS Total");
@@ -168,30 +139,30 @@ function calculate(usageProfile, options = {}) {
             critical_cost_drivers: ['Invocations', 'API Requests']
         },
 
-        comparison: COMPARISON_DATA
+        comparison: COMPARISON_DATA,
+
+        // Price sheet version and regions this estimate was priced with
+        pricing: priceSheets.describe(sheets)
     };
 }
 
-function calculateForCloud(cloud, usage, totalRequests, hasDatabase) {
-    const p = SERVERLESS_PRICING[cloud];
+function calculateForCloud(cloud, usage, totalRequests, hasDatabase, sheet, ledger) {
+    const p = sheet.prices;
     const invocations = totalRequests;
+    const gbSeconds = invocations * 0.128 * 0.2; // 128MB for 200ms
 
-    let computeCost = 0;
-    if (cloud === 'AWS') {
-        computeCost = (invocations / 1000000) * p.lambda_per_million_invocations;
-        computeCost += invocations * 0.128 * 0.2 * p.lambda_per_gb_second;
-    } else if (cloud === 'GCP') {
-        computeCost = (invocations / 1000000) * p.functions_per_million;
-        computeCost += invocations * 0.128 * 0.2 * p.functions_per_gb_second;
-    } else {
-        computeCost = (invocations / 1000000) * p.functions_per_million;
-        computeCost += invocations * 0.128 * 0.2 * p.functions_per_gb_second;
-    }
+    // Free-tier allowances are credited per line item by the ledger
+    const computeCost = ledger.charge('compute', [
+        { meter: 'function_requests', quantity: invocations, unitPrice: (p.lambda_per_million_invocations || p.functions_per_million) / 1000000 },
+        { meter: 'function_gb_seconds', quantity: gbSeconds, unitPrice: p.lambda_per_gb_second || p.functions_per_gb_second }
+    ]);
 
-    const apiCost = (totalRequests / 1000000) * (p.api_gateway_per_million || p.api_management_base * 730);
-    const bandwidthCost = usage.data_transfer_gb * p.bandwidth_per_gb;
-    const storageCost = usage.storage_gb * (p.s3_per_gb || p.storage_per_gb);
-    const databaseCost = hasDatabase ? p.db_base : 0;
+    const apiCost = ledger.charge('api_gateway', [
+        { meter: 'api_requests', quantity: totalRequests, unitPrice: (p.api_gateway_per_million || p.api_management_base * 730) / 1000000 }
+    ]);
+    const bandwidthCost = ledger.charge('bandwidth', [{ meter: 'egress_gb', quantity: usage.data_transfer_gb, unitPrice: p.bandwidth_per_gb }]);
+    const storageCost = ledger.charge('storage', [{ meter: 'object_storage_gb', quantity: usage.storage_gb, unitPrice: p.s3_per_gb || p.storage_per_gb }]);
+    const databaseCost = ledger.charge('database', [], hasDatabase ? p.db_base : 0);
 
     const total = computeCost + apiCost + bandwidthCost + storageCost + databaseCost;
 
@@ -209,12 +180,15 @@ function calculateForCloud(cloud, usage, totalRequests, hasDatabase) {
         breakdown,
         services: [`Compute (${cloud})`, 'API Gateway', 'Object Storage', ...(hasDatabase ? ['Managed DB'] : [])],
         drivers: [
-            { name: "Compute & API", percentage: Math.round(((computeCost + apiCost) / total) * 100) },
-            { name: "Database", percentage: Math.round((databaseCost / total) * 100) }
+            { name: "Compute & API", percentage: total > 0 ? Math.round(((computeCost + apiCost) / total) * 100) : 0 },
+            { name: "Database", percentage: total > 0 ? Math.round((databaseCost / total) * 100) : 0 }
         ],
         pros: COMPARISON_DATA[cloud].pros,
-        cons: COMPARISON_DATA[cloud].cons
+        cons: COMPARISON_DATA[cloud].cons,
+        // Gross, free-tier credit and net per line item (breakdown and total are net)
+        free_tier: ledger.summary(),
+        pricing: sheet.pricing
     };
 }
 
-module.exports = { type, calculate, normalizeUsage, SERVERLESS_PRICING };
+module.exports = { type, calculate, normalizeUsage };
@@ -10,28 +10,8 @@
  */
 
 const type = 'formula';
-
-// FIX 2: Explicit Pricing Constants (No Magic Numbers)
-const STATIC_PRICING = {
-    AWS: {
-        storage_per_gb: 0.023,      // S3 Standard
-        bandwidth_per_gb: 0.085,    // First 10TB data out
-        dns_flat: 0.50,             // Route 53 Hosted Zone
-        requests_per_10k: 0.004     // GET requests
-    },
-    GCP: {
-        storage_per_gb: 0.020,      // Cloud Storage Standard
-        bandwidth_per_gb: 0.080,    // Network egress
-        dns_flat: 0.30,             // Cloud DNS
-        requests_per_10k: 0.004
-    },
-    AZURE: {
-        storage_per_gb: 0.024,      // Blob Storage Hot
-        bandwidth_per_gb: 0.087,    // Data transfer out
-        dns_flat: 0.40,             // Azure DNS
-        requests_per_10k: 0.004
-    }
-};
+const priceSheets = require('./priceSheets');
+const freeTier = require('../freeTier');
 
 // FIX 6: Comparative Reasons (Pros/Cons)
 const COMPARISON_DATA = {
@@ -128,9 +108,10 @@ function calculate(usageProfile, options = {}) {
     console.log('[STATIC ENGINE] Normalized usage:', usage);
 
     // STEP 2: Calculate per-cloud costs
-    const awsCost = calculateForCloud('AWS', usage);
-    const gcpCost = calculateForCloud('GCP', usage);
-    const azureCost = calculateForCloud('AZURE', usage);
+    const sheets = priceSheets.forEngine('static', options);
+    const awsCost = calculateForCloud('AWS', usage, sheets.AWS, freeTier.createLedger('AWS', options));
+    const gcpCost = calculateForCloud('GCP', usage, sheets.GCP, freeTier.createLedger('GCP', options));
+    const azureCost = calculateForCloud('AZURE', usage, sheets.AZURE, freeTier.createLedger('AZURE', options));
 
     // STEP 3: Verify numeric integrity
     assertNumber(awsCost.total, "AWS Total Cost");
@@ -196,21 +177,24 @@ function calculate(usageProfile, options = {}) {
         },
 
         // Comparison Data (Pros/Cons)
-        comparison: COMPARISON_DATA
+        comparison: COMPARISON_DATA,
+
+        // Price sheet version and regions this estimate was priced with
+        pricing: priceSheets.describe(sheets)
     };
 }
 
 /**
  * Calculate single cloud cost with strict assertions
  */
-function calculateForCloud(cloud, usage) {
-    const p = STATIC_PRICING[cloud];
+function calculateForCloud(cloud, usage, sheet, ledger) {
+    const p = sheet.prices;
     if (!p) throw new Error(`Missing pricing for cloud: ${cloud}`);
 
-    const storageCost = usage.storage_gb * p.storage_per_gb;
-    const bandwidthCost = usage.data_transfer_gb * p.bandwidth_per_gb;
-    const dnsCost = p.dns_flat;
-    const requestsCost = (usage.requests_per_month / 10000) * p.requests_per_10k;
+    const storageCost = ledger.charge('storage', [{ meter: 'object_storage_gb', quantity: usage.storage_gb, unitPrice: p.storage_per_gb }]);
+    const bandwidthCost = ledger.charge('bandwidth', [{ meter: 'cdn_egress_gb', quantity: usage.data_transfer_gb, unitPrice: p.bandwidth_per_gb }]);
+    const dnsCost = ledger.charge('dns', [], p.dns_flat);
+    const requestsCost = ledger.charge('requests', [{ meter: 'object_requests', quantity: usage.requests_per_month, unitPrice: p.requests_per_10k / 10000 }]);
 
     const total = storageCost + bandwidthCost + dnsCost + requestsCost;
 
@@ -231,11 +215,13 @@ function calculateForCloud(cloud, usage) {
             `${cloud === 'AWS' ? 'Route53' : cloud === 'GCP' ? 'Cloud DNS' : 'Azure DNS'}`,
         ],
         drivers: [
-            { name: "Bandwidth", percentage: Math.round((bandwidthCost / total) * 100) },
-            { name: "Storage", percentage: Math.round((storageCost / total) * 100) }
+            { name: "Bandwidth", percentage: total > 0 ? Math.round((bandwidthCost / total) * 100) : 0 },
+            { name: "Storage", percentage: total > 0 ? Math.round((storageCost / total) * 100) : 0 }
         ],
         pros: COMPARISON_DATA[cloud].pros,
-        cons: COMPARISON_DATA[cloud].cons
+        cons: COMPARISON_DATA[cloud].cons,
+        free_tier: ledger.summary(),
+        pricing: sheet.pricing
     };
 }
 
@@ -243,6 +229,5 @@ module.exports = {
     type,
     calculate,
     normalizeUsage,
-    calculateConfidence,
-    STATIC_PRICING
+    calculateConfidence
 };
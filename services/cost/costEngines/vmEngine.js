@@ -4,12 +4,8 @@
  */
 
 const type = 'infracost';
-
-const VM_PRICING = {
-    AWS: { ec2_t3_small: 15, ec2_t3_medium: 30, ebs_gp3_per_gb: 0.08, elb: 18, rds_small: 25, bandwidth_per_gb: 0.09 },
-    GCP: { e2_small: 12, e2_medium: 25, pd_ssd_per_gb: 0.17, cloud_lb: 18, cloud_sql_small: 25, bandwidth_per_gb: 0.12 },
-    AZURE: { b2s: 30, b2ms: 60, managed_disk_per_gb: 0.05, app_gateway: 25, azure_sql_small: 30, bandwidth_per_gb: 0.087 }
-};
+const priceSheets = require('./priceSheets');
+const freeTier = require('../freeTier');
 
 const COMPARISON_DATA = {
     AWS: { pros: ["Broadest instance types", "Mature ecosystem"], cons: ["Bandwidth cost"] },
@@ -41,15 +37,18 @@ function calculateConfidence(usageProfile, options = {}) {
     return { score: Math.round(confidence * 100) / 100, label: confidence >= 0.8 ? 'High' : confidence >= 0.6 ? 'Medium' : 'Low' };
 }
 
+// options.computeArchitecture - x86_64 (default) | arm64: arm64 VMs are priced at the ARM family's ratio
 function calculate(usageProfile, options = {}) {
     const usage = normalizeUsage(usageProfile);
     const hasDatabase = options.hasDatabase !== false;
     const vmSize = usage.monthly_users > 5000 ? 'medium' : 'small';
     const vmCount = Math.max(1, Math.ceil(usage.monthly_users / 10000));
 
-    const awsCost = calcCloud('AWS', vmCount, vmSize, usage, hasDatabase);
-    const gcpCost = calcCloud('GCP', vmCount, vmSize, usage, hasDatabase);
-    const azureCost = calcCloud('AZURE', vmCount, vmSize, usage, hasDatabase);
+    const sheets = priceSheets.forEngine('vm', options);
+    const armRatios = priceSheets.computePriceRatios(options);
+    const awsCost = calcCloud('AWS', vmCount, vmSize, usage, hasDatabase, sheets.AWS, freeTier.createLedger('AWS', options), armRatios.AWS);
+    const gcpCost = calcCloud('GCP', vmCount, vmSize, usage, hasDatabase, sheets.GCP, freeTier.createLedger('GCP', options), armRatios.GCP);
+    const azureCost = calcCloud('AZURE', vmCount, vmSize, usage, hasDatabase, sheets.AZURE, freeTier.createLedger('AZURE', options), armRatios.AZURE);
 
     assertNumber(awsCost.total, "AWS total");
     assertNumber(gcpCost.total, "GCP total");
@@ -67,24 +66,28 @@ function calculate(usageProfile, options = {}) {
         recommended: { provider: recommended, total: costs[0].total, formatted_cost: costs[0].formatted, cost_range: costRange, service_count: hasDatabase ? 4 : 3 },
         usage: usage, confidence: confidence.label, confidence_details: confidence,
         ai_explanation: { rationale: 'VM costs based on instance size x count.', confidence_score: confidence.score, critical_cost_drivers: ['VM Compute', 'Storage', 'Database'] },
-        comparison: COMPARISON_DATA
+        comparison: COMPARISON_DATA,
+        pricing: priceSheets.describe(sheets)
     };
 }
 
-function calcCloud(cloud, vmCount, vmSize, usage, hasDatabase) {
-    const p = VM_PRICING[cloud];
+function calcCloud(cloud, vmCount, vmSize, usage, hasDatabase, sheet, ledger, vmPriceRatio = 1) {
+    const p = sheet.prices;
     const vmKey = vmSize === 'medium' ? (cloud === 'AWS' ? 'ec2_t3_medium' : cloud === 'GCP' ? 'e2_medium' : 'b2ms') : (cloud === 'AWS' ? 'ec2_t3_small' : cloud === 'GCP' ? 'e2_small' : 'b2s');
-    const compute = vmCount * p[vmKey];
-    const storage = usage.storage_gb * (p.ebs_gp3_per_gb || p.pd_ssd_per_gb || p.managed_disk_per_gb);
-    const lb = p.elb || p.cloud_lb || p.app_gateway;
-    const db = hasDatabase ? (p.rds_small || p.cloud_sql_small || p.azure_sql_small) : 0;
+    // Free-tier VMs are too small for these sizes, so every line item is flat
+    const compute = ledger.charge('compute', [], vmCount * p[vmKey] * vmPriceRatio);
+    const storage = ledger.charge('storage', [], usage.storage_gb * (p.ebs_gp3_per_gb || p.pd_ssd_per_gb || p.managed_disk_per_gb));
+    const lb = ledger.charge('networking', [], p.elb || p.cloud_lb || p.app_gateway);
+    const db = hasDatabase ? ledger.charge('database', [], p.rds_small || p.cloud_sql_small || p.azure_sql_small) : 0;
     const total = compute + storage + lb + db;
     return {
         total: Math.round(total * 100) / 100, formatted: `$${total.toFixed(2)}`, breakdown: { compute, storage, networking: lb, database: db },
         services: ['VM Instances', 'Block Storage', 'Load Balancer', ...(hasDatabase ? ['Database'] : [])],
-        drivers: [{ name: 'Compute', percentage: Math.round((compute / total) * 100) }, { name: 'Storage', percentage: Math.round((storage / total) * 100) }],
-        pros: COMPARISON_DATA[cloud].pros, cons: COMPARISON_DATA[cloud].cons
+        drivers: [{ name: 'Compute', percentage: total > 0 ? Math.round((compute / total) * 100) : 0 }, { name: 'Storage', percentage: total > 0 ? Math.round((storage / total) * 100) : 0 }],
+        pros: COMPARISON_DATA[cloud].pros, cons: COMPARISON_DATA[cloud].cons,
+        free_tier: ledger.summary(),
+        pricing: sheet.pricing
     };
 }
 
-module.exports = { type, calculate, normalizeUsage, VM_PRICING };
+module.exports = { type, calculate, normalizeUsage };
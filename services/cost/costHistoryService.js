@@ -10,11 +10,15 @@
  */
 
 const pool = require('../../config/db');
+const pricingCatalog = require('./pricingCatalog');
+const budgetService = require('./budgetService');
 
 /**
- * Save a cost estimate to history
+ * Save a cost estimate to history, then check the workspace's budgets against it
  * @param {number} workspaceId - Workspace ID
  * @param {object} costData - Cost analysis data from infracostService
+ *                           (price_sheet_version defaults to the active pricing catalog sheet,
+ *                           purchase_option to on_demand)
  */
 async function saveCostEstimate(workspaceId, costData) {
     try {
@@ -25,6 +29,9 @@ async function saveCostEstimate(workspaceId, costData) {
             rankings,
             category_breakdown
         } = costData;
+        const priceSheetVersion = costData.price_sheet_version || costData.pricing?.sheet_version || pricingCatalog.getActiveVersion();
+        const purchaseOption = costData.purchase_option || 'on_demand';
+        const recommended = rankings.find(ranking => ranking.provider === recommended_provider) || rankings[0];
 
         // Save estimate for each provider
         const inserts = rankings.map(async (ranking) => {
@@ -32,8 +39,8 @@ async function saveCostEstimate(workspaceId, costData) {
                 INSERT INTO cost_history 
                 (workspace_id, provider, cost_profile, estimated_cost, 
                  cost_range_low, cost_range_high, confidence, 
-                 category_breakdown, service_count, scale_tier)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                 category_breakdown, service_count, scale_tier, price_sheet_version, purchase_option, is_recommended)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
             `, [
                 workspaceId,
                 ranking.provider,
@@ -44,14 +51,26 @@ async function saveCostEstimate(workspaceId, costData) {
                 ranking.cost_range?.confidence || 'medium',
                 JSON.stringify(category_breakdown),
                 ranking.service_count,
-                scale_tier
+                scale_tier,
+                priceSheetVersion,
+                purchaseOption,
+                ranking.provider === recommended.provider
             ]);
         });
 
         await Promise.all(inserts);
         console.log(`[COST HISTORY] Saved ${rankings.length} estimates for workspace ${workspaceId}`);
 
-        return { saved: rankings.length };
+        // A budget failure must not lose the history that was just saved
+        const budgets = await budgetService.checkWorkspaceBudgets(workspaceId, recommended?.monthly_cost, {
+            source: 'estimate',
+            provider: recommended?.provider
+        }).catch(budgetError => {
+            console.error('[COST HISTORY] Budget check failed:', budgetError.message);
+            return [];
+        });
+
+        return { saved: rankings.length, budgets };
 
     } catch (error) {
         console.error('[COST HISTORY ERROR]', error.message);
@@ -71,7 +90,7 @@ async function getWorkspaceCostHistory(workspaceId, options = {}) {
         SELECT 
             id, provider, cost_profile, estimated_cost,
             cost_range_low, cost_range_high, confidence,
-            service_count, scale_tier, created_at
+            service_count, scale_tier, price_sheet_version, purchase_option, created_at
         FROM cost_history
         WHERE workspace_id = $1
     `;
@@ -0,0 +1,354 @@
+/**
+ * COST OPTIMIZER
+ * Rule-based recommendations that lower an architecture's monthly cost
+ *
+ * Every rule looks at the infraSpec, the usage profile and the cost result, prices the
+ * architecture as it is and with the change (by re-running the engine that models it),
+ * and reports the difference as the estimated monthly savings.
+ *
+ * RULES:
+ * - serverless_vs_container - swap container compute for functions (or back) past the break-even load
+ * - cache_database_reads    - a cache in front of the database keeps it a size smaller
+ * - arm_instances           - ARM instance families (Graviton, Tau T2A, Ampere) for nodes and VMs
+ * - storage_lifecycle       - move ageing objects to infrequent-access and archive classes
+ * - nat_instance            - a NAT instance instead of a managed NAT gateway on SMALL tiers
+ *
+ * Each recommendation carries a `reconcile_action` ({ type: 'APPLY_OPTIMIZATION', actions })
+ * that POST /api/architecture/reconcile applies in one step. arm_instances, storage_lifecycle
+ * and nat_instance are advisory (`reconcile_action: null`): neither the Terraform generator
+ * nor the estimate models instance architecture, lifecycle rules or NAT instances yet.
+ *
+ * Savings are per recommendation against the current architecture; they don't add up
+ * when several recommendations touch the same services.
+ */
+
+const costEngines = require('./costEngines');
+const priceSheets = require('./costEngines/priceSheets');
+const pricingCatalog = require('./pricingCatalog');
+const sizingModel = require('./sizingModel');
+const { resolveServiceId } = require('../../config/aliases');
+
+// Below this a recommendation isn't worth the change (USD / month)
+const MIN_MONTHLY_SAVINGS = 1;
+
+// Share of database reads a cache absorbs
+const CACHE_HIT_RATIO = 0.6;
+
+// Where object storage settles with a 30-day infrequent / 90-day archive lifecycle
+const LIFECYCLE_MIX = { standard: 0.3, infrequent: 0.5, archive: 0.2 };
+const LIFECYCLE_TRANSITIONS = { infrequent_after_days: 30, archive_after_days: 90 };
+
+// Monthly users scanned for the serverless / container break-even
+const BREAK_EVEN_GRID = [1000, 2000, 5000, 10000, 20000, 50000, 100000, 200000, 500000, 1000000, 2000000, 5000000, 10000000];
+
+const SERVERLESS_PATTERN = 'SERVERLESS_WEB_APP';
+const CONTAINER_PATTERN = 'CONTAINERIZED_WEB_APP';
+const VM_PATTERN = 'TRADITIONAL_VM_APP';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function usageValue(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value?.expected === 'number') return value.expected;
+    if (typeof value?.min === 'number' && typeof value?.max === 'number') return Math.round((value.min + value.max) / 2);
+    return null;
+}
+
+/**
+ * Services in the architecture by canonical type: { id, configuration } (id is what reconcile actions address)
+ */
+function collectServices(infraSpec) {
+    const contract = infraSpec.canonical_architecture?.services_contract?.services
+        || infraSpec.services_contract?.services
+        || [];
+    const deployable = infraSpec.canonical_architecture?.deployable_services || [];
+
+    const services = new Map();
+    for (const svc of [...contract, ...deployable]) {
+        if (!svc || svc.state === 'USER_DISABLED' || svc.state === 'EXCLUDED') continue;
+        const rawType = typeof svc === 'string' ? svc : (svc.canonical_type || svc.service_id || svc.service_class || svc.id);
+        if (!rawType) continue;
+        const type = resolveServiceId(String(rawType).toLowerCase());
+        if (services.has(type)) continue;
+        services.set(type, {
+            id: typeof svc === 'string' ? svc : (svc.id || type),
+            configuration: (typeof svc === 'object' && svc.configuration) || {}
+        });
+    }
+    return services;
+}
+
+/**
+ * Monthly cost of one provider from a formula engine run
+ */
+async function engineTotal(pattern, usageProfile, context, options = {}) {
+    const result = await costEngines.calculateCost(pattern, usageProfile, { ...context.engineOptions, ...options });
+    const estimate = result.cost_estimates?.[context.provider.toLowerCase()];
+    return estimate ? (estimate.total ?? estimate.monthly_cost) : null;
+}
+
+function recommendation(context, rule, { title, description, tradeoffs = [], engine, current, projected, details = {}, actions = null }) {
+    const savings = round(current - projected);
+    if (!(savings >= MIN_MONTHLY_SAVINGS)) return null;
+
+    return {
+        id: rule,
+        rule,
+        title,
+        description,
+        tradeoffs,
+        provider: context.provider,
+        engine,
+        current_monthly_cost: round(current),
+        projected_monthly_cost: round(projected),
+        estimated_monthly_savings: savings,
+        savings_percent: current > 0 ? Math.round((savings / current) * 100) : 0,
+        details,
+        reconcile_action: actions ? { type: 'APPLY_OPTIMIZATION', optimization_id: rule, actions } : null
+    };
+}
+
+// ─── RULES ──────────────────────────────────────────────────────────────────
+
+/**
+ * Serverless vs container: price the same load on both engines and find where they cross
+ */
+async function serverlessVsContainer(context) {
+    const { services, usageProfile } = context;
+    const hasContainer = services.has('computecontainer');
+    const hasServerless = services.has('computeserverless');
+    if (hasContainer === hasServerless) return null;
+
+    const [fromPattern, toPattern, fromType, toType] = hasContainer
+        ? [CONTAINER_PATTERN, SERVERLESS_PATTERN, 'computecontainer', 'computeserverless']
+        : [SERVERLESS_PATTERN, CONTAINER_PATTERN, 'computeserverless', 'computecontainer'];
+
+    const current = await engineTotal(fromPattern, usageProfile, context);
+    const projected = await engineTotal(toPattern, usageProfile, context);
+    if (current === null || projected === null) return null;
+
+    const breakEven = await findBreakEven(context);
+    const toServerless = toType === 'computeserverless';
+
+    return recommendation(context, 'serverless_vs_container', {
+        title: toServerless ? 'Run the API on serverless functions' : 'Move steady traffic to containers',
+        description: toServerless
+            ? 'At this load, pay-per-request functions cost less than keeping a container cluster running.'
+            : 'At this load, per-request billing costs more than a small container cluster.',
+        tradeoffs: toServerless
+            ? ['Cold starts add latency to the first requests', 'Execution time and memory limits per invocation']
+            : ['Capacity is paid for while idle', 'Cluster upgrades and scaling policies to maintain'],
+        engine: `${fromPattern} -> ${toPattern}`,
+        current,
+        projected,
+        details: {
+            break_even_monthly_users: breakEven,
+            monthly_users: usageValue(usageProfile.monthly_users)
+        },
+        actions: [
+            { type: 'ADD_SERVICE', serviceId: toType },
+            { type: 'REMOVE_SERVICE', serviceId: services.get(fromType).id }
+        ]
+    });
+}
+
+/**
+ * Monthly users at which serverless stops being cheaper than containers (null if it never crosses in the grid)
+ */
+async function findBreakEven(context) {
+    let previous = null;
+    for (const users of BREAK_EVEN_GRID) {
+        const usage = { ...context.usageProfile, monthly_users: users };
+        const diff = await engineTotal(SERVERLESS_PATTERN, usage, context) - await engineTotal(CONTAINER_PATTERN, usage, context);
+
+        if (previous && previous.diff < 0 && diff >= 0) {
+            // Interpolate between the two grid points either side of the crossing
+            const share = -previous.diff / (diff - previous.diff);
+            const estimate = previous.users + share * (users - previous.users);
+            return Number(estimate.toPrecision(2));
+        }
+        previous = { users, diff };
+    }
+    return null;
+}
+
+/**
+ * Cache in front of the database: the database is sized for the reads the cache misses
+ */
+async function cacheDatabaseReads(context) {
+    const { services, usageProfile, optimizationPrices } = context;
+    if (!services.has('relationaldatabase') || services.has('cache') || !services.has('computecontainer')) return null;
+
+    const cacheNode = optimizationPrices.cache_node;
+    if (!cacheNode) return null;
+
+    const current = await engineTotal(CONTAINER_PATTERN, usageProfile, context);
+    const withCache = await engineTotal(CONTAINER_PATTERN, usageProfile, context, { databaseLoadFactor: 1 - CACHE_HIT_RATIO });
+    if (current === null || withCache === null) return null;
+
+    return recommendation(context, 'cache_database_reads', {
+        title: 'Add a cache in front of the database',
+        description: `Serving about ${Math.round(CACHE_HIT_RATIO * 100)}% of reads from a ${cacheNode.type} node keeps the database a size smaller.`,
+        tradeoffs: ['Cached reads can be stale until invalidated', 'Application changes to read through the cache'],
+        engine: CONTAINER_PATTERN,
+        current,
+        projected: withCache + cacheNode.monthly,
+        details: { cache_hit_ratio: CACHE_HIT_RATIO, cache_node: cacheNode.type, cache_monthly_cost: cacheNode.monthly },
+        actions: [{ type: 'ADD_SERVICE', serviceId: 'cache' }]
+    });
+}
+
+/**
+ * ARM instance families for container nodes and VMs
+ */
+async function armInstances(context) {
+    const { services, usageProfile, optimizationPrices } = context;
+    const arm = optimizationPrices.arm;
+    if (!arm) return null;
+
+    const targets = [['computecontainer', CONTAINER_PATTERN], ['computevm', VM_PATTERN]]
+        .filter(([type]) => services.has(type) && services.get(type).configuration.cpu_architecture !== 'arm64');
+    if (targets.length === 0) return null;
+
+    let current = 0;
+    let projected = 0;
+    for (const [, pattern] of targets) {
+        current += await engineTotal(pattern, usageProfile, context) ?? 0;
+        projected += await engineTotal(pattern, usageProfile, context, { computeArchitecture: 'arm64' }) ?? 0;
+    }
+
+    return recommendation(context, 'arm_instances', {
+        title: `Switch to ${arm.family} instances`,
+        description: `ARM instances cost about ${Math.round((1 - arm.price_ratio) * 100)}% less than the x86 equivalents for the same vCPU and memory.`,
+        tradeoffs: ['Container images and native dependencies must be built for arm64'],
+        engine: targets.map(([, pattern]) => pattern).join(' + '),
+        current,
+        projected,
+        details: { family: arm.family, price_ratio: arm.price_ratio, services: targets.map(([type]) => services.get(type).id) }
+    });
+}
+
+/**
+ * Lifecycle rules on object storage: older objects move to cheaper classes
+ */
+async function storageLifecycle(context) {
+    const { services, usageProfile, optimizationPrices, tier, sizingProfile } = context;
+    const storage = services.get('objectstorage');
+    const classes = optimizationPrices.storage_classes;
+    if (!storage || storage.configuration.storage_lifecycle || !classes) return null;
+
+    const storageGb = usageValue(usageProfile.storage_gb)
+        ?? usageValue(usageProfile.data_storage_gb)
+        ?? sizingModel.getSizing('object_storage', tier, sizingProfile).storage_gb
+        ?? 0;
+
+    const current = storageGb * classes.standard.per_gb;
+    const projected = Object.entries(LIFECYCLE_MIX)
+        .reduce((sum, [storageClass, share]) => sum + storageGb * share * classes[storageClass].per_gb, 0);
+
+    return recommendation(context, 'storage_lifecycle', {
+        title: 'Add storage lifecycle rules',
+        description: `Move objects to ${classes.infrequent.name} after ${LIFECYCLE_TRANSITIONS.infrequent_after_days} days and ${classes.archive.name} after ${LIFECYCLE_TRANSITIONS.archive_after_days} days.`,
+        tradeoffs: ['Retrieval fees and minimum storage durations on the colder classes'],
+        engine: 'object_storage_classes',
+        current,
+        projected,
+        details: {
+            storage_gb: storageGb,
+            mix: LIFECYCLE_MIX,
+            classes: Object.fromEntries(Object.entries(classes).map(([key, value]) => [key, value.name])),
+            transitions: LIFECYCLE_TRANSITIONS
+        }
+    });
+}
+
+/**
+ * NAT instance instead of a managed NAT gateway for SMALL tiers
+ */
+async function natInstance(context) {
+    const { services, optimizationPrices, tier, sizingProfile } = context;
+    const nat = services.get('natgateway');
+    const { nat_gateway: gateway, nat_instance: instance } = optimizationPrices;
+    if (tier !== 'SMALL' || !nat || nat.configuration.nat_mode === 'instance' || !gateway || !instance) return null;
+
+    const sizing = sizingModel.getSizing('networking', tier, sizingProfile);
+    const hours = sizing.nat_gateway_hours || 730;
+    const processedGb = sizing.data_processed_gb || 0;
+
+    // The instance doesn't charge per GB processed; egress is billed the same either way
+    const current = hours * gateway.per_hour + processedGb * gateway.per_gb;
+    const projected = (hours / 730) * instance.monthly;
+
+    return recommendation(context, 'nat_instance', {
+        title: `Replace the NAT gateway with a ${instance.type} NAT instance`,
+        description: 'At SMALL scale the managed gateway\'s hourly and per-GB charges outweigh its traffic.',
+        tradeoffs: ['Single instance: no zone redundancy', 'Patching and bandwidth limits are yours to manage'],
+        engine: 'networking_sizing',
+        current,
+        projected,
+        details: { nat_gateway_hours: hours, data_processed_gb: processedGb, instance_type: instance.type }
+    });
+}
+
+const RULES = [serverlessVsContainer, cacheDatabaseReads, armInstances, storageLifecycle, natInstance];
+
+// ─── ENTRY POINT ────────────────────────────────────────────────────────────
+
+/**
+ * Cost-saving recommendations for an architecture, largest savings first
+ *
+ * @param {object} infraSpec - Step 2 infraSpec (canonical_architecture)
+ * @param {object} usageProfile - Usage profile (numbers, { expected } or { min, max })
+ * @param {object} costResult - Cost analysis result; supplies the provider, tier and price sheet when not given
+ * @param {object} options - { provider, intent, costProfile, region (defaults to the infraSpec's), priceSheetVersion, freeTier }
+ * @returns {Promise<object>} { provider, tier, price_sheet_version, recommendations }
+ */
+async function generateRecommendations(infraSpec, usageProfile = {}, costResult = {}, options = {}) {
+    const provider = String(options.provider || costResult?.recommended_provider || costResult?.recommended?.provider || 'AWS').toUpperCase();
+    const tier = options.intent ? sizingModel.determineScaleTier(options.intent) : (costResult?.scale_tier || 'MEDIUM');
+    const costProfile = String(options.costProfile || costResult?.cost_profile || 'COST_EFFECTIVE').toUpperCase();
+    const priceSheetVersion = options.priceSheetVersion || costResult?.pricing?.sheet_version;
+
+    const { version, prices } = pricingCatalog.getOptimizationPricing(priceSheetVersion);
+    const services = collectServices(infraSpec || {});
+
+    const context = {
+        provider,
+        tier,
+        sizingProfile: costProfile === 'HIGH_PERFORMANCE' ? 'high_performance' : 'cost_effective',
+        services,
+        usageProfile: usageProfile || {},
+        optimizationPrices: prices[provider] || {},
+        engineOptions: {
+            region: options.region || priceSheets.regionOf(infraSpec),
+            priceSheetVersion,
+            freeTier: options.freeTier,
+            costProfile,
+            hasDatabase: services.has('relationaldatabase') || services.has('nosqldatabase')
+        }
+    };
+
+    const recommendations = [];
+    for (const rule of RULES) {
+        try {
+            const result = await rule(context);
+            if (result) recommendations.push(result);
+        } catch (error) {
+            console.error(`[COST OPTIMIZER] Rule ${rule.name} failed: ${error.message}`);
+        }
+    }
+    recommendations.sort((a, b) => b.estimated_monthly_savings - a.estimated_monthly_savings);
+
+    console.log(`[COST OPTIMIZER] ${provider} ${tier}: ${recommendations.length} recommendation(s)`);
+    return {
+        provider,
+        tier,
+        price_sheet_version: version,
+        recommendations
+    };
+}
+
+module.exports = {
+    RULES,
+    generateRecommendations
+};
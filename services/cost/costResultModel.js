@@ -532,6 +532,22 @@ function getNumeric(val, defaultVal) {
     return defaultVal;
 }
 
+/**
+ * Scale a provider's cost range ({ estimate, low, high } or { min, max }) when its total is re-priced
+ */
+function scaleCostRange(costRange, factor) {
+    if (!costRange || typeof costRange !== 'object' || factor === 1) return costRange;
+
+    const scaled = { ...costRange };
+    for (const key of ['estimate', 'low', 'high', 'min', 'max']) {
+        if (typeof scaled[key] === 'number') scaled[key] = Math.round(scaled[key] * factor * 100) / 100;
+    }
+    if (typeof scaled.low === 'number' && typeof scaled.high === 'number') {
+        scaled.formatted = `$${scaled.low.toFixed(2)} - $${scaled.high.toFixed(2)}/month`;
+    }
+    return scaled;
+}
+
 function formatNumber(num) {
     if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
     if (num >= 1000) return (num / 1000).toFixed(1) + 'k';
@@ -1011,6 +1027,7 @@ module.exports = {
     buildQuantifiedDrivers,
     inferCostIntent,
     generateRecommendationFacts,
+    scaleCostRange,
     SERVICE_MAP,
     DRIVER_DEFINITIONS,
     COST_INTENT_MULTIPLIER,
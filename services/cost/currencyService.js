@@ -0,0 +1,217 @@
+/**
+ * CURRENCY SERVICE
+ * Shows USD cost estimates in the user's currency (INR, EUR or USD)
+ *
+ * RULES:
+ * 1. Every engine and Infracost prices in USD; conversion only happens on the way out
+ * 2. Rates come from a dated table - an estimate uses the newest rate effective on its date
+ * 3. Converted figures keep their USD original alongside (`monthly_cost_usd`, ...) for auditing;
+ *    cost_history always stores USD
+ *
+ * Rates ship in catalog/currency/exchange_rates.json; rows in exchange_rates
+ * (scripts/set_exchange_rate.js) are added on top when the server starts.
+ */
+
+const pool = require('../../config/db');
+const shippedRates = require('../../catalog/currency/exchange_rates.json');
+
+const BASE_CURRENCY = 'USD';
+
+const CURRENCIES = {
+    USD: { symbol: '$', locale: 'en-US' },
+    INR: { symbol: '₹', locale: 'en-IN' },
+    EUR: { symbol: '€', locale: 'en-IE' }
+};
+
+// Numeric money fields inside the cost subtrees; everything else (scores, usage, counts) is left alone
+const MONEY_KEYS = new Set([
+    'monthly_cost', 'total', 'total_monthly_cost', 'total_cost', 'estimated_cost', 'estimate',
+    'monthly', 'cost', 'min', 'max', 'low', 'high', 'expected', 'cost_contribution',
+    'on_demand_monthly', 'on_demand_monthly_cost', 'monthly_savings', 'committable_monthly_cost', 'total_commitment',
+    'gross_monthly', 'free_tier_credit', 'net_monthly', 'gross_total', 'total_credit'
+]);
+// Objects whose every number is money ({ compute: 12.5, storage: 3 }); their USD copy sits beside them
+const MONEY_MAPS = new Set(['breakdown', 'service_costs']);
+const FORMATTED_KEYS = new Set(['formatted', 'formatted_cost', 'estimated_additional_cost']);
+const SKIPPED_KEYS = new Set(['usage', 'usage_assumptions', 'confidence', 'confidence_details', 'pricing', 'currency']);
+
+// Parts of a cost analysis that hold money
+const COST_SUBTREES = [
+    'rankings', 'recommended', 'recommended_cost_range', 'cost_range', 'scenarios',
+    'provider_details', 'cost_profiles', 'services', 'category_breakdown', 'aggregated_estimates',
+    'drivers', 'missing_components', 'purchase_options'
+];
+
+// currency -> [{ effective_date, rate, source }] newest first
+const rateTable = new Map();
+
+function addRate({ currency, rate, effective_date: effectiveDate, source }) {
+    const rates = rateTable.get(currency) || [];
+    const existing = rates.findIndex(entry => entry.effective_date === effectiveDate);
+    const entry = { effective_date: effectiveDate, rate: parseFloat(rate), source: source || null };
+
+    if (existing >= 0) rates[existing] = entry;
+    else rates.push(entry);
+    rates.sort((a, b) => b.effective_date.localeCompare(a.effective_date));
+    rateTable.set(currency, rates);
+}
+
+shippedRates.rates.forEach(entry => addRate({ ...entry, source: shippedRates.source }));
+
+const toDateString = (value) => (value instanceof Date ? value.toISOString() : String(value)).slice(0, 10);
+
+function isSupportedCurrency(currency) {
+    return Object.prototype.hasOwnProperty.call(CURRENCIES, String(currency || '').toUpperCase());
+}
+
+/**
+ * Add the database's rates to the shipped ones (called on startup)
+ */
+async function loadExchangeRates() {
+    const result = await pool.query('SELECT currency, rate, effective_date, source FROM exchange_rates');
+    result.rows.forEach(row => addRate({ ...row, effective_date: toDateString(row.effective_date) }));
+    console.log(`[CURRENCY] Loaded ${result.rows.length} exchange rates from the database`);
+}
+
+/**
+ * Store a rate (USD -> currency) effective from a date
+ */
+async function setExchangeRate(currency, rate, effectiveDate, source = null) {
+    const code = String(currency || '').toUpperCase();
+    if (!isSupportedCurrency(code) || code === BASE_CURRENCY) {
+        throw Object.assign(new Error(`Unsupported currency: ${currency}`), { statusCode: 400 });
+    }
+    if (!(parseFloat(rate) > 0)) {
+        throw Object.assign(new Error('Exchange rate must be a positive number'), { statusCode: 400 });
+    }
+
+    const date = toDateString(effectiveDate || new Date());
+    await pool.query(`
+        INSERT INTO exchange_rates (currency, rate, effective_date, source)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (currency, effective_date) DO UPDATE SET rate = $2, source = $4
+    `, [code, rate, date, source]);
+
+    addRate({ currency: code, rate, effective_date: date, source });
+    return { currency: code, rate: parseFloat(rate), effective_date: date };
+}
+
+/**
+ * USD -> currency rate in effect on a date
+ * @returns {object} { currency, rate, effective_date, source }
+ */
+function getExchangeRate(currency, asOf = new Date()) {
+    const code = String(currency || '').toUpperCase();
+    if (!isSupportedCurrency(code)) {
+        throw Object.assign(new Error(`Unsupported currency: ${currency}`), { statusCode: 400 });
+    }
+    if (code === BASE_CURRENCY) {
+        return { currency: code, rate: 1, effective_date: null, source: null };
+    }
+
+    const date = toDateString(asOf);
+    const entry = (rateTable.get(code) || []).find(rate => rate.effective_date <= date);
+    if (!entry) {
+        throw Object.assign(new Error(`No ${code} exchange rate effective on ${date}`), { statusCode: 400 });
+    }
+    return { currency: code, ...entry };
+}
+
+/**
+ * The user's preferred currency (user_settings.preferences.currency), USD if unset
+ */
+async function getUserCurrency(userId) {
+    const result = await pool.query('SELECT preferences FROM user_settings WHERE user_id = $1', [userId]);
+    const preferred = String(result.rows[0]?.preferences?.currency || '').toUpperCase();
+    return isSupportedCurrency(preferred) ? preferred : BASE_CURRENCY;
+}
+
+function formatMoney(amount, currency, { decimals = 2 } = {}) {
+    const { symbol, locale } = CURRENCIES[currency] || CURRENCIES[BASE_CURRENCY];
+    return symbol + Number(amount).toLocaleString(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+// "$80 - $120/month" -> "₹6,850 - ₹10,274/month" (whole amounts stay whole)
+function convertFormatted(text, rate, currency) {
+    return text.replace(/\$\s?(\d[\d,]*(?:\.\d+)?)/g, (match, amount) => {
+        const decimals = amount.includes('.') ? 2 : 0;
+        return formatMoney(parseFloat(amount.replace(/,/g, '')) * rate, currency, { decimals });
+    });
+}
+
+const convertAmount = (value, rate) => Math.round(value * rate * 100) / 100;
+
+function convertMoneyMap(map, rate) {
+    const converted = {};
+    for (const [key, value] of Object.entries(map)) {
+        converted[key] = typeof value === 'number' ? convertAmount(value, rate) : value;
+    }
+    return converted;
+}
+
+function convertNode(node, rate, currency) {
+    if (Array.isArray(node)) return node.map(item => convertNode(item, rate, currency));
+    if (!node || typeof node !== 'object') return node;
+
+    const converted = {};
+    for (const [key, value] of Object.entries(node)) {
+        if (SKIPPED_KEYS.has(key) || key.endsWith('_usd')) {
+            converted[key] = value;
+        } else if (MONEY_KEYS.has(key) && typeof value === 'number') {
+            converted[key] = convertAmount(value, rate);
+            converted[`${key}_usd`] = value;
+        } else if (FORMATTED_KEYS.has(key) && typeof value === 'string') {
+            converted[key] = convertFormatted(value, rate, currency);
+            converted[`${key}_usd`] = value;
+        } else if (MONEY_MAPS.has(key) && value && typeof value === 'object' && !Array.isArray(value)) {
+            converted[key] = convertMoneyMap(value, rate);
+            converted[`${key}_usd`] = value;
+        } else {
+            converted[key] = convertNode(value, rate, currency);
+        }
+    }
+    return converted;
+}
+
+/**
+ * Copy of a cost analysis (performCostAnalysis / calculateScenarios result) in another currency.
+ * USD figures are kept next to each converted one; `currency` describes the conversion.
+ *
+ * @param {object} costAnalysis - USD cost analysis
+ * @param {string} currency - USD | INR | EUR
+ * @param {object} options - { asOf: date whose exchange rate applies (default today) }
+ */
+function localizeCostAnalysis(costAnalysis, currency, { asOf = new Date() } = {}) {
+    if (!costAnalysis) return costAnalysis;
+
+    const exchange = getExchangeRate(currency, asOf);
+    const localized = { ...costAnalysis };
+
+    if (exchange.currency !== BASE_CURRENCY) {
+        for (const key of COST_SUBTREES) {
+            if (costAnalysis[key] !== undefined) localized[key] = convertNode(costAnalysis[key], exchange.rate, exchange.currency);
+        }
+    }
+
+    localized.currency = {
+        code: exchange.currency,
+        symbol: CURRENCIES[exchange.currency].symbol,
+        base_currency: BASE_CURRENCY,
+        exchange_rate: exchange.rate,
+        rate_effective_date: exchange.effective_date,
+        rate_source: exchange.source
+    };
+    return localized;
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    CURRENCIES,
+    isSupportedCurrency,
+    loadExchangeRates,
+    setExchangeRate,
+    getExchangeRate,
+    getUserCurrency,
+    formatMoney,
+    localizeCostAnalysis
+};
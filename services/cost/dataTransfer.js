@@ -0,0 +1,325 @@
+/**
+ * DATA TRANSFER
+ * Prices the traffic between services, regions and the internet
+ *
+ * The architecture's edges (who talks to whom) carry a monthly traffic volume derived from the
+ * usage profile (requests x payload size), and each edge is priced by its transfer class:
+ *
+ * - same_az       - in-region calls to regional managed services, or within one zone
+ * - cross_az      - calls into a zonal service (database, cache, VMs) when the deployment spans zones
+ * - cross_region  - replication of data stores to the secondary region (multi-region only)
+ * - internet      - responses to users (CDN delivery when the entry point is a CDN)
+ * - cdn_origin    - CDN cache misses fetched from the origin
+ *
+ * RULES:
+ * 1. Internet egress is the usage profile's data_transfer_gb, shared by the edges that face users
+ * 2. Internal edges move requests x the payload of the service they call
+ * 3. Prices come from the price sheet (`data_transfer`), so an estimate's sheet version covers them too
+ * 4. Egress that Infracost already priced (CDN / bucket delivery) is shown on its edge but not charged twice
+ */
+
+const pricingCatalog = require('./pricingCatalog');
+
+const TRANSFER_CLASSES = {
+    same_az: 'Same AZ / in-region',
+    cross_az: 'Cross-AZ',
+    cross_region: 'Cross-region',
+    internet: 'Internet egress',
+    cdn_origin: 'CDN origin fetch'
+};
+
+// Nodes that stand for users or devices outside the cloud
+const EXTERNAL_NODES = new Set(['client', 'devices']);
+
+// KB moved per request into each service (response plus request body)
+const PAYLOAD_KB = {
+    apigateway: 20,
+    loadbalancer: 20,
+    websocketgateway: 4,
+    computeserverless: 20,
+    computecontainer: 20,
+    computevm: 20,
+    mlinference: 40,
+    relationaldatabase: 8,
+    nosqldatabase: 4,
+    cache: 2,
+    objectstorage: 50,
+    messagequeue: 2,
+    eventbus: 2,
+    searchengine: 8,
+    logging: 1,
+    monitoring: 0.5,
+    // Inline or attached: no network transfer of their own
+    blockstorage: 0,
+    dns: 0,
+    waf: 0,
+    identityauth: 1,
+    secretsmanagement: 0
+};
+const DEFAULT_PAYLOAD_KB = 4;
+
+// Services that live in one zone, so calls from a multi-AZ fleet cross zones about half the time
+const ZONAL_SERVICES = new Set(['relationaldatabase', 'cache', 'computevm', 'computecontainer', 'searchengine']);
+const CROSS_AZ_SHARE = 0.5;
+
+// Batch services read and write the stored dataset rather than per-request payloads
+const BATCH_SERVICES = new Set(['computebatch', 'datawarehouse', 'analyticaldatabase', 'mltraining']);
+
+// Data stores replicated to the secondary region, and the share of their traffic that is writes
+const REPLICATED_SERVICES = new Set(['relationaldatabase', 'nosqldatabase', 'objectstorage', 'cache']);
+const WRITE_SHARE = 0.3;
+
+const CDN_CACHE_MISS_RATIO = 0.1;
+const KB_PER_GB = 1024 * 1024;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const nodeId = (id) => String(id || '').replace(/_/g, '').toLowerCase();
+
+function usageValue(value, defaultVal) {
+    if (typeof value === 'number') return value;
+    if (typeof value?.expected === 'number') return value.expected;
+    if (typeof value?.min === 'number' && typeof value?.max === 'number') return Math.round((value.min + value.max) / 2);
+    return defaultVal;
+}
+
+/**
+ * Deployment shape that decides the transfer class of internal edges
+ * @returns {object} { multi_az, multi_region, secondary_region }
+ */
+function resolveTopology(infraSpec = {}) {
+    const canonical = infraSpec.canonical_architecture || {};
+    const region = canonical.region || infraSpec.region || {};
+    const tier = String(infraSpec.sizing?.tier || 'MEDIUM').toUpperCase();
+
+    return {
+        // Matches the sizing model: SMALL deployments are single-AZ
+        multi_az: typeof canonical.nfr?.multi_az === 'boolean' ? canonical.nfr.multi_az : tier !== 'SMALL',
+        multi_region: region.multi_region === true,
+        secondary_region: region.secondary_region || null
+    };
+}
+
+function classifyEdge(from, to, topology) {
+    if (EXTERNAL_NODES.has(from) || EXTERNAL_NODES.has(to)) return 'internet';
+    if (from === 'cdn') return 'cdn_origin';
+    if (topology.multi_az && (ZONAL_SERVICES.has(from) || ZONAL_SERVICES.has(to))) return 'cross_az';
+    return 'same_az';
+}
+
+/**
+ * Attach a monthly traffic volume and transfer class to each edge
+ *
+ * @param {Array} edges - [{ from, to, label }] (canonical architecture or diagram edges)
+ * @param {object} usageProfile - monthly_users, requests_per_user, data_transfer_gb, data_storage_gb
+ * @param {object} topology - resolveTopology() result
+ * @returns {Array} Edges with `traffic: { requests_per_month, payload_kb, gb_per_month, transfer_class }`
+ */
+function annotateEdges(edges = [], usageProfile = {}, topology = {}) {
+    const monthlyRequests = usageValue(usageProfile.monthly_users, 5000) * usageValue(usageProfile.requests_per_user, 30);
+    const internetGB = usageValue(usageProfile.data_transfer_gb, 50);
+    const storageGB = usageValue(usageProfile.data_storage_gb, usageValue(usageProfile.storage_gb, 20));
+
+    const userFacing = edges.filter(edge => EXTERNAL_NODES.has(nodeId(edge.from)) && (PAYLOAD_KB[nodeId(edge.to)] ?? DEFAULT_PAYLOAD_KB) > 0);
+    const cdnGB = userFacing.some(edge => nodeId(edge.to) === 'cdn') ? internetGB / userFacing.length : 0;
+
+    return edges.map(edge => {
+        const from = nodeId(edge.from);
+        const to = nodeId(edge.to);
+        const transferClass = classifyEdge(from, to, topology);
+        let payloadKB = PAYLOAD_KB[to] ?? DEFAULT_PAYLOAD_KB;
+        let requests = monthlyRequests;
+        let gb;
+        if (transferClass === 'internet') {
+            gb = userFacing.includes(edge) ? internetGB / userFacing.length : 0;
+            payloadKB = monthlyRequests > 0 ? round2((gb * KB_PER_GB) / monthlyRequests) : 0;
+        } else if (transferClass === 'cdn_origin' && to === 'objectstorage') {
+            gb = cdnGB * CDN_CACHE_MISS_RATIO;
+        } else if (BATCH_SERVICES.has(from) || BATCH_SERVICES.has(to)) {
+            requests = 0;
+            gb = storageGB;
+        } else {
+            gb = (monthlyRequests * payloadKB) / KB_PER_GB;
+        }
+
+        return {
+            ...edge,
+            traffic: {
+                requests_per_month: Math.round(requests),
+                payload_kb: payloadKB,
+                gb_per_month: round2(gb),
+                transfer_class: transferClass
+            }
+        };
+    });
+}
+
+/**
+ * Price annotated edges for one provider
+ *
+ * @param {Array} edges - annotateEdges() result
+ * @param {string} provider - AWS | GCP | AZURE
+ * @param {object} options - { topology, priceSheetVersion, pricedEgress: nodes whose internet egress is already priced }
+ * @returns {object} { version, monthly_cost, by_class, edges, metered_usage }
+ */
+function priceEdges(edges, provider, { topology = {}, priceSheetVersion, pricedEgress = [] } = {}) {
+    const { version, prices: allPrices } = pricingCatalog.getDataTransferPricing(priceSheetVersion);
+    const prices = allPrices[String(provider).toUpperCase()] || allPrices.AWS;
+    const alreadyPriced = new Set(pricedEgress.map(nodeId));
+
+    const priced = edges.map(edge => {
+        const { transfer_class: transferClass, gb_per_month: gb } = edge.traffic;
+        const to = nodeId(edge.to);
+        const viaCdn = transferClass === 'internet' && to === 'cdn';
+        const billableGB = transferClass === 'cross_az' ? gb * CROSS_AZ_SHARE : gb;
+        const unitPrice = viaCdn ? prices.internet_via_cdn : (prices[transferClass] || 0);
+        const includedIn = transferClass === 'internet' && alreadyPriced.has(to) ? to : null;
+
+        return {
+            from: edge.from,
+            to: edge.to,
+            label: edge.label,
+            transfer_class: transferClass,
+            gb_per_month: round2(billableGB),
+            unit_price_usd: unitPrice,
+            monthly_cost: includedIn ? 0 : round2(billableGB * unitPrice),
+            ...(includedIn ? { included_in: includedIn } : {})
+        };
+    });
+
+    // Multi-region: data stores replicate their writes to the secondary region
+    if (topology.multi_region) {
+        const stores = new Set(edges.map(edge => nodeId(edge.to)).filter(id => REPLICATED_SERVICES.has(id)));
+        stores.forEach(store => {
+            const writesGB = edges.filter(edge => nodeId(edge.to) === store).reduce((sum, edge) => sum + edge.traffic.gb_per_month, 0) * WRITE_SHARE;
+            priced.push({
+                from: store,
+                to: store,
+                label: `replicates to ${topology.secondary_region || 'secondary region'}`,
+                transfer_class: 'cross_region',
+                gb_per_month: round2(writesGB),
+                unit_price_usd: prices.cross_region,
+                monthly_cost: round2(writesGB * prices.cross_region)
+            });
+        });
+    }
+
+    const byClass = {};
+    Object.keys(TRANSFER_CLASSES).forEach(transferClass => {
+        const items = priced.filter(edge => edge.transfer_class === transferClass);
+        if (items.length === 0) return;
+        byClass[transferClass] = {
+            label: TRANSFER_CLASSES[transferClass],
+            gb_per_month: round2(items.reduce((sum, edge) => sum + edge.gb_per_month, 0)),
+            monthly_cost: round2(items.reduce((sum, edge) => sum + edge.monthly_cost, 0))
+        };
+    });
+
+    // Internet egress draws on the free-tier egress allowances
+    const meteredUsage = priced
+        .filter(edge => edge.transfer_class === 'internet' && edge.monthly_cost > 0)
+        .map(edge => ({
+            meter: nodeId(edge.to) === 'cdn' ? 'cdn_egress_gb' : 'egress_gb',
+            quantity: edge.gb_per_month,
+            unit_price_usd: edge.unit_price_usd
+        }));
+
+    return {
+        version,
+        monthly_cost: round2(priced.reduce((sum, edge) => sum + edge.monthly_cost, 0)),
+        by_class: byClass,
+        edges: priced,
+        metered_usage: meteredUsage
+    };
+}
+
+/**
+ * The architecture's edges: the canonical ones, else the diagram's pattern edges for the deployed services
+ */
+function resolveEdges(infraSpec = {}, deployableServices = []) {
+    const canonical = infraSpec.canonical_architecture || {};
+    if (Array.isArray(canonical.edges) && canonical.edges.length > 0) return canonical.edges;
+
+    // Lazy: the diagram service pulls in the pattern resolver
+    const { generateEdgesForPattern } = require('../core/architectureDiagramService');
+    const pattern = canonical.pattern || canonical.pattern_id || infraSpec.architecture_pattern;
+    const nodes = ['client', ...deployableServices.map(nodeId)].map(id => ({ id }));
+    return generateEdgesForPattern(pattern, nodes);
+}
+
+/**
+ * Add a "Data Transfer" line item to a provider estimate (generateCostEstimate shape)
+ *
+ * @param {object} estimate - { total_monthly_cost, services, cost_range, ... }
+ * @param {string} provider - AWS | GCP | AZURE
+ * @param {object} options - { infraSpec, usageProfile, deployableServices, priceSheetVersion }
+ */
+function applyToEstimate(estimate, provider, { infraSpec, usageProfile, deployableServices = [], priceSheetVersion } = {}) {
+    if (!estimate || !Array.isArray(estimate.services) || estimate.data_transfer) return estimate;
+
+    const topology = resolveTopology(infraSpec);
+    const edges = annotateEdges(resolveEdges(infraSpec, deployableServices), usageProfile, topology);
+    if (edges.length === 0) return estimate;
+
+    // Infracost's usage file already bills CDN and bucket delivery to the internet
+    const pricedEgress = estimate.estimate_source === 'infracost' ? ['cdn', 'objectstorage'] : [];
+    const transfer = priceEdges(edges, provider, {
+        topology,
+        priceSheetVersion: priceSheetVersion || estimate.price_sheet_version,
+        pricedEgress
+    });
+    const cost = transfer.monthly_cost;
+    const total = round2((estimate.total_monthly_cost || 0) + cost);
+
+    console.log(`[DATA TRANSFER] ${provider}: ${edges.length} edges, $${cost.toFixed(2)}/mo`);
+
+    return {
+        ...estimate,
+        services: [
+            ...estimate.services,
+            {
+                service_class: 'data_transfer',
+                display_name: 'Data Transfer',
+                category: 'Data Transfer',
+                pricing_status: 'PRICED',
+                reason: 'Traffic between services, zones, regions and the internet',
+                cost: { monthly: cost, formatted: `$${cost.toFixed(2)}/mo` },
+                metered_usage: transfer.metered_usage
+            }
+        ],
+        service_costs: estimate.service_costs ? { ...estimate.service_costs, data_transfer: cost } : estimate.service_costs,
+        service_count: (estimate.service_count || estimate.services.length) + 1,
+        total_monthly_cost: total,
+        formatted_cost: `$${total.toFixed(2)}/month`,
+        cost_range: shiftCostRange(estimate.cost_range, cost),
+        data_transfer: {
+            price_sheet_version: transfer.version,
+            topology,
+            monthly_cost: cost,
+            by_class: transfer.by_class,
+            edges: transfer.edges
+        }
+    };
+}
+
+// Transfer cost is additive, so it moves every point of the range by the same amount
+function shiftCostRange(costRange, amount) {
+    if (!costRange || typeof costRange !== 'object' || amount === 0) return costRange;
+
+    const shifted = { ...costRange };
+    for (const key of ['estimate', 'low', 'high', 'min', 'max']) {
+        if (typeof shifted[key] === 'number') shifted[key] = round2(shifted[key] + amount);
+    }
+    if (typeof shifted.low === 'number' && typeof shifted.high === 'number') {
+        shifted.formatted = `$${shifted.low.toFixed(2)} - $${shifted.high.toFixed(2)}/month`;
+    }
+    return shifted;
+}
+
+module.exports = {
+    TRANSFER_CLASSES,
+    resolveTopology,
+    annotateEdges,
+    priceEdges,
+    applyToEstimate
+};
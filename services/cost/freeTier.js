@@ -0,0 +1,261 @@
+/**
+ * FREE TIER
+ * Subtracts the providers' free-tier allowances from estimated usage
+ *
+ * MODES:
+ * - first_year  - new account: always-free and 12-month allowances (default)
+ * - always_free - account past its first year: always-free allowances only
+ * - none        - no allowances (e.g. an organization whose free tier is already used up)
+ *
+ * RULES:
+ * 1. Allowances are per provider and usage meter (function_requests, egress_gb, ...) and come
+ *    from the price sheet (`free_tier`), so an estimate's sheet version covers them too
+ * 2. An allowance is shared by every line item on the same meter, in the order they are charged
+ * 3. Every line item reports gross_monthly, free_tier_credit and net_monthly; totals are net
+ * 4. The mode comes from the request, else the user's preference (user_settings.preferences.free_tier)
+ *
+ * The formula engines charge their line items through a ledger; Infracost line items carry
+ * `metered_usage` (read from its cost components) and are credited after normalisation.
+ */
+
+const pool = require('../../config/db');
+const pricingCatalog = require('./pricingCatalog');
+const { scaleCostRange } = require('./costResultModel');
+
+const DEFAULT_FREE_TIER_MODE = 'first_year';
+
+const FREE_TIER_MODES = {
+    first_year: { label: 'New account (first 12 months)', durations: ['always', '12_months'] },
+    always_free: { label: 'Past the first year (always-free allowances only)', durations: ['always'] },
+    none: { label: 'No free tier', durations: [] }
+};
+
+// Infracost cost components that draw on an allowance: resource type + "subresource/component" name
+const INFRACOST_METERS = [
+    { resource: /^aws_lambda_function$/, component: /^Requests/, meter: 'function_requests' },
+    { resource: /^aws_lambda_function$/, component: /^Duration/, meter: 'function_gb_seconds' },
+    { resource: /^aws_api_gateway_rest_api$|^aws_apigatewayv2_api$/, component: /^Requests/, meter: 'api_requests' },
+    { resource: /^aws_s3_bucket$/, component: /^Standard\/Storage/, meter: 'object_storage_gb' },
+    { resource: /^aws_s3_bucket$/, component: /^Standard\/GET/, meter: 'object_requests' },
+    { resource: /^aws_cloudfront_distribution$/, component: /Data transfer out to internet/, meter: 'cdn_egress_gb' },
+    { resource: /^aws_cognito_user_pool$/, component: /^Monthly active users/, meter: 'auth_mau' },
+    { resource: /^google_cloudfunctions2?_function$/, component: /^Invocations/, meter: 'function_requests' },
+    { resource: /^google_cloudfunctions2?_function$/, component: /^Memory/, meter: 'function_gb_seconds' },
+    { resource: /^google_cloudfunctions2?_function$/, component: /^CPU/, meter: 'function_ghz_seconds' },
+    { resource: /^google_cloud_run(_v2)?_service$/, component: /^CPU allocation time/, meter: 'container_vcpu_seconds' },
+    { resource: /^google_cloud_run(_v2)?_service$/, component: /^Memory allocation time/, meter: 'container_gib_seconds' },
+    { resource: /^google_cloud_run(_v2)?_service$/, component: /^Number of requests/, meter: 'container_requests' },
+    { resource: /^google_storage_bucket$/, component: /^Storage \(standard\)/, meter: 'object_storage_gb' },
+    { resource: /^google_storage_bucket$/, component: /class B/, meter: 'object_requests' },
+    { resource: /^azurerm_(linux_|windows_)?function_app$/, component: /^Executions/, meter: 'function_requests' },
+    { resource: /^azurerm_(linux_|windows_)?function_app$/, component: /^Execution time/, meter: 'function_gb_seconds' },
+    { resource: /^azurerm_storage_account$/, component: /Capacity/, meter: 'object_storage_gb' },
+    { resource: /^azurerm_api_management$/, component: /^API calls/, meter: 'api_requests' }
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function normalizeFreeTierMode(mode) {
+    return String(mode || DEFAULT_FREE_TIER_MODE).toLowerCase();
+}
+
+function isValidFreeTierMode(mode) {
+    return Object.prototype.hasOwnProperty.call(FREE_TIER_MODES, normalizeFreeTierMode(mode));
+}
+
+/**
+ * The user's free-tier mode (user_settings.preferences.free_tier), first_year if unset
+ */
+async function getUserFreeTierMode(userId) {
+    const result = await pool.query('SELECT preferences FROM user_settings WHERE user_id = $1', [userId]);
+    const preferred = result.rows[0]?.preferences?.free_tier;
+    return preferred && isValidFreeTierMode(preferred) ? normalizeFreeTierMode(preferred) : DEFAULT_FREE_TIER_MODE;
+}
+
+/**
+ * Allowances a provider grants under a mode
+ * @returns {object} { version, allowances: { meter: { quantity, unit, duration, offer } } }
+ */
+function getAllowances(provider, mode, priceSheetVersion) {
+    const { durations } = FREE_TIER_MODES[normalizeFreeTierMode(mode)] || FREE_TIER_MODES[DEFAULT_FREE_TIER_MODE];
+    const sheet = pricingCatalog.getSheet(priceSheetVersion || pricingCatalog.getActiveVersion());
+    const table = sheet.free_tier || pricingCatalog.getSheet(pricingCatalog.BASELINE_VERSION).free_tier;
+
+    const allowances = {};
+    for (const [meter, allowance] of Object.entries(table[String(provider).toUpperCase()] || {})) {
+        if (durations.includes(allowance.duration)) allowances[meter] = allowance;
+    }
+    return { version: sheet.free_tier ? sheet.version : pricingCatalog.BASELINE_VERSION, allowances };
+}
+
+/**
+ * Running free-tier balance for one provider's estimate
+ * @param {string} provider - AWS | GCP | AZURE
+ * @param {object} options - { freeTier: mode, priceSheetVersion }
+ */
+function createLedger(provider, { freeTier, priceSheetVersion } = {}) {
+    const mode = isValidFreeTierMode(freeTier) ? normalizeFreeTierMode(freeTier) : DEFAULT_FREE_TIER_MODE;
+    const { version, allowances } = getAllowances(provider, mode, priceSheetVersion);
+    const remaining = Object.fromEntries(Object.entries(allowances).map(([meter, allowance]) => [meter, allowance.quantity]));
+    const lineItems = [];
+
+    /**
+     * Record a line item whose gross cost is known; usages say which part of it an allowance can cover
+     * @param {Array} usages - [{ meter, quantity, unitPrice }]
+     * @returns {number} Net cost
+     */
+    function lineItem(name, gross, usages = []) {
+        let credit = 0;
+        for (const { meter, quantity, unitPrice } of usages) {
+            if (!(remaining[meter] > 0) || !(quantity > 0) || !(unitPrice > 0)) continue;
+            const covered = Math.min(quantity, remaining[meter]);
+            remaining[meter] -= covered;
+            credit += covered * unitPrice;
+        }
+        credit = Math.min(credit, gross);
+
+        lineItems.push({ name, gross_monthly: round2(gross), free_tier_credit: round2(credit), net_monthly: round2(gross - credit) });
+        return gross - credit;
+    }
+
+    return {
+        lineItem,
+
+        /**
+         * Price a line item from its usage (plus any flat monthly fee) and credit the allowances
+         * @returns {number} Net cost
+         */
+        charge(name, usages = [], flat = 0) {
+            const gross = flat + usages.reduce((sum, usage) => sum + (usage.quantity || 0) * (usage.unitPrice || 0), 0);
+            return lineItem(name, gross, usages);
+        },
+
+        /**
+         * { mode, label, price_sheet_version, gross_total, total_credit, line_items, allowances_used }
+         */
+        summary() {
+            const grossTotal = lineItems.reduce((sum, item) => sum + item.gross_monthly, 0);
+            const totalCredit = lineItems.reduce((sum, item) => sum + item.free_tier_credit, 0);
+            const allowancesUsed = Object.entries(allowances)
+                .filter(([meter, allowance]) => remaining[meter] < allowance.quantity)
+                .map(([meter, allowance]) => ({
+                    meter,
+                    offer: allowance.offer,
+                    duration: allowance.duration,
+                    allowance: allowance.quantity,
+                    used: allowance.quantity - remaining[meter],
+                    unit: allowance.unit
+                }));
+
+            return {
+                mode,
+                label: FREE_TIER_MODES[mode].label,
+                price_sheet_version: version,
+                gross_total: round2(grossTotal),
+                total_credit: round2(totalCredit),
+                line_items: lineItems,
+                allowances_used: allowancesUsed
+            };
+        }
+    };
+}
+
+/**
+ * Usage in an Infracost resource that a free-tier allowance can cover
+ * @param {string} resourceType - e.g. aws_lambda_function
+ * @param {object} resource - Infracost breakdown resource ({ costComponents, subresources })
+ * @returns {Array} [{ meter, quantity, unit_price_usd, resource }] in base units (requests, GB, GB-seconds)
+ */
+function meterInfracostResource(resourceType, resource) {
+    const matchers = INFRACOST_METERS.filter(matcher => matcher.resource.test(resourceType));
+    if (matchers.length === 0) return [];
+
+    const usage = [];
+    const visit = (node, prefix) => {
+        for (const component of node.costComponents || []) {
+            const name = prefix + component.name;
+            const matcher = matchers.find(m => m.component.test(name));
+            const quantity = parseFloat(component.monthlyQuantity);
+            const price = parseFloat(component.price);
+            if (!matcher || !(quantity > 0) || !(price > 0)) continue;
+
+            // Infracost quotes some units in blocks ("1M requests", "10k operations")
+            const perUnit = pricingCatalog.unitQuantity(component.unit);
+            usage.push({ meter: matcher.meter, quantity: quantity * perUnit, unit_price_usd: price / perUnit, resource: resource.name });
+        }
+        for (const subresource of node.subresources || []) {
+            visit(subresource, `${prefix}${subresource.name.split('.').pop()}/`);
+        }
+    };
+    visit(resource, '');
+    return usage;
+}
+
+/**
+ * Credit free-tier allowances against a provider estimate (generateCostEstimate shape).
+ * Line items with `metered_usage` are credited; every line item gets gross / credit / net.
+ *
+ * @param {object} estimate - { total_monthly_cost, services: [{ cost: { monthly }, metered_usage }], ... }
+ * @param {string} provider - AWS | GCP | AZURE
+ * @param {object} options - { freeTier: mode, priceSheetVersion }
+ */
+function applyToEstimate(estimate, provider, options = {}) {
+    if (!estimate || !Array.isArray(estimate.services) || estimate.free_tier) return estimate;
+
+    const ledger = createLedger(provider, options);
+    const services = estimate.services.map(item => {
+        const gross = item.cost?.monthly || 0;
+        const usages = (item.metered_usage || []).map(usage => ({ meter: usage.meter, quantity: usage.quantity, unitPrice: usage.unit_price_usd }));
+        const net = round2(ledger.lineItem(item.display_name || item.name || item.service_class, gross, usages));
+        const credit = round2(gross - net);
+
+        return {
+            ...item,
+            cost: {
+                ...item.cost,
+                monthly: net,
+                formatted: credit > 0 ? `$${net.toFixed(2)}/mo` : item.cost?.formatted,
+                gross_monthly: gross,
+                free_tier_credit: credit
+            }
+        };
+    });
+
+    const summary = ledger.summary();
+    if (summary.total_credit === 0) {
+        return { ...estimate, services, free_tier: summary };
+    }
+
+    const serviceCosts = estimate.service_costs ? { ...estimate.service_costs } : estimate.service_costs;
+    services.forEach(item => {
+        if (serviceCosts && item.cost.free_tier_credit > 0 && typeof serviceCosts[item.service_class] === 'number') {
+            serviceCosts[item.service_class] = round2(Math.max(0, serviceCosts[item.service_class] - item.cost.free_tier_credit));
+        }
+    });
+
+    const grossTotal = estimate.total_monthly_cost || 0;
+    const total = round2(Math.max(0, grossTotal - summary.total_credit));
+    console.log(`[FREE TIER] ${provider}: $${summary.total_credit.toFixed(2)} credited (${summary.mode})`);
+
+    return {
+        ...estimate,
+        services,
+        service_costs: serviceCosts,
+        total_monthly_cost: total,
+        formatted_cost: `$${total.toFixed(2)}/month`,
+        cost_range: scaleCostRange(estimate.cost_range, grossTotal > 0 ? total / grossTotal : 1),
+        free_tier: summary
+    };
+}
+
+module.exports = {
+    DEFAULT_FREE_TIER_MODE,
+    FREE_TIER_MODES,
+    normalizeFreeTierMode,
+    isValidFreeTierMode,
+    getUserFreeTierMode,
+    getAllowances,
+    createLedger,
+    meterInfracostResource,
+    applyToEstimate
+};
@@ -43,7 +43,12 @@ if (servicesCatalogRaw.services && Array.isArray(servicesCatalogRaw.services)) {
   console.error('[INFRACOST SERVICE] ❌ Failed to index services catalog - invalid format');
 }
 const sizingModel = require('./sizingModel');
+const pricingCatalog = require('./pricingCatalog');
+const commitmentPricing = require('./commitmentPricing');
+const freeTier = require('./freeTier');
+const dataTransfer = require('./dataTransfer');
 const costResultModel = require('./costResultModel');
+const priceSheets = require('./costEngines/priceSheets');
 const usageNormalizer = require('./usageNormalizer');
 // 🔥 NEW: Import V2 Generator for flat pricing
 const terraformGeneratorV2 = require('../infrastructure/terraformGeneratorV2');
@@ -564,9 +569,16 @@ async function calculateInfrastructureCost(infraSpec, intent, costProfile, usage
 
     const outcomes = await Promise.all(providerPromises);
 
-    // Aggregating results from parallel execution
+    // Aggregating results from parallel execution; traffic between services is priced on top of the resources
     outcomes.forEach(({ provider, data }) => {
-      results[provider] = data;
+      const withTransfer = dataTransfer.applyToEstimate(data, provider, {
+        infraSpec,
+        usageProfile: usage,
+        deployableServices: currentDeployableServices
+      });
+      results[provider] = Array.isArray(withTransfer.services)
+        ? { ...withTransfer, category_breakdown: aggregateCategoryBreakdown(withTransfer.services) }
+        : withTransfer;
     });
 
     // Build cost map for scoring function
@@ -613,6 +625,7 @@ async function calculateInfrastructureCost(infraSpec, intent, costProfile, usage
       provider_details: results,
       recommended_provider: recommendedProvider,
       recommended: results[recommendedProvider],
+      category_breakdown: results[recommendedProvider]?.category_breakdown,
       confidence: finalConfidence,
       confidence_percentage: Math.round(finalConfidence * 100),
       summary: {
@@ -2065,6 +2078,7 @@ function normalizeInfracostOutput(infracostJson, provider, infraSpec, costProfil
   // FIX #2: Map TF resources to service classes using RESOURCE_CATEGORY_MAP
   const serviceCosts = {};        // service_class -> total cost
   const selectedServices = {};    // service_class -> cloud service id
+  const meteredUsage = {};        // service_class -> usage a free-tier allowance can cover
   const serviceDetails = [];
 
   for (const resource of resources) {
@@ -2089,6 +2103,7 @@ function normalizeInfracostOutput(infracostJson, provider, infraSpec, costProfil
 
     // Aggregate cost per service class
     serviceCosts[serviceClass] = (serviceCosts[serviceClass] || 0) + cost;
+    meteredUsage[serviceClass] = (meteredUsage[serviceClass] || []).concat(freeTier.meterInfracostResource(resourceType, resource));
 
     // Map to cloud service (first occurrence wins)
     if (!selectedServices[serviceClass]) {
@@ -2131,7 +2146,9 @@ function normalizeInfracostOutput(infracostJson, provider, infraSpec, costProfil
       cost: {
         monthly: Math.round(cost * 100) / 100,
         formatted: `$${cost.toFixed(2)}/mo`
-      }
+      },
+      // Credited against free-tier allowances once the estimate is complete (freeTier.applyToEstimate)
+      metered_usage: meteredUsage[serviceClass]
     });
   });
 
@@ -2617,8 +2634,13 @@ async function generateCostEstimate(provider, infraSpec, intent, costProfile = '
  * Calculate costs for Low/Expected/High scenarios (CORRECTED)
  * 
  * ✅ FIX: Now uses deployable_services ONLY
+ * pricingOptions prices every scenario:
+ * - purchaseOption (on_demand | commit_1y | commit_3y | spot); `purchase_options` compares all of them
+ *   against on-demand for the expected scenario, with break-even points
+ * - freeTier (first_year | always_free | none) - which free-tier allowances are credited
  */
-async function calculateScenarios(infraSpec, intent, usageProfile) {
+async function calculateScenarios(infraSpec, intent, usageProfile, pricingOptions = {}) {
+  const { purchaseOption = commitmentPricing.DEFAULT_PURCHASE_OPTION } = pricingOptions;
   console.log('[SCENARIOS] Building canonical cost scenarios...');
 
   // STEP 1: CLASSIFY WORKLOAD INTO COST MODE
@@ -2701,7 +2723,7 @@ async function calculateScenarios(infraSpec, intent, usageProfile) {
 
     // We run the 'EXPECTED' profile once across all providers to warm up the Terraform projects
     // We use standardRaw as the preparation result to avoid double-calculating
-    const standardRaw = await performCostAnalysis(infraSpec, intent, 'COST_EFFECTIVE', usageProfile.expected, true, deployableServices);
+    const standardRaw = await performCostAnalysis(infraSpec, intent, 'COST_EFFECTIVE', usageProfile.expected, true, deployableServices, null, pricingOptions);
 
     // Extract the used directories from the preparation step
     if (standardRaw) {
@@ -2714,8 +2736,8 @@ async function calculateScenarios(infraSpec, intent, usageProfile) {
     // 🔥 OPTIMIZATION: Run remaining profiles in parallel (Total of 6 Infracost runs executed simultaneously)
     console.log('[SCENARIOS] Running remaining profiles in parallel...');
     const [costEffectiveRaw, highPerfRaw] = await Promise.all([
-      performCostAnalysis(infraSpec, intent, 'COST_EFFECTIVE', usageProfile.low, true, deployableServices, projectFolderCache),
-      performCostAnalysis(infraSpec, intent, 'HIGH_PERFORMANCE', usageProfile.high, true, deployableServices, projectFolderCache)
+      performCostAnalysis(infraSpec, intent, 'COST_EFFECTIVE', usageProfile.low, true, deployableServices, projectFolderCache, pricingOptions),
+      performCostAnalysis(infraSpec, intent, 'HIGH_PERFORMANCE', usageProfile.high, true, deployableServices, projectFolderCache, pricingOptions)
     ]);
 
     // ═══════════════════════════════════════════════════════════════════
@@ -2798,6 +2820,17 @@ async function calculateScenarios(infraSpec, intent, usageProfile) {
     const confidenceResult = costResultModel.computeConfidence(infraSpec, scenarios, usageProfile?.expected);
     console.log(`[SCENARIOS] Confidence: ${confidenceResult.percentage}% - ${confidenceResult.explanation.join(', ')}`);
 
+    // ═══════════════════════════════════════════════════════════════════
+    // PURCHASE OPTIONS: on-demand vs commitments vs spot (expected scenario)
+    // ═══════════════════════════════════════════════════════════════════
+    const purchaseOptions = { selected: commitmentPricing.normalizePurchaseOption(purchaseOption), providers: {} };
+    providers.forEach(provider => {
+      const estimate = standardRaw?.provider_details?.[provider];
+      if (estimate) {
+        purchaseOptions.providers[provider.toLowerCase()] = commitmentPricing.compareOptions(estimate, provider, { pattern });
+      }
+    });
+
     return {
       scenarios,
       cost_range: aggregation.cost_range,
@@ -2810,6 +2843,7 @@ async function calculateScenarios(infraSpec, intent, usageProfile) {
       low: aggregation.cost_range.min,
       expected: scenarios.standard?.aws?.monthly_cost || 0,
       high: aggregation.cost_range.max,
+      purchase_options: purchaseOptions,
       details: {
         ...standardRaw,
         scenarios,
@@ -2819,7 +2853,8 @@ async function calculateScenarios(infraSpec, intent, usageProfile) {
         confidence_percentage: confidenceResult.percentage,
         confidence_explanation: confidenceResult.explanation,
         drivers: aggregation.recommended?.drivers || [],
-        services: aggregation.recommended?.services || []
+        services: aggregation.recommended?.services || [],
+        purchase_options: purchaseOptions
       }
     };
   } catch (error) {
@@ -2870,6 +2905,80 @@ async function calculateScenarios(infraSpec, intent, usageProfile) {
  */
 
 
+/**
+ * Re-price every provider in an analysis - the region first (estimates are priced in the base
+ * regions), then free-tier credits, then the purchase option - and re-rank them on the new totals
+ * @param {object} pricingOptions - { purchaseOption, freeTier, region }
+ */
+function applyPricingOptionsToAnalysis(result, pricingOptions, pattern, costProfile) {
+  if (!result?.provider_details) return result;
+
+  const purchaseOption = commitmentPricing.normalizePurchaseOption(pricingOptions.purchaseOption);
+  const freeTierMode = freeTier.normalizeFreeTierMode(pricingOptions.freeTier);
+
+  const details = {};
+  Object.entries(result.provider_details).forEach(([provider, estimate]) => {
+    const priceSheetVersion = estimate?.price_sheet_version || result.pricing?.sheet_version;
+    const regional = priceSheets.applyToEstimate(estimate, provider, pricingOptions.region);
+    const credited = freeTier.applyToEstimate(regional, provider, { freeTier: freeTierMode, priceSheetVersion });
+    const priced = commitmentPricing.applyPurchaseOption(credited, provider, purchaseOption, { pattern, priceSheetVersion });
+    details[provider] = priced?.category_breakdown && priced !== estimate
+      ? { ...priced, category_breakdown: aggregateCategoryBreakdown(priced.services) }
+      : priced;
+  });
+
+  const allProviderCosts = {};
+  Object.keys(details).forEach(p => { allProviderCosts[p] = details[p]?.total_monthly_cost || 999; });
+
+  const rankings = (result.rankings || [])
+    .map(ranking => {
+      const estimate = details[ranking.provider];
+      if (!estimate || estimate.total_monthly_cost === result.provider_details[ranking.provider]?.total_monthly_cost) return ranking;
+
+      const cost = estimate.total_monthly_cost;
+      const updated = { ...ranking, monthly_cost: cost, formatted_cost: estimate.formatted_cost, cost_range: estimate.cost_range ?? ranking.cost_range };
+      if (ranking.final_score !== undefined) {
+        const scoreBreakdown = calculateProviderScore(ranking.provider, cost, allProviderCosts, costProfile);
+        updated.cost_score = scoreBreakdown.costScore;
+        updated.final_score = scoreBreakdown.finalScore;
+      }
+      return updated;
+    })
+    .sort((a, b) => (b.final_score ?? b.score ?? 0) - (a.final_score ?? a.score ?? 0))
+    .map((r, idx) => ({ ...r, rank: idx + 1, recommended: idx === 0 }));
+
+  const recommendedProvider = rankings[0]?.provider || result.recommended_provider;
+  const recommendedIsDetail = result.recommended === result.provider_details[result.recommended_provider];
+  const recommendedDetail = details[recommendedProvider];
+  console.log(`[COST ANALYSIS] Region ${pricingOptions.region || 'base'}, free tier ${freeTierMode}, purchase option ${purchaseOption}: recommended ${recommendedProvider}`);
+
+  let recommended = result.recommended;
+  if (recommendedIsDetail) {
+    recommended = recommendedDetail;
+  } else if (recommended && recommendedDetail) {
+    recommended = {
+      ...recommended,
+      provider: recommendedProvider,
+      monthly_cost: recommendedDetail.total_monthly_cost,
+      cost_range: recommendedDetail.cost_range ?? recommended.cost_range
+    };
+  }
+
+  return {
+    ...result,
+    purchase_option: purchaseOption,
+    free_tier: freeTierMode,
+    provider_details: details,
+    rankings,
+    recommended_provider: recommendedProvider,
+    recommended,
+    category_breakdown: recommendedDetail?.category_breakdown ?? result.category_breakdown,
+    summary: result.summary
+      ? { ...result.summary, cheapest: recommendedProvider, best_value: recommendedProvider }
+      : result.summary
+  };
+}
+
 function shouldSkipProvider(provider, infraSpec) {
   return false; // MVP: Check all
 }
@@ -3162,8 +3271,14 @@ function handleStaticWebsiteCost(infraSpec, intent, usageProfile) {
       },
       service_count: 3,
       services: [
-        { service_class: 'object_storage', display_name: 'Object Storage', cost: { monthly: Number((usage.storage_gb * p.storage).toFixed(2)) } },
-        { service_class: 'cdn', display_name: 'CDN/Compute@Edge', cost: { monthly: Number((usage.data_transfer_gb * (p.bandwidth + p.cdn)).toFixed(2)) } },
+        {
+          service_class: 'object_storage', display_name: 'Object Storage', cost: { monthly: Number((usage.storage_gb * p.storage).toFixed(2)) },
+          metered_usage: [{ meter: 'object_storage_gb', quantity: usage.storage_gb, unit_price_usd: p.storage }]
+        },
+        {
+          service_class: 'cdn', display_name: 'CDN/Compute@Edge', cost: { monthly: Number((usage.data_transfer_gb * (p.bandwidth + p.cdn)).toFixed(2)) },
+          metered_usage: [{ meter: 'cdn_egress_gb', quantity: usage.data_transfer_gb, unit_price_usd: p.bandwidth + p.cdn }]
+        },
         { service_class: 'dns', display_name: 'DNS', cost: { monthly: p.dns } }
       ],
       is_mock: true
@@ -3251,7 +3366,8 @@ function aggregateCategoryBreakdown(services) {
     // Standardize category casing to PascalCase for backend-frontend consistency
     let category = service.category || 'Other';
     if (category.toLowerCase() === 'compute') category = 'Compute';
-    if (category.toLowerCase().includes('data')) category = 'Data & State';
+    if (category.toLowerCase().includes('transfer')) category = 'Data Transfer';
+    else if (category.toLowerCase().includes('data')) category = 'Data & State';
     if (category.toLowerCase().includes('traffic') || category.toLowerCase().includes('networking')) category = 'Traffic & Integration';
     if (category.toLowerCase().includes('operations')) category = 'Operations';
 
@@ -3338,7 +3454,7 @@ function identifyMissingComponents(infraSpec) {
  *   - 'hybrid':  Formula + optional Infracost (SERVERLESS, MOBILE)
  *   - 'infracost': Full Terraform IR (CONTAINERIZED, VM, PIPELINE)
  */
-async function performCostAnalysis(infraSpec, intent, costProfile = 'COST_EFFECTIVE', usageOverrides = null, onlyPrimary = false, deployableServicesOverride = null, projectFolders = null) {
+async function performCostAnalysis(infraSpec, intent, costProfile = 'COST_EFFECTIVE', usageOverrides = null, onlyPrimary = false, deployableServicesOverride = null, projectFolders = null, pricingOptions = {}) {
   console.log(`--- STEP 3: Cost Analysis Started (Profile: ${costProfile}). Has projectFolders: ${!!projectFolders} ---`);
 
   try {
@@ -3369,7 +3485,13 @@ async function performCostAnalysis(infraSpec, intent, costProfile = 'COST_EFFECT
     // ═══════════════════════════════════════════════════════════════════
     // STEP 2: ROUTE TO APPROPRIATE COST CALCULATION METHOD
     // ═══════════════════════════════════════════════════════════════════
-    const result = await calculateCostForMode(costMode, infraSpec, intent, costProfile, usageOverrides, deployableServicesOverride, projectFolders);
+    let result = await calculateCostForMode(costMode, infraSpec, intent, costProfile, usageOverrides, deployableServicesOverride, projectFolders);
+
+    // Estimates come back gross and on-demand; free-tier credits, commitments and spot are applied
+    // afterwards so ranking sees the real price
+    const pattern = infraSpec.pattern || infraSpec.service_classes?.pattern;
+    const region = pricingOptions.region || priceSheets.regionOf(infraSpec);
+    result = applyPricingOptionsToAnalysis(result, { ...pricingOptions, region }, pattern, costProfile);
 
     // Add cost mode information to result if not already set by specialized calculator
     if (!result.cost_mode) {
@@ -3717,14 +3839,15 @@ function writeProjectFolder(folder, basePath) {
  */
 function generateBetterFallback(provider, infraSpec, sizing, costProfile) {
   const p = provider.toUpperCase();
+  const { version: priceSheetVersion, prices } = pricingCatalog.getFallbackPricing();
   let baseCost = 0;
   let services = [];
 
   // App Service (Standard S1) or similar
-  baseCost += 75;
+  baseCost += prices.app_service_monthly;
   services.push({
     name: p === 'AZURE' ? 'Azure App Service (Standard S1)' : (p === 'AWS' ? 'Service (Compute)' : 'Cloud Run'),
-    cost: { monthly: 75.00, formatted: '$75.00/mo' },
+    cost: { monthly: prices.app_service_monthly, formatted: `$${prices.app_service_monthly.toFixed(2)}/mo` },
     pricing_status: 'PRICED',
     category: 'Compute',
     reason: 'Estimated standard tier',
@@ -3732,10 +3855,10 @@ function generateBetterFallback(provider, infraSpec, sizing, costProfile) {
   });
 
   // Database
-  baseCost += 150;
+  baseCost += prices.managed_database_monthly;
   services.push({
     name: p === 'AZURE' ? 'Azure Database for PostgreSQL (Flexible)' : 'Managed Database',
-    cost: { monthly: 150.00, formatted: '$150.00/mo' },
+    cost: { monthly: prices.managed_database_monthly, formatted: `$${prices.managed_database_monthly.toFixed(2)}/mo` },
     pricing_status: 'PRICED',
     category: 'Database',
     reason: 'Estimated standard tier',
@@ -3743,10 +3866,10 @@ function generateBetterFallback(provider, infraSpec, sizing, costProfile) {
   });
 
   // Redis
-  baseCost += 40;
+  baseCost += prices.cache_monthly;
   services.push({
     name: 'Redis Cache (Basic)',
-    cost: { monthly: 40.00, formatted: '$40.00/mo' },
+    cost: { monthly: prices.cache_monthly, formatted: `$${prices.cache_monthly.toFixed(2)}/mo` },
     pricing_status: 'PRICED',
     category: 'Caching',
     reason: 'Estimated basic tier',
@@ -3754,7 +3877,7 @@ function generateBetterFallback(provider, infraSpec, sizing, costProfile) {
   });
 
   // Load Balancer / Networking
-  baseCost += 20;
+  baseCost += prices.networking_monthly;
 
   // Add Free Tier Placeholders (to mimic full response)
   services.push({
@@ -3780,6 +3903,7 @@ function generateBetterFallback(provider, infraSpec, sizing, costProfile) {
     services: services,
     is_mock: true,
     pricing_status: 'FALLBACK_ESTIMATE',
+    price_sheet_version: priceSheetVersion,
     warning: 'Estimate provided by backup pricing engine (API Quota Exceeded)'
   };
 }
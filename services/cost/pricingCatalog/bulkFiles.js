@@ -0,0 +1,268 @@
+/**
+ * BULK PRICING FILE READERS
+ * Turn the providers' published price lists into one record shape, from files on disk
+ *
+ * SUPPORTED FILES:
+ * - AWS:   Price List offer files (index.json, or index.csv for the big ones like AmazonEC2)
+ * - GCP:   Cloud Billing Catalog SKU listings ({ skus: [...] }, or an array of those pages)
+ * - Azure: Retail Prices API responses ({ Items: [...] }, or an array of those pages)
+ *
+ * Record: { sku, region, attributes, unit, price, beginRange, termType }
+ * Attribute names are lower-cased with punctuation removed, so "Instance Type" (CSV)
+ * and "instanceType" (JSON) are both `instancetype`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function normalizeAttributes(attributes = {}) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(attributes)) {
+        if (value !== undefined && value !== null && value !== '') normalized[normalizeName(key)] = String(value);
+    }
+    return normalized;
+}
+
+function readJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw Object.assign(new Error(`Cannot read ${path.basename(filePath)}: ${err.message}`), { statusCode: 400 });
+    }
+}
+
+// ─── AWS ────────────────────────────────────────────────────────────────────
+
+/**
+ * Split one CSV line (AWS quotes every field; embedded quotes are doubled)
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current);
+    return fields;
+}
+
+/**
+ * Stream an AWS offer CSV (EC2's is several GB, so it is never loaded whole).
+ * The file starts with "key","value" metadata lines, then the column header.
+ */
+async function readAwsCsv(filePath, onRecord) {
+    const source = { format: 'aws-offer-csv' };
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    let columns = null;
+
+    for await (const line of lines) {
+        if (!line) continue;
+        const fields = parseCsvLine(line);
+
+        if (!columns) {
+            if (fields[0] === 'SKU') {
+                columns = fields.map(normalizeName);
+            } else if (fields.length === 2) {
+                // Metadata: "Publication Date","2025-01-10T00:00:00Z", "OfferCode","AmazonEC2", ...
+                source[normalizeName(fields[0])] = fields[1];
+            }
+            continue;
+        }
+
+        const row = {};
+        columns.forEach((column, index) => {
+            if (fields[index]) row[column] = fields[index];
+        });
+
+        onRecord({
+            sku: row.sku,
+            region: row.regioncode || null,
+            attributes: row,
+            unit: row.unit,
+            price: parseFloat(row.priceperunit),
+            beginRange: parseFloat(row.startingrange || 0),
+            termType: row.termtype
+        });
+    }
+
+    return {
+        format: source.format,
+        offer: source.offercode || null,
+        version: source.version || null,
+        publication_date: source.publicationdate || null
+    };
+}
+
+async function readAwsJson(filePath, onRecord) {
+    const offer = readJson(filePath);
+    if (!offer.products || !offer.terms) {
+        throw Object.assign(new Error(`${path.basename(filePath)} is not an AWS offer file`), { statusCode: 400 });
+    }
+
+    for (const [termType, termsBySku] of Object.entries(offer.terms)) {
+        for (const [sku, terms] of Object.entries(termsBySku)) {
+            const product = offer.products[sku];
+            if (!product) continue;
+
+            const attributes = normalizeAttributes({ ...product.attributes, productFamily: product.productFamily });
+            for (const term of Object.values(terms)) {
+                for (const dimension of Object.values(term.priceDimensions || {})) {
+                    onRecord({
+                        sku,
+                        region: attributes.regioncode || null,
+                        attributes,
+                        unit: dimension.unit,
+                        price: parseFloat(dimension.pricePerUnit?.USD),
+                        beginRange: parseFloat(dimension.beginRange || 0),
+                        termType
+                    });
+                }
+            }
+        }
+    }
+
+    return {
+        format: 'aws-offer-json',
+        offer: offer.offerCode || null,
+        version: offer.version || null,
+        publication_date: offer.publicationDate || null
+    };
+}
+
+// ─── GCP ────────────────────────────────────────────────────────────────────
+
+const toNumber = (money = {}) => parseInt(money.units || 0, 10) + (money.nanos || 0) / 1e9;
+
+async function readGcpSkus(filePath, onRecord) {
+    const document = readJson(filePath);
+    const pages = Array.isArray(document) ? document : [document];
+    if (!pages.every(page => Array.isArray(page.skus))) {
+        throw Object.assign(new Error(`${path.basename(filePath)} is not a Cloud Billing Catalog SKU listing`), { statusCode: 400 });
+    }
+
+    for (const page of pages) {
+        for (const sku of page.skus) {
+            // The newest pricingInfo entry is the current price
+            const expression = sku.pricingInfo?.[sku.pricingInfo.length - 1]?.pricingExpression;
+            if (!expression) continue;
+
+            const attributes = normalizeAttributes({
+                description: sku.description,
+                serviceDisplayName: sku.category?.serviceDisplayName,
+                resourceFamily: sku.category?.resourceFamily,
+                resourceGroup: sku.category?.resourceGroup,
+                usageType: sku.category?.usageType
+            });
+            const regions = sku.serviceRegions?.length ? sku.serviceRegions : [null];
+
+            for (const region of regions) {
+                for (const rate of expression.tieredRates || []) {
+                    onRecord({
+                        sku: sku.skuId,
+                        region,
+                        attributes,
+                        unit: expression.usageUnit,
+                        price: toNumber(rate.unitPrice),
+                        beginRange: rate.startUsageAmount || 0,
+                        termType: attributes.usagetype
+                    });
+                }
+            }
+        }
+    }
+
+    return { format: 'gcp-billing-catalog', offer: null, version: null, publication_date: null };
+}
+
+// ─── AZURE ──────────────────────────────────────────────────────────────────
+
+async function readAzureRetail(filePath, onRecord) {
+    const document = readJson(filePath);
+    const pages = Array.isArray(document) ? document : [document];
+    if (!pages.every(page => Array.isArray(page.Items))) {
+        throw Object.assign(new Error(`${path.basename(filePath)} is not an Azure Retail Prices response`), { statusCode: 400 });
+    }
+
+    let effectiveDate = null;
+    for (const page of pages) {
+        for (const item of page.Items) {
+            const attributes = normalizeAttributes({
+                serviceName: item.serviceName,
+                productName: item.productName,
+                skuName: item.skuName,
+                armSkuName: item.armSkuName,
+                meterName: item.meterName,
+                type: item.type
+            });
+            if (item.effectiveStartDate && (!effectiveDate || item.effectiveStartDate > effectiveDate)) {
+                effectiveDate = item.effectiveStartDate;
+            }
+
+            onRecord({
+                sku: item.skuId || item.meterId,
+                region: item.armRegionName || null,
+                attributes,
+                unit: item.unitOfMeasure,
+                price: item.retailPrice,
+                beginRange: item.tierMinimumUnits || 0,
+                termType: item.type
+            });
+        }
+    }
+
+    return { format: 'azure-retail-prices', offer: null, version: null, publication_date: effectiveDate };
+}
+
+/**
+ * Read a bulk pricing file, calling onRecord for every price it contains
+ * @param {string} provider - aws | gcp | azure
+ * @param {string} filePath - Downloaded file
+ * @param {function} onRecord - (record) => void
+ * @returns {Promise<object>} Source metadata { format, offer, version, publication_date }
+ */
+async function readBulkFile(provider, filePath, onRecord) {
+    if (!fs.existsSync(filePath)) {
+        throw Object.assign(new Error(`File not found: ${filePath}`), { statusCode: 400 });
+    }
+
+    switch (provider) {
+        case 'aws':
+            return filePath.toLowerCase().endsWith('.csv')
+                ? readAwsCsv(filePath, onRecord)
+                : readAwsJson(filePath, onRecord);
+        case 'gcp':
+            return readGcpSkus(filePath, onRecord);
+        case 'azure':
+            return readAzureRetail(filePath, onRecord);
+        default:
+            throw Object.assign(new Error(`Unsupported provider: ${provider}`), { statusCode: 400 });
+    }
+}
+
+module.exports = {
+    readBulkFile,
+    parseCsvLine,
+    normalizeName
+};
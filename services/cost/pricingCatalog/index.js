@@ -0,0 +1,362 @@
+/**
+ * PRICING CATALOG
+ * Versioned price sheets for the cost engines
+ *
+ * WHERE SHEETS LIVE:
+ * 1. JSON files in catalog/pricing/ - shipped with the code (the baseline sheet)
+ * 2. pricing_sheets rows - created by importing the providers' bulk pricing files
+ *    (scripts/import_pricing.js), one of which is active
+ *
+ * A sheet is never edited after it is created; an import always produces a new
+ * version. Estimates record the version they used, so they can be repeated later
+ * by passing that version back in (see costEngines.calculateCost).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('../../../config/db');
+const { readBulkFile } = require('./bulkFiles');
+const { SKU_MAP } = require('./skuMap');
+
+const SHEETS_DIR = path.join(__dirname, '../../../catalog/pricing');
+const BASELINE_VERSION = 'baseline-2025.01';
+
+// Provider region each sheet's prices are quoted in (regional ratios are applied on top)
+const BASE_REGIONS = {
+    AWS: 'us-east-1',
+    GCP: 'us-central1',
+    AZURE: 'eastus'
+};
+
+const VERSION_PATTERN = /^[A-Za-z0-9._+-]{1,64}$/;
+
+const loadedSheets = new Map();
+let activeVersion = BASELINE_VERSION;
+
+// Shipped sheets are small; load them up front so the engines never wait on the database
+for (const file of fs.readdirSync(SHEETS_DIR).filter(name => name.endsWith('.json'))) {
+    const sheet = JSON.parse(fs.readFileSync(path.join(SHEETS_DIR, file), 'utf8'));
+    loadedSheets.set(sheet.version, { ...sheet, origin: 'file' });
+}
+
+function getActiveVersion() {
+    return activeVersion;
+}
+
+/**
+ * A loaded sheet (the active one by default)
+ */
+function getSheet(version = activeVersion) {
+    const sheet = loadedSheets.get(version);
+    if (!sheet) {
+        throw Object.assign(new Error(`Price sheet ${version} is not loaded`), { statusCode: 404 });
+    }
+    return sheet;
+}
+
+/**
+ * One engine's base price tables
+ * @param {string} engineName - static | serverless | container | vm | pipeline | mobile | hybrid
+ * @param {string} version - Sheet version (defaults to the active sheet)
+ * @returns {object} { version, prices: { AWS, GCP, AZURE } }
+ */
+function getEnginePricing(engineName, version) {
+    const sheet = getSheet(version || activeVersion);
+    const prices = sheet.engines?.[engineName];
+    if (!prices) {
+        throw new Error(`Price sheet ${sheet.version} has no prices for the ${engineName} engine`);
+    }
+    return { version: sheet.version, prices };
+}
+
+/**
+ * Flat monthly prices used when Infracost can't price a stack
+ */
+function getFallbackPricing(version) {
+    const sheet = getSheet(version || activeVersion);
+    return { version: sheet.version, prices: sheet.fallback };
+}
+
+/**
+ * Discounts off on-demand for commitments and spot capacity, per provider and line-item class.
+ * Sheets imported before commitments were catalogued use the baseline's.
+ */
+function getCommitmentDiscounts(version) {
+    const sheet = getSheet(version || activeVersion);
+    if (sheet.commitments) return { version: sheet.version, discounts: sheet.commitments };
+    return { version: BASELINE_VERSION, discounts: getSheet(BASELINE_VERSION).commitments };
+}
+
+/**
+ * USD per GB for each data-transfer class (same_az, cross_az, cross_region, internet, ...), per provider.
+ * Sheets imported before transfer prices were catalogued use the baseline's.
+ */
+function getDataTransferPricing(version) {
+    const sheet = getSheet(version || activeVersion);
+    if (sheet.data_transfer) return { version: sheet.version, prices: sheet.data_transfer };
+    return { version: BASELINE_VERSION, prices: getSheet(BASELINE_VERSION).data_transfer };
+}
+
+/**
+ * Prices of the cost optimizer's alternatives (ARM families, NAT instances, storage classes, cache nodes), per provider.
+ * Sheets imported before these were catalogued use the baseline's.
+ */
+function getOptimizationPricing(version) {
+    const sheet = getSheet(version || activeVersion);
+    if (sheet.optimizations) return { version: sheet.version, prices: sheet.optimizations };
+    return { version: BASELINE_VERSION, prices: getSheet(BASELINE_VERSION).optimizations };
+}
+
+/**
+ * Make the database's active sheet the one engines use (called on startup)
+ */
+async function loadActiveSheet() {
+    const result = await pool.query('SELECT version, sheet FROM pricing_sheets WHERE is_active LIMIT 1');
+    if (result.rows.length > 0) {
+        const { version, sheet } = result.rows[0];
+        loadedSheets.set(version, { ...sheet, origin: 'database' });
+        activeVersion = version;
+    }
+    console.log(`[PRICING CATALOG] Active price sheet: ${activeVersion}`);
+    return activeVersion;
+}
+
+/**
+ * Load a sheet from the database if it isn't in memory yet
+ */
+async function ensureSheet(version) {
+    if (loadedSheets.has(version)) return loadedSheets.get(version);
+
+    const result = await pool.query('SELECT sheet FROM pricing_sheets WHERE version = $1', [version]);
+    if (result.rows.length === 0) {
+        throw Object.assign(new Error(`Price sheet ${version} not found`), { statusCode: 404 });
+    }
+    const sheet = { ...result.rows[0].sheet, origin: 'database' };
+    loadedSheets.set(version, sheet);
+    return sheet;
+}
+
+/**
+ * Every known sheet, newest first (without the price tables)
+ */
+async function listSheets() {
+    const result = await pool.query(`
+        SELECT version, description, currency, effective_date, sources, is_active, imported_by, created_at
+        FROM pricing_sheets
+        ORDER BY created_at DESC
+    `);
+    const stored = new Set(result.rows.map(row => row.version));
+
+    const shipped = [...loadedSheets.values()]
+        .filter(sheet => sheet.origin === 'file' && !stored.has(sheet.version))
+        .map(sheet => ({
+            version: sheet.version,
+            description: sheet.description,
+            currency: sheet.currency,
+            effective_date: sheet.effective_date,
+            sources: sheet.sources,
+            is_active: sheet.version === activeVersion,
+            imported_by: null,
+            created_at: null
+        }));
+
+    return [...result.rows, ...shipped].map(row => ({ ...row, origin: stored.has(row.version) ? 'database' : 'file' }));
+}
+
+/**
+ * Store a new sheet version
+ * @param {object} sheet - Complete sheet ({ version, engines, fallback, ... })
+ * @param {object} options - { activate, importedBy }
+ */
+async function saveSheet(sheet, { activate = false, importedBy = null } = {}) {
+    if (!VERSION_PATTERN.test(sheet.version || '')) {
+        throw Object.assign(new Error('Sheet version may only contain letters, digits and . _ + -'), { statusCode: 400 });
+    }
+    if (loadedSheets.get(sheet.version)?.origin === 'file') {
+        throw Object.assign(new Error(`Price sheet ${sheet.version} already exists`), { statusCode: 409 });
+    }
+
+    const { origin, ...stored } = sheet;
+    const result = await pool.query(`
+        INSERT INTO pricing_sheets (version, description, currency, effective_date, sources, sheet, imported_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (version) DO NOTHING
+        RETURNING version
+    `, [
+        stored.version,
+        stored.description || null,
+        stored.currency || 'USD',
+        stored.effective_date || null,
+        JSON.stringify(stored.sources || {}),
+        JSON.stringify(stored),
+        importedBy
+    ]);
+    if (result.rows.length === 0) {
+        throw Object.assign(new Error(`Price sheet ${sheet.version} already exists`), { statusCode: 409 });
+    }
+
+    loadedSheets.set(stored.version, { ...stored, origin: 'database' });
+    console.log(`[PRICING CATALOG] Saved price sheet ${stored.version}`);
+
+    if (activate) await activateSheet(stored.version);
+    return stored.version;
+}
+
+/**
+ * Make a sheet the one new estimates use
+ */
+async function activateSheet(version) {
+    const sheet = await ensureSheet(version);
+
+    // Shipped sheets get a row too, so the active flag always has somewhere to live
+    if (sheet.origin === 'file') {
+        const { origin, ...stored } = sheet;
+        await pool.query(`
+            INSERT INTO pricing_sheets (version, description, currency, effective_date, sources, sheet)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (version) DO NOTHING
+        `, [version, stored.description || null, stored.currency || 'USD', stored.effective_date || null, JSON.stringify(stored.sources || {}), JSON.stringify(stored)]);
+    }
+
+    // One statement, so there is never a moment with zero or two active sheets
+    await pool.query('UPDATE pricing_sheets SET is_active = (version = $1)', [version]);
+    activeVersion = version;
+    console.log(`[PRICING CATALOG] Activated price sheet ${version}`);
+    return version;
+}
+
+// ─── BULK FILE IMPORT ───────────────────────────────────────────────────────
+
+// Azure quotes some prices per 10, 10K or 1M units ("10", "1M", "1 Hour")
+function unitQuantity(unit = '') {
+    const match = String(unit).match(/^(\d+(?:\.\d+)?)\s*([KM])?(?=\s|\/|$)/i);
+    if (!match) return 1;
+    const scale = { K: 1e3, M: 1e6 }[(match[2] || '').toUpperCase()] || 1;
+    return parseFloat(match[1]) * scale;
+}
+
+const matchesValue = (expected, actual) =>
+    expected instanceof RegExp ? expected.test(actual || '') : expected === actual;
+
+function matchesRecord(matcher, record, region) {
+    if (matcher.regional !== false) {
+        const recordRegion = matcher.regionAttribute ? record.attributes[matcher.regionAttribute] : record.region;
+        if (recordRegion !== region) return false;
+    }
+    if (matcher.termType && record.termType !== matcher.termType) return false;
+    if (matcher.unit && !matchesValue(matcher.unit, record.unit)) return false;
+
+    return Object.entries(matcher.attributes).every(([name, expected]) => matchesValue(expected, record.attributes[name]));
+}
+
+/**
+ * Set "engine.key" (or "engine.group.key") for one provider; false if the base sheet has no such price
+ */
+function setPrice(sheet, provider, keyPath, value) {
+    const [engineName, ...keys] = keyPath.split('.');
+    let table = sheet.engines?.[engineName]?.[provider];
+    for (const key of keys.slice(0, -1)) table = table?.[key];
+
+    const last = keys[keys.length - 1];
+    if (!table || typeof table[last] !== 'number') return null;
+
+    const previous = table[last];
+    table[last] = value;
+    return { previous };
+}
+
+/**
+ * Build a new sheet from a provider's downloaded bulk pricing files (no network access).
+ * Prices the files don't contain are carried over from the base sheet.
+ *
+ * @param {object} params
+ * @param {string} params.provider - aws | gcp | azure
+ * @param {string[]} params.files - Paths to the downloaded files
+ * @param {string} params.version - Version for the new sheet (defaults to <provider>-<date>)
+ * @param {string} params.baseVersion - Sheet to start from (defaults to the active sheet)
+ * @returns {Promise<object>} { sheet, updated: [{ key, value, previous, sku }], missing: [key] }
+ */
+async function importBulkFiles({ provider, files, version, baseVersion }) {
+    const providerLower = String(provider || '').toLowerCase();
+    const matchers = SKU_MAP[providerLower];
+    if (!matchers) {
+        throw Object.assign(new Error(`Unsupported provider: ${provider}`), { statusCode: 400 });
+    }
+    if (!files?.length) {
+        throw Object.assign(new Error('At least one pricing file is required'), { statusCode: 400 });
+    }
+
+    const providerUpper = providerLower.toUpperCase();
+    const region = BASE_REGIONS[providerUpper];
+    const base = await ensureSheet(baseVersion || activeVersion);
+
+    // Cheapest paid tier per matcher (first tiers are often free allowances)
+    const best = new Array(matchers.length).fill(null);
+    const fileSources = [];
+
+    for (const filePath of files) {
+        console.log(`[PRICING CATALOG] Reading ${providerLower} prices from ${filePath}`);
+        const source = await readBulkFile(providerLower, filePath, (record) => {
+            if (!(record.price > 0)) return;
+            matchers.forEach((matcher, index) => {
+                if (!matchesRecord(matcher, record, region)) return;
+                if (!best[index] || record.beginRange < best[index].beginRange) best[index] = record;
+            });
+        });
+        fileSources.push({ file: path.basename(filePath), ...source });
+    }
+
+    const { origin, ...baseSheet } = base;
+    const sheet = JSON.parse(JSON.stringify(baseSheet));
+    const updated = [];
+    const missing = [];
+
+    matchers.forEach((matcher, index) => {
+        const record = best[index];
+        if (!record) {
+            missing.push(...matcher.keys);
+            return;
+        }
+
+        const value = Math.round((record.price / unitQuantity(record.unit)) * (matcher.perUnit || 1) * 1e10) / 1e10;
+        for (const key of matcher.keys) {
+            const change = setPrice(sheet, providerUpper, key, value);
+            if (change) updated.push({ key, value, previous: change.previous, sku: record.sku });
+            else missing.push(key);
+        }
+    });
+
+    const importedAt = new Date().toISOString();
+    const publicationDate = fileSources.map(source => source.publication_date).filter(Boolean).sort().pop();
+
+    sheet.version = version || `${providerLower}-${importedAt.slice(0, 10)}`;
+    sheet.derived_from = base.version;
+    sheet.effective_date = (publicationDate || importedAt).slice(0, 10);
+    sheet.description = `${base.version} with ${providerUpper} prices imported from ${fileSources.map(source => source.file).join(', ')}`;
+    sheet.sources = {
+        ...(base.sources || {}),
+        [providerLower]: { region, files: fileSources, imported_at: importedAt, prices_updated: updated.length }
+    };
+
+    console.log(`[PRICING CATALOG] ${providerUpper}: ${updated.length} prices updated, ${missing.length} carried over from ${base.version}`);
+    return { sheet, updated, missing };
+}
+
+module.exports = {
+    BASELINE_VERSION,
+    BASE_REGIONS,
+    getActiveVersion,
+    getSheet,
+    getEnginePricing,
+    getFallbackPricing,
+    getCommitmentDiscounts,
+    getDataTransferPricing,
+    getOptimizationPricing,
+    loadActiveSheet,
+    ensureSheet,
+    listSheets,
+    saveSheet,
+    activateSheet,
+    importBulkFiles,
+    unitQuantity
+};
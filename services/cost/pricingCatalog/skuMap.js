@@ -0,0 +1,225 @@
+/**
+ * SKU MAP
+ * Which bulk-file price feeds which catalog entry
+ *
+ * Each matcher selects one price from a provider's bulk file and writes it to every
+ * catalog path in `keys` ("engine.key", or "engine.group.key" for nested tables),
+ * converted with `perUnit` into the unit the engine expects (e.g. hourly -> monthly).
+ *
+ * Matching rules:
+ * - `attributes` values are exact strings or RegExps over normalized attribute names
+ * - prices are read in the provider's base region unless `regional: false`
+ * - the lowest paid tier wins (free tiers are priced separately)
+ *
+ * Entries not listed here (e.g. per-vCPU GCP machine types, Databricks DBUs) can't be
+ * read from a single SKU and are carried over from the previous sheet on import.
+ */
+
+const HOURS_PER_MONTH = 730;
+
+const SKU_MAP = {
+    aws: [
+        {
+            keys: ['static.storage_per_gb', 'serverless.s3_per_gb', 'pipeline.s3_per_gb', 'hybrid.object_storage.per_gb'],
+            attributes: { servicecode: 'AmazonS3', storageclass: 'General Purpose', volumetype: 'Standard' },
+            unit: 'GB-Mo'
+        },
+        {
+            keys: ['static.requests_per_10k'],
+            attributes: { servicecode: 'AmazonS3', group: 'S3-API-Tier2' },
+            unit: 'Requests',
+            perUnit: 10000
+        },
+        {
+            keys: ['hybrid.object_storage.per_1k_requests'],
+            attributes: { servicecode: 'AmazonS3', group: 'S3-API-Tier2' },
+            unit: 'Requests',
+            perUnit: 1000
+        },
+        {
+            keys: ['static.bandwidth_per_gb'],
+            attributes: { servicecode: 'AmazonCloudFront', transfertype: 'CloudFront Outbound', fromlocation: 'United States' },
+            unit: 'GB',
+            regional: false
+        },
+        {
+            keys: ['serverless.bandwidth_per_gb', 'mobile.bandwidth_per_gb', 'vm.bandwidth_per_gb', 'hybrid.bandwidth.per_gb'],
+            attributes: { servicecode: 'AWSDataTransfer', transfertype: 'AWS Outbound', tolocation: 'External' },
+            unit: 'GB',
+            regionAttribute: 'fromregioncode'
+        },
+        {
+            keys: ['static.dns_flat'],
+            attributes: { servicecode: 'AmazonRoute53', usagetype: 'HostedZone' },
+            regional: false
+        },
+        {
+            keys: ['serverless.lambda_per_million_invocations', 'mobile.lambda_per_million'],
+            attributes: { servicecode: 'AWSLambda', group: 'AWS-Lambda-Requests' },
+            unit: 'Requests',
+            perUnit: 1e6
+        },
+        {
+            keys: ['serverless.lambda_per_gb_second'],
+            attributes: { servicecode: 'AWSLambda', group: 'AWS-Lambda-Duration' },
+            unit: 'Lambda-GB-Second'
+        },
+        {
+            keys: ['serverless.api_gateway_per_million', 'mobile.api_gateway_per_million', 'hybrid.api_gateway.per_million_requests'],
+            attributes: { servicecode: 'AmazonApiGateway', productfamily: 'API Calls', operation: 'ApiGatewayRequest' },
+            unit: 'Requests',
+            perUnit: 1e6
+        },
+        ...['small', 'medium'].map(size => ({
+            keys: [`vm.ec2_t3_${size}`],
+            attributes: {
+                servicecode: 'AmazonEC2',
+                instancetype: `t3.${size}`,
+                operatingsystem: 'Linux',
+                tenancy: 'Shared',
+                preinstalledsw: 'NA',
+                capacitystatus: 'Used'
+            },
+            termType: 'OnDemand',
+            unit: 'Hrs',
+            perUnit: HOURS_PER_MONTH
+        })),
+        {
+            keys: ['vm.ebs_gp3_per_gb'],
+            attributes: { servicecode: 'AmazonEC2', productfamily: 'Storage', volumeapiname: 'gp3' },
+            unit: 'GB-Mo'
+        },
+        {
+            keys: ['container.ebs_per_gb'],
+            attributes: { servicecode: 'AmazonEC2', productfamily: 'Storage', volumeapiname: 'gp2' },
+            unit: 'GB-Mo'
+        },
+        {
+            keys: ['vm.elb', 'container.alb'],
+            attributes: { servicecode: 'AWSELB', productfamily: 'Load Balancer-Application', usagetype: /LoadBalancerUsage$/ },
+            unit: 'Hrs',
+            perUnit: HOURS_PER_MONTH
+        },
+        {
+            keys: ['container.eks_cluster'],
+            attributes: { servicecode: 'AmazonEKS', usagetype: /AmazonEKS-Hours:perCluster$/ },
+            unit: 'Hours',
+            perUnit: HOURS_PER_MONTH
+        },
+        ...[['small', ['vm.rds_small', 'container.rds_small']], ['medium', ['container.rds_medium']]].map(([size, keys]) => ({
+            keys,
+            attributes: {
+                servicecode: 'AmazonRDS',
+                instancetype: `db.t3.${size}`,
+                databaseengine: 'PostgreSQL',
+                deploymentoption: 'Single-AZ'
+            },
+            termType: 'OnDemand',
+            unit: 'Hrs',
+            perUnit: HOURS_PER_MONTH
+        })),
+        {
+            keys: ['pipeline.glue_dpu_hour'],
+            attributes: { servicecode: 'AWSGlue', usagetype: /ETL-DPU-Hour$/ },
+            unit: 'DPU-Hour'
+        },
+        {
+            keys: ['pipeline.athena_per_tb'],
+            attributes: { servicecode: 'AmazonAthena', usagetype: /DataScannedInTB$/ },
+            unit: 'Terabytes'
+        }
+    ],
+
+    gcp: [
+        {
+            keys: ['static.storage_per_gb', 'serverless.storage_per_gb', 'pipeline.storage_per_gb', 'hybrid.object_storage.per_gb'],
+            attributes: { servicedisplayname: 'Cloud Storage', resourcegroup: 'RegionalStorage', description: /^Standard Storage/ },
+            unit: 'GiBy.mo'
+        },
+        {
+            keys: ['serverless.functions_per_million', 'mobile.functions_per_million'],
+            attributes: { servicedisplayname: 'Cloud Functions', description: /^Invocations/ },
+            unit: 'count',
+            perUnit: 1e6,
+            regional: false
+        },
+        {
+            keys: ['vm.pd_ssd_per_gb'],
+            attributes: { servicedisplayname: 'Compute Engine', description: /^SSD backed PD Capacity/ },
+            unit: 'GiBy.mo'
+        },
+        {
+            keys: ['container.pd_per_gb'],
+            attributes: { servicedisplayname: 'Compute Engine', description: /^Storage PD Capacity/ },
+            unit: 'GiBy.mo'
+        },
+        {
+            keys: ['static.bandwidth_per_gb', 'serverless.bandwidth_per_gb', 'mobile.bandwidth_per_gb', 'vm.bandwidth_per_gb', 'hybrid.bandwidth.per_gb'],
+            attributes: { servicedisplayname: 'Compute Engine', resourcegroup: 'PremiumInternetEgress', description: /from Americas to Americas/ },
+            unit: 'GiBy',
+            regional: false
+        },
+        {
+            keys: ['static.dns_flat'],
+            attributes: { servicedisplayname: 'Cloud DNS', description: /^ManagedZone/ },
+            regional: false
+        },
+        {
+            keys: ['pipeline.dataflow_per_vcpu_hour'],
+            attributes: { servicedisplayname: 'Dataflow', description: /^vCPU Time Batch/ },
+            unit: 'h'
+        },
+        {
+            keys: ['pipeline.bigquery_per_tb'],
+            attributes: { servicedisplayname: 'BigQuery', description: /^Analysis/ },
+            unit: 'TiBy',
+            regional: false
+        }
+    ],
+
+    azure: [
+        {
+            keys: ['static.storage_per_gb', 'serverless.storage_per_gb', 'pipeline.storage_per_gb', 'hybrid.object_storage.per_gb'],
+            attributes: { servicename: 'Storage', skuname: 'Hot LRS', metername: 'Hot LRS Data Stored', type: 'Consumption' },
+            unit: /GB\/Month$/
+        },
+        {
+            keys: ['serverless.functions_per_million', 'mobile.functions_per_million'],
+            attributes: { servicename: 'Functions', metername: 'Standard Total Executions', type: 'Consumption' },
+            perUnit: 1e6
+        },
+        {
+            keys: ['serverless.functions_per_gb_second'],
+            attributes: { servicename: 'Functions', metername: 'Standard Execution Time', type: 'Consumption' },
+            unit: /GB Second$/
+        },
+        ...[['B2s', 'vm.b2s'], ['B2ms', 'vm.b2ms']].map(([size, key]) => ({
+            keys: [key],
+            attributes: {
+                servicename: 'Virtual Machines',
+                armskuname: `Standard_${size}`,
+                productname: /^(?!.*Windows)/,
+                skuname: /^(?!.*(Spot|Low Priority))/,
+                type: 'Consumption'
+            },
+            unit: /Hour$/,
+            perUnit: HOURS_PER_MONTH
+        })),
+        {
+            keys: ['static.bandwidth_per_gb', 'serverless.bandwidth_per_gb', 'mobile.bandwidth_per_gb', 'vm.bandwidth_per_gb', 'hybrid.bandwidth.per_gb'],
+            attributes: { servicename: 'Bandwidth', metername: 'Standard Data Transfer Out', type: 'Consumption' },
+            unit: /GB$/,
+            regional: false
+        },
+        {
+            keys: ['static.dns_flat'],
+            attributes: { servicename: 'Azure DNS', metername: 'Public Zone', type: 'Consumption' },
+            regional: false
+        }
+    ]
+};
+
+module.exports = {
+    SKU_MAP,
+    HOURS_PER_MONTH
+};
@@ -4,6 +4,7 @@ const { CloudFrontClient, CreateInvalidationCommand } = require("@aws-sdk/client
 const { ECSClient, RegisterTaskDefinitionCommand, UpdateServiceCommand, DescribeTaskDefinitionCommand, DescribeServicesCommand } = require("@aws-sdk/client-ecs");
 const { LambdaClient, UpdateFunctionCodeCommand, GetFunctionCommand } = require("@aws-sdk/client-lambda");
 const { CodeBuildClient, StartBuildCommand, BatchGetBuildsCommand } = require("@aws-sdk/client-codebuild");
+const { ECRClient, DescribeImagesCommand } = require("@aws-sdk/client-ecr");
 const { Storage } = require('@google-cloud/storage');
 const { BlobServiceClient, BlockBlobClient } = require("@azure/storage-blob");
 const { ClientSecretCredential } = require("@azure/identity");
@@ -16,7 +17,9 @@ const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
 const pool = require('../../config/db');
+const logStream = require('../shared/logStream');
 const githubService = require('./githubService');
+const environmentService = require('./environmentService');
 const archiver = require('archiver');
 const axios = require('axios');
 
@@ -75,10 +78,13 @@ const createAwsClient = async (ClientClass, region, roleArn, externalId) => {
     });
 };
 
-const createDeployment = async (workspaceId, sourceType, config) => {
+/**
+ * @param {string} environment - Optional workspace environment the deployment targets
+ */
+const createDeployment = async (workspaceId, sourceType, config, environment = null) => {
     const result = await pool.query(
-        `INSERT INTO deployments (workspace_id, source_type, status, logs) VALUES ($1, $2, 'pending', '[]') RETURNING id`,
-        [workspaceId, sourceType]
+        `INSERT INTO deployments (workspace_id, source_type, status, logs, environment) VALUES ($1, $2, 'pending', '[]', $3) RETURNING id`,
+        [workspaceId, sourceType, environment]
     );
     return result.rows[0].id;
 };
@@ -341,6 +347,8 @@ async function saveDeploymentState(workspaceId, state) {
 
 const { sendDeploymentStatusEmail } = require('../../utils/emailService');
 
+const DEPLOYMENT_TERMINAL_STATES = ['success', 'failed'];
+
 const updateDeploymentStatus = async (deploymentId, status, url = null, logs = []) => {
     // Ensure all logs have timestamps
     const timestampedLogs = logs.map(l => ({
@@ -356,12 +364,19 @@ const updateDeploymentStatus = async (deploymentId, status, url = null, logs = [
         params.push(url);
     }
 
-    query += ` WHERE id = $1 RETURNING workspace_id, source_type, created_at`;
+    query += ` WHERE id = $1 RETURNING workspace_id, source_type, created_at, image_ref, environment, jsonb_array_length(logs) AS seq`;
     const result = await pool.query(query, params);
 
+    // Live log subscribers (SSE)
+    if (result.rows.length > 0) {
+        const firstSeq = result.rows[0].seq - timestampedLogs.length + 1;
+        timestampedLogs.forEach((entry, i) => logStream.publishLog(`deployment:${deploymentId}`, firstSeq + i, entry));
+        if (DEPLOYMENT_TERMINAL_STATES.includes(status)) logStream.publishEnd(`deployment:${deploymentId}`, status);
+    }
+
     // Notification & State Logic
     if (result.rows.length > 0) {
-        const { workspace_id, source_type, created_at } = result.rows[0];
+        const { workspace_id, source_type, created_at, image_ref, environment } = result.rows[0];
 
         // 1. Fetch User & Workspace Info for Email
         try {
@@ -399,13 +414,31 @@ const updateDeploymentStatus = async (deploymentId, status, url = null, logs = [
             console.error(`[DEPLOY] Error fetching user for notification: ${err.message}`);
         }
 
-        // 2. Deployment Success Handling
-        if (status === 'success') {
+        // 2. Environment deployments only update their environment row
+        if (environment && DEPLOYMENT_TERMINAL_STATES.includes(status)) {
+            try {
+                if (status === 'success') {
+                    await environmentService.recordImageDeployment(workspace_id, environment, image_ref, {
+                        action: 'DEPLOY_SUCCESS',
+                        deployment_id: deploymentId,
+                        live_url: url,
+                        image_ref
+                    });
+                    console.log(`[DEPLOY] Environment '${environment}' of workspace ${workspace_id} marked as DEPLOYED`);
+                } else {
+                    await environmentService.appendHistory(workspace_id, environment, { action: 'DEPLOY_FAILED', deployment_id: deploymentId });
+                }
+            } catch (envErr) {
+                console.error(`[DEPLOY] Failed to update environment status:`, envErr);
+            }
+        }
+        // 3. Deployment Success Handling
+        else if (status === 'success') {
             try {
                 // 🔒 HARDENING: Save Explicit Deployment State
                 const deployState = {
                     status: 'ACTIVE',
-                    image: logs.find(l => l.message.includes('Swapping image'))?.message?.split('to ')[1] || 'unknown',
+                    image: image_ref || logs.find(l => l.message.includes('Swapping image'))?.message?.split('to ')[1] || 'unknown',
                     revision: new Date().toISOString(),
                     deployed_at: new Date().toISOString(),
                     live_url: url,
@@ -436,7 +469,7 @@ const updateDeploymentStatus = async (deploymentId, status, url = null, logs = [
                 console.error(`[DEPLOY] Failed to update workspace status:`, wsErr);
             }
         }
-        // 3. Deployment Failure Handling
+        // 4. Deployment Failure Handling
         else if (status === 'failed') {
             try {
                 await saveDeploymentState(workspace_id, { status: 'FAILED', reason: 'Verification or Deploy Failed' });
@@ -447,13 +480,42 @@ const updateDeploymentStatus = async (deploymentId, status, url = null, logs = [
 
 const appendLog = async (id, message) => {
     const logEntry = { timestamp: new Date(), message };
-    await pool.query(
-        `UPDATE deployments SET logs = logs || $2::jsonb WHERE id = $1`,
+    const result = await pool.query(
+        `UPDATE deployments SET logs = logs || $2::jsonb WHERE id = $1 RETURNING jsonb_array_length(logs) AS seq`,
         [id, JSON.stringify([logEntry])]
     );
+    logStream.publishLog(`deployment:${id}`, result.rows[0]?.seq ?? null, logEntry);
     return logEntry;
 };
 
+/**
+ * Immutable image tag for a build: <short commit>-d<deployment id>
+ */
+const buildImageTag = (deploymentId, commitSha) =>
+    commitSha ? `${commitSha.slice(0, 12)}-d${deploymentId}` : `d${deploymentId}`;
+
+/**
+ * Pin an image reference to its digest (repo@sha256:...), falling back to the tag
+ */
+const pinImageRef = (imageRef, digest) => {
+    if (!digest) return imageRef;
+    const repo = imageRef.includes('@') ? imageRef.split('@')[0] : imageRef.replace(/:[^:/]+$/, '');
+    return `${repo}@${digest}`;
+};
+
+/**
+ * Record the image a deployment shipped (used for rollback)
+ */
+const recordDeploymentImage = async (deploymentId, { imageTag = null, imageRef, digest = null, rollbackOf = null }) => {
+    await pool.query(
+        `UPDATE deployments
+         SET image_tag = COALESCE($2, image_tag), image_ref = $3, image_digest = $4,
+             rollback_of = COALESCE($5, rollback_of), updated_at = NOW()
+         WHERE id = $1`,
+        [deploymentId, imageTag, imageRef, digest, rollbackOf]
+    );
+};
+
 // Standardized Error Categories
 const DEPLOY_ERRORS = {
     INVALID_REPO_URL: { code: 'INVALID_REPO_URL', message: 'Invalid GitHub repository URL' },
@@ -523,19 +585,45 @@ async function zipDirectory(dirPath) {
     });
 }
 
+// Builds and pushes the deployment's own IMAGE_TAG. The ECR repository is
+// IMMUTABLE, so a fixed tag such as :latest can only ever be pushed once.
+const AWS_BUILDSPEC = `version: 0.2
+phases:
+  install:
+    runtime-versions:
+      nodejs: 18
+  pre_build:
+    commands:
+      - echo Logging in to Amazon ECR...
+      - aws ecr get-login-password --region $AWS_DEFAULT_REGION | docker login --username AWS --password-stdin $IMAGE_REPO_URL
+  build:
+    commands:
+      - echo Build started on \`date\`
+      - echo Building the Docker image...
+      - docker build -t $IMAGE_REPO_URL:$IMAGE_TAG .
+  post_build:
+    commands:
+      - echo Build completed on \`date\`
+      - echo Pushing the Docker image...
+      - docker push $IMAGE_REPO_URL:$IMAGE_TAG`;
+
 /**
  * Helper: Trigger AWS CodeBuild and wait for completion
  */
-async function triggerCodeBuild(deploymentId, codebuildClient, projectName, s3Bucket, s3Key, ecrUrl) {
+async function triggerCodeBuild(deploymentId, codebuildClient, projectName, s3Bucket, s3Key, ecrUrl, imageTag) {
     await appendLog(deploymentId, `🚀 Starting AWS CodeBuild project: ${projectName}...`);
 
     // 1. Start build
     const startResponse = await codebuildClient.send(new StartBuildCommand({
         projectName: projectName,
+        sourceTypeOverride: 'S3',
         sourceLocationOverride: `${s3Bucket}/${s3Key}`,
+        // Projects provisioned before IMAGE_TAG was honoured still carry an
+        // inline buildspec that pushes :latest, so always send ours.
+        buildspecOverride: AWS_BUILDSPEC,
         environmentVariablesOverride: [
             { name: 'IMAGE_REPO_URL', value: ecrUrl },
-            { name: 'IMAGE_TAG', value: 'latest' }
+            { name: 'IMAGE_TAG', value: imageTag }
         ]
     }));
 
@@ -564,7 +652,19 @@ async function triggerCodeBuild(deploymentId, codebuildClient, projectName, s3Bu
 
         await appendLog(deploymentId, `⏳ Build status: ${status}...`);
     }
-    return true; // AWS Image is usually just ecrUrl:latest
+    return true; // Image is pushed as ecrUrl:imageTag
+}
+
+/**
+ * Helper: Look up the digest of a pushed ECR image tag
+ */
+async function getEcrImageDigest(ecrClient, ecrRepoUrl, imageTag) {
+    const repositoryName = ecrRepoUrl.split('/').slice(1).join('/');
+    const res = await ecrClient.send(new DescribeImagesCommand({
+        repositoryName,
+        imageIds: [{ imageTag }]
+    }));
+    return res.imageDetails?.[0]?.imageDigest || null;
 }
 
 /**
@@ -599,9 +699,11 @@ async function triggerGcpCloudBuild(deploymentId, credentials, projectId, bucket
 
     // Poll for completion
     let status = 'QUEUED';
+    let build = null;
     while (status === 'QUEUED' || status === 'WORKING') {
         await new Promise(r => setTimeout(r, 5000));
         const res = await cb.projects.builds.get({ projectId, id: buildId });
+        build = res.data;
         status = res.data.status;
         if (status === 'SUCCESS') {
             await appendLog(deploymentId, "✅ Cloud Build SUCCEEDED.");
@@ -611,7 +713,8 @@ async function triggerGcpCloudBuild(deploymentId, credentials, projectId, bucket
         }
         await appendLog(deploymentId, `⏳ Build status: ${status}...`);
     }
-    return imageTag;
+    const digest = build?.results?.images?.find(img => img.name === imageTag)?.digest || null;
+    return { imageTag, digest };
 }
 
 /**
@@ -725,18 +828,21 @@ async function triggerAzureAcrBuild(deploymentId, credentials, subscriptionId, r
 
     // 4. Poll for completion
     let status = 'Queued';
+    let digest = null;
     while (['Queued', 'Started', 'Running'].includes(status)) {
         await new Promise(r => setTimeout(r, 10000));
         const runRes = await client.runs.get(resourceGroup, acrName, poller.runId);
         status = runRes.status;
         if (status === 'Succeeded') {
             await appendLog(deploymentId, "✅ ACR Build SUCCEEDED.");
+            digest = runRes.outputImages?.[0]?.digest || null;
             break;
         } else if (['Failed', 'Canceled', 'Error', 'Timeout'].includes(status)) {
             throw new Error(`ACR Build failed with status ${status}.`);
         }
         await appendLog(deploymentId, `⏳ Build status: ${status}...`);
     }
+    return digest;
 }
 
 /**
@@ -880,26 +986,7 @@ CMD ["java", "-jar", "target/app.jar"]`;
     if (provider === 'aws') {
         const buildspecPath = path.join(dir, 'buildspec.yml');
         if (!fs.existsSync(buildspecPath)) {
-            const buildspec = `version: 0.2
-phases:
-  install:
-    runtime-versions:
-      nodejs: 18
-  pre_build:
-    commands:
-      - echo Logging in to Amazon ECR...
-      - aws ecr get-login-password --region $AWS_DEFAULT_REGION | docker login --username AWS --password-stdin $IMAGE_REPO_URL
-  build:
-    commands:
-      - echo Build started on \`date\`
-      - echo Building the Docker image...
-      - docker build -t $IMAGE_REPO_URL:$IMAGE_TAG .
-  post_build:
-    commands:
-      - echo Build completed on \`date\`
-      - echo Pushing the Docker image...
-      - docker push $IMAGE_REPO_URL:$IMAGE_TAG`;
-            fs.writeFileSync(buildspecPath, buildspec);
+            fs.writeFileSync(buildspecPath, AWS_BUILDSPEC);
             console.log(`[INFO] Generated optimized buildspec.yml for AWS (Node 18)`);
         }
     }
@@ -987,8 +1074,10 @@ async function deployStaticProject(deploymentId, projectDir, workspace, buildCon
 /**
  * Helper: Deploy Container Project (Extracted)
  */
-async function deployContainerProject(deploymentId, projectDir, workspace, runtime, infraOutputs, provider) {
+async function deployContainerProject(deploymentId, projectDir, workspace, runtime, infraOutputs, provider, commitSha = null) {
     const region = workspace.state_json.region || 'ap-south-1';
+    // 🔒 Immutable tag per build - never overwrite a previous deployment's image
+    const tag = buildImageTag(deploymentId, commitSha);
 
     // 1. Ensure Dockerfile
     ensureCloudNativeArtifacts(projectDir, runtime || 'node', provider);
@@ -997,6 +1086,7 @@ async function deployContainerProject(deploymentId, projectDir, workspace, runti
     if (!ecrRepo && provider === 'aws') throw { ...DEPLOY_ERRORS.BUILD_FAILED, details: "ECR Repository URL not found." };
 
     let imageTag = "";
+    let digest = null;
 
     // 2. Build & Push
     if (provider === 'aws') {
@@ -1013,9 +1103,15 @@ async function deployContainerProject(deploymentId, projectDir, workspace, runti
         if (!buildProjectName) throw new Error("CodeBuild Project Name not found.");
 
         const codebuildClient = await createAwsClient(CodeBuildClient, region, workspace.state_json.connection.role_arn, workspace.state_json.connection.external_id);
-        await triggerCodeBuild(deploymentId, codebuildClient, buildProjectName, buildBucket, s3Key, ecrRepo);
+        await triggerCodeBuild(deploymentId, codebuildClient, buildProjectName, buildBucket, s3Key, ecrRepo, tag);
 
-        imageTag = `${ecrRepo}:latest`;
+        imageTag = `${ecrRepo}:${tag}`;
+        try {
+            const ecrClient = await createAwsClient(ECRClient, region, workspace.state_json.connection.role_arn, workspace.state_json.connection.external_id);
+            digest = await getEcrImageDigest(ecrClient, ecrRepo, tag);
+        } catch (err) {
+            await appendLog(deploymentId, `⚠️ Could not resolve image digest: ${err.message}`);
+        }
 
     } else if (provider === 'azure') {
         const zipPath = path.join(projectDir, `../source-${deploymentId}.zip`);
@@ -1029,9 +1125,9 @@ async function deployContainerProject(deploymentId, projectDir, workspace, runti
         if (!acrName || !rgName) throw new Error("Azure ACR or Resource Group not found.");
         const acrLoginServer = infraOutputs.acr_login_server?.value || `${acrName}.azurecr.io`;
 
-        imageTag = `${acrLoginServer}/${containerAppName}:latest`;
+        imageTag = `${acrLoginServer}/${containerAppName}:${tag}`;
 
-        await triggerAzureAcrBuild(deploymentId, workspace.state_json.connection.credentials, workspace.state_json.connection.credentials.subscription_id, rgName, acrName, imageTag, zipPath);
+        digest = await triggerAzureAcrBuild(deploymentId, workspace.state_json.connection.credentials, workspace.state_json.connection.credentials.subscription_id, rgName, acrName, imageTag, zipPath);
     } else if (provider === 'gcp') {
         const buildBucket = infraOutputs.bucket_name?.value;
         const gcsKey = `source-${deploymentId}.zip`;
@@ -1048,12 +1144,17 @@ async function deployContainerProject(deploymentId, projectDir, workspace, runti
         const storageClient = new Storage(storageOptions);
         await storageClient.bucket(buildBucket).upload(zipPath, { destination: gcsKey });
 
-        const repoUrl = infraOutputs.repository_url?.value;
-        imageTag = await triggerGcpCloudBuild(deploymentId, workspace.state_json.connection.credentials, workspace.state_json.connection.project_id, buildBucket, gcsKey, repoUrl || `gcr.io/${workspace.state_json.connection.project_id}/app`, region);
+        const repoUrl = infraOutputs.repository_url?.value || `gcr.io/${workspace.state_json.connection.project_id}/app`;
+        ({ imageTag, digest } = await triggerGcpCloudBuild(deploymentId, workspace.state_json.connection.credentials, workspace.state_json.connection.project_id, buildBucket, gcsKey, `${repoUrl}:${tag}`, region));
     }
 
-    // 3. Update Service
-    return await deployImageToProvider(deploymentId, workspace, workspace.state_json.connection, provider, imageTag);
+    // 3. Record the shipped image (pinned by digest when the registry reported one)
+    const imageRef = pinImageRef(imageTag, digest);
+    await appendLog(deploymentId, `📌 Image: ${imageRef}`);
+    await recordDeploymentImage(deploymentId, { imageTag: tag, imageRef, digest });
+
+    // 4. Update Service
+    return await deployImageToProvider(deploymentId, workspace, workspace.state_json.connection, provider, imageRef);
 }
 
 /**
@@ -1073,6 +1174,12 @@ const deployFromGithub = async (deploymentId, workspace, config) => {
         await appendLog(deploymentId, "📦 Cloning repository...");
         await githubService.cloneRepo(config.repoUrl, workDir);
 
+        const commitSha = await githubService.getHeadCommit(workDir);
+        if (commitSha) {
+            await pool.query('UPDATE deployments SET commit_hash = $2 WHERE id = $1', [deploymentId, commitSha]);
+            await appendLog(deploymentId, `🔖 Commit: ${commitSha}`);
+        }
+
         // 2. 🛡️ ANALYZE PROJECT (Deterministic)
         await appendLog(deploymentId, "🔍 Analyzing project structure...");
         const analysis = ProjectAnalyzer.analyze(workDir);
@@ -1095,7 +1202,7 @@ const deployFromGithub = async (deploymentId, workspace, config) => {
 
         } else if (resolution.strategy === Strategies.CONTAINER) {
             await appendLog(deploymentId, "⚙️ Executing CONTAINER strategy...");
-            liveUrl = await deployContainerProject(deploymentId, workDir, workspace, analysis.runtime, infraOutputs, provider);
+            liveUrl = await deployContainerProject(deploymentId, workDir, workspace, analysis.runtime, infraOutputs, provider, commitSha);
             await updateDeploymentStatus(deploymentId, 'success', liveUrl, [{ message: 'Service updated successfully' }]);
 
         } else if (resolution.strategy === Strategies.FULLSTACK_SPLIT) {
@@ -1138,7 +1245,7 @@ const deployFromGithub = async (deploymentId, workspace, config) => {
                     const url = await deployStaticProject(deploymentId, compDir, workspace, { ...comp.build, outputDir: 'dist' }, componentOutputs, provider);
                     urls[comp.name] = url;
                 } else if (comp.strategy === Strategies.CONTAINER) {
-                    const url = await deployContainerProject(deploymentId, compDir, workspace, 'node', componentOutputs, provider);
+                    const url = await deployContainerProject(deploymentId, compDir, workspace, 'node', componentOutputs, provider, commitSha);
                     urls[comp.name] = url;
                 }
             }
@@ -1205,6 +1312,11 @@ const deployFromDocker = async (deploymentId, workspace, config) => {
         // Direct deployment of existing image - Skip ProjectAnalyzer but map to CONTAINER strategy concept
         await appendLog(deploymentId, `✅ Using existing image, skipping build/analyze steps.`);
 
+        await recordDeploymentImage(deploymentId, {
+            imageRef: image,
+            digest: image.includes('@') ? image.split('@')[1] : null
+        });
+
         // We can just call the provider updater directly as before, but with clearer logging
         const liveUrl = await deployImageToProvider(deploymentId, workspace, conn, provider, image);
 
@@ -1222,6 +1334,36 @@ const deployFromDocker = async (deploymentId, workspace, config) => {
     }
 };
 
+/**
+ * Roll back by redeploying a previous deployment's recorded image (no rebuild)
+ * @param {number} deploymentId - New deployment row (source_type 'rollback')
+ * @param {object} workspace - Workspace row
+ * @param {object} target - Previous successful deployment row with image_ref
+ */
+const rollbackDeployment = async (deploymentId, workspace, target) => {
+    try {
+        await updateDeploymentStatus(deploymentId, 'running');
+        await appendLog(deploymentId, `⏪ Rolling back to deployment #${target.id}: ${target.image_ref}`);
+
+        await recordDeploymentImage(deploymentId, {
+            imageTag: target.image_tag,
+            imageRef: target.image_ref,
+            digest: target.image_digest,
+            rollbackOf: target.id
+        });
+
+        const conn = workspace.state_json.connection;
+        const provider = conn.provider || 'aws';
+        const liveUrl = await deployImageToProvider(deploymentId, workspace, conn, provider, target.image_ref);
+
+        await updateDeploymentStatus(deploymentId, 'success', liveUrl || target.url, [{ message: `⏪ Rolled back to deployment #${target.id}` }]);
+
+    } catch (err) {
+        console.error("Rollback Error:", err);
+        await updateDeploymentStatus(deploymentId, 'failed', null, [{ message: `❌ Rollback Failed: ${err.message}` }]);
+    }
+};
+
 // Helper: Verify Live Site Function
 const verifyLiveSite = async (deploymentId, url, maxRetries = 10) => {
     let attempts = 0;
@@ -1254,6 +1396,8 @@ const verifyLiveSite = async (deploymentId, url, maxRetries = 10) => {
 module.exports = {
     createDeployment,
     getDeploymentStatus,
+    DEPLOYMENT_TERMINAL_STATES,
     deployFromGithub,
-    deployFromDocker
+    deployFromDocker,
+    rollbackDeployment
 };
@@ -6,6 +6,7 @@
  * - Terraform destroy execution
  * - State cleanup after successful destroy
  * - Audit logging
+ * - Durable job records (jobQueue) so status survives a restart
  */
 
 const { spawn } = require('child_process');
@@ -13,9 +14,7 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const pool = require('../../config/db');
-
-// In-memory job tracking
-const destroyJobs = new Map();
+const jobQueue = require('./jobQueue');
 
 const DESTROY_STATES = {
     PENDING: 'pending',
@@ -58,27 +57,19 @@ async function initiateDestroy(workspaceId, userId, confirmation) {
     }
 
     // Check for existing destroy job
-    const existingJob = Array.from(destroyJobs.values()).find(
-        j => j.workspaceId === workspaceId && j.status === DESTROY_STATES.RUNNING
-    );
-    if (existingJob) {
+    const existingJobs = await jobQueue.getActiveJobs(workspaceId, jobQueue.JOB_TYPES.DESTROY);
+    if (existingJobs.length > 0) {
         throw new Error('A destroy operation is already in progress for this workspace.');
     }
 
     // Create job
     const jobId = `destroy-${workspaceId}-${Date.now()}`;
-    const job = {
+    await jobQueue.createJob(jobQueue.JOB_TYPES.DESTROY, workspaceId, {
         id: jobId,
-        workspaceId,
         userId,
         status: DESTROY_STATES.PENDING,
-        logs: [],
-        startedAt: new Date().toISOString(),
-        completedAt: null,
-        error: null
-    };
-
-    destroyJobs.set(jobId, job);
+        stage: 'pending'
+    });
 
     // Update workspace status to DESTROYING
     await pool.query(
@@ -107,10 +98,11 @@ async function initiateDestroy(workspaceId, userId, confirmation) {
  * Execute Terraform destroy
  */
 async function executeDestroy(jobId) {
-    const job = destroyJobs.get(jobId);
+    const job = await jobQueue.getJob(jobId);
     if (!job) throw new Error('Job not found');
+    if (!(await jobQueue.claimJob(jobId))) throw new Error('Job is already claimed by another worker');
 
-    job.status = DESTROY_STATES.RUNNING;
+    await jobQueue.updateJob(jobId, { status: DESTROY_STATES.RUNNING, stage: 'destroy' });
     addLog(job, '🗑️ Starting infrastructure destruction...');
 
     try {
@@ -165,6 +157,7 @@ async function executeDestroy(jobId) {
             });
 
             tfDestroy.on('close', (code) => {
+                jobQueue.recordExitCode(jobId, 'destroy', code);
                 if (code === 0) {
                     resolve();
                 } else {
@@ -188,15 +181,12 @@ async function executeDestroy(jobId) {
         // Update workspace state
         await cleanupAfterDestroy(job.workspaceId, job.userId, jobId);
 
-        job.status = DESTROY_STATES.SUCCESS;
-        job.completedAt = new Date().toISOString();
         addLog(job, '🎉 Infrastructure destroyed successfully!');
+        await jobQueue.updateJob(jobId, { status: DESTROY_STATES.SUCCESS, stage: 'finished' });
 
     } catch (err) {
-        job.status = DESTROY_STATES.FAILED;
-        job.error = err.message;
-        job.completedAt = new Date().toISOString();
         addLog(job, `❌ Destroy failed: ${err.message}`);
+        await jobQueue.updateJob(jobId, { status: DESTROY_STATES.FAILED, error: err.message });
 
         // Rollback status to DEPLOYED (destroy failed)
         await pool.query(
@@ -242,17 +232,18 @@ async function cleanupAfterDestroy(workspaceId, userId, jobId) {
 }
 
 /**
- * Get job status
+ * Get job status (from the persisted job store)
  */
-function getJobStatus(jobId) {
-    const job = destroyJobs.get(jobId);
-    if (!job) return null;
+async function getJobStatus(jobId) {
+    const job = await jobQueue.getJob(jobId);
+    if (!job || job.type !== jobQueue.JOB_TYPES.DESTROY) return null;
 
     return {
         id: job.id,
         status: job.status,
         logs: job.logs,
-        startedAt: job.startedAt,
+        exitCodes: job.exitCodes,
+        startedAt: job.startTime,
         completedAt: job.completedAt,
         error: job.error
     };
@@ -266,7 +257,7 @@ function addLog(job, message) {
         timestamp: new Date().toISOString(),
         message: String(message)
     };
-    job.logs.push(entry);
+    jobQueue.appendLog(job.id, entry);
     console.log(`[DESTROY][${job.id}] ${message}`);
 }
 
@@ -0,0 +1,321 @@
+/**
+ * driftService.js - Drift detection for deployed workspaces
+ *
+ * Handles:
+ * - Summarising `terraform plan -refresh-only` output into drifted resources
+ *   and per-attribute changes
+ * - Comparing the infra_outputs saved in state_json with `terraform output -json`
+ * - Recording each check in deployment_history (DRIFT_* actions), on the workspace
+ *   or on the workspace environment that was checked
+ * - Per-workspace schedules, picked up by a lightweight in-process scheduler that
+ *   checks the workspace and each of its deployed environments
+ *
+ * The Terraform run itself lives in terraformExecutor.startDriftDetection.
+ */
+
+const pool = require('../../config/db');
+const jobQueue = require('./jobQueue');
+const stateBackendService = require('./stateBackendService');
+const environmentService = require('./environmentService');
+
+const DRIFT_ACTIONS = {
+    DETECTED: 'DRIFT_DETECTED',
+    CLEAN: 'DRIFT_CHECK_CLEAN',
+    FAILED: 'DRIFT_CHECK_FAILED'
+};
+
+// Workspaces with provisioned infrastructure
+const DRIFT_ELIGIBLE_STATUSES = ['INFRA_READY', 'DEPLOYED'];
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const MIN_INTERVAL_HOURS = 1;
+const MAX_INTERVAL_HOURS = 24 * 30;
+
+let schedulerTimer = null;
+
+/**
+ * Per-attribute differences between two resource snapshots.
+ * Values Terraform marks as sensitive are never copied into the report.
+ */
+function diffAttributes(change) {
+    const before = change.before || {};
+    const after = change.after || {};
+    const sensitive = (key) => Boolean(change.before_sensitive?.[key] || change.after_sensitive?.[key]);
+
+    const changes = [];
+    for (const attribute of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (JSON.stringify(before[attribute]) === JSON.stringify(after[attribute])) continue;
+        changes.push(sensitive(attribute)
+            ? { attribute, before: '(sensitive)', after: '(sensitive)' }
+            : { attribute, before: before[attribute] ?? null, after: after[attribute] ?? null });
+    }
+    return changes;
+}
+
+/**
+ * Summarise a refresh-only plan (`terraform show -json`)
+ * @returns {object[]} [{ address, type, module, action, changes: [{attribute, before, after}] }]
+ */
+function summarizeDrift(planJson) {
+    return (planJson?.resource_drift || []).map(drift => {
+        const actions = drift.change?.actions || [];
+        return {
+            address: drift.address,
+            type: drift.type,
+            module: drift.module_address || 'root',
+            // A resource deleted outside Terraform shows up as a delete
+            action: actions.includes('delete') ? 'deleted' : 'modified',
+            changes: actions.includes('delete') ? [] : diffAttributes(drift.change || {})
+        };
+    });
+}
+
+/**
+ * Compare saved infra_outputs with live `terraform output -json` values (flattened).
+ * Only keys are reported; outputs can hold connection strings.
+ */
+function diffOutputs(savedOutputs = {}, liveOutputs = {}) {
+    const saved = savedOutputs || {};
+    const missing = Object.keys(liveOutputs).filter(k => !(k in saved));
+    const stale = Object.keys(saved).filter(k => !(k in liveOutputs));
+    const changed = Object.keys(liveOutputs).filter(k =>
+        k in saved && JSON.stringify(saved[k]) !== JSON.stringify(liveOutputs[k])
+    );
+
+    return {
+        inSync: missing.length === 0 && stale.length === 0 && changed.length === 0,
+        missing,  // in Terraform state, not saved in state_json
+        stale,    // saved in state_json, gone from Terraform state
+        changed
+    };
+}
+
+/**
+ * Append a drift check result to the deployment_history of the workspace,
+ * or of the environment that was checked
+ */
+async function recordDriftResult(workspaceId, entry, environment = null) {
+    if (environment) {
+        await environmentService.appendHistory(workspaceId, environment, entry);
+        return;
+    }
+    await pool.query(
+        `UPDATE workspaces
+         SET deployment_history = COALESCE(deployment_history, '[]'::jsonb) || $2::jsonb
+         WHERE id = $1`,
+        [workspaceId, JSON.stringify([{ timestamp: new Date().toISOString(), ...entry }])]
+    );
+}
+
+/**
+ * Drift checks recorded for a workspace (or one of its environments), newest first
+ */
+async function getDriftHistory(workspaceId, limit = 10, environment = null) {
+    const result = environment
+        ? await pool.query(
+            `SELECT entry
+             FROM workspace_environments e, jsonb_array_elements(COALESCE(e.deployment_history, '[]'::jsonb)) WITH ORDINALITY AS h(entry, idx)
+             WHERE e.workspace_id = $1 AND e.name = $4 AND entry->>'action' = ANY($2)
+             ORDER BY idx DESC
+             LIMIT $3`,
+            [workspaceId, Object.values(DRIFT_ACTIONS), limit, environment]
+        )
+        : await pool.query(
+            `SELECT entry
+             FROM workspaces w, jsonb_array_elements(COALESCE(w.deployment_history, '[]'::jsonb)) WITH ORDINALITY AS h(entry, idx)
+             WHERE w.id = $1 AND entry->>'action' = ANY($2)
+             ORDER BY idx DESC
+             LIMIT $3`,
+            [workspaceId, Object.values(DRIFT_ACTIONS), limit]
+        );
+    return result.rows.map(r => r.entry);
+}
+
+// ─── SCHEDULES ──────────────────────────────────────────────────────────────
+
+async function getSchedule(workspaceId) {
+    const result = await pool.query('SELECT * FROM drift_schedules WHERE workspace_id = $1', [workspaceId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Create or update a workspace's drift schedule
+ * @param {object} options - { intervalHours, enabled, userId }
+ * @throws {Error} with `statusCode` 400 for an out-of-range interval
+ */
+async function upsertSchedule(workspaceId, { intervalHours, enabled = true, userId }) {
+    const hours = parseInt(intervalHours, 10);
+    if (!Number.isInteger(hours) || hours < MIN_INTERVAL_HOURS || hours > MAX_INTERVAL_HOURS) {
+        throw Object.assign(new Error(`intervalHours must be between ${MIN_INTERVAL_HOURS} and ${MAX_INTERVAL_HOURS}`), { statusCode: 400 });
+    }
+
+    const result = await pool.query(
+        `INSERT INTO drift_schedules (workspace_id, interval_hours, enabled, created_by, next_run_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $2))
+         ON CONFLICT (workspace_id) DO UPDATE
+         SET interval_hours = EXCLUDED.interval_hours,
+             enabled = EXCLUDED.enabled,
+             next_run_at = COALESCE(drift_schedules.last_run_at, NOW()) + make_interval(hours => EXCLUDED.interval_hours),
+             updated_at = NOW()
+         RETURNING *`,
+        [workspaceId, hours, Boolean(enabled), userId]
+    );
+    return result.rows[0];
+}
+
+async function deleteSchedule(workspaceId) {
+    const result = await pool.query('DELETE FROM drift_schedules WHERE workspace_id = $1', [workspaceId]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Atomically take the schedules that are due and push their next run forward,
+ * so several server processes never start the same check twice
+ */
+async function claimDueSchedules(limit = 5) {
+    const result = await pool.query(
+        `UPDATE drift_schedules
+         SET last_run_at = NOW(),
+             next_run_at = NOW() + make_interval(hours => interval_hours),
+             updated_at = NOW()
+         WHERE workspace_id IN (
+             SELECT workspace_id FROM drift_schedules
+             WHERE enabled AND next_run_at <= NOW()
+             ORDER BY next_run_at
+             FOR UPDATE SKIP LOCKED
+             LIMIT $1
+         )
+         RETURNING *`,
+        [limit]
+    );
+    return result.rows;
+}
+
+// ─── RUNNING CHECKS ─────────────────────────────────────────────────────────
+
+/**
+ * Start a drift check for a workspace, or for one of its environments
+ * @param {number|string} workspaceId - Workspace ID
+ * @param {object} options - { userId, trigger: 'manual' | 'schedule', environment: environment name }
+ * @returns {Promise<object>} The created job
+ * @throws {Error} with `statusCode` when the workspace can't be checked right now
+ */
+async function startDriftCheck(workspaceId, { userId = null, trigger = 'manual', environment: environmentName = null } = {}) {
+    const terraformExecutor = require('./terraformExecutor');
+    const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+    if (!terraformExecutor.isRealExecutionEnabled()) {
+        throw fail(400, 'Drift detection requires real Terraform execution (ENABLE_REAL_TERRAFORM=true)');
+    }
+
+    const wsRes = await pool.query('SELECT state_json, deployment_status FROM workspaces WHERE id = $1', [workspaceId]);
+    if (wsRes.rows.length === 0) throw fail(404, 'Workspace not found');
+
+    const { state_json: stateJson = {} } = wsRes.rows[0];
+
+    const environment = environmentName ? await environmentService.getEnvironment(workspaceId, environmentName) : null;
+    if (environmentName && !environment) throw fail(404, `Environment '${environmentName}' not found`);
+
+    const deploymentStatus = environment ? environment.deployment_status : wsRes.rows[0].deployment_status;
+    if (!DRIFT_ELIGIBLE_STATUSES.includes(deploymentStatus)) {
+        const target = environment ? `Environment '${environment.name}'` : 'Workspace';
+        throw fail(409, `${target} is ${deploymentStatus || 'not deployed'}; drift detection needs deployed infrastructure`);
+    }
+
+    const connectionData = stateJson.connection || {};
+    const infraSpec = environment ? environmentService.getEffectiveInfraSpec(environment, stateJson) : (stateJson.infraSpec || {});
+    const provider = (infraSpec.resolved_region?.provider || connectionData.provider || '').toLowerCase();
+    if (!provider || connectionData.status !== 'connected') {
+        throw fail(400, 'Cloud connection required for drift detection');
+    }
+
+    // Never refresh alongside a deploy/destroy touching the same working directory
+    // (each environment has its own, so only jobs for the same target conflict)
+    const activeJobs = (await jobQueue.getActiveJobs(workspaceId))
+        .filter(job => (job.metadata?.environment || null) === (environment?.name || null));
+    if (activeJobs.length > 0) {
+        throw fail(409, environment
+            ? `Another job is running for environment '${environment.name}'`
+            : 'Another job is running for this workspace');
+    }
+
+    // Regenerate the configuration so a lost local workspace can be rebuilt from remote state
+    let terraformFiles = null;
+    const stateBackend = stateBackendService.getBackendConfig(connectionData.state_backend, workspaceId, environment?.name);
+    if (stateBackend && infraSpec.canonical_architecture) {
+        const terraformGenerator = require('./terraformGeneratorV2');
+        // Same region normalisation as the deploy/destroy routes
+        let region = environment?.region || infraSpec.resolved_region?.resolved || infraSpec.region?.logical || connectionData.region;
+        if (provider === 'aws' && region && /^[a-z]+-[a-z]+\d$/.test(region) === false && region.match(/[a-z]+[a-z]+\d/)) {
+            region = region.replace(/([a-z]+)-?([a-z]+)(\d)/, "$1-$2-$3");
+        }
+        const tfResult = await terraformGenerator.generateTerraform(
+            infraSpec.canonical_architecture,
+            provider,
+            region,
+            stateJson.projectData?.name || 'cloudiverse-project',
+            { connectionData, stateBackend, ...(environment && environmentService.getTerraformOptions(environment, provider)) }
+        );
+        terraformFiles = tfResult.files;
+    }
+
+    const job = await jobQueue.createJob(jobQueue.JOB_TYPES.DRIFT, workspaceId, {
+        userId,
+        metadata: { provider, trigger, environment: environment?.name }
+    });
+
+    const target = environment ? `environment '${environment.name}' of workspace ${workspaceId}` : `workspace ${workspaceId}`;
+    console.log(`[DRIFT] Starting ${trigger} drift check for ${target} (job ${job.id})`);
+    terraformExecutor.startDriftDetection(job.id, provider, workspaceId, connectionData, terraformFiles, trigger, environment?.name);
+    return job;
+}
+
+/**
+ * Start due scheduled checks for each workspace and each of its deployed environments.
+ * Targets that can't be checked are skipped until their next interval.
+ */
+async function runDueSchedules() {
+    const due = await claimDueSchedules();
+    for (const schedule of due) {
+        const environments = await environmentService.listEnvironments(schedule.workspace_id).catch(() => []);
+        const targets = [null, ...environments
+            .filter(env => DRIFT_ELIGIBLE_STATUSES.includes(env.deployment_status))
+            .map(env => env.name)];
+
+        for (const environment of targets) {
+            try {
+                await startDriftCheck(schedule.workspace_id, { userId: schedule.created_by, trigger: 'schedule', environment });
+            } catch (err) {
+                const target = environment ? `environment '${environment}' of workspace` : 'workspace';
+                console.warn(`[DRIFT] Skipped scheduled check for ${target} ${schedule.workspace_id}: ${err.message}`);
+            }
+        }
+    }
+}
+
+/**
+ * Poll drift_schedules once a minute (called once on boot)
+ */
+function startDriftScheduler() {
+    if (schedulerTimer) return;
+
+    schedulerTimer = setInterval(() => {
+        runDueSchedules().catch(err => console.error('[DRIFT] Scheduler tick failed:', err.message));
+    }, SCHEDULER_INTERVAL_MS);
+    schedulerTimer.unref();
+    console.log('[DRIFT] Scheduler started');
+}
+
+module.exports = {
+    DRIFT_ACTIONS,
+    DRIFT_ELIGIBLE_STATUSES,
+    summarizeDrift,
+    diffOutputs,
+    recordDriftResult,
+    getDriftHistory,
+    getSchedule,
+    upsertSchedule,
+    deleteSchedule,
+    startDriftCheck,
+    startDriftScheduler
+};
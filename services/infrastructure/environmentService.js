@@ -0,0 +1,442 @@
+/**
+ * environmentService.js - Named environments (dev / staging / prod) per workspace
+ *
+ * Handles:
+ * - Environment CRUD (region, sizing tier, tfvars overrides)
+ * - Terraform generation options per environment (sizingModel tier values)
+ * - Recording plan / apply / destroy / app deploy results on the environment row
+ *   instead of the workspace
+ * - Promotion: carry the deployed architecture and image from one environment to another
+ * - Per-environment cost estimates at the environment's sizing tier
+ *
+ * Each environment has its own Terraform state key (stateBackendService.getBackendConfig),
+ * working directory (terraformExecutor.getWorkDir) and Azure resource group.
+ * Workspaces without environments keep using the workspace-level columns.
+ */
+
+const pool = require('../../config/db');
+const sizingModel = require('../cost/sizingModel');
+const planService = require('./planService');
+
+const SIZING_TIERS = ['SMALL', 'MEDIUM', 'LARGE'];
+
+// Tier used when an environment is created without one (others follow the workspace estimate)
+const DEFAULT_SIZING_TIERS = { dev: 'SMALL', staging: 'MEDIUM' };
+
+// Environments with live infrastructure
+const PROVISIONED_STATUSES = ['INFRA_READY', 'DEPLOYED', 'DESTROYING'];
+const PROMOTABLE_STATUSES = ['INFRA_READY', 'DEPLOYED'];
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]{1,19}$/;
+const REGION_PATTERN = /^[A-Za-z0-9 -]{2,50}$/;
+const TFVAR_KEY_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+// Derived from the environment or the cloud connection; never overridden through tfvars
+const PROTECTED_TFVARS = ['region', 'location', 'project_id', 'project_name', 'environment', 'role_arn', 'external_id', 'execution_role_arn', 'resource_group_name'];
+
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// ─── VALIDATION ─────────────────────────────────────────────────────────────
+
+function validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw fail(400, 'Environment name must be 2-20 lowercase letters, digits or dashes, starting with a letter');
+    }
+    return name;
+}
+
+function validateSizingTier(tier) {
+    const upper = String(tier).toUpperCase();
+    if (!SIZING_TIERS.includes(upper)) {
+        throw fail(400, `sizingTier must be one of ${SIZING_TIERS.join(', ')}`);
+    }
+    return upper;
+}
+
+function validateRegion(region) {
+    if (region === null) return null;
+    if (typeof region !== 'string' || !REGION_PATTERN.test(region)) {
+        throw fail(400, 'Invalid region');
+    }
+    return region;
+}
+
+/**
+ * tfvars overrides are written verbatim into terraform.tfvars, so only plain scalars are allowed
+ */
+function validateTfvars(tfvars) {
+    if (!tfvars || typeof tfvars !== 'object' || Array.isArray(tfvars)) {
+        throw fail(400, 'tfvars must be an object');
+    }
+    for (const [key, value] of Object.entries(tfvars)) {
+        if (!TFVAR_KEY_PATTERN.test(key)) throw fail(400, `Invalid tfvars key: ${key}`);
+        if (PROTECTED_TFVARS.includes(key)) throw fail(400, `${key} is set per environment and cannot be overridden`);
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            throw fail(400, `tfvars.${key} must be a string, number or boolean`);
+        }
+        if (typeof value === 'string' && value.includes('${')) {
+            throw fail(400, `tfvars.${key} cannot contain interpolation`);
+        }
+    }
+    return tfvars;
+}
+
+// ─── CRUD ───────────────────────────────────────────────────────────────────
+
+async function listEnvironments(workspaceId) {
+    const result = await pool.query(
+        'SELECT * FROM workspace_environments WHERE workspace_id = $1 ORDER BY created_at, id',
+        [workspaceId]
+    );
+    return result.rows;
+}
+
+async function getEnvironment(workspaceId, name) {
+    const result = await pool.query(
+        'SELECT * FROM workspace_environments WHERE workspace_id = $1 AND name = $2',
+        [workspaceId, name]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Load an environment or throw a 404
+ */
+async function requireEnvironment(workspaceId, name) {
+    const environment = await getEnvironment(workspaceId, name);
+    if (!environment) throw fail(404, `Environment '${name}' not found`);
+    return environment;
+}
+
+/**
+ * Create an environment under a workspace
+ * @param {object} options - { name, region, sizingTier, tfvars, userId }
+ * @param {object} infraSpec - Workspace infraSpec (default sizing tier)
+ * @throws {Error} with `statusCode` 400 for invalid input, 409 if the name is taken
+ */
+async function createEnvironment(workspaceId, { name, region = null, sizingTier, tfvars = {}, userId = null }, infraSpec = {}) {
+    validateName(name);
+    const tier = sizingTier
+        ? validateSizingTier(sizingTier)
+        : DEFAULT_SIZING_TIERS[name] || infraSpec.sizing?.tier || 'MEDIUM';
+
+    const result = await pool.query(
+        `INSERT INTO workspace_environments (workspace_id, name, region, sizing_tier, tfvars, created_by, deployment_history)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (workspace_id, name) DO NOTHING
+         RETURNING *`,
+        [
+            workspaceId,
+            name,
+            validateRegion(region),
+            tier,
+            JSON.stringify(validateTfvars(tfvars)),
+            userId,
+            JSON.stringify([{ action: 'ENVIRONMENT_CREATED', timestamp: new Date().toISOString(), user_id: userId }])
+        ]
+    );
+    if (result.rows.length === 0) throw fail(409, `Environment '${name}' already exists`);
+
+    console.log(`[ENVIRONMENTS] Created '${name}' (${tier}) for workspace ${workspaceId}`);
+    return result.rows[0];
+}
+
+/**
+ * Update region, sizing tier or tfvars. The region is fixed while infrastructure exists.
+ * @param {object} changes - { region, sizingTier, tfvars } (omitted keys are left alone)
+ */
+async function updateEnvironment(workspaceId, name, { region, sizingTier, tfvars }) {
+    const environment = await requireEnvironment(workspaceId, name);
+
+    if (region !== undefined && region !== environment.region && PROVISIONED_STATUSES.includes(environment.deployment_status)) {
+        throw fail(409, `Environment '${name}' is ${environment.deployment_status}; destroy it before changing its region`);
+    }
+
+    const result = await pool.query(
+        `UPDATE workspace_environments
+         SET region = $3, sizing_tier = $4, tfvars = $5, updated_at = NOW()
+         WHERE workspace_id = $1 AND name = $2
+         RETURNING *`,
+        [
+            workspaceId,
+            name,
+            region === undefined ? environment.region : validateRegion(region),
+            sizingTier === undefined ? environment.sizing_tier : validateSizingTier(sizingTier),
+            JSON.stringify(tfvars === undefined ? environment.tfvars : validateTfvars(tfvars))
+        ]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Delete an environment that has no live infrastructure
+ */
+async function deleteEnvironment(workspaceId, name) {
+    const environment = await requireEnvironment(workspaceId, name);
+    if (PROVISIONED_STATUSES.includes(environment.deployment_status)) {
+        throw fail(409, `Environment '${name}' is ${environment.deployment_status}; destroy its infrastructure first`);
+    }
+    await pool.query('DELETE FROM workspace_environments WHERE id = $1', [environment.id]);
+    console.log(`[ENVIRONMENTS] Deleted '${name}' from workspace ${workspaceId}`);
+}
+
+// ─── DEPLOY INPUTS ──────────────────────────────────────────────────────────
+
+/**
+ * Architecture an environment deploys: pinned by a promotion, otherwise the workspace's
+ */
+function getEffectiveInfraSpec(environment, stateJson = {}) {
+    return environment.infra_spec || stateJson.infraSpec || {};
+}
+
+/**
+ * Azure resource group for a workspace run (environments get their own)
+ */
+function getResourceGroupName(workspaceId, environment = null) {
+    return environment ? `rg-cldv-ws-${workspaceId}-${environment}` : `rg-cldv-ws-${workspaceId}`;
+}
+
+/**
+ * tfvars sizing for a tier. Only the AWS modules take sizingModel values directly
+ * (ECS CPU units / MiB and RDS instance classes); other providers keep module defaults.
+ */
+function getTfvarsSizing(provider, tier, costProfile = 'cost_effective') {
+    if (provider !== 'aws') return { tier };
+
+    const container = sizingModel.getSizing('compute_container', tier, costProfile);
+    const serverless = sizingModel.getSizing('compute_serverless', tier, costProfile);
+    const database = sizingModel.getSizing('relational_database', tier, costProfile);
+    return {
+        tier,
+        container_cpu: Math.round(container.cpu * 1024),
+        container_memory: Math.round(container.memory_gb * 1024),
+        function_memory: serverless.memory_mb,
+        instance_class: database.instance_class,
+        storage_gb: database.storage_gb
+    };
+}
+
+/**
+ * Extra terraformGeneratorV2.generateTerraform options for an environment run
+ */
+function getTerraformOptions(environment, provider) {
+    return {
+        environment: { name: environment.name, tfvars: environment.tfvars || {} },
+        sizing: getTfvarsSizing(provider.toLowerCase(), environment.sizing_tier)
+    };
+}
+
+// ─── RESULTS ────────────────────────────────────────────────────────────────
+
+async function appendHistory(workspaceId, name, entry) {
+    await pool.query(
+        `UPDATE workspace_environments
+         SET deployment_history = COALESCE(deployment_history, '[]'::jsonb) || $3::jsonb, updated_at = NOW()
+         WHERE workspace_id = $1 AND name = $2`,
+        [workspaceId, name, JSON.stringify([{ timestamp: new Date().toISOString(), ...entry }])]
+    );
+}
+
+/**
+ * Save apply outputs and remember which architecture is now deployed (promotion source)
+ */
+async function recordApply(workspaceId, name, outputs, entry) {
+    const result = await pool.query(
+        `UPDATE workspace_environments e
+         SET infra_outputs = $3,
+             deployed_infra_spec = COALESCE(e.infra_spec, w.state_json->'infraSpec'),
+             deployment_status = CASE WHEN e.deployment_status = 'DEPLOYED' THEN 'DEPLOYED' ELSE 'INFRA_READY' END,
+             deployment_history = COALESCE(e.deployment_history, '[]'::jsonb) || $4::jsonb,
+             updated_at = NOW()
+         FROM workspaces w
+         WHERE w.id = e.workspace_id AND e.workspace_id = $1 AND e.name = $2
+         RETURNING e.id, e.deployment_status`,
+        [workspaceId, name, JSON.stringify(outputs), JSON.stringify([{ timestamp: new Date().toISOString(), ...entry }])]
+    );
+    return result.rows[0] || null;
+}
+
+async function recordDestroy(workspaceId, name, entry) {
+    await pool.query(
+        `UPDATE workspace_environments
+         SET infra_outputs = NULL,
+             deployed_infra_spec = NULL,
+             image_ref = NULL,
+             deployment_status = 'DESTROYED',
+             deployment_history = COALESCE(deployment_history, '[]'::jsonb) || $3::jsonb,
+             updated_at = NOW()
+         WHERE workspace_id = $1 AND name = $2`,
+        [workspaceId, name, JSON.stringify([{ timestamp: new Date().toISOString(), ...entry }])]
+    );
+}
+
+/**
+ * A successful app deployment into an environment
+ */
+async function recordImageDeployment(workspaceId, name, imageRef, entry) {
+    await pool.query(
+        `UPDATE workspace_environments
+         SET image_ref = COALESCE($3, image_ref),
+             deployment_status = 'DEPLOYED',
+             deployment_history = COALESCE(deployment_history, '[]'::jsonb) || $4::jsonb,
+             updated_at = NOW()
+         WHERE workspace_id = $1 AND name = $2`,
+        [workspaceId, name, imageRef, JSON.stringify([{ timestamp: new Date().toISOString(), ...entry }])]
+    );
+}
+
+/**
+ * The workspace row as deployService sees it, pointed at an environment's outputs and region
+ */
+function toEnvironmentWorkspace(workspace, environment) {
+    const stateJson = workspace.state_json || {};
+    return {
+        ...workspace,
+        state_json: {
+            ...stateJson,
+            infra_outputs: environment.infra_outputs || {},
+            region: environment.region || stateJson.region
+        }
+    };
+}
+
+// ─── PROMOTION ──────────────────────────────────────────────────────────────
+
+/**
+ * Promote one environment into another (e.g. staging -> prod).
+ * The source's deployed architecture is pinned on the target. If the target already
+ * runs that architecture, the source image is deployed to it straight away; otherwise
+ * the target needs a Terraform plan/approve first and the promotion is repeated afterwards.
+ * @param {object} workspace - Full workspaces row
+ * @param {object} options - { from, to, userId }
+ * @returns {Promise<object>} { environment, architectureChanged, requiresPlan, image, deploymentId }
+ */
+async function promoteEnvironment(workspace, { from, to, userId = null }) {
+    if (from === to) throw fail(400, 'Cannot promote an environment into itself');
+
+    const [source, target] = await Promise.all([
+        requireEnvironment(workspace.id, from),
+        requireEnvironment(workspace.id, to)
+    ]);
+
+    if (!PROMOTABLE_STATUSES.includes(source.deployment_status) || !source.deployed_infra_spec) {
+        throw fail(409, `Environment '${from}' has no deployed infrastructure to promote`);
+    }
+    if (target.deployment_status === 'DESTROYING') {
+        throw fail(409, `Environment '${to}' is being destroyed`);
+    }
+
+    const specHash = planService.hashInfraSpec(source.deployed_infra_spec);
+    const architectureChanged = !target.deployed_infra_spec || planService.hashInfraSpec(target.deployed_infra_spec) !== specHash;
+    const requiresPlan = architectureChanged || !PROMOTABLE_STATUSES.includes(target.deployment_status);
+    const image = source.image_ref || null;
+
+    const updated = await pool.query(
+        `UPDATE workspace_environments
+         SET infra_spec = $3,
+             promoted_from = $4,
+             deployment_history = COALESCE(deployment_history, '[]'::jsonb) || $5::jsonb,
+             updated_at = NOW()
+         WHERE workspace_id = $1 AND name = $2
+         RETURNING *`,
+        [workspace.id, to, JSON.stringify(source.deployed_infra_spec), from, JSON.stringify([{
+            action: 'PROMOTED',
+            timestamp: new Date().toISOString(),
+            from,
+            infra_spec_hash: specHash,
+            image_ref: image,
+            requires_plan: requiresPlan,
+            user_id: userId
+        }])]
+    );
+
+    let deploymentId = null;
+    if (!requiresPlan && image && image !== target.image_ref) {
+        const deployService = require('./deployService');
+        deploymentId = await deployService.createDeployment(workspace.id, 'promote', {}, to);
+        deployService.deployFromDocker(deploymentId, toEnvironmentWorkspace(workspace, target), { image });
+    }
+
+    console.log(`[ENVIRONMENTS] Promoted '${from}' -> '${to}' for workspace ${workspace.id} (plan required: ${requiresPlan}, deployment: ${deploymentId || 'none'})`);
+    return { environment: updated.rows[0], architectureChanged, requiresPlan, image, deploymentId };
+}
+
+// ─── COST ───────────────────────────────────────────────────────────────────
+
+/**
+ * Intent with its scale replaced so sizingModel.determineScaleTier resolves to `tier`
+ */
+function intentForTier(intent = {}, tier) {
+    return {
+        ...intent,
+        intent_classification: { ...(intent.intent_classification || {}), scale: tier.toLowerCase() }
+    };
+}
+
+/**
+ * Monthly estimate for an environment at its sizing tier
+ */
+async function estimateEnvironmentCost(environment, stateJson = {}, costProfile = 'COST_EFFECTIVE') {
+    const infracostService = require('../cost/infracostService');
+    // generateCostEstimate annotates the spec it is given
+    const infraSpec = structuredClone(getEffectiveInfraSpec(environment, stateJson));
+    const provider = (infraSpec.resolved_region?.provider || stateJson.connection?.provider || 'aws').toLowerCase();
+    const intent = intentForTier(infraSpec.locked_intent || stateJson.intent || {}, environment.sizing_tier);
+
+    const estimate = await infracostService.generateCostEstimate(provider, infraSpec, intent, costProfile);
+    return {
+        environment: environment.name,
+        provider,
+        region: environment.region || infraSpec.resolved_region?.resolved || null,
+        tier: environment.sizing_tier,
+        sizing: infraSpec.sizing?.services || {},
+        estimate
+    };
+}
+
+/**
+ * API view of an environment (history only when asked for)
+ */
+function toEnvironmentView(environment, { includeHistory = false } = {}) {
+    if (!environment) return null;
+    const view = {
+        id: environment.id,
+        name: environment.name,
+        region: environment.region,
+        sizingTier: environment.sizing_tier,
+        tfvars: environment.tfvars || {},
+        deploymentStatus: environment.deployment_status,
+        infraOutputs: environment.infra_outputs || null,
+        imageRef: environment.image_ref,
+        pinnedArchitecture: Boolean(environment.infra_spec),
+        deployedSpecHash: environment.deployed_infra_spec ? planService.hashInfraSpec(environment.deployed_infra_spec) : null,
+        promotedFrom: environment.promoted_from,
+        createdAt: environment.created_at,
+        updatedAt: environment.updated_at
+    };
+    if (includeHistory) view.history = environment.deployment_history || [];
+    return view;
+}
+
+module.exports = {
+    SIZING_TIERS,
+    PROVISIONED_STATUSES,
+    PROMOTABLE_STATUSES,
+    listEnvironments,
+    getEnvironment,
+    requireEnvironment,
+    createEnvironment,
+    updateEnvironment,
+    deleteEnvironment,
+    getEffectiveInfraSpec,
+    getResourceGroupName,
+    getTerraformOptions,
+    appendHistory,
+    recordApply,
+    recordDestroy,
+    recordImageDeployment,
+    toEnvironmentWorkspace,
+    promoteEnvironment,
+    estimateEnvironmentCost,
+    toEnvironmentView
+};
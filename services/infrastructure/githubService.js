@@ -236,6 +236,20 @@ class GitHubService {
             throw new Error(`Failed to clone repository: ${err.message}`);
         }
     }
+
+    /**
+     * Get the commit SHA checked out in a cloned repository
+     * @returns {Promise<string|null>} Full SHA, or null if it cannot be read
+     */
+    async getHeadCommit(repoDir) {
+        try {
+            const sha = await simpleGit(repoDir).revparse(['HEAD']);
+            return sha.trim();
+        } catch (err) {
+            console.warn(`[GITHUB] Could not read HEAD commit in ${repoDir}: ${err.message}`);
+            return null;
+        }
+    }
 }
 
 module.exports = new GitHubService();
@@ -0,0 +1,721 @@
+/**
+ * iamPolicyService.js - Least-privilege access for the connected cloud identity
+ *
+ * Builds the permissions Cloudiverse needs in the user's account from the
+ * workspace's infraSpec instead of broad managed policies:
+ *   infraSpec.services -> catalog `infracost_resource_type` -> provider permissions
+ *
+ * Every variant has two flavours:
+ *   - deploy:   create/update/delete for the selected services (Terraform apply/destroy)
+ *   - readonly: describe/list/get only (cost checks and drift detection, run with -lock=false)
+ *
+ * AWS actions are scoped to `${project_name}-*` ARNs. Services whose ARNs are
+ * ID-based (EC2, CloudFront, ...) are scoped by the `Project` default tag the
+ * generator applies instead. GCP gets a custom role plus a binding condition
+ * on resource names; Azure role definitions can't filter by name, so they are
+ * limited to the resource types in use.
+ *
+ * AWS roles the deploy identity creates must carry the project's permissions
+ * boundary (`/cloudiverse-boundary/${project_name}`), so IAM access on
+ * `${project_name}-*` roles can't be turned into more than the project's own access.
+ */
+
+const yaml = require('js-yaml');
+const servicesCatalog = require('../../catalog/new_services.json');
+
+const catalogById = Object.fromEntries(servicesCatalog.services.map(s => [s.service_id, s]));
+
+// Always generated, whether or not the spec lists them
+const BASE_SERVICES = ['vpc', 'logging', 'iacstate', 'statelocking'];
+
+/**
+ * Resource prefix used by the generated Terraform (matches `project_name` in terraform.tfvars)
+ */
+function toResourcePrefix(projectName) {
+    return (projectName || 'cloudiverse-project').toLowerCase().replace(/[^a-z0-9]/g, '-');
+}
+
+/**
+ * Terraform resource types the workspace will create on a provider
+ */
+function getResourceTypes(infraSpec, provider) {
+    const serviceIds = (infraSpec?.services || []).map(s => s.service_id || s);
+    const types = new Set();
+    for (const serviceId of [...BASE_SERVICES, ...serviceIds]) {
+        const type = catalogById[serviceId]?.infracost_resource_type?.[provider];
+        if (type) types.add(type);
+    }
+    return [...types];
+}
+
+// ─── AWS ────────────────────────────────────────────────────────────────────
+
+const AWS_WRITE_VERBS = ['Create*', 'Update*', 'Modify*', 'Put*', 'Delete*', 'Tag*', 'Untag*'];
+
+/**
+ * IAM service prefix -> scoped ARNs (null = tag-scoped) and service-specific actions.
+ * `unscoped` actions don't support resource-level permissions at all.
+ */
+const AWS_SERVICE_PERMISSIONS = {
+    lambda: { arns: p => [`arn:aws:lambda:*:*:function:${p}-*`], extra: ['lambda:AddPermission', 'lambda:RemovePermission', 'lambda:PublishVersion'] },
+    ecs: {
+        arns: p => [`arn:aws:ecs:*:*:cluster/${p}-*`, `arn:aws:ecs:*:*:service/${p}-*/*`, `arn:aws:ecs:*:*:task-definition/${p}-*:*`],
+        unscoped: ['ecs:RegisterTaskDefinition', 'ecs:DeregisterTaskDefinition']
+    },
+    ecr: {
+        arns: p => [`arn:aws:ecr:*:*:repository/${p}-*`],
+        extra: ['ecr:SetRepositoryPolicy', 'ecr:BatchCheckLayerAvailability', 'ecr:BatchGetImage', 'ecr:InitiateLayerUpload', 'ecr:UploadLayerPart', 'ecr:CompleteLayerUpload'],
+        unscoped: ['ecr:GetAuthorizationToken']
+    },
+    codebuild: { arns: p => [`arn:aws:codebuild:*:*:project/${p}-*`], extra: ['codebuild:StartBuild', 'codebuild:BatchGetBuilds', 'codebuild:BatchGetProjects'] },
+    ec2: {
+        arns: null,
+        extra: ['ec2:RunInstances', 'ec2:TerminateInstances', 'ec2:StartInstances', 'ec2:StopInstances', 'ec2:Allocate*', 'ec2:Release*', 'ec2:Associate*', 'ec2:Disassociate*', 'ec2:Attach*', 'ec2:Detach*', 'ec2:Authorize*', 'ec2:Revoke*', 'ec2:Replace*']
+    },
+    batch: { arns: p => [`arn:aws:batch:*:*:compute-environment/${p}-*`, `arn:aws:batch:*:*:job-queue/${p}-*`, `arn:aws:batch:*:*:job-definition/${p}-*`], extra: ['batch:RegisterJobDefinition', 'batch:DeregisterJobDefinition'] },
+    rds: {
+        arns: p => ['db', 'cluster', 'subgrp', 'pg', 'cluster-pg', 'global-cluster'].map(t => `arn:aws:rds:*:*:${t}:${p}-*`),
+        extra: ['rds:AddTagsToResource', 'rds:RemoveTagsFromResource', 'rds:RebootDBInstance']
+    },
+    dynamodb: { arns: p => [`arn:aws:dynamodb:*:*:table/${p}-*`] },
+    elasticache: {
+        arns: p => ['cluster', 'replicationgroup', 'subnetgroup', 'parametergroup'].map(t => `arn:aws:elasticache:*:*:${t}:${p}-*`),
+        extra: ['elasticache:AddTagsToResource', 'elasticache:RemoveTagsFromResource']
+    },
+    s3: { arns: p => [`arn:aws:s3:::${p}-*`, `arn:aws:s3:::${p}-*/*`] },
+    elasticfilesystem: { arns: null },
+    backup: { arns: p => [`arn:aws:backup:*:*:backup-vault:${p}-*`, 'arn:aws:backup:*:*:backup-plan:*'] },
+    apigateway: { arns: null, write: ['apigateway:POST', 'apigateway:PUT', 'apigateway:PATCH', 'apigateway:DELETE'], read: ['apigateway:GET'] },
+    elasticloadbalancing: {
+        arns: p => [`arn:aws:elasticloadbalancing:*:*:loadbalancer/*/${p}-*/*`, `arn:aws:elasticloadbalancing:*:*:targetgroup/${p}-*/*`, `arn:aws:elasticloadbalancing:*:*:listener/*/${p}-*/*`, `arn:aws:elasticloadbalancing:*:*:listener-rule/*/${p}-*/*`],
+        extra: ['elasticloadbalancing:AddTags', 'elasticloadbalancing:RemoveTags', 'elasticloadbalancing:RegisterTargets', 'elasticloadbalancing:DeregisterTargets', 'elasticloadbalancing:SetSecurityGroups', 'elasticloadbalancing:SetSubnets']
+    },
+    'cognito-idp': { arns: null },
+    cloudfront: { arns: null, extra: ['cloudfront:CreateInvalidation'] },
+    // Hosted zones are ID-based and Route 53 has no tag conditions
+    route53: { arns: () => ['arn:aws:route53:::hostedzone/*', 'arn:aws:route53:::change/*'], extra: ['route53:ChangeResourceRecordSets', 'route53:ChangeTagsForResource'] },
+    acm: { arns: null, extra: ['acm:RequestCertificate', 'acm:AddTagsToCertificate', 'acm:RemoveTagsFromCertificate'] },
+    servicediscovery: { arns: null },
+    appmesh: { arns: p => [`arn:aws:appmesh:*:*:mesh/${p}-*`, `arn:aws:appmesh:*:*:mesh/${p}-*/*`] },
+    sqs: { arns: p => [`arn:aws:sqs:*:*:${p}-*`], extra: ['sqs:SetQueueAttributes', 'sqs:AddPermission', 'sqs:RemovePermission'] },
+    events: { arns: p => [`arn:aws:events:*:*:event-bus/${p}-*`, `arn:aws:events:*:*:rule/${p}-*`, `arn:aws:events:*:*:rule/${p}-*/*`], extra: ['events:RemoveTargets'] },
+    states: { arns: p => [`arn:aws:states:*:*:stateMachine:${p}-*`] },
+    sns: { arns: p => [`arn:aws:sns:*:*:${p}-*`], extra: ['sns:SetTopicAttributes', 'sns:Subscribe', 'sns:Unsubscribe'] },
+    ses: { arns: null, extra: ['ses:VerifyDomainIdentity', 'ses:VerifyDomainDkim'] },
+    secretsmanager: { arns: p => [`arn:aws:secretsmanager:*:*:secret:${p}-*`] },
+    kms: { arns: null, extra: ['kms:EnableKeyRotation', 'kms:ScheduleKeyDeletion', 'kms:Encrypt', 'kms:Decrypt', 'kms:GenerateDataKey'] },
+    wafv2: {
+        arns: p => ['webacl', 'ipset', 'rulegroup'].map(t => `arn:aws:wafv2:*:*:*/${t}/${p}-*/*`),
+        extra: ['wafv2:AssociateWebACL', 'wafv2:DisassociateWebACL']
+    },
+    shield: { arns: null },
+    config: { arns: null },
+    logs: { arns: p => [`arn:aws:logs:*:*:log-group:${p}-*`, `arn:aws:logs:*:*:log-group:/aws/*/${p}-*`] },
+    cloudwatch: { arns: p => [`arn:aws:cloudwatch:*:*:alarm:${p}-*`, `arn:aws:cloudwatch::*:dashboard/${p}-*`] },
+    xray: { arns: p => [`arn:aws:xray:*:*:group/${p}-*/*`] },
+    securityhub: { arns: null, extra: ['securityhub:EnableSecurityHub', 'securityhub:DisableSecurityHub'] },
+    codepipeline: { arns: p => [`arn:aws:codepipeline:*:*:${p}-*`] },
+    codeartifact: { arns: p => [`arn:aws:codeartifact:*:*:domain/${p}-*`, `arn:aws:codeartifact:*:*:repository/${p}-*/*`] },
+    globalaccelerator: { arns: null },
+    iot: { arns: p => [`arn:aws:iot:*:*:thing/${p}-*`] },
+    kinesis: { arns: p => [`arn:aws:kinesis:*:*:stream/${p}-*`], extra: ['kinesis:AddTagsToStream', 'kinesis:RemoveTagsFromStream', 'kinesis:IncreaseStreamRetentionPeriod', 'kinesis:DecreaseStreamRetentionPeriod'] },
+    kinesisanalytics: { arns: p => [`arn:aws:kinesisanalytics:*:*:application/${p}-*`] },
+    timestream: { arns: p => [`arn:aws:timestream:*:*:database/${p}-*`], unscoped: ['timestream:DescribeEndpoints'] },
+    sagemaker: { arns: p => [`arn:aws:sagemaker:*:*:*/${p}-*`] },
+    es: { arns: p => [`arn:aws:es:*:*:domain/${p}-*`] },
+    redshift: { arns: p => [`arn:aws:redshift:*:*:cluster:${p}-*`, `arn:aws:redshift:*:*:subnetgroup:${p}-*`] },
+    glue: { arns: p => ['arn:aws:glue:*:*:catalog', `arn:aws:glue:*:*:job/${p}-*`, `arn:aws:glue:*:*:database/${p}-*`, `arn:aws:glue:*:*:table/${p}-*/*`] },
+    quicksight: { arns: null },
+    inspector: { arns: null },
+    'network-firewall': { arns: p => ['firewall', 'firewall-policy', 'stateful-rulegroup', 'stateless-rulegroup'].map(t => `arn:aws:network-firewall:*:*:${t}/${p}-*`) },
+    ssm: { arns: p => [`arn:aws:ssm:*:*:parameter/${p}-*`, `arn:aws:ssm:*:*:parameter/${p}/*`] },
+    cloudtrail: { arns: p => [`arn:aws:cloudtrail:*:*:trail/${p}-*`], extra: ['cloudtrail:StartLogging', 'cloudtrail:StopLogging'] }
+};
+
+// Catalog Terraform resource type -> IAM service prefixes it needs
+const AWS_RESOURCE_SERVICES = {
+    aws_lambda_function: ['lambda', 'logs'],
+    awsecsservice: ['ecs', 'ecr', 'codebuild', 'elasticloadbalancing', 'logs'],
+    aws_instance: ['ec2'],
+    aws_batch_compute_environment: ['batch', 'ec2'],
+    aws_batch_job_definition: ['batch'],
+    aws_db_instance: ['rds', 'secretsmanager'],
+    aws_rds_global_cluster: ['rds'],
+    aws_dynamodb_table: ['dynamodb'],
+    aws_elasticache_cluster: ['elasticache'],
+    aws_s3_bucket: ['s3'],
+    aws_ebs_volume: ['ec2'],
+    aws_efs_file_system: ['elasticfilesystem'],
+    aws_backup_vault: ['backup'],
+    aws_apigatewayv2_api: ['apigateway'],
+    aws_lb: ['elasticloadbalancing'],
+    aws_cognito_user_pool: ['cognito-idp'],
+    aws_cloudfront_distribution: ['cloudfront'],
+    aws_route53_zone: ['route53'],
+    aws_nat_gateway: ['ec2'],
+    aws_vpn_gateway: ['ec2'],
+    aws_vpc_endpoint: ['ec2'],
+    aws_vpc: ['ec2'],
+    aws_subnet: ['ec2'],
+    aws_internet_gateway: ['ec2'],
+    aws_ec2_transit_gateway: ['ec2'],
+    aws_security_group: ['ec2'],
+    aws_service_discovery_private_dns_namespace: ['servicediscovery', 'route53'],
+    aws_appmesh_mesh: ['appmesh'],
+    aws_sqs_queue: ['sqs'],
+    aws_cloudwatch_event_bus: ['events'],
+    aws_sfn_state_machine: ['states'],
+    aws_sns_topic: ['sns'],
+    aws_sns_platform_application: ['sns'],
+    aws_ses_domain_identity: ['ses'],
+    aws_secretsmanager_secret: ['secretsmanager'],
+    aws_kms_key: ['kms'],
+    aws_acm_certificate: ['acm'],
+    aws_wafv2_web_acl: ['wafv2'],
+    aws_shield_protection: ['shield'],
+    aws_config_config_rule: ['config'],
+    aws_cloudwatch_log_group: ['logs'],
+    aws_cloudwatch_metric_alarm: ['cloudwatch'],
+    aws_cloudwatch_dashboard: ['cloudwatch'],
+    aws_xray_group: ['xray'],
+    aws_securityhub_account: ['securityhub'],
+    aws_ecr_repository: ['ecr'],
+    aws_codepipeline: ['codepipeline'],
+    aws_codebuild_project: ['codebuild'],
+    aws_codeartifact_domain: ['codeartifact'],
+    aws_globalaccelerator_accelerator: ['globalaccelerator'],
+    aws_iot_thing: ['iot'],
+    aws_kinesis_stream: ['kinesis'],
+    aws_kinesis_analytics_application: ['kinesisanalytics'],
+    aws_timestream_database: ['timestream'],
+    aws_sagemaker_notebook_instance: ['sagemaker'],
+    aws_sagemaker_endpoint_configuration: ['sagemaker'],
+    aws_sagemaker_feature_group: ['sagemaker'],
+    aws_sagemaker_domain: ['sagemaker'],
+    aws_opensearch_domain: ['es'],
+    aws_redshift_cluster: ['redshift'],
+    aws_glue_job: ['glue'],
+    aws_glue_catalog_database: ['glue'],
+    aws_quicksight_user: ['quicksight'],
+    aws_iam_policy: [],
+    aws_inspector_assessment_target: ['inspector'],
+    aws_network_firewall_firewall: ['network-firewall'],
+    aws_ssm_parameter: ['ssm'],
+    aws_cloudtrail: ['cloudtrail', 's3']
+};
+
+// Kept outside `policy/${prefix}-*` so the deploy identity can't rewrite its own boundary
+const AWS_BOUNDARY_PATH = '/cloudiverse-boundary/';
+
+/**
+ * ARN of the project's permissions boundary (the generator sets it on every aws_iam_role)
+ */
+function awsBoundaryArn(prefix, accountId = '*') {
+    return `arn:aws:iam::${accountId}:policy${AWS_BOUNDARY_PATH}${prefix}`;
+}
+
+function toSid(prefix, suffix) {
+    return prefix.replace(/(^|-)([a-z0-9])/g, (_, __, c) => c.toUpperCase()) + suffix;
+}
+
+/**
+ * Build the IAM policy document for the cross-account role
+ * @param {object} infraSpec - Workspace infraSpec
+ * @param {string} projectName - Project name (resource prefix is derived from it)
+ * @param {object} options - { readOnly }
+ */
+function buildAwsPolicy(infraSpec, projectName, { readOnly = false } = {}) {
+    const prefix = toResourcePrefix(projectName);
+    const iamPrefixes = [...new Set(getResourceTypes(infraSpec, 'aws').flatMap(t => AWS_RESOURCE_SERVICES[t] || []))];
+
+    const statements = [
+        {
+            Sid: 'PreflightAndIdentity',
+            Effect: 'Allow',
+            Action: ['sts:GetCallerIdentity', 's3:ListAllMyBuckets', 'kms:ListKeys', 'cloudtrail:DescribeTrails', 'cloudfront:ListDistributions'],
+            Resource: '*'
+        },
+        {
+            // Describe/List calls rarely support resource-level permissions
+            Sid: 'ReadMetadata',
+            Effect: 'Allow',
+            Action: iamPrefixes.flatMap(p => AWS_SERVICE_PERMISSIONS[p].read || [`${p}:Describe*`, `${p}:List*`]),
+            Resource: '*'
+        },
+        {
+            // Remote Terraform state (stateBackendService)
+            Sid: 'TerraformStateRead',
+            Effect: 'Allow',
+            Action: ['s3:GetObject', 's3:ListBucket', 's3:GetBucketLocation', 'dynamodb:DescribeTable', 'cloudformation:DescribeStacks'],
+            Resource: ['arn:aws:s3:::cldv-tfstate-*', 'arn:aws:s3:::cldv-tfstate-*/*', 'arn:aws:dynamodb:*:*:table/cldv-tfstate-locks', 'arn:aws:cloudformation:*:*:stack/cloudiverse-tfstate/*']
+        }
+    ];
+
+    for (const p of iamPrefixes) {
+        const perms = AWS_SERVICE_PERMISSIONS[p];
+        const actions = readOnly
+            ? (perms.read ? [] : [`${p}:Get*`])
+            : [...(perms.write || AWS_WRITE_VERBS.map(v => `${p}:${v}`)), ...(perms.read ? [] : [`${p}:Get*`]), ...(perms.extra || [])];
+        if (actions.length === 0) continue;
+
+        const statement = { Sid: toSid(p, readOnly ? 'Read' : 'Manage'), Effect: 'Allow', Action: actions };
+        if (perms.arns) {
+            statement.Resource = perms.arns(prefix);
+        } else {
+            // ID-based ARNs: scope by the Project default tag instead
+            statement.Resource = '*';
+            statement.Condition = {
+                StringEqualsIfExists: {
+                    'aws:RequestTag/Project': prefix,
+                    'aws:ResourceTag/Project': prefix
+                }
+            };
+        }
+        statements.push(statement);
+
+        if (!readOnly && perms.unscoped) {
+            statements.push({ Sid: toSid(p, 'Unscoped'), Effect: 'Allow', Action: perms.unscoped, Resource: '*' });
+        }
+    }
+
+    if (readOnly) {
+        statements.push({
+            Sid: 'CostAndUsage',
+            Effect: 'Allow',
+            Action: ['ce:GetCostAndUsage', 'ce:GetCostForecast', 'tag:GetResources', 'cloudwatch:GetMetricData', 'cloudwatch:GetMetricStatistics', 'pricing:GetProducts'],
+            Resource: '*'
+        });
+    } else {
+        statements.push(
+            {
+                // Roles only get created or granted policies with the project boundary attached
+                Sid: 'BoundedProjectRoles',
+                Effect: 'Allow',
+                Action: ['iam:CreateRole', 'iam:PutRolePolicy', 'iam:AttachRolePolicy'],
+                Resource: `arn:aws:iam::*:role/${prefix}-*`,
+                Condition: { StringLike: { 'iam:PermissionsBoundary': awsBoundaryArn(prefix) } }
+            },
+            {
+                Sid: 'ProjectRoles',
+                Effect: 'Allow',
+                Action: ['iam:DeleteRole', 'iam:GetRole', 'iam:TagRole', 'iam:UntagRole', 'iam:UpdateAssumeRolePolicy', 'iam:GetRolePolicy', 'iam:DeleteRolePolicy', 'iam:ListRolePolicies', 'iam:DetachRolePolicy', 'iam:ListAttachedRolePolicies', 'iam:ListInstanceProfilesForRole', 'iam:CreateInstanceProfile', 'iam:DeleteInstanceProfile', 'iam:GetInstanceProfile', 'iam:AddRoleToInstanceProfile', 'iam:RemoveRoleFromInstanceProfile', 'iam:CreatePolicy', 'iam:DeletePolicy', 'iam:GetPolicy', 'iam:GetPolicyVersion', 'iam:CreatePolicyVersion', 'iam:DeletePolicyVersion', 'iam:ListPolicyVersions'],
+                Resource: [`arn:aws:iam::*:role/${prefix}-*`, `arn:aws:iam::*:instance-profile/${prefix}-*`, `arn:aws:iam::*:policy/${prefix}-*`]
+            },
+            {
+                Sid: 'PassProjectRoles',
+                Effect: 'Allow',
+                Action: 'iam:PassRole',
+                Resource: `arn:aws:iam::*:role/${prefix}-*`
+            },
+            {
+                Sid: 'ServiceLinkedRoles',
+                Effect: 'Allow',
+                Action: 'iam:CreateServiceLinkedRole',
+                Resource: 'arn:aws:iam::*:role/aws-service-role/*'
+            },
+            {
+                Sid: 'TerraformStateBootstrap',
+                Effect: 'Allow',
+                Action: ['cloudformation:CreateStack', 's3:CreateBucket', 's3:PutObject', 's3:DeleteObject', 's3:PutBucket*', 's3:PutEncryptionConfiguration', 's3:PutLifecycleConfiguration', 'dynamodb:CreateTable', 'dynamodb:TagResource', 'dynamodb:GetItem', 'dynamodb:PutItem', 'dynamodb:DeleteItem'],
+                Resource: ['arn:aws:s3:::cldv-tfstate-*', 'arn:aws:s3:::cldv-tfstate-*/*', 'arn:aws:dynamodb:*:*:table/cldv-tfstate-locks', 'arn:aws:cloudformation:*:*:stack/cloudiverse-tfstate/*']
+            }
+        );
+    }
+
+    return { Version: '2012-10-17', Statement: statements };
+}
+
+/**
+ * Permissions boundary for the roles Terraform creates (Lambda, ECS, CodeBuild, ...).
+ * Limits them to the project's own resources plus the runtime basics (logs, image
+ * pulls, metrics) and never IAM, whatever policies get attached to them.
+ * @param {object} infraSpec - Workspace infraSpec
+ * @param {string} projectName - Project name (resource prefix is derived from it)
+ */
+function buildAwsBoundaryPolicy(infraSpec, projectName) {
+    const prefix = toResourcePrefix(projectName);
+    const iamPrefixes = [...new Set(getResourceTypes(infraSpec, 'aws').flatMap(t => AWS_RESOURCE_SERVICES[t] || []))];
+    const arnScoped = iamPrefixes.filter(p => AWS_SERVICE_PERMISSIONS[p].arns);
+    const tagScoped = iamPrefixes.filter(p => !AWS_SERVICE_PERMISSIONS[p].arns);
+
+    const statements = [
+        {
+            Sid: 'WorkloadRuntime',
+            Effect: 'Allow',
+            Action: ['logs:CreateLogGroup', 'logs:CreateLogStream', 'logs:PutLogEvents', 'ecr:GetAuthorizationToken', 'ecr:BatchCheckLayerAvailability', 'ecr:GetDownloadUrlForLayer', 'ecr:BatchGetImage', 'cloudwatch:PutMetricData', 'xray:PutTraceSegments', 'xray:PutTelemetryRecords', 'sts:GetCallerIdentity'],
+            Resource: '*'
+        }
+    ];
+    if (iamPrefixes.length > 0) {
+        statements.push({
+            Sid: 'ReadMetadata',
+            Effect: 'Allow',
+            Action: iamPrefixes.flatMap(p => AWS_SERVICE_PERMISSIONS[p].read || [`${p}:Describe*`, `${p}:List*`]),
+            Resource: '*'
+        });
+    }
+    if (arnScoped.length > 0) {
+        statements.push({
+            Sid: 'ProjectResources',
+            Effect: 'Allow',
+            Action: arnScoped.map(p => `${p}:*`),
+            Resource: arnScoped.flatMap(p => AWS_SERVICE_PERMISSIONS[p].arns(prefix))
+        });
+    }
+    if (tagScoped.length > 0) {
+        statements.push({
+            Sid: 'ProjectTaggedResources',
+            Effect: 'Allow',
+            Action: tagScoped.map(p => `${p}:*`),
+            Resource: '*',
+            Condition: {
+                StringEqualsIfExists: {
+                    'aws:RequestTag/Project': prefix,
+                    'aws:ResourceTag/Project': prefix
+                }
+            }
+        });
+    }
+
+    return { Version: '2012-10-17', Statement: statements };
+}
+
+// Managed policy documents are capped at 6,144 characters (whitespace excluded)
+const AWS_MANAGED_POLICY_MAX_CHARS = 6000;
+
+/**
+ * Split a policy's statements into documents that each fit one managed policy
+ */
+function chunkPolicyDocument(policyDocument) {
+    const chunks = [];
+    let current = [];
+    for (const statement of policyDocument.Statement) {
+        const candidate = [...current, statement];
+        if (current.length > 0 && JSON.stringify({ Version: policyDocument.Version, Statement: candidate }).length > AWS_MANAGED_POLICY_MAX_CHARS) {
+            chunks.push(current);
+            current = [statement];
+        } else {
+            current = candidate;
+        }
+    }
+    if (current.length > 0) chunks.push(current);
+    return chunks.map(Statement => ({ Version: policyDocument.Version, Statement }));
+}
+
+/**
+ * CloudFormation template for the cross-account role carrying the generated policy.
+ * Inline role policies share a 10,240 character budget, so the statements are
+ * attached as one or more customer-managed policies created by the same stack.
+ * The deploy variant also creates the project's permissions boundary.
+ * @param {object} options - { externalId, accountId, backendIdentityArn, policyDocument, boundaryDocument, resourcePrefix, readOnly }
+ */
+function buildAwsRoleTemplate({ externalId, accountId, backendIdentityArn, policyDocument, boundaryDocument = null, resourcePrefix = null, readOnly = false }) {
+    const roleResource = readOnly ? 'CloudiverseReadOnlyRole' : 'CloudiverseAccessRole';
+    const policyBaseName = readOnly ? 'CloudiverseReadOnlyAccess' : 'CloudiverseProjectAccess';
+    const principals = [{ Ref: 'CloudiverseAccountId' }];
+    if (backendIdentityArn) principals.push(backendIdentityArn);
+
+    const policyResources = {};
+    chunkPolicyDocument(policyDocument).forEach((document, i) => {
+        policyResources[`${policyBaseName}${i + 1}`] = {
+            Type: 'AWS::IAM::ManagedPolicy',
+            Properties: {
+                ManagedPolicyName: { 'Fn::Sub': `${policyBaseName}${i + 1}-\${ExternalId}` },
+                Roles: [{ Ref: roleResource }],
+                PolicyDocument: document
+            }
+        };
+    });
+    if (boundaryDocument && resourcePrefix) {
+        policyResources.CloudiverseProjectBoundary = {
+            Type: 'AWS::IAM::ManagedPolicy',
+            Properties: {
+                ManagedPolicyName: resourcePrefix,
+                Path: AWS_BOUNDARY_PATH,
+                PolicyDocument: boundaryDocument
+            }
+        };
+    }
+
+    const template = {
+        AWSTemplateFormatVersion: '2010-09-09',
+        Description: readOnly ? 'Cloudiverse Cross-Account Read-Only Role (cost and drift checks)' : 'Cloudiverse Cross-Account Access Role',
+        Parameters: {
+            ExternalId: { Type: 'String', Description: 'The External ID for security', Default: externalId },
+            CloudiverseAccountId: { Type: 'String', Description: 'The Cloudiverse AWS Account ID (Root)', Default: accountId }
+        },
+        Resources: {
+            [roleResource]: {
+                Type: 'AWS::IAM::Role',
+                Properties: {
+                    RoleName: { 'Fn::Sub': `${roleResource}-\${ExternalId}` },
+                    AssumeRolePolicyDocument: {
+                        Version: '2012-10-17',
+                        Statement: [{
+                            Effect: 'Allow',
+                            Principal: { AWS: principals },
+                            Action: 'sts:AssumeRole',
+                            Condition: { StringEquals: { 'sts:ExternalId': { Ref: 'ExternalId' } } }
+                        }]
+                    }
+                }
+            },
+            ...policyResources
+        },
+        Outputs: {
+            RoleArn: {
+                Description: 'The ARN of the role to paste into Cloudiverse',
+                Value: { 'Fn::GetAtt': [roleResource, 'Arn'] }
+            }
+        }
+    };
+
+    return yaml.dump(template, { lineWidth: -1, noRefs: true });
+}
+
+// ─── GCP ────────────────────────────────────────────────────────────────────
+
+/**
+ * Expand `service.collection` into permissions. Custom roles don't accept wildcards.
+ */
+function gcpPerms(collection, read = ['get', 'list'], write = ['create', 'update', 'delete']) {
+    return { read: read.map(v => `${collection}.${v}`), write: write.map(v => `${collection}.${v}`) };
+}
+
+function mergeGcp(...parts) {
+    return { read: parts.flatMap(p => p.read), write: parts.flatMap(p => p.write) };
+}
+
+const GCP_RESOURCE_PERMISSIONS = {
+    google_cloudfunctions_function: mergeGcp(gcpPerms('cloudfunctions.functions', ['get', 'list', 'getIamPolicy'], ['create', 'update', 'delete', 'sourceCodeSet', 'setIamPolicy']), gcpPerms('cloudfunctions.operations', ['get'], [])),
+    google_cloud_run_service: mergeGcp(gcpPerms('run.services', ['get', 'list', 'getIamPolicy'], ['create', 'update', 'delete', 'setIamPolicy']), gcpPerms('run.operations', ['get'], [])),
+    google_cloud_run_v2_job: gcpPerms('run.jobs'),
+    google_compute_instance: mergeGcp(gcpPerms('compute.instances', ['get', 'list'], ['create', 'delete', 'setMetadata', 'setTags', 'setLabels', 'setServiceAccount', 'start', 'stop']), gcpPerms('compute.disks', [], ['create']), gcpPerms('compute.zoneOperations', ['get'], [])),
+    google_sql_database_instance: mergeGcp(gcpPerms('cloudsql.instances'), gcpPerms('cloudsql.databases'), gcpPerms('cloudsql.users', ['list'], ['create', 'update', 'delete']), gcpPerms('servicenetworking.services', [], ['addPeering'])),
+    google_firestore_database: gcpPerms('datastore.databases'),
+    google_redis_instance: mergeGcp(gcpPerms('redis.instances'), gcpPerms('redis.operations', ['get'], [])),
+    google_storage_bucket: mergeGcp(gcpPerms('storage.buckets', ['get', 'list', 'getIamPolicy'], ['create', 'update', 'delete', 'setIamPolicy']), gcpPerms('storage.objects', ['get', 'list'], ['create', 'delete'])),
+    google_compute_disk: gcpPerms('compute.disks', ['get', 'list'], ['create', 'delete', 'setLabels']),
+    google_filestore_instance: gcpPerms('file.instances'),
+    google_compute_resource_policy: gcpPerms('compute.resourcePolicies', ['get', 'list'], ['create', 'delete']),
+    google_api_gateway_api: mergeGcp(gcpPerms('apigateway.apis'), gcpPerms('apigateway.apiconfigs'), gcpPerms('apigateway.gateways')),
+    google_compute_global_forwarding_rule: mergeGcp(
+        gcpPerms('compute.globalForwardingRules', ['get', 'list'], ['create', 'delete']),
+        gcpPerms('compute.targetHttpProxies', ['get', 'list'], ['create', 'delete', 'use']),
+        gcpPerms('compute.urlMaps', ['get', 'list'], ['create', 'update', 'delete', 'use']),
+        gcpPerms('compute.backendServices', ['get', 'list'], ['create', 'update', 'delete', 'use']),
+        gcpPerms('compute.healthChecks', ['get', 'list'], ['create', 'update', 'delete', 'useReadOnly']),
+        gcpPerms('compute.globalAddresses', ['get', 'list'], ['create', 'delete', 'use'])
+    ),
+    google_identity_platform_config: gcpPerms('firebaseauth.configs', ['get'], ['create', 'update']),
+    google_compute_backend_bucket: gcpPerms('compute.backendBuckets', ['get', 'list'], ['create', 'update', 'delete', 'use']),
+    google_dns_managed_zone: mergeGcp(gcpPerms('dns.managedZones'), gcpPerms('dns.changes', ['get'], ['create']), gcpPerms('dns.resourceRecordSets', ['list'], ['create', 'update', 'delete'])),
+    google_compute_router_nat: gcpPerms('compute.routers'),
+    google_compute_router: gcpPerms('compute.routers'),
+    google_compute_vpn_gateway: gcpPerms('compute.vpnGateways', ['get', 'list'], ['create', 'delete']),
+    google_compute_service_attachment: gcpPerms('compute.serviceAttachments', ['get', 'list'], ['create', 'delete']),
+    google_service_directory_namespace: gcpPerms('servicedirectory.namespaces'),
+    google_gke_hub_feature_membership: gcpPerms('gkehub.features'),
+    google_pubsub_subscription: mergeGcp(gcpPerms('pubsub.subscriptions'), gcpPerms('pubsub.topics', [], ['attachSubscription'])),
+    google_pubsub_topic: gcpPerms('pubsub.topics'),
+    google_workflows_workflow: gcpPerms('workflows.workflows'),
+    google_cloud_tasks_queue: gcpPerms('cloudtasks.queues'),
+    google_secret_manager_secret: mergeGcp(gcpPerms('secretmanager.secrets'), gcpPerms('secretmanager.versions', ['get', 'list', 'access'], ['add', 'destroy'])),
+    google_kms_crypto_key: mergeGcp(gcpPerms('cloudkms.keyRings', ['get', 'list'], ['create']), gcpPerms('cloudkms.cryptoKeys', ['get', 'list'], ['create', 'update'])),
+    google_certificate_manager_certificate: gcpPerms('certificatemanager.certs'),
+    google_compute_security_policy: gcpPerms('compute.securityPolicies', ['get', 'list'], ['create', 'update', 'delete', 'use']),
+    google_org_policy_policy: gcpPerms('orgpolicy.policy', ['get'], ['set']),
+    google_logging_project_sink: gcpPerms('logging.sinks'),
+    google_monitoring_alert_policy: gcpPerms('monitoring.alertPolicies'),
+    google_monitoring_custom_service: gcpPerms('monitoring.services'),
+    google_monitoring_metric_descriptor: gcpPerms('monitoring.metricDescriptors', ['get', 'list'], ['create', 'delete']),
+    google_monitoring_dashboard: gcpPerms('monitoring.dashboards'),
+    google_scc_source: gcpPerms('securitycenter.sources', ['get', 'list'], ['create', 'update']),
+    google_artifact_registry_repository: gcpPerms('artifactregistry.repositories', ['get', 'list', 'downloadArtifacts'], ['create', 'update', 'delete', 'uploadArtifacts']),
+    google_cloudbuild_trigger: mergeGcp(gcpPerms('cloudbuild.builds', ['get', 'list'], ['create', 'update']), gcpPerms('cloudbuild.triggers', ['get', 'list'], ['create', 'update', 'delete'])),
+    google_firebase_project: gcpPerms('firebase.projects', ['get'], ['update']),
+    google_cloudiot_registry: gcpPerms('cloudiot.registries'),
+    google_dataflow_job: gcpPerms('dataflow.jobs', ['get', 'list'], ['create', 'cancel', 'updateContents']),
+    google_notebooks_instance: gcpPerms('notebooks.instances'),
+    google_vertex_ai_endpoint: gcpPerms('aiplatform.endpoints'),
+    google_vertex_ai_featurestore: gcpPerms('aiplatform.featurestores'),
+    google_vertex_ai_tensorboard: gcpPerms('aiplatform.tensorboards'),
+    google_vertex_ai_index: gcpPerms('aiplatform.indexes'),
+    google_vertex_ai_pipeline_job: gcpPerms('aiplatform.pipelineJobs', ['get', 'list'], ['create', 'cancel', 'delete']),
+    google_bigquery_dataset: mergeGcp(gcpPerms('bigquery.datasets', ['get'], ['create', 'update', 'delete']), gcpPerms('bigquery.tables')),
+    google_data_catalog_entry_group: gcpPerms('datacatalog.entryGroups'),
+    google_looker_instance: gcpPerms('looker.instances'),
+    google_project_iam_policy: gcpPerms('resourcemanager.projects', ['getIamPolicy'], ['setIamPolicy']),
+    google_data_loss_prevention_job_trigger: gcpPerms('dlp.jobTriggers'),
+    google_compute_network: mergeGcp(gcpPerms('compute.networks', ['get', 'list'], ['create', 'update', 'delete', 'updatePolicy']), gcpPerms('compute.globalOperations', ['get'], [])),
+    google_compute_subnetwork: mergeGcp(gcpPerms('compute.subnetworks', ['get', 'list'], ['create', 'update', 'delete', 'use']), gcpPerms('compute.regionOperations', ['get'], [])),
+    google_compute_firewall: gcpPerms('compute.firewalls')
+};
+
+const GCP_BASE_PERMISSIONS = mergeGcp(
+    gcpPerms('resourcemanager.projects', ['get', 'getIamPolicy'], []),
+    gcpPerms('serviceusage.services', ['get', 'list'], ['enable']),
+    gcpPerms('iam.serviceAccounts', ['get', 'list'], ['create', 'update', 'delete', 'actAs'])
+);
+
+const GCP_COST_PERMISSIONS = ['billing.resourceCosts.get', 'monitoring.timeSeries.list', 'cloudasset.assets.searchAllResources'];
+
+/**
+ * Custom role for the connected GCP identity, plus the IAM condition that
+ * limits it to `${project_name}-*` resources when bound.
+ * Creates are evaluated against the parent project, so the condition lets project-level checks through.
+ */
+function buildGcpCustomRole(infraSpec, projectName, { readOnly = false } = {}) {
+    const prefix = toResourcePrefix(projectName);
+    const permissions = new Set();
+
+    for (const perms of [GCP_BASE_PERMISSIONS, ...getResourceTypes(infraSpec, 'gcp').map(t => GCP_RESOURCE_PERMISSIONS[t]).filter(Boolean)]) {
+        perms.read.forEach(p => permissions.add(p));
+        if (!readOnly) perms.write.forEach(p => permissions.add(p));
+    }
+    if (readOnly) GCP_COST_PERMISSIONS.forEach(p => permissions.add(p));
+
+    const roleId = `cloudiverse_${prefix.replace(/-/g, '_')}${readOnly ? '_readonly' : ''}`.slice(0, 64);
+    return {
+        roleId,
+        role: {
+            title: `Cloudiverse ${readOnly ? 'Read-Only' : 'Deploy'} (${prefix})`,
+            description: readOnly
+                ? `Cost and drift checks for ${prefix}-* resources`
+                : `Terraform deploy/destroy for ${prefix}-* resources`,
+            stage: 'GA',
+            includedPermissions: [...permissions].sort()
+        },
+        condition: {
+            title: `${prefix}-resources`,
+            expression: `resource.type == "cloudresourcemanager.googleapis.com/Project" || resource.name.contains("/${prefix}-")`
+        }
+    };
+}
+
+// ─── AZURE ──────────────────────────────────────────────────────────────────
+
+// Catalog Terraform resource type -> ARM resource types
+const AZURE_RESOURCE_TYPES = {
+    azurerm_function_app: ['Microsoft.Web/sites', 'Microsoft.Web/serverfarms'],
+    azurerm_container_app: ['Microsoft.App/containerApps', 'Microsoft.App/managedEnvironments', 'Microsoft.OperationalInsights/workspaces'],
+    azurerm_virtual_machine: ['Microsoft.Compute/virtualMachines', 'Microsoft.Compute/disks', 'Microsoft.Network/networkInterfaces', 'Microsoft.Network/publicIPAddresses'],
+    azurerm_batch_pool: ['Microsoft.Batch/batchAccounts'],
+    azurerm_batch_job: ['Microsoft.Batch/batchAccounts'],
+    azurerm_cdn_endpoint: ['Microsoft.Cdn/profiles'],
+    azurerm_postgresql_server: ['Microsoft.DBforPostgreSQL/servers', 'Microsoft.DBforPostgreSQL/flexibleServers'],
+    azurerm_cosmosdb_account: ['Microsoft.DocumentDB/databaseAccounts'],
+    azurerm_redis_cache: ['Microsoft.Cache/redis'],
+    azurerm_storage_account: ['Microsoft.Storage/storageAccounts'],
+    azurerm_managed_disk: ['Microsoft.Compute/disks'],
+    azurerm_storage_share: ['Microsoft.Storage/storageAccounts'],
+    azurerm_storage_data_lake_gen2_filesystem: ['Microsoft.Storage/storageAccounts'],
+    azurerm_backup_vault: ['Microsoft.DataProtection/backupVaults'],
+    azurerm_api_management: ['Microsoft.ApiManagement/service'],
+    azurerm_lb: ['Microsoft.Network/loadBalancers', 'Microsoft.Network/publicIPAddresses'],
+    azurerm_active_directory_domain_service: ['Microsoft.AAD/domainServices'],
+    azurerm_dns_zone: ['Microsoft.Network/dnsZones'],
+    azurerm_nat_gateway: ['Microsoft.Network/natGateways', 'Microsoft.Network/publicIPAddresses'],
+    azurerm_vpn_gateway: ['Microsoft.Network/vpnGateways'],
+    azurerm_private_endpoint: ['Microsoft.Network/privateEndpoints'],
+    azurerm_private_dns_zone: ['Microsoft.Network/privateDnsZones'],
+    azurerm_servicebus_queue: ['Microsoft.ServiceBus/namespaces'],
+    azurerm_servicebus_topic: ['Microsoft.ServiceBus/namespaces'],
+    azurerm_eventgrid_topic: ['Microsoft.EventGrid/topics'],
+    azurerm_logic_app_workflow: ['Microsoft.Logic/workflows'],
+    azurerm_notification_hub: ['Microsoft.NotificationHubs/namespaces'],
+    azurerm_key_vault_secret: ['Microsoft.KeyVault/vaults'],
+    azurerm_key_vault_key: ['Microsoft.KeyVault/vaults'],
+    azurerm_key_vault_certificate: ['Microsoft.KeyVault/vaults'],
+    azurerm_web_application_firewall_policy: ['Microsoft.Network/ApplicationGatewayWebApplicationFirewallPolicies'],
+    azurerm_network_ddos_protection_plan: ['Microsoft.Network/ddosProtectionPlans'],
+    azurerm_policy_definition: ['Microsoft.Authorization/policyDefinitions'],
+    azurerm_log_analytics_workspace: ['Microsoft.OperationalInsights/workspaces'],
+    azurerm_monitor_metric_alert: ['Microsoft.Insights/metricAlerts'],
+    azurerm_monitor_action_group: ['Microsoft.Insights/actionGroups'],
+    azurerm_monitor_activity_log_alert: ['Microsoft.Insights/activityLogAlerts'],
+    azurerm_application_insights: ['Microsoft.Insights/components'],
+    azurerm_sentinel_alert_rule: ['Microsoft.SecurityInsights/alertRules'],
+    azurerm_container_registry: ['Microsoft.ContainerRegistry/registries'],
+    azurerm_container_registry_task: ['Microsoft.ContainerRegistry/registries'],
+    azurerm_devops_pipeline: [],
+    azurerm_frontdoor: ['Microsoft.Network/frontDoors'],
+    azurerm_iothub: ['Microsoft.Devices/IotHubs'],
+    azurerm_iothub_dps: ['Microsoft.Devices/provisioningServices'],
+    azurerm_digital_twins_instance: ['Microsoft.DigitalTwins/digitalTwinsInstances'],
+    azurerm_eventhub: ['Microsoft.EventHub/namespaces'],
+    azurerm_stream_analytics_job: ['Microsoft.StreamAnalytics/streamingjobs'],
+    azurerm_iot_time_series_insights_gen2_environment: ['Microsoft.TimeSeriesInsights/environments'],
+    azurerm_machine_learning_compute_instance: ['Microsoft.MachineLearningServices/workspaces'],
+    azurerm_machine_learning_workspace: ['Microsoft.MachineLearningServices/workspaces'],
+    azurerm_search_service: ['Microsoft.Search/searchServices'],
+    azurerm_synapse_workspace: ['Microsoft.Synapse/workspaces'],
+    azurerm_data_factory: ['Microsoft.DataFactory/factories'],
+    azurerm_purview_account: ['Microsoft.Purview/accounts'],
+    azurerm_powerbi_embedded: ['Microsoft.PowerBIDedicated/capacities'],
+    azurerm_role_assignment: ['Microsoft.Authorization/roleAssignments'],
+    azurerm_security_center_subscription_pricing: ['Microsoft.Security/pricings'],
+    azurerm_virtual_network: ['Microsoft.Network/virtualNetworks', 'Microsoft.Network/networkSecurityGroups'],
+    azurerm_subnet: ['Microsoft.Network/virtualNetworks'],
+    azurerm_virtual_network_gateway: ['Microsoft.Network/virtualNetworkGateways', 'Microsoft.Network/publicIPAddresses'],
+    azurerm_virtual_hub: ['Microsoft.Network/virtualHubs', 'Microsoft.Network/virtualWans'],
+    azurerm_firewall: ['Microsoft.Network/azureFirewalls', 'Microsoft.Network/publicIPAddresses'],
+    azurerm_network_security_group: ['Microsoft.Network/networkSecurityGroups'],
+    azurerm_app_configuration: ['Microsoft.AppConfiguration/configurationStores'],
+    azurerm_portal_dashboard: ['Microsoft.Portal/dashboards']
+};
+
+/**
+ * Custom role definition for the connected Azure identity.
+ * Azure RBAC can't filter by resource name, so the role is limited to the ARM types in use.
+ */
+function buildAzureRoleDefinition(infraSpec, projectName, { readOnly = false, subscriptionId } = {}) {
+    const prefix = toResourcePrefix(projectName);
+    const armTypes = [...new Set(getResourceTypes(infraSpec, 'azure').flatMap(t => AZURE_RESOURCE_TYPES[t] || []))].sort();
+
+    const actions = [
+        'Microsoft.Resources/subscriptions/read',
+        'Microsoft.Resources/subscriptions/resourceGroups/read',
+        'Microsoft.Resources/subscriptions/providers/read',
+        'Microsoft.Authorization/permissions/read',
+        // Terraform's azurerm backend reads state with the storage account key
+        'Microsoft.Storage/storageAccounts/listKeys/action'
+    ];
+    for (const armType of armTypes) {
+        actions.push(`${armType}/read`, `${armType}/*/read`);
+        if (!readOnly) actions.push(`${armType}/write`, `${armType}/delete`, `${armType}/*/write`, `${armType}/*/delete`, `${armType}/*/action`);
+    }
+    if (readOnly) {
+        actions.push('Microsoft.Consumption/*/read', 'Microsoft.CostManagement/*/read', 'Microsoft.Insights/metrics/read');
+    } else {
+        actions.push(
+            'Microsoft.Resources/subscriptions/resourceGroups/write',
+            'Microsoft.Resources/subscriptions/resourceGroups/delete',
+            'Microsoft.Resources/subscriptions/providers/register/action',
+            'Microsoft.Resources/deployments/*'
+        );
+    }
+
+    return {
+        Name: `Cloudiverse ${readOnly ? 'Read-Only' : 'Deploy'} (${prefix})`,
+        IsCustom: true,
+        Description: readOnly
+            ? `Cost and drift checks for the ${prefix} workspace`
+            : `Terraform deploy/destroy for the ${prefix} workspace`,
+        Actions: [...new Set(actions)],
+        NotActions: [],
+        DataActions: [],
+        NotDataActions: [],
+        AssignableScopes: [`/subscriptions/${subscriptionId || '{subscriptionId}'}`]
+    };
+}
+
+module.exports = {
+    toResourcePrefix,
+    getResourceTypes,
+    buildAwsPolicy,
+    buildAwsBoundaryPolicy,
+    buildAwsRoleTemplate,
+    buildGcpCustomRole,
+    buildAzureRoleDefinition
+};
@@ -0,0 +1,477 @@
+/**
+ * jobQueue.js - Durable Job Store for Terraform, Deploy and Destroy Jobs
+ *
+ * Replaces the per-service in-memory Maps with a Postgres-backed `jobs` table:
+ * - Status, stage, logs and exit codes survive a server restart
+ * - Workers claim jobs (FOR UPDATE SKIP LOCKED) and keep a heartbeat
+ * - Orphaned jobs (stale heartbeat) are reconciled on boot and every minute,
+ *   and stuck workspaces are released
+ *
+ * Active jobs are mirrored in a write-through cache so status polling stays
+ * cheap; log lines are buffered and flushed in small batches, and published
+ * to logStream for live SSE subscribers.
+ */
+
+const os = require('os');
+const { randomUUID } = require('crypto');
+const pool = require('../../config/db');
+const logStream = require('../shared/logStream');
+
+const JOB_TYPES = {
+    TERRAFORM: 'terraform',
+    APP: 'app',
+    DESTROY: 'destroy',
+    DRIFT: 'drift',
+    COST_RECONCILE: 'cost_reconcile',
+    WORKFLOW: 'workflow'
+};
+
+// Terraform/app jobs use init/running/completed/failed, destroy jobs use
+// pending/running/success/failed. Both vocabularies are stored as-is.
+const ACTIVE_STATES = ['queued', 'init', 'pending', 'running'];
+const TERMINAL_STATES = ['completed', 'success', 'failed', 'interrupted'];
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+const LOG_FLUSH_INTERVAL_MS = 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const STALE_HEARTBEAT = '2 minutes';
+const ORPHAN_SWEEP_INTERVAL_MS = 60 * 1000;
+// A workspace status written this recently may belong to a job that is still being inserted
+const STATUS_SETTLE_PERIOD = '30 seconds';
+
+// Write-through cache of jobs touched by this process
+const cache = new Map();
+// Log entries not yet written to the database (jobId -> entries[])
+const pendingLogs = new Map();
+// Jobs claimed by this worker (heartbeat targets)
+const claimed = new Set();
+
+let flushTimer = null;
+let heartbeatTimer = null;
+let orphanTimer = null;
+
+/**
+ * Map a `jobs` row to the job shape the status routes have always returned
+ */
+function rowToJob(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        workspaceId: row.workspace_id,
+        userId: row.user_id,
+        status: row.status,
+        stage: row.stage,
+        logs: row.logs || [],
+        exitCodes: row.exit_codes || {},
+        error: row.error,
+        metadata: row.metadata || {},
+        workerId: row.worker_id,
+        startTime: row.started_at,
+        completedAt: row.completed_at
+    };
+}
+
+/**
+ * Create and persist a new job. Jobs created active (not queued) are claimed by this
+ * worker right away, so they heartbeat from the start.
+ * @param {string} type - terraform | app | destroy | drift | cost_reconcile | workflow
+ * @param {number|string} workspaceId - Workspace ID
+ * @param {object} options - Optional: id, userId, status, stage, metadata
+ */
+async function createJob(type, workspaceId, options = {}) {
+    const {
+        id = randomUUID(),
+        userId = null,
+        status = 'init',
+        stage = 'init',
+        metadata = {}
+    } = options;
+
+    const runsHere = ACTIVE_STATES.includes(status) && status !== 'queued';
+
+    const result = await pool.query(
+        `INSERT INTO jobs (id, type, workspace_id, user_id, status, stage, metadata, worker_id, claimed_at, heartbeat_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+                 CASE WHEN $8::text IS NULL THEN NULL ELSE NOW() END,
+                 CASE WHEN $8::text IS NULL THEN NULL ELSE NOW() END)
+         RETURNING *`,
+        [id, type, workspaceId, userId, status, stage, JSON.stringify(metadata), runsHere ? WORKER_ID : null]
+    );
+
+    const job = rowToJob(result.rows[0]);
+    cache.set(job.id, job);
+    if (runsHere) {
+        claimed.add(job.id);
+        startHeartbeat();
+    }
+    return job;
+}
+
+/**
+ * Get a job (cache first, then database)
+ */
+async function getJob(jobId) {
+    if (cache.has(jobId)) return cache.get(jobId);
+
+    const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+    if (result.rows.length === 0) return null;
+
+    return rowToJob(result.rows[0]);
+}
+
+/**
+ * Most recent job of a type for a workspace (any status)
+ */
+async function getLatestJob(workspaceId, type) {
+    const result = await pool.query(
+        `SELECT * FROM jobs WHERE workspace_id = $1 AND type = $2 ORDER BY created_at DESC LIMIT 1`,
+        [workspaceId, type]
+    );
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return cache.get(row.id) || rowToJob(row);
+}
+
+/**
+ * Get non-terminal jobs for a workspace, optionally filtered by type
+ */
+async function getActiveJobs(workspaceId, type = null) {
+    let query = `SELECT * FROM jobs WHERE workspace_id = $1 AND status = ANY($2)`;
+    const params = [workspaceId, ACTIVE_STATES];
+
+    if (type) {
+        query += ` AND type = $3`;
+        params.push(type);
+    }
+
+    query += ` ORDER BY created_at DESC`;
+    const result = await pool.query(query, params);
+    return result.rows.map(row => cache.get(row.id) || rowToJob(row));
+}
+
+/**
+ * Update status/stage/error/metadata of a job.
+ * Terminal states flush pending logs and release the worker claim.
+ * @param {string} jobId - Job ID
+ * @param {object} fields - Any of: status, stage, error, metadata
+ */
+async function updateJob(jobId, fields = {}) {
+    const job = cache.get(jobId);
+    if (job) {
+        if (fields.status !== undefined) job.status = fields.status;
+        if (fields.stage !== undefined) job.stage = fields.stage;
+        if (fields.error !== undefined) job.error = fields.error;
+        if (fields.metadata) job.metadata = { ...job.metadata, ...fields.metadata };
+    }
+
+    const isTerminal = TERMINAL_STATES.includes(fields.status);
+    if (isTerminal) {
+        await flushLogs(jobId);
+        if (job) job.completedAt = new Date();
+        claimed.delete(jobId);
+    }
+
+    try {
+        await pool.query(
+            `UPDATE jobs
+             SET status = COALESCE($2, status),
+                 stage = COALESCE($3, stage),
+                 error = COALESCE($4, error),
+                 metadata = metadata || $5::jsonb,
+                 completed_at = CASE WHEN $6 THEN NOW() ELSE completed_at END,
+                 updated_at = NOW()
+             WHERE id = $1`,
+            [
+                jobId,
+                fields.status ?? null,
+                fields.stage ?? null,
+                fields.error ?? null,
+                JSON.stringify(fields.metadata || {}),
+                isTerminal
+            ]
+        );
+    } catch (err) {
+        console.error(`[JOBS] Failed to persist update for ${jobId}:`, err.message);
+    }
+
+    // Finished jobs are served from the database from now on
+    if (isTerminal) {
+        cache.delete(jobId);
+        logStream.publishEnd(`job:${jobId}`, fields.status);
+    }
+}
+
+/**
+ * Move a job from one stage to another, only if it is still in `fromStage`
+ * @returns {Promise<boolean>} false if the job moved on in the meantime
+ */
+async function advanceStage(jobId, fromStage, toStage, metadata = {}) {
+    const result = await pool.query(
+        `UPDATE jobs
+         SET stage = $3, metadata = metadata || $4::jsonb, updated_at = NOW()
+         WHERE id = $1 AND stage IS NOT DISTINCT FROM $2
+         RETURNING *`,
+        [jobId, fromStage, toStage, JSON.stringify(metadata)]
+    );
+    if (result.rows.length === 0) return false;
+
+    if (cache.has(jobId)) cache.set(jobId, { ...rowToJob(result.rows[0]), logs: cache.get(jobId).logs });
+    return true;
+}
+
+/**
+ * Record the exit code of a command run inside a job (init, plan, apply, ...)
+ */
+async function recordExitCode(jobId, command, exitCode) {
+    const job = cache.get(jobId);
+    if (job) job.exitCodes[command] = exitCode;
+
+    try {
+        await pool.query(
+            `UPDATE jobs
+             SET exit_codes = exit_codes || jsonb_build_object($2::text, $3::int),
+                 updated_at = NOW()
+             WHERE id = $1`,
+            [jobId, command, exitCode]
+        );
+    } catch (err) {
+        console.error(`[JOBS] Failed to record exit code for ${jobId}:`, err.message);
+    }
+}
+
+/**
+ * Append a log entry. Entries are visible immediately through the cache and
+ * written to the database by the next batched flush.
+ */
+function appendLog(jobId, entry) {
+    const job = cache.get(jobId);
+    if (job) job.logs.push(entry);
+    logStream.publishLog(`job:${jobId}`, job ? job.logs.length : null, entry);
+
+    if (!pendingLogs.has(jobId)) pendingLogs.set(jobId, []);
+    pendingLogs.get(jobId).push(entry);
+
+    if (!flushTimer) {
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flushAllLogs();
+        }, LOG_FLUSH_INTERVAL_MS);
+        flushTimer.unref();
+    }
+}
+
+/**
+ * Write buffered log entries for one job
+ */
+async function flushLogs(jobId) {
+    const entries = pendingLogs.get(jobId);
+    if (!entries || entries.length === 0) return;
+    pendingLogs.delete(jobId);
+
+    try {
+        await pool.query(
+            `UPDATE jobs SET logs = logs || $2::jsonb, updated_at = NOW() WHERE id = $1`,
+            [jobId, JSON.stringify(entries)]
+        );
+    } catch (err) {
+        console.error(`[JOBS] Failed to flush ${entries.length} log lines for ${jobId}:`, err.message);
+    }
+}
+
+async function flushAllLogs() {
+    await Promise.all(Array.from(pendingLogs.keys()).map(flushLogs));
+}
+
+/**
+ * Claim a specific job for this worker.
+ * @returns {Promise<boolean>} false if another live worker already owns it
+ */
+async function claimJob(jobId) {
+    const result = await pool.query(
+        `UPDATE jobs
+         SET worker_id = $2, claimed_at = NOW(), heartbeat_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+           AND (worker_id IS NULL OR worker_id = $2)
+           AND status = ANY($3)
+         RETURNING id`,
+        [jobId, WORKER_ID, ACTIVE_STATES]
+    );
+
+    if (result.rowCount === 0) return false;
+
+    claimed.add(jobId);
+    startHeartbeat();
+    return true;
+}
+
+/**
+ * Claim the oldest queued job of the given types (for standalone workers)
+ * @param {string[]} types - Job types this worker can run
+ * @returns {Promise<object|null>} The claimed job or null if the queue is empty
+ */
+async function claimNextJob(types = Object.values(JOB_TYPES)) {
+    const result = await pool.query(
+        `UPDATE jobs
+         SET worker_id = $1, claimed_at = NOW(), heartbeat_at = NOW(),
+             status = 'running', updated_at = NOW()
+         WHERE id = (
+             SELECT id FROM jobs
+             WHERE status = 'queued' AND worker_id IS NULL AND type = ANY($2)
+             ORDER BY created_at
+             FOR UPDATE SKIP LOCKED
+             LIMIT 1
+         )
+         RETURNING *`,
+        [WORKER_ID, types]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const job = rowToJob(result.rows[0]);
+    cache.set(job.id, job);
+    claimed.add(job.id);
+    startHeartbeat();
+    return job;
+}
+
+function startHeartbeat() {
+    if (heartbeatTimer) return;
+
+    heartbeatTimer = setInterval(async () => {
+        if (claimed.size === 0) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+            return;
+        }
+        try {
+            await pool.query(
+                `UPDATE jobs SET heartbeat_at = NOW() WHERE id = ANY($1) AND worker_id = $2`,
+                [Array.from(claimed), WORKER_ID]
+            );
+        } catch (err) {
+            console.error('[JOBS] Heartbeat failed:', err.message);
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+}
+
+/**
+ * Reconcile jobs orphaned by a restart or a dead worker.
+ * A job is orphaned once its worker stops heartbeating; on boot, jobs of earlier
+ * processes on this host are orphaned right away. Marks them as interrupted and
+ * releases workspaces stuck in DEPLOYING/DESTROYING as well as app deployments
+ * stuck in pending/running with no app job left to finish them.
+ * Called on boot (after the schema migration) and by the periodic sweep.
+ * @param {object} options - { boot: true } to include this host's earlier processes
+ */
+async function reconcileOrphanedJobs({ boot = false } = {}) {
+    const interruptedLog = {
+        timestamp: new Date().toISOString(),
+        message: 'Job interrupted: the worker running it stopped (restart or crash).',
+        type: 'ERROR'
+    };
+
+    const orphaned = await pool.query(
+        `UPDATE jobs
+         SET status = 'interrupted',
+             error = 'Worker stopped while job was running',
+             logs = logs || $4::jsonb,
+             completed_at = NOW(),
+             updated_at = NOW()
+         WHERE status = ANY($1)
+           AND worker_id IS DISTINCT FROM $2
+           AND NOT (status = 'queued' AND worker_id IS NULL)
+           AND (
+               ($5 AND worker_id LIKE $3)
+               OR COALESCE(heartbeat_at, updated_at) < NOW() - INTERVAL '${STALE_HEARTBEAT}'
+           )
+         RETURNING id, type, workspace_id`,
+        [ACTIVE_STATES, WORKER_ID, `${os.hostname()}-%`, JSON.stringify([interruptedLog]), boot]
+    );
+
+    // Release workspaces whose lifecycle job no longer exists. Status changes inside
+    // STATUS_SETTLE_PERIOD are left alone: the route that set them may not have created its job yet.
+    const released = await pool.query(
+        `UPDATE workspaces w
+         SET deployment_status = CASE
+                WHEN w.deployment_status = 'DESTROYING' THEN 'DEPLOYED'
+                ELSE 'FAILED'
+             END,
+             deployment_history = COALESCE(w.deployment_history, '[]'::jsonb) || jsonb_build_array(
+                jsonb_build_object(
+                    'action', 'JOB_INTERRUPTED',
+                    'timestamp', NOW(),
+                    'previous_status', w.deployment_status
+                )
+             ),
+             updated_at = NOW()
+         WHERE w.deployment_status IN ('DESTROYING', 'DEPLOYING')
+           AND COALESCE(w.updated_at, 'epoch') < NOW() - INTERVAL '${STATUS_SETTLE_PERIOD}'
+           AND NOT EXISTS (
+               SELECT 1 FROM jobs j
+               WHERE j.workspace_id = w.id AND j.status = ANY($1)
+           )
+         RETURNING w.id`,
+        [ACTIVE_STATES]
+    );
+
+    // App deployments are persisted in `deployments`, but nothing resumes them
+    const deployments = await pool.query(
+        `UPDATE deployments d
+         SET status = 'failed',
+             logs = d.logs || $1::jsonb,
+             updated_at = NOW()
+         WHERE d.status IN ('pending', 'running')
+           AND d.updated_at < NOW() - INTERVAL '${STALE_HEARTBEAT}'
+           AND NOT EXISTS (
+               SELECT 1 FROM jobs j
+               WHERE j.workspace_id = d.workspace_id AND j.type = $2 AND j.status = ANY($3)
+           )
+         RETURNING d.id`,
+        [JSON.stringify([{ timestamp: interruptedLog.timestamp, message: interruptedLog.message }]), JOB_TYPES.APP, ACTIVE_STATES]
+    );
+
+    if (boot || orphaned.rowCount || released.rowCount || deployments.rowCount) {
+        console.log(`[JOBS] Reconciled ${orphaned.rowCount} orphaned jobs, released ${released.rowCount} workspaces, failed ${deployments.rowCount} stale deployments (worker ${WORKER_ID})`);
+    }
+
+    return {
+        jobs: orphaned.rows,
+        workspaces: released.rows.map(r => r.id),
+        deployments: deployments.rows.map(r => r.id)
+    };
+}
+
+/**
+ * Re-run orphan reconciliation every minute, so jobs of a worker that died (or of a
+ * container replaced by a redeploy) are released even when no server restarts on its host
+ */
+function startOrphanReconciler() {
+    if (orphanTimer) return;
+
+    orphanTimer = setInterval(() => {
+        reconcileOrphanedJobs().catch(err => console.error('[JOBS] Orphan sweep failed:', err.message));
+    }, ORPHAN_SWEEP_INTERVAL_MS);
+    orphanTimer.unref();
+}
+
+module.exports = {
+    JOB_TYPES,
+    ACTIVE_STATES,
+    TERMINAL_STATES,
+    WORKER_ID,
+    createJob,
+    getJob,
+    getLatestJob,
+    getActiveJobs,
+    updateJob,
+    advanceStage,
+    recordExitCode,
+    appendLog,
+    flushLogs,
+    claimJob,
+    claimNextJob,
+    reconcileOrphanedJobs,
+    startOrphanReconciler
+};
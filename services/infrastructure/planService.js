@@ -0,0 +1,271 @@
+/**
+ * planService.js - Two-phase Terraform deploys (plan -> approve -> apply)
+ *
+ * Handles:
+ * - Storing `terraform show -json tfplan` output per plan run
+ * - Per-module summary of creates / updates / replaces / destroys
+ * - Redaction of everything Terraform marks sensitive before the plan is stored
+ * - Approval state transitions (one approver wins)
+ * - Stale plan detection via a hash of the workspace infraSpec
+ * - Plans for named workspace environments (`environment`, NULL = workspace level)
+ */
+
+const crypto = require('crypto');
+const pool = require('../../config/db');
+
+const PLAN_STATES = {
+    PENDING_APPROVAL: 'PENDING_APPROVAL',
+    APPROVED: 'APPROVED',
+    APPLIED: 'APPLIED',
+    FAILED: 'FAILED',
+    REJECTED: 'REJECTED',
+    STALE: 'STALE',
+    SUPERSEDED: 'SUPERSEDED'
+};
+
+/**
+ * Hash the infraSpec a plan was generated from.
+ * JSONB normalises key order, so the same stored spec always hashes the same.
+ */
+function hashInfraSpec(infraSpec) {
+    return crypto.createHash('sha256').update(JSON.stringify(infraSpec || {})).digest('hex');
+}
+
+function hashPlanFile(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Map a Terraform change `actions` array to a summary bucket
+ */
+function classifyActions(actions = []) {
+    if (actions.includes('delete') && actions.includes('create')) return 'replace';
+    if (actions.includes('create')) return 'create';
+    if (actions.includes('update')) return 'update';
+    if (actions.includes('delete')) return 'destroy';
+    return null; // no-op, read
+}
+
+/**
+ * Summarise a `terraform show -json` plan per module
+ * @returns {object} { totals: {create, update, replace, destroy}, modules: { 'module.x': { create: [addr], ... } } }
+ */
+function summarizePlan(planJson) {
+    const totals = { create: 0, update: 0, replace: 0, destroy: 0 };
+    const modules = {};
+
+    for (const change of planJson?.resource_changes || []) {
+        const bucket = classifyActions(change.change?.actions);
+        if (!bucket) continue;
+
+        const moduleAddress = change.module_address || 'root';
+        if (!modules[moduleAddress]) {
+            modules[moduleAddress] = { create: [], update: [], replace: [], destroy: [] };
+        }
+        modules[moduleAddress][bucket].push(change.address);
+        totals[bucket]++;
+    }
+
+    return { totals, modules };
+}
+
+const REDACTED = '(sensitive value)';
+
+/**
+ * Replace the parts of a value that a Terraform sensitivity mask marks (`true`, or a
+ * nested object / array of flags mirroring the value)
+ */
+function redactValue(value, mask) {
+    if (mask === true) return value === null || value === undefined ? value : REDACTED;
+    if (!mask || typeof mask !== 'object' || value === null || typeof value !== 'object') return value;
+
+    if (Array.isArray(value)) {
+        return value.map((item, idx) => redactValue(item, Array.isArray(mask) ? mask[idx] : undefined));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, mask[key])]));
+}
+
+function redactChange(change = {}) {
+    return {
+        ...change,
+        before: redactValue(change.before, change.before_sensitive),
+        after: redactValue(change.after, change.after_sensitive)
+    };
+}
+
+function redactModule(module = {}) {
+    return {
+        ...module,
+        ...(module.resources && {
+            resources: module.resources.map(resource => ({
+                ...resource,
+                values: redactValue(resource.values, resource.sensitive_values)
+            }))
+        }),
+        ...(module.child_modules && { child_modules: module.child_modules.map(redactModule) })
+    };
+}
+
+function redactOutputs(outputs) {
+    if (!outputs) return outputs;
+    return Object.fromEntries(Object.entries(outputs).map(([name, output]) => [
+        name,
+        output.sensitive ? { ...output, value: redactValue(output.value, true) } : output
+    ]));
+}
+
+function redactConfigModule(module = {}) {
+    return {
+        ...module,
+        ...(module.variables && {
+            variables: Object.fromEntries(Object.entries(module.variables).map(([name, variable]) => [
+                name,
+                variable.sensitive && 'default' in variable ? { ...variable, default: REDACTED } : variable
+            ]))
+        }),
+        ...(module.module_calls && {
+            module_calls: Object.fromEntries(Object.entries(module.module_calls).map(([name, call]) => [
+                name,
+                call.module ? { ...call, module: redactConfigModule(call.module) } : call
+            ]))
+        })
+    };
+}
+
+/**
+ * Plan JSON safe to store and show: variable values (credentials passed as TF_VAR_*) and
+ * prior state are dropped, and every value Terraform marks sensitive is replaced in
+ * resource changes, drift, planned values, outputs and sensitive variable defaults
+ */
+function redactPlan(planJson) {
+    const { variables, prior_state, ...plan } = planJson || {};
+
+    return {
+        ...plan,
+        ...(plan.resource_changes && {
+            resource_changes: plan.resource_changes.map(rc => ({ ...rc, change: redactChange(rc.change) }))
+        }),
+        ...(plan.resource_drift && {
+            resource_drift: plan.resource_drift.map(rc => ({ ...rc, change: redactChange(rc.change) }))
+        }),
+        ...(plan.output_changes && {
+            output_changes: Object.fromEntries(Object.entries(plan.output_changes).map(([name, change]) => [name, redactChange(change)]))
+        }),
+        ...(plan.planned_values && {
+            planned_values: {
+                ...plan.planned_values,
+                ...(plan.planned_values.root_module && { root_module: redactModule(plan.planned_values.root_module) }),
+                ...(plan.planned_values.outputs && { outputs: redactOutputs(plan.planned_values.outputs) })
+            }
+        }),
+        ...(plan.configuration?.root_module && {
+            configuration: { ...plan.configuration, root_module: redactConfigModule(plan.configuration.root_module) }
+        })
+    };
+}
+
+/**
+ * Store a freshly generated plan and supersede older pending ones for the workspace environment
+ */
+async function createPlan({ workspaceId, jobId, provider, infraSpecHash, planFileHash, planJson, userId, environment = null }) {
+    // Only the redacted plan is persisted (and later served by GET plans/:planId?full=true)
+    const storedPlan = redactPlan(planJson);
+    const summary = summarizePlan(planJson);
+
+    await pool.query(
+        `UPDATE terraform_plans SET status = $2, updated_at = NOW()
+         WHERE workspace_id = $1 AND status = $3 AND environment IS NOT DISTINCT FROM $4`,
+        [workspaceId, PLAN_STATES.SUPERSEDED, PLAN_STATES.PENDING_APPROVAL, environment]
+    );
+
+    const result = await pool.query(
+        `INSERT INTO terraform_plans
+            (workspace_id, job_id, provider, infra_spec_hash, plan_file_hash, plan_json, summary, created_by, environment)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [workspaceId, jobId, provider, infraSpecHash, planFileHash, JSON.stringify(storedPlan), JSON.stringify(summary), userId, environment]
+    );
+    return result.rows[0];
+}
+
+async function getPlan(planId) {
+    const result = await pool.query('SELECT * FROM terraform_plans WHERE id = $1', [planId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Latest plan for a workspace (or one of its environments)
+ */
+async function getLatestPlan(workspaceId, environment = null) {
+    const result = await pool.query(
+        `SELECT * FROM terraform_plans
+         WHERE workspace_id = $1 AND environment IS NOT DISTINCT FROM $2
+         ORDER BY created_at DESC LIMIT 1`,
+        [workspaceId, environment]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Move a pending plan to APPROVED. Returns null if it was no longer pending
+ * (already approved by someone else, rejected, superseded...).
+ */
+async function approvePlan(planId, userId) {
+    const result = await pool.query(
+        `UPDATE terraform_plans
+         SET status = $2, approved_by = $3, approved_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = $4
+         RETURNING *`,
+        [planId, PLAN_STATES.APPROVED, userId, PLAN_STATES.PENDING_APPROVAL]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Update a plan's status. Pass fields.fromStatus to only transition from that state.
+ */
+async function setPlanStatus(planId, status, fields = {}) {
+    const result = await pool.query(
+        `UPDATE terraform_plans
+         SET status = $2, apply_job_id = COALESCE($3, apply_job_id), updated_at = NOW()
+         WHERE id = $1 AND ($4::text IS NULL OR status = $4)
+         RETURNING *`,
+        [planId, status, fields.applyJobId || null, fields.fromStatus || null]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Reviewable view of a plan (without the full plan JSON)
+ */
+function toPlanView(plan) {
+    if (!plan) return null;
+    return {
+        id: plan.id,
+        workspaceId: plan.workspace_id,
+        environment: plan.environment || null,
+        jobId: plan.job_id,
+        provider: plan.provider,
+        status: plan.status,
+        summary: plan.summary,
+        createdBy: plan.created_by,
+        createdAt: plan.created_at,
+        approvedBy: plan.approved_by,
+        approvedAt: plan.approved_at,
+        applyJobId: plan.apply_job_id
+    };
+}
+
+module.exports = {
+    PLAN_STATES,
+    hashInfraSpec,
+    hashPlanFile,
+    summarizePlan,
+    redactPlan,
+    createPlan,
+    getPlan,
+    getLatestPlan,
+    approvePlan,
+    setPlanStatus,
+    toPlanView
+};
@@ -3,6 +3,108 @@ const { S3Client, ListBucketsCommand } = require("@aws-sdk/client-s3");
 const { CloudFrontClient, ListDistributionsCommand } = require("@aws-sdk/client-cloudfront");
 const { KMSClient, ListKeysCommand } = require("@aws-sdk/client-kms");
 const { CloudTrailClient, DescribeTrailsCommand } = require("@aws-sdk/client-cloudtrail");
+const axios = require("axios");
+const { google } = require("googleapis");
+const stateBackendService = require("./stateBackendService");
+
+const ARM_BASE = "https://management.azure.com";
+
+// APIs every GCP deployment touches (mirrors the generated setup module)
+const GCP_BASE_APIS = [
+    "iam.googleapis.com",
+    "cloudresourcemanager.googleapis.com",
+    "compute.googleapis.com",
+    "serviceusage.googleapis.com"
+];
+
+// Catalog service_id -> GCP APIs its Terraform module needs
+const GCP_SERVICE_APIS = {
+    computeserverless: ["cloudfunctions.googleapis.com", "cloudbuild.googleapis.com"],
+    computecontainer: ["run.googleapis.com", "artifactregistry.googleapis.com"],
+    relationaldatabase: ["sqladmin.googleapis.com", "servicenetworking.googleapis.com"],
+    nosqldatabase: ["firestore.googleapis.com"],
+    cache: ["redis.googleapis.com", "servicenetworking.googleapis.com"],
+    objectstorage: ["storage.googleapis.com"],
+    apigateway: ["apigateway.googleapis.com", "servicemanagement.googleapis.com", "servicecontrol.googleapis.com"],
+    dns: ["dns.googleapis.com"],
+    messagequeue: ["pubsub.googleapis.com"],
+    eventbus: ["pubsub.googleapis.com"],
+    pubsub: ["pubsub.googleapis.com"],
+    secretsmanagement: ["secretmanager.googleapis.com"],
+    keymanagement: ["cloudkms.googleapis.com"],
+    keymanagementservice: ["cloudkms.googleapis.com"],
+    certificatemanagement: ["certificatemanager.googleapis.com"],
+    logging: ["logging.googleapis.com"],
+    monitoring: ["monitoring.googleapis.com"],
+    tracing: ["cloudtrace.googleapis.com"],
+    containerregistry: ["artifactregistry.googleapis.com"],
+    artifactrepository: ["artifactregistry.googleapis.com"],
+    cicd: ["cloudbuild.googleapis.com"],
+    buildservice: ["cloudbuild.googleapis.com"],
+    workfloworchestration: ["workflows.googleapis.com"],
+    datawarehouse: ["bigquery.googleapis.com"],
+    mlinference: ["aiplatform.googleapis.com"],
+    mltraining: ["aiplatform.googleapis.com"],
+    vectordatabase: ["aiplatform.googleapis.com"],
+    servicediscovery: ["servicedirectory.googleapis.com"],
+    vulnerabilityscanner: ["containerscanning.googleapis.com"]
+};
+
+// Permissions the deploying identity needs on the project
+const GCP_REQUIRED_PERMISSIONS = [
+    "resourcemanager.projects.get",
+    "serviceusage.services.enable",
+    "iam.serviceAccounts.create",
+    "iam.serviceAccounts.actAs",
+    "compute.networks.create",
+    "storage.buckets.create"
+];
+
+// Catalog service_id -> Azure resource provider namespaces
+const AZURE_SERVICE_PROVIDERS = {
+    computeserverless: ["Microsoft.Web"],
+    computecontainer: ["Microsoft.App", "Microsoft.OperationalInsights"],
+    computevm: ["Microsoft.Compute", "Microsoft.Network"],
+    computebatch: ["Microsoft.Batch"],
+    relationaldatabase: ["Microsoft.DBforPostgreSQL"],
+    nosqldatabase: ["Microsoft.DocumentDB"],
+    cache: ["Microsoft.Cache"],
+    searchengine: ["Microsoft.Search"],
+    objectstorage: ["Microsoft.Storage"],
+    apigateway: ["Microsoft.ApiManagement"],
+    loadbalancer: ["Microsoft.Network"],
+    cdn: ["Microsoft.Cdn"],
+    dns: ["Microsoft.Network"],
+    messagequeue: ["Microsoft.ServiceBus"],
+    eventbus: ["Microsoft.EventGrid"],
+    secretsmanagement: ["Microsoft.KeyVault"],
+    keymanagement: ["Microsoft.KeyVault"],
+    logging: ["Microsoft.OperationalInsights"],
+    monitoring: ["Microsoft.Insights"],
+    containerregistry: ["Microsoft.ContainerRegistry"],
+    datawarehouse: ["Microsoft.Synapse"],
+    mlinference: ["Microsoft.MachineLearningServices"],
+    mltraining: ["Microsoft.MachineLearningServices"],
+    iotcore: ["Microsoft.Devices"]
+};
+
+// Actions that must be allowed on the target scope for Terraform to create resources
+const AZURE_REQUIRED_ACTIONS = [
+    "Microsoft.Resources/subscriptions/resourceGroups/write",
+    "Microsoft.Resources/deployments/write"
+];
+
+/**
+ * Does an Azure permission pattern (e.g. "Microsoft.Storage/*", "*") cover the action?
+ */
+function azureActionMatches(pattern, action) {
+    const regex = new RegExp("^" + pattern.split("*").map(p => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$", "i");
+    return regex.test(action);
+}
+
+function describeError(err) {
+    return err.response?.data?.error?.message || err.message;
+}
 
 /**
  * Preflight Validation Service
@@ -81,6 +183,199 @@ class PreflightService {
 
         return results;
     }
+
+    /**
+     * GCP validation: token, billing, enabled APIs, IAM permissions
+     */
+    static async validateGCP(conn, services = []) {
+        const results = {
+            valid: true,
+            checks: []
+        };
+        const fail = (name, error) => {
+            results.valid = false;
+            results.checks.push({ name, status: "FAIL", error });
+        };
+
+        try {
+            const projectId = conn.project_id;
+            if (!projectId || !conn.tokens?.access_token) {
+                fail("GCP Config", "Connection is missing project_id or OAuth tokens");
+                return results;
+            }
+
+            const auth = new google.auth.OAuth2(process.env.GCP_CLIENT_ID, process.env.GCP_CLIENT_SECRET);
+            auth.setCredentials(conn.tokens);
+
+            // Check 1: Token validity (refreshes if expired and a refresh token exists)
+            try {
+                const { token } = await auth.getAccessToken();
+                await auth.getTokenInfo(token);
+                results.checks.push({ name: "Token Validity", status: "PASS" });
+            } catch (err) {
+                fail("Token Validity", `OAuth token rejected: ${describeError(err)}. Reconnect your GCP account.`);
+                return results;
+            }
+
+            // Check 2: Billing enabled
+            try {
+                const billing = google.cloudbilling({ version: "v1", auth });
+                const info = await billing.projects.getBillingInfo({ name: `projects/${projectId}` });
+                if (info.data.billingEnabled) {
+                    results.checks.push({ name: "Billing Enabled", status: "PASS" });
+                } else {
+                    fail("Billing Enabled", `Billing is not enabled for project ${projectId}`);
+                }
+            } catch (err) {
+                fail("Billing Enabled", describeError(err));
+            }
+
+            // Check 3: Required APIs for the selected services
+            const apis = [...new Set([
+                ...GCP_BASE_APIS,
+                ...services.flatMap(s => GCP_SERVICE_APIS[s] || [])
+            ])];
+            try {
+                const serviceUsage = google.serviceusage({ version: "v1", auth });
+                const disabled = [];
+                // batchGet accepts at most 30 names per call
+                for (let i = 0; i < apis.length; i += 30) {
+                    const res = await serviceUsage.services.batchGet({
+                        parent: `projects/${projectId}`,
+                        names: apis.slice(i, i + 30).map(api => `projects/${projectId}/services/${api}`)
+                    });
+                    for (const svc of res.data.services || []) {
+                        if (svc.state !== "ENABLED") disabled.push(svc.config?.name || svc.name.split("/").pop());
+                    }
+                }
+                if (disabled.length === 0) {
+                    results.checks.push({ name: "Required APIs", status: "PASS" });
+                } else {
+                    fail("Required APIs", `Enable these APIs in project ${projectId}: ${disabled.join(", ")}`);
+                }
+            } catch (err) {
+                fail("Required APIs", describeError(err));
+            }
+
+            // Check 4: IAM permissions of the connected identity
+            try {
+                const crm = google.cloudresourcemanager({ version: "v1", auth });
+                const res = await crm.projects.testIamPermissions({
+                    resource: projectId,
+                    requestBody: { permissions: GCP_REQUIRED_PERMISSIONS }
+                });
+                const granted = res.data.permissions || [];
+                const missing = GCP_REQUIRED_PERMISSIONS.filter(p => !granted.includes(p));
+                if (missing.length === 0) {
+                    results.checks.push({ name: "IAM Permissions", status: "PASS" });
+                } else {
+                    fail("IAM Permissions", `Missing permissions: ${missing.join(", ")}`);
+                }
+            } catch (err) {
+                fail("IAM Permissions", describeError(err));
+            }
+
+        } catch (err) {
+            results.valid = false;
+            results.checks.push({ name: "Preflight", status: "ERROR", error: err.message });
+        }
+
+        return results;
+    }
+
+    /**
+     * Azure validation: subscription access, resource providers, role on the target resource group
+     */
+    static async validateAzure(conn, services = [], resourceGroupName) {
+        const results = {
+            valid: true,
+            checks: []
+        };
+        const fail = (name, error) => {
+            results.valid = false;
+            results.checks.push({ name, status: "FAIL", error });
+        };
+
+        try {
+            const { token, envVars } = await stateBackendService.getAzureArmToken(conn);
+            const subscriptionId = envVars.ARM_SUBSCRIPTION_ID;
+            if (!subscriptionId) {
+                fail("Azure Config", "Connection is missing subscription_id");
+                return results;
+            }
+            const headers = { Authorization: `Bearer ${token}` };
+            const subUrl = `${ARM_BASE}/subscriptions/${subscriptionId}`;
+
+            // Check 1: Subscription access
+            try {
+                const sub = await axios.get(`${subUrl}?api-version=2020-01-01`, { headers });
+                if (sub.data.state && sub.data.state !== "Enabled") {
+                    fail("Subscription Access", `Subscription ${subscriptionId} is ${sub.data.state}`);
+                    return results;
+                }
+                results.checks.push({ name: "Subscription Access", status: "PASS" });
+            } catch (err) {
+                fail("Subscription Access", describeError(err));
+                return results;
+            }
+
+            // Check 2: Resource provider registration for the selected services
+            const namespaces = [...new Set([
+                "Microsoft.Resources",
+                ...services.flatMap(s => AZURE_SERVICE_PROVIDERS[s] || [])
+            ])];
+            try {
+                const unregistered = [];
+                for (const namespace of namespaces) {
+                    const rp = await axios.get(`${subUrl}/providers/${namespace}?api-version=2021-04-01`, { headers });
+                    if (rp.data.registrationState !== "Registered") unregistered.push(namespace);
+                }
+                if (unregistered.length === 0) {
+                    results.checks.push({ name: "Resource Providers", status: "PASS" });
+                } else {
+                    fail("Resource Providers", `Register these resource providers: ${unregistered.join(", ")}`);
+                }
+            } catch (err) {
+                fail("Resource Providers", describeError(err));
+            }
+
+            // Check 3: Role assignment on the target resource group (subscription scope if it doesn't exist yet)
+            try {
+                let scopeUrl = subUrl;
+                if (resourceGroupName) {
+                    const rgUrl = `${subUrl}/resourceGroups/${resourceGroupName}`;
+                    const rg = await axios.get(`${rgUrl}?api-version=2021-04-01`, { headers, validateStatus: s => s === 200 || s === 404 });
+                    if (rg.status === 200) scopeUrl = rgUrl;
+                }
+
+                const perms = await axios.get(`${scopeUrl}/providers/Microsoft.Authorization/permissions?api-version=2022-04-01`, { headers });
+                const allowed = (action) => (perms.data.value || []).some(p =>
+                    (p.actions || []).some(a => azureActionMatches(a, action)) &&
+                    !(p.notActions || []).some(a => azureActionMatches(a, action))
+                );
+                // The resource group itself only needs creating when it doesn't exist yet
+                const required = scopeUrl === subUrl
+                    ? AZURE_REQUIRED_ACTIONS
+                    : AZURE_REQUIRED_ACTIONS.filter(a => !a.startsWith("Microsoft.Resources/subscriptions/resourceGroups"));
+                const missing = required.filter(a => !allowed(a));
+                const scopeLabel = scopeUrl === subUrl ? `subscription ${subscriptionId}` : `resource group ${resourceGroupName}`;
+
+                if (missing.length === 0) {
+                    results.checks.push({ name: "Role Assignment", status: "PASS" });
+                } else {
+                    fail("Role Assignment", `No role grants ${missing.join(", ")} on ${scopeLabel}. Assign Contributor or Owner.`);
+                }
+            } catch (err) {
+                fail("Role Assignment", describeError(err));
+            }
+
+        } catch (err) {
+            results.valid = false;
+            results.checks.push({ name: "Preflight", status: "ERROR", error: err.message });
+        }
+
+        return results;
+    }
 }
 
 module.exports = PreflightService;
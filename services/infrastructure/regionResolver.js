@@ -207,6 +207,7 @@ function getRegionExplanation(logicalRegion, provider) {
 
 module.exports = {
   LogicalRegion,
+  REGION_MAP,
   detectLogicalRegion,
   resolveRegion,
   getRegionConfig,
@@ -0,0 +1,380 @@
+/**
+ * State Backend Service
+ *
+ * Bootstraps and describes the remote Terraform state backend that lives in
+ * the user's own cloud account, so provisioned resources stay tracked even if
+ * the executor's temp directory is lost.
+ *
+ * Builds on the catalog's `iacstate` (bucket/container) and `statelocking`
+ * (lock table / native lease) services:
+ *   - AWS:   S3 bucket + DynamoDB lock table (CloudFormation stack)
+ *   - GCP:   GCS bucket (native locking)
+ *   - Azure: Storage account + blob container (native blob lease locking)
+ *
+ * The bootstrapped backend is stored on the connection as `state_backend`
+ * and each workspace gets its own state key inside it (workspace environments
+ * get a key of their own below the workspace's).
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { google } = require('googleapis');
+const { ClientSecretCredential } = require('@azure/identity');
+const {
+    CloudFormationClient,
+    CreateStackCommand,
+    DescribeStacksCommand,
+    waitUntilStackCreateComplete
+} = require('@aws-sdk/client-cloudformation');
+const credentialProvider = require('./credentialProvider');
+const pool = require('../../config/db');
+
+const AWS_STACK_NAME = 'cloudiverse-tfstate';
+const AWS_LOCK_TABLE = 'cldv-tfstate-locks';
+const AZURE_RESOURCE_GROUP = 'rg-cldv-tfstate';
+const AZURE_CONTAINER = 'tfstate';
+const ARM_BASE = 'https://management.azure.com';
+const BOOTSTRAP_TIMEOUT_SECONDS = 300;
+
+class StateBackendService {
+
+    /**
+     * Ensure a remote backend exists for this connection, bootstrapping it if needed
+     * @param {string} provider - aws | gcp | azure
+     * @param {object} connectionData - state_json.connection / saved user connection
+     * @returns {object} state_backend descriptor (already stored one if present)
+     */
+    async ensureBackend(provider, connectionData) {
+        const providerKey = provider?.toLowerCase();
+        const existing = connectionData?.state_backend;
+
+        // Reuse only if it was bootstrapped for this same account/project/subscription
+        if (existing && existing.provider === providerKey && existing.status === 'ready' &&
+            existing.account_ref === this.getAccountRef(providerKey, connectionData)) {
+            return existing;
+        }
+        return await this.bootstrapBackend(providerKey, connectionData);
+    }
+
+    /**
+     * Create the state bucket/container (and lock table) in the user's account
+     * @param {string} provider - aws | gcp | azure
+     * @param {object} connectionData - Verified connection metadata
+     * @returns {object} state_backend descriptor to persist on the connection
+     */
+    async bootstrapBackend(provider, connectionData) {
+        const providerKey = provider?.toLowerCase();
+        console.log(`[STATE_BACKEND] Bootstrapping remote state backend for ${providerKey}...`);
+
+        let backend;
+        switch (providerKey) {
+            case 'aws':
+                backend = await this.bootstrapAws(connectionData);
+                break;
+            case 'gcp':
+                backend = await this.bootstrapGcp(connectionData);
+                break;
+            case 'azure':
+                backend = await this.bootstrapAzure(connectionData);
+                break;
+            default:
+                throw new Error(`Unsupported provider: ${provider}`);
+        }
+
+        const descriptor = {
+            provider: providerKey,
+            status: 'ready',
+            services: ['iacstate', 'statelocking'],
+            account_ref: this.getAccountRef(providerKey, connectionData),
+            bootstrapped_at: new Date().toISOString(),
+            ...backend
+        };
+        console.log(`[STATE_BACKEND] ✅ Backend ready: ${JSON.stringify(descriptor)}`);
+        return descriptor;
+    }
+
+    /**
+     * Identity the backend belongs to (AWS account / GCP project / Azure subscription)
+     */
+    getAccountRef(provider, connectionData) {
+        if (provider === 'aws') return connectionData?.account_id || null;
+        if (provider === 'gcp') return connectionData?.project_id || null;
+        return connectionData?.subscription_id || connectionData?.credentials?.subscription_id || null;
+    }
+
+    /**
+     * Resolve the Terraform backend block and per-workspace config
+     * @param {object} stateBackend - connection.state_backend descriptor
+     * @param {string|number} workspaceId - Workspace ID (state key namespace)
+     * @param {string} environment - Optional workspace environment name (own state under the workspace)
+     * @returns {object|null} { type: 's3'|'gcs'|'azurerm', config: {} } or null for local state
+     */
+    getBackendConfig(stateBackend, workspaceId, environment = null) {
+        if (!stateBackend || stateBackend.status !== 'ready') return null;
+
+        const stateName = environment ? `${workspaceId}/env/${environment}` : String(workspaceId);
+
+        switch (stateBackend.provider) {
+            case 'aws':
+                return {
+                    type: 's3',
+                    config: {
+                        bucket: stateBackend.bucket,
+                        key: `workspaces/${stateName}/terraform.tfstate`,
+                        region: stateBackend.region,
+                        dynamodb_table: stateBackend.lock_table,
+                        encrypt: true
+                    }
+                };
+            case 'gcp':
+                return {
+                    type: 'gcs',
+                    config: {
+                        bucket: stateBackend.bucket,
+                        prefix: `workspaces/${stateName}`
+                    }
+                };
+            case 'azure':
+                return {
+                    type: 'azurerm',
+                    config: {
+                        resource_group_name: stateBackend.resource_group,
+                        storage_account_name: stateBackend.storage_account,
+                        container_name: stateBackend.container,
+                        key: `workspaces/${stateName}.tfstate`
+                    }
+                };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Resolve the backend for a workspace run, bootstrapping lazily for connections
+     * made before remote state existed. Only a connection that never had a ready
+     * backend falls back to local state (null) on failure; once its state lives
+     * remotely, a failure stops the run (503) rather than planning against empty state.
+     * @param {string} provider - aws | gcp | azure
+     * @param {string|number} workspaceId - Workspace ID
+     * @param {object} connectionData - Connection used for the run (mutated with state_backend)
+     * @param {string} environment - Optional workspace environment name
+     * @returns {object|null} Backend config for terraformGeneratorV2 or null
+     */
+    async resolveForWorkspace(provider, workspaceId, connectionData, environment = null) {
+        try {
+            const previous = connectionData.state_backend;
+            const stateBackend = await this.ensureBackend(provider, connectionData);
+
+            if (stateBackend !== previous) {
+                connectionData.state_backend = stateBackend;
+                await pool.query(
+                    `UPDATE workspaces
+                     SET state_json = jsonb_set(state_json, '{connection,state_backend}', $2::jsonb, true)
+                     WHERE id = $1 AND state_json ? 'connection'`,
+                    [workspaceId, JSON.stringify(stateBackend)]
+                );
+            }
+
+            return this.getBackendConfig(stateBackend, workspaceId, environment);
+        } catch (err) {
+            if (connectionData.state_backend?.status === 'ready') {
+                console.error(`[STATE_BACKEND] ❌ Remote backend unavailable for workspace ${workspaceId}: ${err.message}`);
+                throw Object.assign(
+                    new Error(`Remote Terraform state backend is unavailable (${err.message}). Retry once the backend is reachable.`),
+                    { statusCode: 503 }
+                );
+            }
+            console.warn(`[STATE_BACKEND] ⚠️ Remote backend unavailable for workspace ${workspaceId}, falling back to local state: ${err.message}`);
+            return null;
+        }
+    }
+
+    // ─── AWS ────────────────────────────────────────────────────────────────────
+
+    async bootstrapAws(connectionData) {
+        const { envVars } = await credentialProvider.getAwsCredentials(connectionData);
+        const region = envVars.AWS_DEFAULT_REGION;
+        const accountId = connectionData.account_id;
+        if (!accountId) throw new Error('AWS connection missing account_id');
+
+        const bucket = `cldv-tfstate-${accountId}-${region}`;
+        const cfn = new CloudFormationClient({
+            region,
+            credentials: {
+                accessKeyId: envVars.AWS_ACCESS_KEY_ID,
+                secretAccessKey: envVars.AWS_SECRET_ACCESS_KEY,
+                sessionToken: envVars.AWS_SESSION_TOKEN || undefined
+            }
+        });
+
+        const template = {
+            AWSTemplateFormatVersion: '2010-09-09',
+            Description: 'Cloudiverse Terraform remote state (S3 + DynamoDB locking)',
+            Resources: {
+                StateBucket: {
+                    Type: 'AWS::S3::Bucket',
+                    DeletionPolicy: 'Retain',
+                    Properties: {
+                        BucketName: bucket,
+                        VersioningConfiguration: { Status: 'Enabled' },
+                        BucketEncryption: {
+                            ServerSideEncryptionConfiguration: [
+                                { ServerSideEncryptionByDefault: { SSEAlgorithm: 'AES256' } }
+                            ]
+                        },
+                        PublicAccessBlockConfiguration: {
+                            BlockPublicAcls: true,
+                            BlockPublicPolicy: true,
+                            IgnorePublicAcls: true,
+                            RestrictPublicBuckets: true
+                        }
+                    }
+                },
+                LockTable: {
+                    Type: 'AWS::DynamoDB::Table',
+                    DeletionPolicy: 'Retain',
+                    Properties: {
+                        TableName: AWS_LOCK_TABLE,
+                        BillingMode: 'PAY_PER_REQUEST',
+                        AttributeDefinitions: [{ AttributeName: 'LockID', AttributeType: 'S' }],
+                        KeySchema: [{ AttributeName: 'LockID', KeyType: 'HASH' }]
+                    }
+                }
+            }
+        };
+
+        try {
+            await cfn.send(new CreateStackCommand({
+                StackName: AWS_STACK_NAME,
+                TemplateBody: JSON.stringify(template),
+                Tags: [{ Key: 'ManagedBy', Value: 'Cloudiverse' }]
+            }));
+            console.log(`[STATE_BACKEND] Created CloudFormation stack ${AWS_STACK_NAME}, waiting for completion...`);
+        } catch (err) {
+            if (err.name !== 'AlreadyExistsException') throw err;
+            console.log(`[STATE_BACKEND] Stack ${AWS_STACK_NAME} already exists, reusing.`);
+        }
+
+        const existing = await cfn.send(new DescribeStacksCommand({ StackName: AWS_STACK_NAME }));
+        const stackStatus = existing.Stacks?.[0]?.StackStatus;
+        if (stackStatus === 'CREATE_IN_PROGRESS') {
+            await waitUntilStackCreateComplete(
+                { client: cfn, maxWaitTime: BOOTSTRAP_TIMEOUT_SECONDS },
+                { StackName: AWS_STACK_NAME }
+            );
+        } else if (!['CREATE_COMPLETE', 'UPDATE_COMPLETE', 'UPDATE_ROLLBACK_COMPLETE'].includes(stackStatus)) {
+            throw new Error(`State backend stack is in unusable state: ${stackStatus}`);
+        }
+
+        return { bucket, lock_table: AWS_LOCK_TABLE, region, stack_name: AWS_STACK_NAME };
+    }
+
+    // ─── GCP ────────────────────────────────────────────────────────────────────
+
+    async bootstrapGcp(connectionData) {
+        const projectId = connectionData.project_id;
+        if (!projectId) throw new Error('GCP connection missing project_id');
+        if (!connectionData.tokens?.access_token) throw new Error('GCP connection missing OAuth access token');
+
+        const authClient = new google.auth.OAuth2(process.env.GCP_CLIENT_ID, process.env.GCP_CLIENT_SECRET);
+        authClient.setCredentials(connectionData.tokens);
+        const storage = google.storage({ version: 'v1', auth: authClient });
+
+        const bucket = `cldv-tfstate-${projectId}`;
+        const location = connectionData.region || 'asia-south1';
+
+        try {
+            await storage.buckets.insert({
+                project: projectId,
+                requestBody: {
+                    name: bucket,
+                    location,
+                    versioning: { enabled: true },
+                    iamConfiguration: {
+                        uniformBucketLevelAccess: { enabled: true },
+                        publicAccessPrevention: 'enforced'
+                    },
+                    labels: { managed_by: 'cloudiverse' }
+                }
+            });
+            console.log(`[STATE_BACKEND] Created GCS bucket ${bucket}`);
+        } catch (err) {
+            if (err.code !== 409) throw err;
+            console.log(`[STATE_BACKEND] GCS bucket ${bucket} already exists, reusing.`);
+        }
+
+        return { bucket, project_id: projectId, region: location };
+    }
+
+    // ─── AZURE ──────────────────────────────────────────────────────────────────
+
+    async getAzureArmToken(connectionData) {
+        const { envVars } = await credentialProvider.getAzureCredentials(connectionData);
+        if (envVars.ARM_ACCESS_TOKEN) return { token: envVars.ARM_ACCESS_TOKEN, envVars };
+
+        const credential = new ClientSecretCredential(envVars.ARM_TENANT_ID, envVars.ARM_CLIENT_ID, envVars.ARM_CLIENT_SECRET);
+        const accessToken = await credential.getToken(`${ARM_BASE}/.default`);
+        return { token: accessToken.token, envVars };
+    }
+
+    async bootstrapAzure(connectionData) {
+        const { token, envVars } = await this.getAzureArmToken(connectionData);
+        const subscriptionId = envVars.ARM_SUBSCRIPTION_ID;
+        if (!subscriptionId) throw new Error('Azure connection missing subscription_id');
+
+        const location = connectionData.region || 'centralindia';
+        // Storage account names are global, 3-24 lowercase alphanumerics
+        const hash = crypto.createHash('sha1').update(subscriptionId).digest('hex').slice(0, 12);
+        const storageAccount = `cldvtfstate${hash}`;
+        const headers = { Authorization: `Bearer ${token}` };
+        const rgUrl = `${ARM_BASE}/subscriptions/${subscriptionId}/resourceGroups/${AZURE_RESOURCE_GROUP}`;
+        const saUrl = `${rgUrl}/providers/Microsoft.Storage/storageAccounts/${storageAccount}`;
+
+        await axios.put(`${rgUrl}?api-version=2021-04-01`, {
+            location,
+            tags: { ManagedBy: 'Cloudiverse' }
+        }, { headers });
+
+        await axios.put(`${saUrl}?api-version=2023-01-01`, {
+            location,
+            kind: 'StorageV2',
+            sku: { name: 'Standard_LRS' },
+            properties: {
+                minimumTlsVersion: 'TLS1_2',
+                allowBlobPublicAccess: false,
+                supportsHttpsTrafficOnly: true
+            },
+            tags: { ManagedBy: 'Cloudiverse' }
+        }, { headers });
+
+        // Storage account creation is async on ARM; poll until provisioned
+        const deadline = Date.now() + BOOTSTRAP_TIMEOUT_SECONDS * 1000;
+        let provisioningState;
+        do {
+            const saRes = await axios.get(`${saUrl}?api-version=2023-01-01`, { headers });
+            provisioningState = saRes.data?.properties?.provisioningState;
+            if (provisioningState === 'Succeeded') break;
+            await new Promise(r => setTimeout(r, 5000));
+        } while (Date.now() < deadline);
+
+        if (provisioningState !== 'Succeeded') {
+            throw new Error(`Storage account ${storageAccount} not ready (state: ${provisioningState || 'unknown'})`);
+        }
+
+        await axios.put(`${saUrl}/blobServices/default/containers/${AZURE_CONTAINER}?api-version=2023-01-01`, {
+            properties: { publicAccess: 'None' }
+        }, { headers });
+
+        console.log(`[STATE_BACKEND] Azure storage ${storageAccount}/${AZURE_CONTAINER} ready`);
+
+        return {
+            resource_group: AZURE_RESOURCE_GROUP,
+            storage_account: storageAccount,
+            container: AZURE_CONTAINER,
+            subscription_id: subscriptionId,
+            region: location
+        };
+    }
+}
+
+module.exports = new StateBackendService();
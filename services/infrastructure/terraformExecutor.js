@@ -1,4 +1,3 @@
-const { v4: uuidv4 } = require('uuid');
 const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
@@ -6,6 +5,10 @@ const os = require('os');
 const credentialProvider = require('./credentialProvider');
 const { google } = require('googleapis');
 const pool = require('../../config/db');
+const jobQueue = require('./jobQueue');
+const planService = require('./planService');
+const driftService = require('./driftService');
+const environmentService = require('./environmentService');
 
 // Configuration
 const ENABLE_REAL_TERRAFORM = process.env.ENABLE_REAL_TERRAFORM === 'true';
@@ -29,55 +32,51 @@ console.log(`[TERRAFORM] Binary path resolved: ${TERRAFORM_BIN}`);
 
 const isAzure = (p) => ['azure', 'azurerm'].includes(String(p).toLowerCase());
 
-// In-memory job store (resets on server restart)
-const jobs = new Map();
-
 class TerraformExecutor {
 
     // ─── JOB MANAGEMENT ───────────────────────────────────────────────────────────
+    // Jobs are persisted through jobQueue so status, logs and exit codes
+    // survive a server restart.
 
-    createJob(type, workspaceId, metadata = {}) {
-        const jobId = uuidv4();
-        const job = {
-            id: jobId,
-            type, // 'terraform' | 'app'
-            workspaceId,
-            status: 'init', // init, running, completed, failed
-            stage: 'init',
-            logs: [],
-            startTime: new Date(),
-            metadata
-        };
-        jobs.set(jobId, job);
-        return job;
+    async createJob(type, workspaceId, metadata = {}, userId = null) {
+        // type: 'terraform' | 'app' | 'destroy'
+        // status: init, running, completed, failed (interrupted after a restart)
+        return jobQueue.createJob(type, workspaceId, { userId, metadata });
     }
 
-    getJob(jobId) {
-        return jobs.get(jobId);
+    async getJob(jobId) {
+        return jobQueue.getJob(jobId);
     }
 
-    getActiveJobs(workspaceId) {
-        const activeJobs = [];
-        for (const job of jobs.values()) {
-            // Check if job belongs to workspace and is in a non-terminal state
-            if (job.workspaceId === workspaceId && ['init', 'running', 'queued'].includes(job.status)) {
-                activeJobs.push(job);
-            }
-        }
-        return activeJobs;
+    async getActiveJobs(workspaceId) {
+        return jobQueue.getActiveJobs(workspaceId);
     }
 
     addLog(jobId, message, type = 'INFO') {
-        const job = jobs.get(jobId);
-        if (job) {
-            job.logs.push({
-                timestamp: new Date(),
-                message,
-                type
-            });
+        jobQueue.appendLog(jobId, {
+            timestamp: new Date(),
+            message,
+            type
+        });
+    }
+
+    /**
+     * Claim a job for this worker before running it
+     * @returns {Promise<boolean>} false if the job is unknown or owned by another worker
+     */
+    async startJob(jobId) {
+        try {
+            return await jobQueue.claimJob(jobId);
+        } catch (err) {
+            console.error(`[TF_EXECUTOR] Failed to claim job ${jobId}:`, err.message);
+            return false;
         }
     }
 
+    async setJobState(jobId, fields) {
+        await jobQueue.updateJob(jobId, fields);
+    }
+
     /**
      * Helper to check GCP Billing status for a given project and auth client.
      * @param {string} projectId - The GCP project ID.
@@ -204,16 +203,15 @@ class TerraformExecutor {
     }
 
     async startTerraformSimulation(jobId, provider, services = []) {
-        const job = jobs.get(jobId);
-        if (!job) return;
+        if (!(await this.startJob(jobId))) return;
 
-        job.status = 'running';
+        await this.setJobState(jobId, { status: 'running' });
 
         const delay = (ms) => new Promise(res => setTimeout(res, ms));
 
         try {
             // Stage 1: Init
-            job.stage = 'init';
+            await this.setJobState(jobId, { stage: 'init' });
             this.addLog(jobId, `Initializing Terraform backend for ${provider?.toUpperCase() || 'CLOUD'}...`, 'CMD');
             await delay(1500);
             this.addLog(jobId, 'Terraform has been successfully initialized!', 'SYSTEM');
@@ -221,7 +219,7 @@ class TerraformExecutor {
             await delay(1500);
 
             // Stage 2: Plan
-            job.stage = 'plan';
+            await this.setJobState(jobId, { stage: 'plan' });
             this.addLog(jobId, 'Generating execution plan...', 'CMD');
             await delay(2000);
             const resourceCount = services.length || 6;
@@ -230,7 +228,7 @@ class TerraformExecutor {
             await delay(1000);
 
             // Stage 3: Apply - use actual services
-            job.stage = 'apply';
+            await this.setJobState(jobId, { stage: 'apply' });
             this.addLog(jobId, 'Applying infrastructure changes...', 'CMD');
 
             if (services.length > 0) {
@@ -259,25 +257,23 @@ class TerraformExecutor {
             this.addLog(jobId, `Apply complete! Resources: ${services.length} added, 0 changed, 0 destroyed.`, 'SUCCESS');
 
             // Complete
-            job.status = 'completed';
-            job.stage = 'finished';
+            await this.setJobState(jobId, { status: 'completed', stage: 'finished' });
 
         } catch (err) {
-            job.status = 'failed';
             this.addLog(jobId, `Error: ${err.message}`, 'ERROR');
+            await this.setJobState(jobId, { status: 'failed', error: err.message });
         }
     }
 
     async startAppDeploySimulation(jobId, sourceType, target, branch = 'main') {
-        const job = jobs.get(jobId);
-        if (!job) return;
+        if (!(await this.startJob(jobId))) return;
 
-        job.status = 'running';
+        await this.setJobState(jobId, { status: 'running' });
         const delay = (ms) => new Promise(res => setTimeout(res, ms));
 
         try {
             // Stage 1: Build/Pull
-            job.stage = 'build';
+            await this.setJobState(jobId, { stage: 'build' });
             this.addLog(jobId, `Starting deployment from ${sourceType}...`, 'CMD');
 
             if (sourceType === 'github') {
@@ -295,24 +291,24 @@ class TerraformExecutor {
             }
 
             // Stage 2: Deploy
-            job.stage = 'deploy';
+            await this.setJobState(jobId, { stage: 'deploy' });
             this.addLog(jobId, 'Stopping existing containers...', 'INFO');
             await delay(1000);
             this.addLog(jobId, 'Starting new instance...', 'CMD');
             await delay(2000);
 
             // Stage 3: Health Check
-            job.stage = 'verify';
+            await this.setJobState(jobId, { stage: 'verify' });
             this.addLog(jobId, 'Running health checks...', 'INFO');
             await delay(1000);
             this.addLog(jobId, 'Health check passed: HTTP 200 OK.', 'SUCCESS');
 
             // Complete
-            job.status = 'completed';
+            await this.setJobState(jobId, { status: 'completed' });
 
         } catch (err) {
-            job.status = 'failed';
             this.addLog(jobId, `Deployment Failed: ${err.message}`, 'ERROR');
+            await this.setJobState(jobId, { status: 'failed', error: err.message });
         }
     }
 
@@ -331,9 +327,6 @@ class TerraformExecutor {
      */
     async runTerraformCommand(jobId, command, args, workDir, envVars) {
         return new Promise((resolve) => {
-            const job = jobs.get(jobId);
-            if (!job) return resolve({ success: false, exitCode: -1 });
-
             const fullCommand = `terraform ${command}`;
             this.addLog(jobId, `$ ${fullCommand} ${args.join(' ')}`, 'CMD');
 
@@ -385,14 +378,12 @@ class TerraformExecutor {
                 }
             });
 
-            // Completion
+            // Completion (exit codes are persisted with the job)
             proc.on('close', (code) => {
                 clearTimeout(timeout);
-                if (killed) {
-                    resolve({ success: false, exitCode: -1 });
-                } else {
-                    resolve({ success: code === 0, exitCode: code });
-                }
+                const exitCode = killed ? -1 : code;
+                jobQueue.recordExitCode(jobId, command, exitCode)
+                    .finally(() => resolve({ success: !killed && code === 0, exitCode }));
             });
 
             proc.on('error', (err) => {
@@ -404,67 +395,155 @@ class TerraformExecutor {
     }
 
     /**
-     * Execute real Terraform init/plan/apply sequence
+     * Local working directory for a workspace run; workspace environments get their own
+     */
+    getWorkDir(workspaceId, provider, environment = null) {
+        return environment
+            ? path.join(TERRAFORM_WORK_DIR, String(workspaceId), 'env', environment, provider)
+            : path.join(TERRAFORM_WORK_DIR, String(workspaceId), provider);
+    }
+
+    /**
+     * Write generated Terraform files and the shared modules library into a workspace directory
+     */
+    async writeWorkspaceFiles(jobId, workDir, terraformFiles) {
+        this.addLog(jobId, `Creating workspace directory: ${workDir}`, 'SYSTEM');
+        await fs.mkdir(workDir, { recursive: true });
+
+        // Write Terraform files
+        this.addLog(jobId, 'Writing Terraform configuration files...', 'INFO');
+        const fileCount = Object.keys(terraformFiles).length;
+
+        for (const [filename, content] of Object.entries(terraformFiles)) {
+            const filePath = path.join(workDir, filename);
+
+            // Create subdirectories if needed (for modular structure)
+            const fileDir = path.dirname(filePath);
+            if (fileDir !== workDir) {
+                await fs.mkdir(fileDir, { recursive: true });
+            }
+
+            await fs.writeFile(filePath, content);
+        }
+        this.addLog(jobId, `Wrote ${fileCount} configuration files`, 'SUCCESS');
+
+        // Copy shared modules library
+        this.addLog(jobId, 'Copying shared modules library...', 'INFO');
+        const modulesSrc = path.join(__dirname, '../../catalog/terraform/shared-modules');
+        const modulesDest = path.join(workDir, 'modules');
+
+        try {
+            // Ensure fs.cp exists (Node 16.7+)
+            if (fs.cp) {
+                await fs.cp(modulesSrc, modulesDest, { recursive: true });
+            } else {
+                // Fallback for older Node versions (if needed) - simplified recursive copy
+                // But we assume modern Node environment
+                throw new Error('Node.js version too old: fs.cp required');
+            }
+            this.addLog(jobId, 'Shared modules copied successfully.', 'SUCCESS');
+        } catch (cpErr) {
+            this.addLog(jobId, `Failed to copy shared modules: ${cpErr.message}`, 'ERROR');
+            throw cpErr;
+        }
+    }
+
+    /**
+     * Build `terraform init` arguments for a workspace directory.
+     * Uses backend.hcl (remote state) when present. A directory whose state was
+     * already moved to a remote backend never falls back to local state.
+     * @returns {object} { initArgs, hasLocalState } - hasLocalState: a local terraform.tfstate to migrate
+     */
+    async getInitArgs(jobId, workDir) {
+        const initArgs = ['-input=false', '-no-color'];
+        const backendConfig = path.join(workDir, 'backend.hcl');
+        const exists = (file) => fs.access(path.join(workDir, file)).then(() => true, () => false);
+
+        if (!(await exists('backend.hcl'))) {
+            if (await exists('terraform.tfstate.migrated')) {
+                throw new Error('This workspace keeps its state in a remote backend, but none is configured for this run; refusing to continue on empty local state');
+            }
+            this.addLog(jobId, 'No remote state backend configured, using local state (stored in workspace dir)', 'WARN');
+            return { initArgs, hasLocalState: false };
+        }
+
+        initArgs.push(`-backend-config=${backendConfig}`, '-reconfigure');
+        this.addLog(jobId, 'Using remote state backend', 'INFO');
+
+        return { initArgs, hasLocalState: await exists('terraform.tfstate') };
+    }
+
+    /**
+     * Remote state of an initialised directory (not logged: it holds secrets)
+     * @returns {Promise<object|null>} Parsed state, or null when the key holds none yet
+     */
+    async pullRemoteState(workDir, envVars) {
+        const output = await this.captureTerraformOutput(['state', 'pull'], workDir, envVars);
+        return output.trim() ? JSON.parse(output) : null;
+    }
+
+    /**
+     * `terraform init` for a workspace directory. A local terraform.tfstate left from
+     * before remote state is pushed to the backend only while the remote key is empty;
+     * otherwise the remote state wins and the local copy is parked untouched.
+     */
+    async initTerraform(jobId, workDir, envVars) {
+        const { initArgs, hasLocalState } = await this.getInitArgs(jobId, workDir);
+
+        const initResult = await this.runTerraformCommand(jobId, 'init', initArgs, workDir, envVars);
+        if (!initResult.success) {
+            throw new Error(`Terraform init failed with exit code ${initResult.exitCode}`);
+        }
+        if (!hasLocalState) return;
+
+        const terraformState = path.join(workDir, 'terraform.tfstate');
+        const remoteState = await this.pullRemoteState(workDir, envVars);
+        const remoteResources = remoteState?.resources?.length || 0;
+
+        if (remoteResources > 0) {
+            const parked = `${terraformState}.unmigrated-${Date.now()}`;
+            await fs.rename(terraformState, parked);
+            this.addLog(jobId, `Remote state already tracks ${remoteResources} resources; kept it and set the local state aside (${path.basename(parked)}) instead of overwriting`, 'WARN');
+            return;
+        }
+
+        this.addLog(jobId, 'Remote state is empty, migrating local state to the remote backend...', 'INFO');
+        const pushResult = await this.runTerraformCommand(jobId, 'state', ['push', '-no-color', 'terraform.tfstate'], workDir, envVars);
+        if (!pushResult.success) {
+            throw new Error(`Terraform state migration failed with exit code ${pushResult.exitCode}`);
+        }
+
+        // Park the local copy so later runs don't re-migrate stale state
+        await fs.rename(terraformState, `${terraformState}.migrated`);
+        await fs.rm(`${terraformState}.backup`, { force: true });
+        this.addLog(jobId, 'Local state migrated to remote backend', 'SUCCESS');
+    }
+
+    /**
+     * Execute real Terraform init/plan sequence and store the plan for approval.
+     * Nothing is applied here; see startTerraformApply.
      * @param {string} jobId - Job ID
      * @param {string} provider - aws | gcp | azure  
      * @param {string} workspaceId - Workspace ID
      * @param {object} terraformFiles - Object with filename -> content
      * @param {object} connectionData - state_json.connection
+     * @param {object} planOptions - { infraSpecHash, userId, environment } recorded on the stored plan
      */
-    async startRealTerraformExecution(jobId, provider, workspaceId, terraformFiles, connectionData) {
-        const job = jobs.get(jobId);
-        if (!job) return;
+    async startRealTerraformExecution(jobId, provider, workspaceId, terraformFiles, connectionData, planOptions = {}) {
+        if (!(await this.startJob(jobId))) return;
 
-        job.status = 'running';
-        job.stage = 'setup';
+        await this.setJobState(jobId, { status: 'running', stage: 'setup' });
 
-        const workDir = path.join(TERRAFORM_WORK_DIR, String(workspaceId), provider);
+        const environment = planOptions.environment || null;
+        const workDir = this.getWorkDir(workspaceId, provider, environment);
         let credentialFiles = [];
 
         try {
             // ─── STAGE 1: SETUP WORKSPACE ───────────────────────────────────────────
-            this.addLog(jobId, `Creating workspace directory: ${workDir}`, 'SYSTEM');
-            await fs.mkdir(workDir, { recursive: true });
-
-            // Write Terraform files
-            this.addLog(jobId, 'Writing Terraform configuration files...', 'INFO');
-            const fileCount = Object.keys(terraformFiles).length;
-
-            for (const [filename, content] of Object.entries(terraformFiles)) {
-                const filePath = path.join(workDir, filename);
-
-                // Create subdirectories if needed (for modular structure)
-                const fileDir = path.dirname(filePath);
-                if (fileDir !== workDir) {
-                    await fs.mkdir(fileDir, { recursive: true });
-                }
-
-                await fs.writeFile(filePath, content);
-            }
-            this.addLog(jobId, `Wrote ${fileCount} configuration files`, 'SUCCESS');
-
-            // ─── STAGE 1.5: COPY SHARED MODULES ─────────────────────────────────────
-            this.addLog(jobId, 'Copying shared modules library...', 'INFO');
-            const modulesSrc = path.join(__dirname, '../../catalog/terraform/shared-modules');
-            const modulesDest = path.join(workDir, 'modules');
-
-            try {
-                // Ensure fs.cp exists (Node 16.7+)
-                if (fs.cp) {
-                    await fs.cp(modulesSrc, modulesDest, { recursive: true });
-                } else {
-                    // Fallback for older Node versions (if needed) - simplified recursive copy
-                    // But we assume modern Node environment
-                    throw new Error('Node.js version too old: fs.cp required');
-                }
-                this.addLog(jobId, 'Shared modules copied successfully.', 'SUCCESS');
-            } catch (cpErr) {
-                this.addLog(jobId, `Failed to copy shared modules: ${cpErr.message}`, 'ERROR');
-                throw cpErr;
-            }
+            await this.writeWorkspaceFiles(jobId, workDir, terraformFiles);
 
             // ─── STAGE 2: GET CREDENTIALS ───────────────────────────────────────────
-            job.stage = 'credentials';
+            await this.setJobState(jobId, { stage: 'credentials' });
             this.addLog(jobId, `Obtaining ${provider.toUpperCase()} credentials...`, 'INFO');
 
             const { envVars, credentialFiles: credFiles } = await credentialProvider.getCredentials(
@@ -476,18 +555,7 @@ class TerraformExecutor {
 
             // INJECT TF_VAR MAPPING FOR AZURE
             if (isAzure(provider)) {
-                // Naming convention: rg-cldv-ws-<workspace_id>
-                const rgName = `rg-cldv-ws-${workspaceId}`;
-                envVars.TF_VAR_resource_group_name = rgName;
-
-                // Map ARM credentials to user variables for the provider block (Standardized per refined plan)
-                if (envVars.ARM_SUBSCRIPTION_ID) envVars.TF_VAR_user_subscription_id = envVars.ARM_SUBSCRIPTION_ID;
-                if (envVars.ARM_TENANT_ID) envVars.TF_VAR_user_tenant_id = envVars.ARM_TENANT_ID;
-                if (envVars.ARM_CLIENT_ID) envVars.TF_VAR_user_client_id = envVars.ARM_CLIENT_ID;
-                if (envVars.ARM_CLIENT_SECRET) envVars.TF_VAR_user_client_secret = envVars.ARM_CLIENT_SECRET;
-                if (envVars.ARM_ACCESS_TOKEN) envVars.TF_VAR_user_access_token = envVars.ARM_ACCESS_TOKEN;
-
-                this.addLog(jobId, `Injected Azure Resource Group: ${rgName} and mapped user credentials`, 'INFO');
+                this.injectAzureVars(jobId, workspaceId, envVars, environment);
             }
 
             this.addLog(jobId, 'Credentials obtained successfully', 'SUCCESS');
@@ -499,7 +567,7 @@ class TerraformExecutor {
 
             // ─── STAGE 3: TERRAFORM INIT ────────────────────────────────────────────
             // ─── STAGE 3: TERRAFORM INIT ────────────────────────────────────────────
-            job.stage = 'init';
+            await this.setJobState(jobId, { stage: 'init' });
 
             // 🔥 CLEANUP: Remove .terraform folder and STATE to prevent state poisoning from ~/.aws/config or old runs
             const terraformDir = path.join(workDir, '.terraform');
@@ -520,29 +588,11 @@ class TerraformExecutor {
 
             this.addLog(jobId, `Initializing Terraform for ${provider.toUpperCase()}...`, 'CMD');
 
-            const initArgs = ['-input=false', '-no-color'];
-
-            // 🔥 AZURE BACKEND CONFIGURATION
-            if (isAzure(provider)) {
-                // Config removed to allow local state (fix for missing storage account)
-                this.addLog(jobId, `Using Local Backend for Azure (State stored in workspace dir)`, 'INFO');
-            }
-
-            const initResult = await this.runTerraformCommand(
-                jobId,
-                'init',
-                initArgs,
-                workDir,
-                envVars
-            );
-
-            if (!initResult.success) {
-                throw new Error(`Terraform init failed with exit code ${initResult.exitCode}`);
-            }
+            await this.initTerraform(jobId, workDir, envVars);
             this.addLog(jobId, 'Terraform initialized successfully!', 'SUCCESS');
 
             // ─── STAGE 3.5: TERRAFORM VALIDATE ──────────────────────────────────────
-            job.stage = 'validate';
+            await this.setJobState(jobId, { stage: 'validate' });
             this.addLog(jobId, 'Validating Terraform configuration...', 'CMD');
             const validateResult = await this.runTerraformCommand(jobId, 'validate', ['-no-color'], workDir, envVars);
             if (!validateResult.success) {
@@ -551,7 +601,7 @@ class TerraformExecutor {
             this.addLog(jobId, 'Validation successful!', 'SUCCESS');
 
             // ─── STAGE 4: TERRAFORM PLAN ────────────────────────────────────────────
-            job.stage = 'plan';
+            await this.setJobState(jobId, { stage: 'plan' });
             this.addLog(jobId, 'Generating execution plan...', 'CMD');
 
             const planResult = await this.runTerraformCommand(
@@ -567,8 +617,106 @@ class TerraformExecutor {
             }
             this.addLog(jobId, 'Plan generated successfully!', 'SUCCESS');
 
-            // ─── STAGE 5: TERRAFORM APPLY ───────────────────────────────────────────
-            job.stage = 'apply';
+            // ─── STAGE 5: STORE PLAN FOR REVIEW ─────────────────────────────────────
+            await this.setJobState(jobId, { stage: 'review' });
+            this.addLog(jobId, 'Capturing plan for review...', 'CMD');
+
+            const planJson = JSON.parse(await this.captureTerraformOutput(['show', '-json', 'tfplan'], workDir, envVars));
+            const planFileHash = planService.hashPlanFile(await fs.readFile(path.join(workDir, 'tfplan')));
+
+            const plan = await planService.createPlan({
+                workspaceId,
+                jobId,
+                provider,
+                infraSpecHash: planOptions.infraSpecHash,
+                planFileHash,
+                planJson,
+                userId: planOptions.userId,
+                environment
+            });
+
+            const { totals } = plan.summary;
+            this.addLog(jobId, `Plan #${plan.id}: ${totals.create} to create, ${totals.update} to update, ${totals.replace} to replace, ${totals.destroy} to destroy.`, 'INFO');
+
+            const planEntry = { action: 'TERRAFORM_PLAN_CREATED', job_id: jobId, plan_id: plan.id, summary: totals };
+            if (environment) {
+                await environmentService.appendHistory(workspaceId, environment, planEntry);
+            } else {
+                await pool.query(
+                    `UPDATE workspaces
+                     SET deployment_history = COALESCE(deployment_history, '[]'::jsonb) || $2::jsonb
+                     WHERE id = $1`,
+                    [workspaceId, JSON.stringify([{ ...planEntry, timestamp: new Date().toISOString() }])]
+                );
+            }
+
+            // ─── COMPLETE (AWAITING APPROVAL) ───────────────────────────────────────
+            this.addLog(jobId, 'Plan saved. Waiting for approval before applying.', 'SUCCESS');
+            await this.setJobState(jobId, {
+                status: 'completed',
+                stage: 'awaiting_approval',
+                metadata: { workDir, planId: plan.id, summary: plan.summary }
+            });
+
+        } catch (err) {
+            this.addLog(jobId, `ERROR: ${err.message}`, 'ERROR');
+            await this.setJobState(jobId, { status: 'failed', error: err.message });
+        } finally {
+            // Cleanup credential files (but keep TF files for potential destroy)
+            await credentialProvider.cleanup(credentialFiles);
+        }
+    }
+
+    /**
+     * Apply a previously approved plan (phase two of /deploy/terraform).
+     * Runs `terraform apply` against exactly the saved tfplan whose hash was recorded at plan time.
+     * @param {string} jobId - Job ID
+     * @param {number} planId - terraform_plans.id (already APPROVED)
+     * @param {string} provider - aws | gcp | azure
+     * @param {string} workspaceId - Workspace ID
+     * @param {object} connectionData - state_json.connection
+     */
+    async startTerraformApply(jobId, planId, provider, workspaceId, connectionData) {
+        if (!(await this.startJob(jobId))) return;
+
+        await this.setJobState(jobId, { status: 'running', stage: 'setup' });
+
+        let workDir = this.getWorkDir(workspaceId, provider);
+        let credentialFiles = [];
+
+        try {
+            // ─── STAGE 1: VERIFY SAVED PLAN ─────────────────────────────────────────
+            const plan = await planService.getPlan(planId);
+            const environment = plan?.environment || null;
+            workDir = this.getWorkDir(workspaceId, provider, environment);
+            let planFile;
+            try {
+                planFile = await fs.readFile(path.join(workDir, 'tfplan'));
+            } catch {
+                throw new Error('Saved plan file is no longer available. Please run a new plan.');
+            }
+            if (!plan || planService.hashPlanFile(planFile) !== plan.plan_file_hash) {
+                throw new Error('Saved plan file does not match the approved plan. Please run a new plan.');
+            }
+            this.addLog(jobId, `Applying approved plan #${planId}`, 'SYSTEM');
+
+            await this.setJobState(jobId, { stage: 'credentials' });
+            this.addLog(jobId, `Obtaining ${provider.toUpperCase()} credentials...`, 'INFO');
+
+            const { envVars, credentialFiles: credFiles } = await credentialProvider.getCredentials(
+                provider,
+                connectionData,
+                workDir
+            );
+            credentialFiles = credFiles;
+
+            if (isAzure(provider)) {
+                this.injectAzureVars(jobId, workspaceId, envVars, environment);
+            }
+            this.addLog(jobId, 'Credentials obtained successfully', 'SUCCESS');
+
+            // ─── STAGE 2: TERRAFORM APPLY (SAVED PLAN) ───────────────────────────────
+            await this.setJobState(jobId, { stage: 'apply' });
             this.addLog(jobId, 'Applying infrastructure changes...', 'CMD');
 
             const applyResult = await this.runTerraformCommand(
@@ -585,23 +733,11 @@ class TerraformExecutor {
 
             this.addLog(jobId, 'Apply complete! Infrastructure deployed successfully.', 'SUCCESS');
 
-            // ─── STAGE 6: GET OUTPUTS ───────────────────────────────────────────────
-            job.stage = 'outputs';
+            // ─── STAGE 3: GET OUTPUTS ───────────────────────────────────────────────
+            await this.setJobState(jobId, { stage: 'outputs' });
             this.addLog(jobId, 'Capturing infrastructure outputs...', 'CMD');
 
-            const outputData = await new Promise((resolve, reject) => {
-                const proc = spawn(TERRAFORM_BIN, ['output', '-json'], {
-                    cwd: workDir,
-                    shell: true,
-                    env: { ...process.env, ...envVars }
-                });
-                let stdout = '';
-                proc.stdout.on('data', d => stdout += d.toString());
-                proc.on('close', code => {
-                    if (code === 0) resolve(stdout);
-                    else reject(new Error(`Terraform output failed with code ${code}`));
-                });
-            });
+            const outputData = await this.captureTerraformOutput(['output', '-json'], workDir, envVars);
 
             let cleanOutputs = {};
             try {
@@ -616,59 +752,239 @@ class TerraformExecutor {
 
             this.addLog(jobId, `Outputs captured: ${Object.keys(cleanOutputs).join(', ')}`, 'INFO');
 
-            // ─── STAGE 7: PERSIST STATE ─────────────────────────────────────────────
+            // ─── STAGE 4: PERSIST STATE ─────────────────────────────────────────────
             try {
-                console.log(`[TF PERSIST DEBUG] Saving infra_outputs to workspace ${workspaceId}:`, JSON.stringify(cleanOutputs, null, 2));
-                const updateResult = await pool.query(
-                    `UPDATE workspaces 
-                     SET state_json = jsonb_set(
-                        COALESCE(state_json, '{}'), 
-                        '{infra_outputs}', 
-                        $1
-                     ),
-                     deployment_status = CASE 
-                        WHEN deployment_status = 'DRAFT' THEN 'INFRA_READY'
-                        ELSE deployment_status 
-                     END,
-                     deployment_history = COALESCE(deployment_history, '[]'::jsonb) || $3::jsonb
-                     WHERE id = $2
-                     RETURNING id, state_json->'infra_outputs' as saved_outputs, deployment_status`,
-                    [
-                        JSON.stringify(cleanOutputs),
-                        workspaceId,
-                        JSON.stringify([{
-                            action: 'TERRAFORM_APPLY_SUCCESS',
-                            timestamp: new Date().toISOString(),
-                            job_id: jobId,
-                            outputs_keys: Object.keys(cleanOutputs)
-                        }])
-                    ]
-                );
-                if (updateResult.rowCount === 0) {
-                    console.error(`[TF PERSIST DEBUG] WARNING: No rows updated! workspaceId=${workspaceId} not found.`);
+                if (environment) {
+                    await environmentService.recordApply(workspaceId, environment, cleanOutputs, {
+                        action: 'TERRAFORM_APPLY_SUCCESS',
+                        job_id: jobId,
+                        plan_id: planId,
+                        outputs_keys: Object.keys(cleanOutputs)
+                    });
+                    this.addLog(jobId, `Infrastructure state persisted to environment '${environment}'.`, 'SUCCESS');
                 } else {
-                    console.log(`[TF PERSIST DEBUG] Successfully updated workspace ${updateResult.rows[0].id}, status=${updateResult.rows[0].deployment_status}, saved_outputs keys:`, Object.keys(updateResult.rows[0].saved_outputs || {}));
+                    console.log(`[TF PERSIST DEBUG] Saving infra_outputs to workspace ${workspaceId}:`, JSON.stringify(cleanOutputs, null, 2));
+                    const updateResult = await pool.query(
+                        `UPDATE workspaces 
+                         SET state_json = jsonb_set(
+                            COALESCE(state_json, '{}'), 
+                            '{infra_outputs}', 
+                            $1
+                         ),
+                         deployment_status = CASE 
+                            WHEN deployment_status = 'DRAFT' THEN 'INFRA_READY'
+                            ELSE deployment_status 
+                         END,
+                         deployment_history = COALESCE(deployment_history, '[]'::jsonb) || $3::jsonb
+                         WHERE id = $2
+                         RETURNING id, state_json->'infra_outputs' as saved_outputs, deployment_status`,
+                        [
+                            JSON.stringify(cleanOutputs),
+                            workspaceId,
+                            JSON.stringify([{
+                                action: 'TERRAFORM_APPLY_SUCCESS',
+                                timestamp: new Date().toISOString(),
+                                job_id: jobId,
+                                plan_id: planId,
+                                outputs_keys: Object.keys(cleanOutputs)
+                            }])
+                        ]
+                    );
+                    if (updateResult.rowCount === 0) {
+                        console.error(`[TF PERSIST DEBUG] WARNING: No rows updated! workspaceId=${workspaceId} not found.`);
+                    } else {
+                        console.log(`[TF PERSIST DEBUG] Successfully updated workspace ${updateResult.rows[0].id}, status=${updateResult.rows[0].deployment_status}, saved_outputs keys:`, Object.keys(updateResult.rows[0].saved_outputs || {}));
+                    }
+                    this.addLog(jobId, 'Infrastructure state persisted to database.', 'SUCCESS');
                 }
-                this.addLog(jobId, 'Infrastructure state persisted to database.', 'SUCCESS');
             } catch (dbErr) {
                 console.error("DB Persist Error:", dbErr);
                 this.addLog(jobId, `Failed to persist state: ${dbErr.message}`, 'ERROR');
             }
 
+            await planService.setPlanStatus(planId, planService.PLAN_STATES.APPLIED);
+
             // ─── COMPLETE ───────────────────────────────────────────────────────────
-            job.status = 'completed';
-            job.stage = 'finished';
-            job.metadata.workDir = workDir; // Store for potential destroy later
+            // Store workDir for potential destroy later
+            await this.setJobState(jobId, { status: 'completed', stage: 'finished', metadata: { workDir, planId } });
 
         } catch (err) {
-            job.status = 'failed';
             this.addLog(jobId, `ERROR: ${err.message}`, 'ERROR');
+            await this.setJobState(jobId, { status: 'failed', error: err.message });
+            await planService.setPlanStatus(planId, planService.PLAN_STATES.FAILED).catch(() => { });
         } finally {
-            // Cleanup credential files (but keep TF files for potential destroy)
             await credentialProvider.cleanup(credentialFiles);
         }
     }
 
+    /**
+     * Detect drift between the Terraform state and the real cloud resources.
+     * Runs `terraform plan -refresh-only -detailed-exitcode` (nothing is written to state)
+     * and compares `terraform output -json` with the infra_outputs saved in state_json
+     * (or on the workspace environment being checked).
+     * @param {string} jobId - Job ID
+     * @param {string} provider - aws | gcp | azure
+     * @param {string} workspaceId - Workspace ID
+     * @param {object} connectionData - state_json.connection
+     * @param {object} terraformFiles - Optional regenerated files, used to rebuild a lost workspace from remote state
+     * @param {string} trigger - manual | schedule
+     * @param {string} environment - Optional workspace environment to check (workspace level otherwise)
+     */
+    async startDriftDetection(jobId, provider, workspaceId, connectionData, terraformFiles = null, trigger = 'manual', environment = null) {
+        if (!(await this.startJob(jobId))) return;
+
+        await this.setJobState(jobId, { status: 'running', stage: 'setup' });
+
+        const workDir = this.getWorkDir(workspaceId, provider, environment);
+        const driftPlan = path.join(workDir, 'driftplan');
+        let credentialFiles = [];
+
+        try {
+            // Rebuild the workspace from remote state if the local copy is gone
+            let needsInit = false;
+            try {
+                await fs.access(workDir);
+                await fs.access(path.join(workDir, '.terraform'));
+            } catch {
+                if (!terraformFiles?.['backend.hcl']) {
+                    throw new Error('Terraform workspace not found and no remote state backend is configured.');
+                }
+                this.addLog(jobId, 'Local workspace missing, rebuilding it against the remote state backend...', 'INFO');
+                await this.writeWorkspaceFiles(jobId, workDir, terraformFiles);
+                needsInit = true;
+            }
+
+            this.addLog(jobId, `Checking workspace ${workspaceId}${environment ? ` (environment '${environment}')` : ''} for drift (${trigger})`, 'SYSTEM');
+
+            await this.setJobState(jobId, { stage: 'credentials' });
+            const { envVars, credentialFiles: credFiles } = await credentialProvider.getCredentials(
+                provider,
+                connectionData,
+                workDir
+            );
+            credentialFiles = credFiles;
+
+            if (isAzure(provider)) {
+                this.injectAzureVars(jobId, workspaceId, envVars, environment);
+            }
+            this.addLog(jobId, 'Credentials obtained successfully', 'SUCCESS');
+
+            if (needsInit) {
+                await this.setJobState(jobId, { stage: 'init' });
+                await this.initTerraform(jobId, workDir, envVars);
+            }
+
+            // ─── STAGE 1: REFRESH-ONLY PLAN ─────────────────────────────────────────
+            // -detailed-exitcode: 0 = no drift, 2 = drift, anything else = error.
+            // -lock=false so a check never blocks (or is blocked by) a deploy holding the state lock.
+            await this.setJobState(jobId, { stage: 'refresh' });
+            const planResult = await this.runTerraformCommand(
+                jobId,
+                'plan',
+                ['-refresh-only', '-detailed-exitcode', '-lock=false', '-input=false', '-no-color', '-out=driftplan'],
+                workDir,
+                envVars
+            );
+
+            if (planResult.exitCode !== 0 && planResult.exitCode !== 2) {
+                throw new Error(`Terraform refresh-only plan failed with exit code ${planResult.exitCode}`);
+            }
+
+            const resources = planResult.exitCode === 2
+                ? driftService.summarizeDrift(JSON.parse(await this.captureTerraformOutput(['show', '-json', 'driftplan'], workDir, envVars)))
+                : [];
+
+            // ─── STAGE 2: OUTPUTS ───────────────────────────────────────────────────
+            await this.setJobState(jobId, { stage: 'outputs' });
+            const liveOutputs = {};
+            const parsedOutputs = JSON.parse(await this.captureTerraformOutput(['output', '-json'], workDir, envVars) || '{}');
+            Object.keys(parsedOutputs).forEach(k => {
+                liveOutputs[k] = parsedOutputs[k].value;
+            });
+
+            const savedOutputs = environment
+                ? (await environmentService.getEnvironment(workspaceId, environment))?.infra_outputs
+                : (await pool.query(`SELECT state_json->'infra_outputs' AS infra_outputs FROM workspaces WHERE id = $1`, [workspaceId])).rows[0]?.infra_outputs;
+            const outputs = driftService.diffOutputs(savedOutputs || {}, liveOutputs);
+
+            // ─── STAGE 3: RECORD ────────────────────────────────────────────────────
+            const drifted = resources.length > 0 || !outputs.inSync;
+            await driftService.recordDriftResult(workspaceId, {
+                action: drifted ? driftService.DRIFT_ACTIONS.DETECTED : driftService.DRIFT_ACTIONS.CLEAN,
+                job_id: jobId,
+                trigger,
+                resources,
+                outputs
+            }, environment);
+
+            if (resources.length > 0) {
+                this.addLog(jobId, `Drift detected in ${resources.length} resource(s): ${resources.map(r => r.address).join(', ')}`, 'WARN');
+            }
+            if (!outputs.inSync) {
+                this.addLog(jobId, `Saved outputs differ from Terraform state (missing: ${outputs.missing.length}, stale: ${outputs.stale.length}, changed: ${outputs.changed.length})`, 'WARN');
+            }
+            if (!drifted) {
+                this.addLog(jobId, 'No drift detected. Cloud resources match the Terraform state.', 'SUCCESS');
+            }
+
+            await this.setJobState(jobId, {
+                status: 'completed',
+                stage: 'finished',
+                metadata: { drifted, resourceCount: resources.length, outputsInSync: outputs.inSync }
+            });
+
+        } catch (err) {
+            this.addLog(jobId, `ERROR: ${err.message}`, 'ERROR');
+            await this.setJobState(jobId, { status: 'failed', error: err.message });
+            await driftService.recordDriftResult(workspaceId, {
+                action: driftService.DRIFT_ACTIONS.FAILED,
+                job_id: jobId,
+                trigger,
+                error: err.message
+            }, environment).catch(() => { });
+        } finally {
+            await fs.rm(driftPlan, { force: true }).catch(() => { });
+            await credentialProvider.cleanup(credentialFiles);
+        }
+    }
+
+    /**
+     * Map ARM credentials to the TF_VAR_* inputs used by the generated Azure provider block
+     */
+    injectAzureVars(jobId, workspaceId, envVars, environment = null) {
+        // Naming convention: rg-cldv-ws-<workspace_id>[-<environment>]
+        const rgName = environmentService.getResourceGroupName(workspaceId, environment);
+        envVars.TF_VAR_resource_group_name = rgName;
+
+        // Map ARM credentials to user variables for the provider block (Standardized per refined plan)
+        if (envVars.ARM_SUBSCRIPTION_ID) envVars.TF_VAR_user_subscription_id = envVars.ARM_SUBSCRIPTION_ID;
+        if (envVars.ARM_TENANT_ID) envVars.TF_VAR_user_tenant_id = envVars.ARM_TENANT_ID;
+        if (envVars.ARM_CLIENT_ID) envVars.TF_VAR_user_client_id = envVars.ARM_CLIENT_ID;
+        if (envVars.ARM_CLIENT_SECRET) envVars.TF_VAR_user_client_secret = envVars.ARM_CLIENT_SECRET;
+        if (envVars.ARM_ACCESS_TOKEN) envVars.TF_VAR_user_access_token = envVars.ARM_ACCESS_TOKEN;
+
+        this.addLog(jobId, `Injected Azure Resource Group: ${rgName} and mapped user credentials`, 'INFO');
+    }
+
+    /**
+     * Run a Terraform command and return its stdout (for machine-readable output like -json)
+     */
+    async captureTerraformOutput(args, workDir, envVars) {
+        return new Promise((resolve, reject) => {
+            const proc = spawn(TERRAFORM_BIN, args, {
+                cwd: workDir,
+                shell: true,
+                env: { ...process.env, ...envVars }
+            });
+            let stdout = '';
+            proc.stdout.on('data', d => stdout += d.toString());
+            proc.on('close', code => {
+                if (code === 0) resolve(stdout);
+                else reject(new Error(`Terraform ${args[0]} failed with code ${code}`));
+            });
+        });
+    }
+
     /**
      * Start Terraform Destroy (called from API endpoint)
      * @param {string} jobId - Job ID
@@ -676,29 +992,35 @@ class TerraformExecutor {
      * @param {string} workspaceId - Workspace ID
      * @param {object} connectionData - Cloud connection data
      * @param {string} region - Region
+     * @param {object} terraformFiles - Optional regenerated files, used to rebuild a lost workspace from remote state
+     * @param {string} environment - Optional workspace environment to destroy (workspace level otherwise)
      */
-    async startTerraformDestroy(jobId, provider, workspaceId, connectionData, region) {
-        const job = jobs.get(jobId);
-        if (!job) return;
+    async startTerraformDestroy(jobId, provider, workspaceId, connectionData, region, terraformFiles = null, environment = null) {
+        if (!(await this.startJob(jobId))) return;
 
-        job.status = 'running';
-        job.stage = 'setup';
+        await this.setJobState(jobId, { status: 'running', stage: 'setup' });
 
-        const workDir = path.join(TERRAFORM_WORK_DIR, String(workspaceId), provider);
+        const workDir = this.getWorkDir(workspaceId, provider, environment);
         let credentialFiles = [];
 
         try {
-            // Check if workspace directory exists
+            // Check if workspace directory exists; with a remote backend it can be rebuilt from the generated files
+            let needsInit = false;
             try {
                 await fs.access(workDir);
             } catch {
-                throw new Error('Terraform workspace not found. Infrastructure may have already been destroyed.');
+                if (!terraformFiles?.['backend.hcl']) {
+                    throw new Error('Terraform workspace not found. Infrastructure may have already been destroyed.');
+                }
+                this.addLog(jobId, 'Local workspace missing, rebuilding it against the remote state backend...', 'INFO');
+                await this.writeWorkspaceFiles(jobId, workDir, terraformFiles);
+                needsInit = true;
             }
 
-            this.addLog(jobId, `Starting infrastructure destruction for workspace ${workspaceId}`, 'SYSTEM');
+            this.addLog(jobId, `Starting infrastructure destruction for workspace ${workspaceId}${environment ? ` (environment '${environment}')` : ''}`, 'SYSTEM');
 
             // Get credentials
-            job.stage = 'credentials';
+            await this.setJobState(jobId, { stage: 'credentials' });
             this.addLog(jobId, `Obtaining ${provider.toUpperCase()} credentials...`, 'INFO');
 
             const { envVars, credentialFiles: credFiles } = await credentialProvider.getCredentials(
@@ -707,10 +1029,18 @@ class TerraformExecutor {
                 workDir
             );
             credentialFiles = credFiles;
+            if (isAzure(provider)) {
+                this.injectAzureVars(jobId, workspaceId, envVars, environment);
+            }
             this.addLog(jobId, 'Credentials obtained successfully', 'SUCCESS');
 
+            if (needsInit) {
+                await this.setJobState(jobId, { stage: 'init' });
+                await this.initTerraform(jobId, workDir, envVars);
+            }
+
             // Run terraform destroy
-            job.stage = 'destroy';
+            await this.setJobState(jobId, { stage: 'destroy' });
             this.addLog(jobId, '⚠️ Destroying all infrastructure resources...', 'CMD');
             this.addLog(jobId, 'This may take 10-20 minutes for some resources (e.g., CloudFront)', 'INFO');
 
@@ -727,26 +1057,29 @@ class TerraformExecutor {
             }
 
             this.addLog(jobId, '✅ Infrastructure destroyed successfully!', 'SUCCESS');
-            job.status = 'completed';
-            job.stage = 'finished';
+            await this.setJobState(jobId, { status: 'completed', stage: 'finished' });
 
             // ─── RESET STATE IN DB ───────────────────────────────────────────────
             try {
-                await pool.query(
-                    `UPDATE workspaces 
-                     SET state_json = state_json - 'infra_outputs',
-                         deployment_status = 'DESTROYED',
-                         deployment_history = COALESCE(deployment_history, '[]'::jsonb) || $2::jsonb
-                     WHERE id = $1`,
-                    [
-                        workspaceId,
-                        JSON.stringify([{
-                            action: 'TERRAFORM_DESTROY_SUCCESS',
-                            timestamp: new Date().toISOString(),
-                            job_id: jobId
-                        }])
-                    ]
-                );
+                if (environment) {
+                    await environmentService.recordDestroy(workspaceId, environment, { action: 'TERRAFORM_DESTROY_SUCCESS', job_id: jobId });
+                } else {
+                    await pool.query(
+                        `UPDATE workspaces 
+                         SET state_json = state_json - 'infra_outputs',
+                             deployment_status = 'DESTROYED',
+                             deployment_history = COALESCE(deployment_history, '[]'::jsonb) || $2::jsonb
+                         WHERE id = $1`,
+                        [
+                            workspaceId,
+                            JSON.stringify([{
+                                action: 'TERRAFORM_DESTROY_SUCCESS',
+                                timestamp: new Date().toISOString(),
+                                job_id: jobId
+                            }])
+                        ]
+                    );
+                }
                 this.addLog(jobId, 'Infrastructure state cleared from database.', 'SUCCESS');
             } catch (dbErr) {
                 console.error("DB State Reset Error:", dbErr);
@@ -757,8 +1090,8 @@ class TerraformExecutor {
             await this.cleanupWorkspace(workDir);
 
         } catch (err) {
-            job.status = 'failed';
             this.addLog(jobId, `ERROR: ${err.message}`, 'ERROR');
+            await this.setJobState(jobId, { status: 'failed', error: err.message });
         } finally {
             await credentialProvider.cleanup(credentialFiles);
         }
@@ -767,11 +1100,10 @@ class TerraformExecutor {
     /**
      * Simulation mode for destroy (development/testing)
      */
-    startDestroySimulation(jobId, provider) {
-        const job = jobs.get(jobId);
-        if (!job) return;
+    async startDestroySimulation(jobId, provider) {
+        if (!(await this.startJob(jobId))) return;
 
-        job.status = 'running';
+        await this.setJobState(jobId, { status: 'running' });
 
         const stages = [
             { message: 'Initializing destroy operation...', delay: 500 },
@@ -796,7 +1128,7 @@ class TerraformExecutor {
         });
 
         setTimeout(() => {
-            job.status = 'completed';
+            this.setJobState(jobId, { status: 'completed', stage: 'finished' });
         }, delay + 500);
     }
 
@@ -804,11 +1136,9 @@ class TerraformExecutor {
      * Destroy infrastructure for a workspace
      */
     async destroyInfrastructure(jobId, workDir, envVars) {
-        const job = jobs.get(jobId);
-        if (!job) return;
+        if (!(await this.startJob(jobId))) return;
 
-        job.status = 'running';
-        job.stage = 'destroy';
+        await this.setJobState(jobId, { status: 'running', stage: 'destroy' });
 
         try {
             this.addLog(jobId, 'Destroying infrastructure...', 'CMD');
@@ -826,14 +1156,14 @@ class TerraformExecutor {
             }
 
             this.addLog(jobId, 'Infrastructure destroyed successfully.', 'SUCCESS');
-            job.status = 'completed';
+            await this.setJobState(jobId, { status: 'completed' });
 
             // Cleanup workspace directory after destroy
             await this.cleanupWorkspace(workDir);
 
         } catch (err) {
-            job.status = 'failed';
             this.addLog(jobId, `Destroy failed: ${err.message}`, 'ERROR');
+            await this.setJobState(jobId, { status: 'failed', error: err.message });
         }
     }
 
@@ -913,7 +913,7 @@ resource "aws_cloudwatch_dashboard" "main" {
       tf += `
 resource "aws_ecr_repository" "registry" {
   name = "${shortName}-registry"
-  image_tag_mutability = "MUTABLE"
+  image_tag_mutability = "IMMUTABLE"
   image_scanning_configuration {
     scan_on_push = true
   }
@@ -2163,8 +2163,10 @@ resource "azurerm_security_center_subscription_pricing" "defender" {
 
 /**
  * Generate versions.tf
+ * When a remote state backend is supplied, a partial `backend` block is emitted;
+ * the concrete settings live in backend.hcl and are passed via -backend-config.
  */
-function generateVersionsTf(provider) {
+function generateVersionsTf(provider, region, projectName, stateBackend = null) {
   const providerConfigs = {
     aws: { source: 'hashicorp/aws', version: '~> 5.0' },
     gcp: { source: 'hashicorp/google', version: '~> 5.0' },
@@ -2173,10 +2175,13 @@ function generateVersionsTf(provider) {
 
   const config = providerConfigs[provider] || providerConfigs.aws;
   const providerName = provider === 'aws' ? 'aws' : provider === 'gcp' ? 'google' : 'azurerm';
+  const backendBlock = stateBackend ? `
+  backend "${stateBackend.type}" {}
+` : '';
 
   return `terraform {
   required_version = ">= 1.0"
-
+${backendBlock}
   required_providers {
     ${providerName} = {
       source  = "${config.source}"
@@ -2191,6 +2196,15 @@ function generateVersionsTf(provider) {
 `;
 }
 
+/**
+ * Generate backend.hcl (partial backend configuration for terraform init)
+ */
+function generateBackendHcl(stateBackend) {
+  return Object.entries(stateBackend.config)
+    .map(([key, value]) => `${key} = ${typeof value === 'string' ? `"${value}"` : value}`)
+    .join('\n') + '\n';
+}
+
 const defaultRegions = {
   aws: 'ap-south-1',
   gcp: 'asia-south1',
@@ -2485,8 +2499,10 @@ variable "db_password" {
 
 /**
  * Generate terraform.tfvars from workspace defaults
+ * @param {object} environment - Optional { name, tfvars } for a named workspace environment;
+ *   resources are named <project>-<env> and `tfvars` values replace generated ones
  */
-function generateTfvars(provider, region, projectName, sizing = {}, connectionData = {}) {
+function generateTfvars(provider, region, projectName, sizing = {}, connectionData = {}, environment = null) {
   // const region resolved from arg
 
 
@@ -2522,8 +2538,9 @@ function generateTfvars(provider, region, projectName, sizing = {}, connectionDa
     tfvars += `location = "${region}"\n`;
   }
 
-  tfvars += `project_name = "${projectName.toLowerCase().replace(/[^a-z0-9]/g, '-')}"\n`;
-  tfvars += `environment = "production"\n\n`;
+  const resourceName = environment ? `${projectName}-${environment.name}` : projectName;
+  tfvars += `project_name = "${resourceName.toLowerCase().replace(/[^a-z0-9]/g, '-')}"\n`;
+  tfvars += `environment = "${environment ? environment.name : 'production'}"\n\n`;
 
   // Sizing & Cost Drivers (Injected from Cost Analysis)
   if (sizing) {
@@ -2547,6 +2564,12 @@ function generateTfvars(provider, region, projectName, sizing = {}, connectionDa
   tfvars += `multi_az = false\n`;
   tfvars += `monitoring_enabled = true\n`;
 
+  // Environment overrides replace the generated line (HCL rejects duplicate attributes)
+  for (const [key, value] of Object.entries(environment?.tfvars || {})) {
+    tfvars = tfvars.replace(new RegExp(`^${key}\\s*=.*\\n`, 'm'), '');
+    tfvars += `${key} = ${JSON.stringify(value)}\n`;
+  }
+
   return tfvars;
 }
 
@@ -3430,6 +3453,7 @@ terraform destroy
 
 /**
  * Main orchestrator to generate all Terraform files
+ * @param {object} options - { connectionData, stateBackend, environment: { name, tfvars }, sizing }
  */
 async function generateTerraform(canonicalArchitecture, provider, region, projectName, options = {}) {
   const providerLower = provider.toLowerCase();
@@ -3490,10 +3514,20 @@ async function generateTerraform(canonicalArchitecture, provider, region, projec
   }
 
   // 1. Generate Root Config
-  files['versions.tf'] = generateVersionsTf(providerLower, region, projectName);
+  files['versions.tf'] = generateVersionsTf(providerLower, region, projectName, options.stateBackend);
+  if (options.stateBackend) {
+    files['backend.hcl'] = generateBackendHcl(options.stateBackend);
+  }
   files['providers.tf'] = generateProvidersTf(providerLower, region);
   files['variables.tf'] = generateVariablesTf(providerLower, pattern, deployableServices);
-  files['terraform.tfvars'] = generateTfvars(providerLower, region, projectName, canonicalArchitecture.sizing || {}, options.connectionData);
+  files['terraform.tfvars'] = generateTfvars(
+    providerLower,
+    region,
+    projectName,
+    options.sizing || canonicalArchitecture.sizing || {},
+    options.connectionData,
+    options.environment
+  );
   files['outputs.tf'] = generateOutputsTf(providerLower, pattern, deployableServices);
   files['main.tf'] = generateMainTf(providerLower, pattern, deployableServices);
   files['README.md'] = generateReadme(projectName, providerLower, pattern, deployableServices);
@@ -3907,7 +3941,7 @@ resource "aws_apigatewayv2_stage" "stage" {
         return {
           main: `resource "aws_ecr_repository" "repo" {
   name                 = "\${var.project_name}-repo"
-  image_tag_mutability = "MUTABLE"
+  image_tag_mutability = "IMMUTABLE"
   force_delete         = true
   image_scanning_configuration {
     scan_on_push = true
@@ -3930,7 +3964,7 @@ resource "aws_ecs_cluster" "main" {
 
 resource "aws_ecr_repository" "repo" {
   name                 = "\${var.project_name}-repo"
-  image_tag_mutability = "MUTABLE"
+  image_tag_mutability = "IMMUTABLE"
   force_delete         = true
 }
 
@@ -3939,8 +3973,11 @@ resource "aws_s3_bucket" "builds" {
   force_destroy = true
 }
 
+data "aws_caller_identity" "current" {}
+
 resource "aws_iam_role" "codebuild_role" {
   name = "\${var.project_name}-codebuild-role-\${random_id.suffix.hex}"
+  permissions_boundary = "arn:aws:iam::\${data.aws_caller_identity.current.account_id}:policy/cloudiverse-boundary/\${var.project_name}"
 
   assume_role_policy = jsonencode({
     Version = "2012-10-17"
@@ -3968,6 +4005,11 @@ resource "aws_codebuild_project" "build" {
     type                        = "LINUX_CONTAINER"
     privileged_mode             = true
     image_pull_credentials_type = "CODEBUILD"
+
+    environment_variable {
+      name  = "IMAGE_REPO_URL"
+      value = aws_ecr_repository.repo.repository_url
+    }
   }
 
   source {
@@ -3978,13 +4020,14 @@ version: 0.2
 phases:
   pre_build:
     commands:
-      - aws ecr get-login-password --region \${var.region} | docker login --username AWS --password-stdin \${aws_ecr_repository.repo.repository_url}
+      - aws ecr get-login-password --region \${var.region} | docker login --username AWS --password-stdin $IMAGE_REPO_URL
+      - export IMAGE_TAG=$\${IMAGE_TAG:-build-$CODEBUILD_BUILD_NUMBER}
   build:
     commands:
-      - docker build -t \${aws_ecr_repository.repo.repository_url}:latest .
+      - docker build -t $IMAGE_REPO_URL:$IMAGE_TAG .
   post_build:
     commands:
-      - docker push \${aws_ecr_repository.repo.repository_url}:latest
+      - docker push $IMAGE_REPO_URL:$IMAGE_TAG
 EOF
   }
 }
@@ -3999,7 +4042,9 @@ resource "aws_ecs_task_definition" "app" {
   task_role_arn            = var.execution_role_arn
   container_definitions    = jsonencode([{
     name  = "app"
-    image = var.container_image != "" ? var.container_image : "\${aws_ecr_repository.repo.repository_url}:latest"
+    # Bootstrap image only: the repository is IMMUTABLE and never holds :latest,
+    # deploys register their own revision pinned to the pushed tag/digest.
+    image = var.container_image
     essential = true
     portMappings = [{ containerPort = var.app_port, hostPort = var.app_port }]
     environment = [for k, v in var.extra_env_vars : { name = k, value = v }]
@@ -4024,6 +4069,10 @@ resource "aws_ecs_service" "app" {
     container_name   = "app"
     container_port   = var.app_port
   }
+
+  lifecycle {
+    ignore_changes = [task_definition]
+  }
 }
 
 resource "aws_lb_target_group" "app" {
@@ -4347,8 +4396,11 @@ resource "aws_glue_crawler" "main" {
       }
     }
 
+data "aws_caller_identity" "current" {}
+
 resource "aws_iam_role" "glue" {
       name = "\${var.project_name}-glue-role"
+      permissions_boundary = "arn:aws:iam::\${data.aws_caller_identity.current.account_id}:policy/cloudiverse-boundary/\${var.project_name}"
       assume_role_policy = jsonencode({
         Version = "2012-10-17"
     Statement =[{ Action = "sts:AssumeRole", Effect = "Allow", Principal = { Service = "glue.amazonaws.com" } }]
@@ -4417,8 +4469,11 @@ resource "aws_lambda_function_url" "main" {
       authorization_type = "NONE"
     }
 
+data "aws_caller_identity" "current" {}
+
 resource "aws_iam_role" "lambda_exec" {
       name = "\${var.project_name}-lambda-exec-role"
+      permissions_boundary = "arn:aws:iam::\${data.aws_caller_identity.current.account_id}:policy/cloudiverse-boundary/\${var.project_name}"
       assume_role_policy = jsonencode({
         Version = "2012-10-17"
     Statement =[{ Action = "sts:AssumeRole", Effect = "Allow", Principal = { Service = "lambda.amazonaws.com" } }]
@@ -4451,8 +4506,11 @@ output "invoke_arn" { value = aws_lambda_function.main.invoke_arn } `
       type = "MANAGED"
     }
 
+data "aws_caller_identity" "current" {}
+
 resource "aws_iam_role" "batch_service" {
       name = "\${var.project_name}-batch-role"
+      permissions_boundary = "arn:aws:iam::\${data.aws_caller_identity.current.account_id}:policy/cloudiverse-boundary/\${var.project_name}"
       assume_role_policy = jsonencode({
         Version = "2012-10-17"
     Statement =[{ Action = "sts:AssumeRole", Effect = "Allow", Principal = { Service = "batch.amazonaws.com" } }]
@@ -4789,8 +4847,11 @@ resource "aws_security_group" "lambda_sg" {
       case 'identityauth':
       case 'auth':
         return {
-          main: `resource "aws_iam_role" "app_role" {
+          main: `data "aws_caller_identity" "current" {}
+
+resource "aws_iam_role" "app_role" {
       name = "\${var.project_name}-app-role"
+      permissions_boundary = "arn:aws:iam::\${data.aws_caller_identity.current.account_id}:policy/cloudiverse-boundary/\${var.project_name}"
       assume_role_policy = jsonencode({
         Version = "2012-10-17"
     Statement =[{
@@ -5066,8 +5127,11 @@ resource "aws_secretsmanager_secret_version" "main" {
       })
     }
 
+data "aws_caller_identity" "current" {}
+
 resource "aws_iam_role" "sfn_role" {
       name = "\${var.project_name}-sfn-role"
+      permissions_boundary = "arn:aws:iam::\${data.aws_caller_identity.current.account_id}:policy/cloudiverse-boundary/\${var.project_name}"
       assume_role_policy = jsonencode({
         Version = "2012-10-17",
         Statement =[{
@@ -5120,6 +5184,7 @@ resource "aws_security_group" "sagemaker_sg" {
 
 resource "aws_iam_role" "sagemaker_role" {
       name = "\${var.project_name}-sagemaker-role"
+      permissions_boundary = "arn:aws:iam::\${data.aws_caller_identity.current.account_id}:policy/cloudiverse-boundary/\${var.project_name}"
       assume_role_policy = jsonencode({
         Version = "2012-10-17",
         Statement =[{
@@ -5228,8 +5293,11 @@ resource "aws_iot_policy" "main" {
       }
     }
 
+data "aws_caller_identity" "current" {}
+
 resource "aws_iam_role" "execution_role" {
       name = "\${var.project_name}-exec-role"
+      permissions_boundary = "arn:aws:iam::\${data.aws_caller_identity.current.account_id}:policy/cloudiverse-boundary/\${var.project_name}"
 
       assume_role_policy = jsonencode({
         Version = "2012-10-17"
@@ -5248,6 +5316,7 @@ resource "aws_iam_role_policy_attachment" "execution_role_policy" {
 
 resource "aws_iam_role" "task_role" {
       name = "\${var.project_name}-task-role"
+      permissions_boundary = "arn:aws:iam::\${data.aws_caller_identity.current.account_id}:policy/cloudiverse-boundary/\${var.project_name}"
 
       assume_role_policy = jsonencode({
         Version = "2012-10-17"
@@ -7618,6 +7687,7 @@ resource "azurerm_resource_group" "rg" {
 module.exports = {
   generateTerraform,
   generateVersionsTf,
+  generateBackendHcl,
   generateProvidersTf,
   generateVariablesTf,
   generateTfvars,
@@ -40,7 +40,19 @@ const ACTIONS = {
 
     // Template actions
     TEMPLATE_USED: 'template_used',
-    TEMPLATE_CREATED: 'template_created'
+    TEMPLATE_CREATED: 'template_created',
+
+    // Deployment approvals
+    TERRAFORM_PLAN_APPROVED: 'terraform_plan_approved',
+    TERRAFORM_PLAN_REJECTED: 'terraform_plan_rejected',
+
+    // Authorization (every change that passes middleware/authorize.js is recorded)
+    AUTHORIZED_REQUEST: 'authorized_request',
+    ACCESS_DENIED: 'access_denied',
+
+    // Organizations (actions not covered by an organization role check)
+    ORGANIZATION_CREATED: 'organization_created',
+    ORGANIZATION_MEMBER_JOINED: 'organization_member_joined'
 };
 
 /**
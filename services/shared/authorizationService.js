@@ -0,0 +1,133 @@
+/**
+ * AUTHORIZATION SERVICE
+ * Resolves what a user may do with a workspace or organization
+ *
+ * ACCESS MODEL:
+ * 1. Personal projects: the project owner (or the workspace's user_id) is admin
+ * 2. Organization projects: members get their organization role on every workspace
+ * 3. Roles are ordered - each one includes everything the previous ones can do
+ *
+ * Routes don't call this directly; they go through middleware/authorize.js,
+ * which also records the decision in audit_log.
+ */
+
+const pool = require('../../config/db');
+
+// SERIAL ids arrive as strings from params/bodies; anything else can't match a row
+const isNumericId = (value) => /^\d+$/.test(String(value ?? ''));
+
+// Lowest to highest
+const ROLES = ['viewer', 'architect', 'deployer', 'admin'];
+
+// Permission -> minimum role
+const PERMISSIONS = {
+    VIEW_WORKSPACE: 'viewer',
+    VIEW_ANALYTICS: 'viewer',
+    EDIT_WORKSPACE: 'architect',
+    DEPLOY: 'deployer',
+    MANAGE_CLOUD: 'deployer',
+    DESTROY: 'admin',
+    DELETE_WORKSPACE: 'admin',
+    VIEW_ORGANIZATION: 'viewer',
+    ADD_PROJECT: 'architect',
+    MANAGE_ORGANIZATION: 'admin'
+};
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+/**
+ * Does `role` grant `permission`?
+ * @param {string|null} role - One of ROLES
+ * @param {string} permission - Key of PERMISSIONS
+ */
+function hasPermission(role, permission) {
+    const required = PERMISSIONS[permission];
+    if (!required) throw new Error(`Unknown permission: ${permission}`);
+    return isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * A user's role in an organization (null if not a member)
+ */
+async function getOrganizationRole(organizationId, userId) {
+    const result = await pool.query(
+        'SELECT role FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+        [organizationId, String(userId)]
+    );
+    return result.rows[0]?.role || null;
+}
+
+/**
+ * Load a workspace with the requesting user's role on it
+ * @returns {Promise<object|null>} { workspace, role, projectId, organizationId } -
+ *          role is null when the user has no access; null if the workspace doesn't exist
+ */
+async function getWorkspaceAccess(workspaceId, userId) {
+    if (!isNumericId(workspaceId)) return null;
+
+    const result = await pool.query(
+        `SELECT w.*, p.owner_id AS project_owner_id, p.organization_id, m.role AS member_role
+         FROM workspaces w
+         JOIN projects p ON w.project_id = p.id
+         LEFT JOIN organization_members m ON m.organization_id = p.organization_id AND m.user_id = $2
+         WHERE w.id = $1`,
+        [workspaceId, String(userId)]
+    );
+    if (result.rows.length === 0) return null;
+
+    const { project_owner_id: ownerId, organization_id: organizationId, member_role: memberRole, ...workspace } = result.rows[0];
+    const isOwner = ownerId === String(userId) || workspace.user_id === String(userId);
+    const role = isOwner ? 'admin' : (memberRole || null);
+
+    return { workspace, role, projectId: workspace.project_id, organizationId };
+}
+
+/**
+ * SQL condition (over `projects p`) matching every project where the user has `permission`
+ * @param {string} userParam - Placeholder holding the user ID as text, e.g. '$1'
+ */
+function accessibleProjectsClause(userParam, permission = 'VIEW_WORKSPACE') {
+    const roles = ROLES.filter(role => hasPermission(role, permission)).map(role => `'${role}'`);
+    return `(p.owner_id = ${userParam} OR p.organization_id IN (
+        SELECT organization_id FROM organization_members WHERE user_id = ${userParam} AND role IN (${roles.join(', ')})
+    ))`;
+}
+
+// ─── WORKSPACE RESOLVERS ────────────────────────────────────────────────────
+// Each returns the workspace a request targets (or null if the request names none)
+
+const workspaceFrom = {
+    param: (name = 'id') => (req) => req.params[name] ?? null,
+    body: (name = 'workspace_id') => (req) => req.body?.[name] ?? null,
+    query: (name = 'workspace_id') => (req) => req.query[name] ?? null,
+
+    deployment: (name = 'id') => async (req) => {
+        if (!isNumericId(req.params[name])) return null;
+        const result = await pool.query('SELECT workspace_id FROM deployments WHERE id = $1', [req.params[name]]);
+        return result.rows[0]?.workspace_id ?? null;
+    },
+
+    job: (name = 'jobId') => async (req) => {
+        const result = await pool.query('SELECT workspace_id FROM jobs WHERE id = $1', [req.params[name]]);
+        return result.rows[0]?.workspace_id ?? null;
+    },
+
+    plan: (name = 'planId') => async (req) => {
+        if (!isNumericId(req.params[name])) return null;
+        const result = await pool.query('SELECT workspace_id FROM terraform_plans WHERE id = $1', [req.params[name]]);
+        return result.rows[0]?.workspace_id ?? null;
+    }
+};
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    isValidRole,
+    hasPermission,
+    getOrganizationRole,
+    getWorkspaceAccess,
+    accessibleProjectsClause,
+    workspaceFrom
+};
@@ -0,0 +1,125 @@
+/**
+ * LOG STREAM SERVICE
+ * Server-Sent Events for job and deployment logs
+ *
+ * Producers (jobQueue.appendLog, deployService.appendLog) publish each log
+ * line with its 1-based position in the stored `logs` array; that position is
+ * the SSE event id, so a reconnecting client resumes with `Last-Event-ID`.
+ * A final `end` event carries the terminal status.
+ *
+ * Lines from another process never hit this emitter, so every stream also
+ * re-syncs from its snapshot on a slow poll.
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const POLL_INTERVAL_MS = 5000;
+
+/**
+ * Publish a log line
+ * @param {string} channel - e.g. `job:<id>` or `deployment:<id>`
+ * @param {number|null} seq - 1-based index of the entry in the stored logs (null if unknown)
+ * @param {object} entry - { timestamp, message, type? }
+ */
+function publishLog(channel, seq, entry) {
+    emitter.emit(channel, { kind: 'log', seq, entry });
+}
+
+/**
+ * Publish the terminal status of a job/deployment
+ */
+function publishEnd(channel, status) {
+    emitter.emit(channel, { kind: 'end', status });
+}
+
+/**
+ * Stream logs for one channel over SSE
+ * @param {object} req - Express request (Last-Event-ID header or ?lastEventId=)
+ * @param {object} res - Express response
+ * @param {object} options
+ * @param {string} options.channel - Channel to subscribe to
+ * @param {Function} options.loadSnapshot - async () => { logs, status, ...extra } | null
+ * @param {string[]} options.terminalStates - Statuses that end the stream
+ */
+async function streamLogs(req, res, { channel, loadSnapshot, terminalStates }) {
+    let sent = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    let closed = false;
+    let queue = Promise.resolve();
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: 3000\n\n`);
+
+    const sendLog = (seq, entry) => {
+        if (closed || seq <= sent) return;
+        res.write(`id: ${seq}\nevent: log\ndata: ${JSON.stringify(entry)}\n\n`);
+        sent = seq;
+    };
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        emitter.off(channel, onEvent);
+        clearInterval(pollTimer);
+        res.end();
+    };
+
+    const finish = (payload) => {
+        if (closed) return;
+        res.write(`event: end\ndata: ${JSON.stringify(payload)}\n\n`);
+        close();
+    };
+
+    // Re-read the stored logs and status; fills gaps and detects the end
+    const sync = async () => {
+        if (closed) return;
+        const snapshot = await loadSnapshot();
+        if (!snapshot) return finish({ status: 'not_found' });
+
+        const { logs = [], status, ...extra } = snapshot;
+        logs.forEach((entry, i) => sendLog(i + 1, entry));
+        if (terminalStates.includes(status)) finish({ status, ...extra });
+    };
+
+    const handle = async (event) => {
+        if (event.kind === 'end') return sync();
+        if (event.seq === sent + 1) return sendLog(event.seq, event.entry);
+        if (event.seq === null || event.seq > sent + 1) return sync();
+    };
+
+    // Events are handled strictly in order, even when one needs a DB round-trip
+    const enqueue = (fn) => {
+        queue = queue.then(fn).catch(err => {
+            console.error(`[LOG_STREAM] ${channel} failed:`, err.message);
+            finish({ status: 'error', error: err.message });
+        });
+    };
+
+    function onEvent(event) {
+        enqueue(() => handle(event));
+    }
+
+    // Subscribe before the first snapshot so no line falls between the two
+    emitter.on(channel, onEvent);
+    const pollTimer = setInterval(() => {
+        if (!closed) res.write(`: ping\n\n`);
+        enqueue(sync);
+    }, POLL_INTERVAL_MS);
+
+    req.on('close', close);
+    enqueue(sync);
+}
+
+module.exports = {
+    publishLog,
+    publishEnd,
+    streamLogs
+};
@@ -0,0 +1,374 @@
+/**
+ * ORGANIZATION SERVICE
+ * Teams that share projects, workspaces and cloud connections
+ *
+ * Handles:
+ * - Organizations and their members (roles from authorizationService.ROLES)
+ * - Email invitations (only a SHA-256 of the emailed token is stored)
+ * - Moving projects into an organization
+ * - Org-scoped cloud connections, used before a member's own saved connection
+ *
+ * Permission checks happen in middleware/authorize.js; this module only
+ * enforces invariants such as "an organization always keeps one admin".
+ */
+
+const crypto = require('crypto');
+const pool = require('../../config/db');
+const emailService = require('../../utils/emailService');
+const { ROLES, isValidRole } = require('./authorizationService');
+
+const INVITATION_TTL_DAYS = 7;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Connection fields that describe the live state rather than the account
+const TRANSIENT_CONNECTION_FIELDS = ['status', 'verified', 'provider'];
+
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function assertRole(role) {
+    if (!isValidRole(role)) throw fail(400, `role must be one of: ${ROLES.join(', ')}`);
+}
+
+// ─── ORGANIZATIONS ──────────────────────────────────────────────────────────
+
+/**
+ * Create an organization with its creator as the first admin
+ */
+async function createOrganization(name, userId) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw fail(400, 'Organization name is required');
+
+    const result = await pool.query(
+        `WITH org AS (
+             INSERT INTO organizations (name, created_by) VALUES ($1, $2) RETURNING *
+         ), creator AS (
+             INSERT INTO organization_members (organization_id, user_id, role)
+             SELECT id, $2, 'admin' FROM org
+         )
+         SELECT * FROM org`,
+        [trimmed.slice(0, 255), String(userId)]
+    );
+    return { ...result.rows[0], role: 'admin' };
+}
+
+/**
+ * Organizations the user belongs to, with their role and member count
+ */
+async function listOrganizations(userId) {
+    const result = await pool.query(
+        `SELECT o.*, m.role,
+                (SELECT COUNT(*)::int FROM organization_members WHERE organization_id = o.id) AS member_count
+         FROM organizations o
+         JOIN organization_members m ON m.organization_id = o.id
+         WHERE m.user_id = $1
+         ORDER BY o.name`,
+        [String(userId)]
+    );
+    return result.rows;
+}
+
+async function getOrganization(organizationId) {
+    const result = await pool.query('SELECT * FROM organizations WHERE id = $1', [organizationId]);
+    return result.rows[0] || null;
+}
+
+async function renameOrganization(organizationId, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw fail(400, 'Organization name is required');
+
+    const result = await pool.query(
+        'UPDATE organizations SET name = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [trimmed.slice(0, 255), organizationId]
+    );
+    return result.rows[0] || null;
+}
+
+// ─── MEMBERS ────────────────────────────────────────────────────────────────
+
+async function listMembers(organizationId) {
+    const result = await pool.query(
+        `SELECT m.user_id, m.role, m.invited_by, m.joined_at, u.name, u.email
+         FROM organization_members m
+         LEFT JOIN users u ON u.id::text = m.user_id
+         WHERE m.organization_id = $1
+         ORDER BY m.joined_at`,
+        [organizationId]
+    );
+    return result.rows;
+}
+
+/**
+ * Refuse changes that would leave the organization without an admin
+ */
+async function assertKeepsAnAdmin(organizationId, userId) {
+    const result = await pool.query(
+        `SELECT COUNT(*)::int AS admins,
+                BOOL_OR(user_id = $2) AS is_admin
+         FROM organization_members
+         WHERE organization_id = $1 AND role = 'admin'`,
+        [organizationId, String(userId)]
+    );
+    const { admins, is_admin: isAdmin } = result.rows[0];
+    if (isAdmin && admins <= 1) {
+        throw fail(409, 'An organization needs at least one admin; promote another member first');
+    }
+}
+
+async function updateMemberRole(organizationId, userId, role) {
+    assertRole(role);
+    if (role !== 'admin') await assertKeepsAnAdmin(organizationId, userId);
+
+    const result = await pool.query(
+        `UPDATE organization_members SET role = $3
+         WHERE organization_id = $1 AND user_id = $2
+         RETURNING *`,
+        [organizationId, String(userId), role]
+    );
+    if (result.rows.length === 0) throw fail(404, 'Member not found');
+    return result.rows[0];
+}
+
+async function removeMember(organizationId, userId) {
+    await assertKeepsAnAdmin(organizationId, userId);
+
+    const result = await pool.query(
+        'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+        [organizationId, String(userId)]
+    );
+    if (result.rowCount === 0) throw fail(404, 'Member not found');
+}
+
+// ─── INVITATIONS ────────────────────────────────────────────────────────────
+
+async function listInvitations(organizationId) {
+    const result = await pool.query(
+        `SELECT id, email, role, invited_by, expires_at, created_at
+         FROM organization_invitations
+         WHERE organization_id = $1 AND accepted_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at DESC`,
+        [organizationId]
+    );
+    return result.rows;
+}
+
+/**
+ * Invite someone by email. A newer invitation replaces any pending one for the same address.
+ * @param {object} options - { email, role, invitedBy: user row { id, name, email } }
+ * @returns {Promise<object>} The invitation (without its token)
+ */
+async function inviteMember(organizationId, { email, role = 'viewer', invitedBy }) {
+    const normalizedEmail = (email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalizedEmail)) throw fail(400, 'A valid email is required');
+    assertRole(role);
+
+    const organization = await getOrganization(organizationId);
+    if (!organization) throw fail(404, 'Organization not found');
+
+    const existing = await pool.query(
+        `SELECT 1 FROM organization_members m
+         JOIN users u ON u.id::text = m.user_id
+         WHERE m.organization_id = $1 AND LOWER(u.email) = $2`,
+        [organizationId, normalizedEmail]
+    );
+    if (existing.rows.length > 0) throw fail(409, `${normalizedEmail} is already a member`);
+
+    await pool.query(
+        'DELETE FROM organization_invitations WHERE organization_id = $1 AND email = $2 AND accepted_at IS NULL',
+        [organizationId, normalizedEmail]
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const result = await pool.query(
+        `INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+         RETURNING id, email, role, invited_by, expires_at, created_at`,
+        [organizationId, normalizedEmail, role, hashToken(token), String(invitedBy.id), INVITATION_TTL_DAYS]
+    );
+
+    await emailService.sendOrganizationInviteEmail(normalizedEmail, {
+        organizationName: organization.name,
+        inviterName: invitedBy.name || invitedBy.email,
+        role,
+        token
+    });
+    console.log(`[ORG] Invited ${normalizedEmail} to organization ${organizationId} as ${role}`);
+
+    return result.rows[0];
+}
+
+async function revokeInvitation(organizationId, invitationId) {
+    const result = await pool.query(
+        'DELETE FROM organization_invitations WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL',
+        [invitationId, organizationId]
+    );
+    if (result.rowCount === 0) throw fail(404, 'Invitation not found');
+}
+
+/**
+ * Join an organization with an emailed token. The invitation must be addressed
+ * to the accepting user's email.
+ * @param {object} user - { id, email }
+ * @returns {Promise<object>} { organization, role }
+ */
+async function acceptInvitation(token, user) {
+    if (!token) throw fail(400, 'Invitation token is required');
+
+    const result = await pool.query(
+        `SELECT * FROM organization_invitations
+         WHERE token_hash = $1 AND accepted_at IS NULL AND expires_at > NOW()`,
+        [hashToken(token)]
+    );
+    const invitation = result.rows[0];
+    if (!invitation) throw fail(404, 'Invitation not found or expired');
+    if ((user.email || '').toLowerCase() !== invitation.email) {
+        throw fail(403, 'This invitation was sent to a different email address');
+    }
+
+    // Existing members keep their current role
+    await pool.query(
+        `INSERT INTO organization_members (organization_id, user_id, role, invited_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (organization_id, user_id) DO NOTHING`,
+        [invitation.organization_id, String(user.id), invitation.role, invitation.invited_by]
+    );
+    await pool.query(
+        'UPDATE organization_invitations SET accepted_at = NOW(), accepted_by = $2 WHERE id = $1',
+        [invitation.id, String(user.id)]
+    );
+
+    const role = (await pool.query(
+        'SELECT role FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+        [invitation.organization_id, String(user.id)]
+    )).rows[0].role;
+
+    console.log(`[ORG] User ${user.id} joined organization ${invitation.organization_id} as ${role}`);
+    return { organization: await getOrganization(invitation.organization_id), role };
+}
+
+// ─── PROJECTS ───────────────────────────────────────────────────────────────
+
+/**
+ * Share a personal project (and its workspaces) with an organization.
+ * Only the project owner can do this.
+ */
+async function addProject(organizationId, projectId, userId) {
+    const result = await pool.query(
+        `UPDATE projects SET organization_id = $1
+         WHERE id = $2 AND owner_id = $3
+         RETURNING id, name, organization_id`,
+        [organizationId, projectId, String(userId)]
+    );
+    if (result.rows.length === 0) throw fail(404, 'Project not found');
+    return result.rows[0];
+}
+
+/**
+ * Return a project to its owner only
+ */
+async function removeProject(organizationId, projectId) {
+    const result = await pool.query(
+        'UPDATE projects SET organization_id = NULL WHERE id = $1 AND organization_id = $2 RETURNING id',
+        [projectId, organizationId]
+    );
+    if (result.rows.length === 0) throw fail(404, 'Project not found');
+}
+
+async function listProjects(organizationId) {
+    const result = await pool.query(
+        `SELECT p.id, p.name, p.description, p.owner_id, p.created_at,
+                (SELECT COUNT(*)::int FROM workspaces w WHERE w.project_id = p.id) AS workspace_count
+         FROM projects p
+         WHERE p.organization_id = $1
+         ORDER BY p.created_at DESC`,
+        [organizationId]
+    );
+    return result.rows;
+}
+
+// ─── CLOUD CONNECTIONS ──────────────────────────────────────────────────────
+
+/**
+ * Org connection for a provider, in the same shape as cloud.getUserConnection
+ */
+async function getOrganizationConnection(organizationId, provider) {
+    if (!organizationId) return null;
+
+    const result = await pool.query(
+        'SELECT connection_data FROM organization_cloud_connections WHERE organization_id = $1 AND provider = $2',
+        [organizationId, provider.toLowerCase()]
+    );
+    if (result.rows.length === 0) return null;
+
+    return {
+        ...result.rows[0].connection_data,
+        status: 'connected',
+        verified: true,
+        provider: provider.toLowerCase()
+    };
+}
+
+async function listConnections(organizationId) {
+    const result = await pool.query(
+        `SELECT provider, connection_data, shared_by, connected_at, updated_at
+         FROM organization_cloud_connections
+         WHERE organization_id = $1
+         ORDER BY provider`,
+        [organizationId]
+    );
+    return result.rows.map(row => ({
+        provider: row.provider,
+        account_id: row.connection_data?.account_id || row.connection_data?.subscription_id || row.connection_data?.project_id,
+        region: row.connection_data?.region,
+        shared_by: row.shared_by,
+        connected_at: row.connected_at,
+        updated_at: row.updated_at
+    }));
+}
+
+/**
+ * Make a saved (verified) connection available to every workspace of the organization
+ */
+async function shareConnection(organizationId, provider, connectionData, userId) {
+    const data = { ...connectionData };
+    TRANSIENT_CONNECTION_FIELDS.forEach(field => delete data[field]);
+
+    await pool.query(
+        `INSERT INTO organization_cloud_connections (organization_id, provider, connection_data, shared_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (organization_id, provider)
+         DO UPDATE SET connection_data = EXCLUDED.connection_data, shared_by = EXCLUDED.shared_by, updated_at = NOW()`,
+        [organizationId, provider.toLowerCase(), JSON.stringify(data), String(userId)]
+    );
+    console.log(`[ORG] Shared ${provider} connection with organization ${organizationId}`);
+}
+
+async function removeConnection(organizationId, provider) {
+    const result = await pool.query(
+        'DELETE FROM organization_cloud_connections WHERE organization_id = $1 AND provider = $2',
+        [organizationId, provider.toLowerCase()]
+    );
+    return result.rowCount > 0;
+}
+
+module.exports = {
+    createOrganization,
+    listOrganizations,
+    getOrganization,
+    renameOrganization,
+    listMembers,
+    updateMemberRole,
+    removeMember,
+    listInvitations,
+    inviteMember,
+    revokeInvitation,
+    acceptInvitation,
+    addProject,
+    removeProject,
+    listProjects,
+    getOrganizationConnection,
+    listConnections,
+    shareConnection,
+    removeConnection
+};
@@ -65,6 +65,7 @@ function generateProfessionalReport(infraSpec, costAnalysis, safeProvider, aiExp
         service_inventory: serviceInventory,
         cost_estimation: {
             status: "Complete",
+            currency: costAnalysis.currency?.code || "USD",
             infrastructure_costs: providerCosts,
             external_costs: [
                 "Payment gateway transaction fees",
@@ -0,0 +1,272 @@
+/**
+ * SESSION SERVICE
+ * Short-lived access tokens backed by server-side sessions with rotating refresh tokens
+ *
+ * TOKENS:
+ * - access  - JWT { id, sid, typ: 'access' }, ACCESS_TOKEN_TTL (15m); sent as `Authorization: Bearer`
+ * - refresh - opaque random string, REFRESH_TOKEN_TTL_DAYS (30); only its SHA-256 is stored.
+ *             Every refresh replaces it, and presenting the replaced one again revokes the session
+ *             (the token was copied), unless it is a concurrent refresh within REUSE_GRACE_MS.
+ * - url     - JWT { id, sid, typ: 'url' }, 60s; the only token accepted in a `?token=` query
+ *             string (browser redirects can't send headers)
+ * - stream  - JWT { id, sid, typ: 'stream', path }, STREAM_TOKEN_TTL; a url token bound to one
+ *             SSE stream path, so EventSource can reconnect (Last-Event-ID) for as long as the job runs
+ *
+ * Every access / url token is checked against its session, so revoking a session
+ * (logout, session list, password change, account deletion) takes effect immediately.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../../config/db');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const URL_TOKEN_TTL = '60s';
+// Outlives any deploy/destroy job; the stream closes itself once the job ends
+const STREAM_TOKEN_TTL = process.env.STREAM_TOKEN_TTL || '6h';
+
+// Log streams that accept a stream token (see routes/deploy.js and routes/workflow.js)
+const STREAM_PATH_PATTERN = /^\/api\/(deploy|workflow\/deploy)\/[\w-]+(\/destroy\/[\w-]+)?\/stream$/;
+
+// A replaced refresh token presented this soon after rotation is a race between tabs, not theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+// last_seen_at / ip_address are written at most this often per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const REVOKE_REASONS = {
+    LOGOUT: 'logout',
+    USER_REVOKED: 'user_revoked',
+    PASSWORD_CHANGED: 'password_changed',
+    PASSWORD_RESET: 'password_reset',
+    ACCOUNT_DELETED: 'account_deleted',
+    REFRESH_TOKEN_REUSE: 'refresh_token_reuse'
+};
+
+const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// sessionId -> last touch, oldest first. Only touches within TOUCH_INTERVAL_MS are kept,
+// so sessions that expire or go idle drop out on their own.
+const lastTouched = new Map();
+
+/**
+ * Device, IP and user agent of the request that opens or refreshes a session
+ */
+function clientInfo(req) {
+    const userAgent = req.header('user-agent') || null;
+    return {
+        deviceId: req.body?.device_id || req.header('x-device-id') || null,
+        deviceName: describeDevice(userAgent),
+        ipAddress: req.ip || null,
+        userAgent: userAgent ? userAgent.slice(0, 512) : null
+    };
+}
+
+/**
+ * "Chrome on Windows" from a user agent (best effort, for the session list)
+ */
+function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = [
+        [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari'], [/curl\//, 'curl'], [/okhttp|Dart|Expo|CFNetwork/, 'Mobile app']
+    ].find(([pattern]) => pattern.test(userAgent))?.[1];
+    const os = [
+        [/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad|iOS/, 'iOS'],
+        [/Mac OS X|Macintosh/, 'macOS'], [/Linux/, 'Linux']
+    ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+}
+
+function signToken(userId, sessionId, typ, expiresIn, claims = {}) {
+    return jwt.sign({ ...claims, id: userId, sid: sessionId, typ }, process.env.JWT_SECRET, { expiresIn });
+}
+
+// session.user_id is the users.id value (not the VARCHAR copy), so tokens carry the same id as before sessions
+function issueTokens(session, refreshToken) {
+    const token = signToken(session.user_id, session.id, 'access', ACCESS_TOKEN_TTL);
+    return {
+        token,
+        refresh_token: refreshToken,
+        expires_in: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+        refresh_expires_at: session.expires_at,
+        session_id: session.id
+    };
+}
+
+/**
+ * Open a session for a user who just authenticated
+ * @returns {Promise<object>} { token, refresh_token, expires_in, refresh_expires_at, session_id }
+ */
+async function createSession(userId, req) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const client = clientInfo(req);
+
+    const result = await pool.query(`
+        INSERT INTO user_sessions (user_id, refresh_token_hash, device_id, device_name, ip_address, user_agent, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $7))
+        RETURNING id, expires_at
+    `, [String(userId), hashToken(refreshToken), client.deviceId, client.deviceName, client.ipAddress, client.userAgent, REFRESH_TOKEN_TTL_DAYS]);
+
+    console.log(`[SESSION] Opened session ${result.rows[0].id} for user ${userId} (${client.deviceName})`);
+    return issueTokens({ ...result.rows[0], user_id: userId }, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ */
+async function refreshSession(refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== 'string') throw fail(400, 'refresh_token is required');
+
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = crypto.randomBytes(48).toString('base64url');
+    const client = clientInfo(req);
+
+    // Conditional on the presented hash, so two refreshes with one token can't both rotate;
+    // the join refuses sessions of deleted users
+    const rotated = await pool.query(`
+        UPDATE user_sessions s
+        SET refresh_token_hash = $2, previous_token_hash = s.refresh_token_hash, rotated_at = NOW(),
+            last_seen_at = NOW(), ip_address = $3, user_agent = COALESCE($4, s.user_agent)
+        FROM users u
+        WHERE u.id::text = s.user_id AND s.refresh_token_hash = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+        RETURNING s.id, u.id AS user_id, s.expires_at
+    `, [tokenHash, hashToken(nextToken), client.ipAddress, client.userAgent]);
+
+    if (rotated.rows.length > 0) return issueTokens(rotated.rows[0], nextToken);
+
+    // Not current: a replaced token means it was used twice
+    const replaced = await pool.query(`
+        SELECT id, user_id, rotated_at, revoked_at FROM user_sessions WHERE previous_token_hash = $1
+    `, [tokenHash]);
+    const session = replaced.rows[0];
+
+    if (session && !session.revoked_at && Date.now() - new Date(session.rotated_at).getTime() > REUSE_GRACE_MS) {
+        console.warn(`[SESSION] Refresh token reuse on session ${session.id} (user ${session.user_id}) - revoking`);
+        await revokeSession(session.user_id, session.id, REVOKE_REASONS.REFRESH_TOKEN_REUSE);
+    }
+    throw fail(401, 'Refresh token is invalid or expired');
+}
+
+/**
+ * Verify an access (or url) token and that its session is still active
+ * @param {string} token
+ * @param {object} options - { type: 'access' | 'url', path } - a stream token passes as a url token on its own path
+ * @returns {Promise<object>} { id, sid }
+ */
+async function verifyToken(token, { type = 'access', path = null } = {}) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        throw err.name === 'TokenExpiredError'
+            ? Object.assign(fail(401, 'Token expired'), { code: 'TOKEN_EXPIRED' })
+            : Object.assign(fail(401, 'Token is not valid'), { code: 'TOKEN_INVALID' });
+    }
+    // Tokens from before sessions (no sid) can't be revoked, so they aren't accepted
+    const streamOnPath = type === 'url' && decoded.typ === 'stream' && decoded.path === path;
+    if ((decoded.typ !== type && !streamOnPath) || !decoded.sid) throw Object.assign(fail(401, 'Token is not valid'), { code: 'TOKEN_INVALID' });
+
+    const result = await pool.query(`
+        SELECT user_id, revoked_at, expires_at FROM user_sessions WHERE id = $1
+    `, [decoded.sid]);
+    const session = result.rows[0];
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date() || String(session.user_id) !== String(decoded.id)) {
+        throw Object.assign(fail(401, 'Session has been revoked'), { code: 'SESSION_REVOKED' });
+    }
+
+    return { id: decoded.id, sid: decoded.sid };
+}
+
+/**
+ * Record that a session was used (throttled)
+ */
+function touchSession(sessionId, req) {
+    const now = Date.now();
+    if (now - (lastTouched.get(sessionId) || 0) < TOUCH_INTERVAL_MS) return;
+    lastTouched.delete(sessionId);
+    lastTouched.set(sessionId, now);
+    for (const [id, touchedAt] of lastTouched) {
+        if (now - touchedAt < TOUCH_INTERVAL_MS) break;
+        lastTouched.delete(id);
+    }
+
+    pool.query('UPDATE user_sessions SET last_seen_at = NOW(), ip_address = $2 WHERE id = $1', [sessionId, req.ip || null])
+        .catch(err => console.error(`[SESSION] Failed to update last seen for ${sessionId}:`, err.message));
+}
+
+/**
+ * A token for URLs that can't carry an Authorization header: 60 seconds by default,
+ * or, with `stream`, one that only opens that log stream but lasts as long as its job
+ * @param {object} user - { id, sid }
+ * @param {object} options - { stream: e.g. '/api/workflow/deploy/<jobId>/stream' }
+ */
+function issueUrlToken(user, { stream = null } = {}) {
+    if (stream && !STREAM_PATH_PATTERN.test(stream)) throw fail(400, 'stream must be a log stream path');
+    const token = stream
+        ? signToken(user.id, user.sid, 'stream', STREAM_TOKEN_TTL, { path: stream })
+        : signToken(user.id, user.sid, 'url', URL_TOKEN_TTL);
+    return { token, expires_in: jwt.decode(token).exp - Math.floor(Date.now() / 1000), ...(stream && { stream }) };
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+async function listSessions(userId, currentSessionId) {
+    const result = await pool.query(`
+        SELECT id, device_id, device_name, ip_address, user_agent, created_at, last_seen_at, expires_at
+        FROM user_sessions
+        WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+        ORDER BY last_seen_at DESC
+    `, [String(userId)]);
+
+    return result.rows.map(row => ({ ...row, current: String(row.id) === String(currentSessionId) }));
+}
+
+async function revokeSession(userId, sessionId, reason = REVOKE_REASONS.USER_REVOKED) {
+    if (!/^\d+$/.test(String(sessionId))) throw fail(404, 'Session not found');
+
+    const result = await pool.query(`
+        UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $3
+        WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+        RETURNING id
+    `, [sessionId, String(userId), reason]);
+
+    if (result.rows.length === 0) throw fail(404, 'Session not found');
+    lastTouched.delete(Number(sessionId));
+    console.log(`[SESSION] Revoked session ${sessionId} of user ${userId} (${reason})`);
+}
+
+/**
+ * Revoke every active session of a user (optionally keeping one)
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function revokeAllSessions(userId, reason, { exceptSessionId = null } = {}) {
+    const result = await pool.query(`
+        UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+        WHERE user_id = $1 AND revoked_at IS NULL AND ($3::int IS NULL OR id <> $3::int)
+        RETURNING id
+    `, [String(userId), reason, exceptSessionId]);
+
+    for (const row of result.rows) lastTouched.delete(row.id);
+    console.log(`[SESSION] Revoked ${result.rows.length} session(s) of user ${userId} (${reason})`);
+    return result.rows.length;
+}
+
+module.exports = {
+    REVOKE_REASONS,
+    createSession,
+    refreshSession,
+    verifyToken,
+    touchSession,
+    issueUrlToken,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+};
@@ -1,14 +1,14 @@
 'use strict';
 
 // Helper to render standard variables for each provider
-const renderStandardVariables = (provider) => {
+const renderStandardVariables = (provider, environment = 'production') => {
   const p = provider.toLowerCase();
 
   if (p === 'aws') {
     return `
 variable "project_name" { type = string }
 variable "region" { type = string  default = "us-east-1" }
-variable "environment" { type = string default = "production" }
+variable "environment" { type = string default = "${environment}" }
 `.trim();
   }
 
@@ -32,7 +32,7 @@ variable "resource_group_name" { type = string }
  * Minimal module generator factory
  * Uses realistic resource types instead of EIP placeholders
  */
-function generateMinimalModule(provider, moduleId) {
+function generateMinimalModule(provider, moduleId, environment = 'production') {
   const p = provider.toLowerCase();
   const name = moduleId.toLowerCase().replace(/[^a-z0-9_]/g, '_');
   const cleanId = moduleId.toLowerCase().replace(/[^a-z0-9]/g, '');
@@ -79,7 +79,7 @@ resource "aws_s3_bucket_server_side_encryption_configuration" "${name}" {
   }
 }
 `.trim(),
-      variablesTf: renderStandardVariables('aws'),
+      variablesTf: renderStandardVariables('aws', environment),
       outputsTf: `
 output "${name}_id" {
   value       = aws_s3_bucket.${name}.id
@@ -273,6 +273,47 @@ const sendDeploymentStatusEmail = async (user, details) => {
   await sendEmail(user.email, subject, getHtmlTemplate(`Deployment ${isSuccess ? 'Success' : 'Failure'}`, body), 'UPDATES');
 };
 
+// 5. ORGANIZATION INVITATION
+const sendOrganizationInviteEmail = async (email, { organizationName, inviterName, role, token }) => {
+  const subject = `You're invited to join ${organizationName} on Cloudiverse`;
+  const acceptUrl = `${process.env.VITE_FRONTEND_URL || '#'}/invitations/accept?token=${token}`;
+  const body = `
+    <p><strong>${inviterName}</strong> invited you to join the <strong>${organizationName}</strong> organization as <strong>${role}</strong>.</p>
+    <p>Sign in with this email address to accept. The invitation expires in 7 days.</p>
+    <div style="text-align: center; margin-top: 30px;">
+      <a href="${acceptUrl}" class="btn" style="color: #ffffff;">Accept Invitation</a>
+    </div>
+  `;
+  await sendEmail(email, subject, getHtmlTemplate('Organization Invitation', body), 'NOREPLY');
+};
+
+// 9. BUDGET ALERTS
+const sendBudgetAlertEmail = async (user, details) => {
+  const isExceeded = details.status === 'exceeded';
+  const color = isExceeded ? '#ef4444' : '#f59e0b';
+  const subject = `${isExceeded ? 'Budget exceeded' : 'Budget warning'}: ${details.budgetName} (${details.scopeName})`;
+  const sourceLabel = details.source === 'reconcile' ? 'Architecture change (projected)' : 'Cost estimate';
+
+  const body = `
+    <p>The estimated monthly cost of ${details.scopeKind} <strong>${details.scopeName}</strong> is over the ${isExceeded ? 'hard limit' : 'warning threshold'} of budget <strong>${details.budgetName}</strong>.</p>
+
+    <div style="background-color: #F3F4F6; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${color};">
+      <table style="width: 100%; border-collapse: collapse;">
+        <tr><td style="padding: 8px 0; color: #64748b;">Estimated cost</td><td style="text-align: right; font-weight: 700; color: ${color};">${details.estimatedCost}/month</td></tr>
+        <tr><td style="padding: 8px 0; color: #64748b;">${isExceeded ? 'Hard limit' : 'Warning threshold'}</td><td style="text-align: right; font-weight: 600;">${details.threshold}/month</td></tr>
+        <tr><td style="padding: 8px 0; color: #64748b;">Trigger</td><td style="text-align: right; font-weight: 600;">${sourceLabel}</td></tr>
+      </table>
+    </div>
+
+    ${details.workspaceId ? `
+    <div style="text-align: center; margin-top: 30px;">
+      <a href="${process.env.VITE_FRONTEND_URL || '#'}/workspaces/${details.workspaceId}" class="btn" style="color: #ffffff;">Review Workspace</a>
+    </div>` : ''}
+  `;
+
+  await sendEmail(user.email, subject, getHtmlTemplate(isExceeded ? 'Budget Exceeded' : 'Budget Warning', body), 'BILLING');
+};
+
 module.exports = {
   sendEmail,
   sendWelcomeEmail,
@@ -287,5 +328,7 @@ module.exports = {
   sendSubscriptionSuccessEmail,
   sendPaymentFailedEmail,
   sendSubscriptionCancelledEmail,
-  sendDeploymentStatusEmail
+  sendDeploymentStatusEmail,
+  sendOrganizationInviteEmail,
+  sendBudgetAlertEmail
 };